@@ -1,5 +1,6 @@
 const app = require('./src/app');
 const { disconnectDB } = require('./src/config/database');
+const { startJobs, stopJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 3000;
 
@@ -8,6 +9,7 @@ const gracefulShutdown = async signal => {
   console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
 
   try {
+    stopJobs();
     await disconnectDB();
     console.log('👋 Database disconnected successfully');
     process.exit(0);
@@ -81,4 +83,6 @@ server.listen(PORT, () => {
   console.log('🔗 API Base URL:');
   console.log(`🔗   http://localhost:${PORT}/api/v1`);
   console.log('');
+
+  startJobs();
 });
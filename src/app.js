@@ -18,6 +18,9 @@ const swaggerMobileSpecs =
 
 const sessionMiddleware = require('./middleware/session');
 
+// Register lease event listeners (notifications, review prompts, ...)
+require('./events/listeners');
+
 const app = express();
 
 // Ngrok and proxy handling middleware
@@ -308,11 +311,28 @@ const authRoutes = require('./routes/auth');
 const uploadRoutes = require('./routes/upload');
 const userRoutes = require('./modules/users/users.routes');
 const propertyRoutes = require('./modules/properties/properties.routes');
+const availabilityRoutes = require('./modules/availability/availability.routes');
+const calendarFeedRoutes = require('./modules/availability/calendarFeed.routes');
 const bookingRoutes = require('./modules/bookings/bookings.routes');
+const leaseRenewalRoutes = require('./modules/bookings/leaseRenewals.routes');
+const leaseTerminationRoutes = require('./modules/bookings/leaseTerminations.routes');
+const leaseParticipantRoutes = require('./modules/bookings/leaseParticipants.routes');
+const depositRoutes = require('./modules/deposits/deposits.routes');
+const inspectionRoutes = require('./modules/inspections/inspections.routes');
 const propertyTypeRoutes = require('./modules/propertyTypes/propertyTypes.routes');
 const amenityRoutes = require('./modules/amenities/amenities.routes');
 const predictionRoutes = require('./modules/predictions/predictions.routes');
+const offlinePaymentRoutes = require('./modules/payments/offlinePayments.routes');
 const paymentRoutes = require('./modules/payments/payments.routes');
+const invoiceRoutes = require('./modules/invoices/invoices.routes');
+const waitlistRoutes = require('./modules/waitlist/waitlist.routes');
+const commissionRoutes = require('./modules/commissions/commissions.routes');
+const webhookEventRoutes = require('./modules/webhooks/webhooks.routes');
+const ledgerRoutes = require('./modules/ledger/ledger.routes');
+const receiptRoutes = require('./modules/receipts/receipts.routes');
+const taxRoutes = require('./modules/taxes/taxes.routes');
+const reconciliationRoutes = require('./modules/reconciliation/reconciliation.routes');
+const disputeRoutes = require('./modules/disputes/disputes.routes');
 
 // Import mobile routes
 const mobileRoutes = require('./routes/mobile/index');
@@ -321,12 +341,29 @@ const mobileRoutes = require('./routes/mobile/index');
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/upload', uploadRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/properties', availabilityRoutes);
 app.use('/api/v1/properties', propertyRoutes);
+app.use('/api/v1/bookings', leaseRenewalRoutes);
+app.use('/api/v1/bookings', leaseTerminationRoutes);
+app.use('/api/v1/bookings', leaseParticipantRoutes);
+app.use('/api/v1/bookings', depositRoutes);
+app.use('/api/v1/bookings', inspectionRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
 app.use('/api/v1/property-types', propertyTypeRoutes);
 app.use('/api/v1/amenities', amenityRoutes);
 app.use('/api/v1/predictions', predictionRoutes);
+app.use('/api/v1/payments/offline', offlinePaymentRoutes);
 app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/invoices', invoiceRoutes);
+app.use('/api/v1/waitlist', waitlistRoutes);
+app.use('/api/v1/commissions', commissionRoutes);
+app.use('/api/v1/webhook-events', webhookEventRoutes);
+app.use('/api/v1/ledger', ledgerRoutes);
+app.use('/api/v1/receipts', receiptRoutes);
+app.use('/api/v1/taxes', taxRoutes);
+app.use('/api/v1/reconciliation', reconciliationRoutes);
+app.use('/api/v1/disputes', disputeRoutes);
+app.use('/api/v1/calendars', calendarFeedRoutes);
 
 // Refund routes
 const refundRoutes = require('./routes/refunds');
@@ -535,6 +572,7 @@ app.use((err, req, res, _next) => {
   res.status(err.statusCode || 500).json({
     success: false,
     error: err.status || 'Internal Server Error',
+    ...(err.errorCode && { code: err.errorCode }),
     message:
       process.env.NODE_ENV === 'production'
         ? 'Something went wrong!'
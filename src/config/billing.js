@@ -0,0 +1,28 @@
+/**
+ * Billing configuration
+ * All values can be overridden through environment variables
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  // RENT invoices are issued this many days before their period starts
+  invoiceLeadDays: toNumber(process.env.BILLING_INVOICE_LEAD_DAYS, 7),
+
+  // Platform commission when no landlord or property type rule applies
+  commission: {
+    ratePercent: toNumber(process.env.COMMISSION_RATE_PERCENT, 10),
+    // Added to every charge, in the charge currency
+    fixedFee: toNumber(process.env.COMMISSION_FIXED_FEE, 0),
+  },
+
+  // Tax rates are configured per country, state and charge type through
+  // /api/v1/taxes; charges without a rate are not taxed
+  tax: {
+    // Name printed on tax lines when a rate has none
+    defaultName: process.env.TAX_DEFAULT_NAME || 'SST',
+  },
+};
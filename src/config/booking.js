@@ -0,0 +1,87 @@
+/**
+ * Booking & pricing configuration
+ * All values can be overridden through environment variables
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const toList = (value, fallback) =>
+  value
+    ? value
+        .split(',')
+        .map(item => item.trim().toUpperCase())
+        .filter(Boolean)
+    : fallback;
+
+module.exports = {
+  availability: {
+    // Lease statuses that reserve their dates for other tenants
+    blockingStatuses: toList(process.env.BOOKING_BLOCKING_STATUSES, [
+      'PENDING',
+      'PAID',
+      'APPROVED',
+      'ACTIVE',
+    ]),
+    // A new booking (and a tenant opening the payment sheet) holds the
+    // dates for this long, even if its status is not a blocking status
+    holdMinutes: toNumber(process.env.BOOKING_HOLD_MINUTES, 15),
+  },
+
+  quote: {
+    // How long a signed quote can be redeemed for a booking
+    ttlMinutes: toNumber(process.env.BOOKING_QUOTE_TTL_MINUTES, 15),
+    secret: process.env.BOOKING_QUOTE_SECRET || process.env.JWT_SECRET,
+  },
+
+  pricing: {
+    // Months of rent charged at booking, at least 1
+    upfrontRentMonths: Math.max(
+      1,
+      Math.floor(toNumber(process.env.BOOKING_UPFRONT_RENT_MONTHS, 1))
+    ),
+    // Security deposit expressed in months of rent
+    securityDepositMonths: toNumber(
+      process.env.BOOKING_SECURITY_DEPOSIT_MONTHS,
+      1
+    ),
+    // Service fee charged to the tenant on top of the rent
+    serviceFeePercent: toNumber(process.env.BOOKING_SERVICE_FEE_PERCENT, 0),
+    serviceFeeFixed: toNumber(process.env.BOOKING_SERVICE_FEE_FIXED, 0),
+  },
+
+  expiry: {
+    // PENDING bookings the landlord did not answer are cancelled after this
+    pendingHours: toNumber(process.env.BOOKING_PENDING_EXPIRY_HOURS, 48),
+    // APPROVED bookings that were not paid are cancelled after this
+    paymentHours: toNumber(process.env.BOOKING_PAYMENT_EXPIRY_HOURS, 24),
+  },
+
+  waitlist: {
+    // Hours a waitlisted tenant has to book released dates before the next
+    // tenant in line is notified
+    priorityHours: toNumber(process.env.BOOKING_WAITLIST_PRIORITY_HOURS, 24),
+  },
+
+  deposit: {
+    // Days after move-out the landlord has to submit deductions
+    returnDays: toNumber(process.env.BOOKING_DEPOSIT_RETURN_DAYS, 14),
+    // Days the tenant has to accept or dispute the deductions
+    disputeDays: toNumber(process.env.BOOKING_DEPOSIT_DISPUTE_DAYS, 7),
+  },
+
+  cancellation: {
+    // Whatever the policy, a tenant who cancels within this many hours of
+    // paying gets a full refund
+    graceHours: toNumber(process.env.BOOKING_CANCELLATION_GRACE_HOURS, 4),
+  },
+
+  termination: {
+    // Defaults for properties without their own termination terms
+    noticeDays: toNumber(process.env.BOOKING_TERMINATION_NOTICE_DAYS, 30),
+    // Early termination fee in months of rent (tenant-initiated only)
+    feeMonths: toNumber(process.env.BOOKING_TERMINATION_FEE_MONTHS, 0),
+  },
+};
@@ -0,0 +1,54 @@
+/**
+ * Background job configuration
+ * All values can be overridden through environment variables
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  // Jobs never run under test
+  enabled:
+    process.env.NODE_ENV !== 'test' && process.env.JOBS_ENABLED !== 'false',
+
+  leaseLifecycle: {
+    intervalMinutes: toNumber(
+      process.env.LEASE_LIFECYCLE_JOB_INTERVAL_MINUTES,
+      15
+    ),
+  },
+
+  rentInvoices: {
+    intervalMinutes: toNumber(
+      process.env.RENT_INVOICE_JOB_INTERVAL_MINUTES,
+      60
+    ),
+  },
+
+  calendarImports: {
+    intervalMinutes: toNumber(
+      process.env.CALENDAR_IMPORT_JOB_INTERVAL_MINUTES,
+      60
+    ),
+  },
+
+  deposits: {
+    intervalMinutes: toNumber(process.env.DEPOSIT_JOB_INTERVAL_MINUTES, 60),
+  },
+
+  waitlist: {
+    intervalMinutes: toNumber(process.env.WAITLIST_JOB_INTERVAL_MINUTES, 15),
+  },
+
+  reconciliation: {
+    // Runs once a day at this hour (UTC), outside peak booking hours
+    hourUtc: toNumber(process.env.RECONCILIATION_JOB_HOUR_UTC, 2),
+    // Each run compares payments of the last days, so a day the job missed
+    // is covered by the next run
+    lookbackDays: toNumber(process.env.RECONCILIATION_LOOKBACK_DAYS, 3),
+    // Longest period an admin can reconcile at once
+    maxRangeDays: toNumber(process.env.RECONCILIATION_MAX_RANGE_DAYS, 31),
+  },
+};
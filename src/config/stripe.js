@@ -0,0 +1,27 @@
+/**
+ * Shared Stripe client
+ * null when STRIPE_SECRET_KEY is not configured. STRIPE_API_HOST points it
+ * at another API server, e.g. stripe-mock in tests.
+ */
+const Stripe = require('stripe');
+
+// Security: Validate Stripe key before initialization
+if (!process.env.STRIPE_SECRET_KEY) {
+  console.error(
+    '⚠️  STRIPE_SECRET_KEY is not configured. Payment features will be disabled.'
+  );
+}
+
+const apiOptions = process.env.STRIPE_API_HOST
+  ? {
+      host: process.env.STRIPE_API_HOST,
+      port: process.env.STRIPE_API_PORT || 12111,
+      protocol: process.env.STRIPE_API_PROTOCOL || 'http',
+    }
+  : {};
+
+const stripe = process.env.STRIPE_SECRET_KEY
+  ? new Stripe(process.env.STRIPE_SECRET_KEY, apiOptions)
+  : null;
+
+module.exports = stripe;
@@ -0,0 +1,52 @@
+/**
+ * Lease event bus
+ * Emitted after a lease changes state so other modules can react
+ * (notifications, review prompts, deposit return, ...) without the
+ * emitter knowing about them.
+ */
+
+const EventEmitter = require('events');
+
+const LEASE_EVENTS = {
+  ACTIVATED: 'lease.activated',
+  COMPLETED: 'lease.completed',
+  RENEWED: 'lease.renewed',
+  ENDED_EARLY: 'lease.ended_early',
+  EXPIRED: 'lease.expired',
+  // Rejected, cancelled or refunded: the dates are free again
+  RELEASED: 'lease.released',
+};
+
+const leaseEvents = new EventEmitter();
+
+/**
+ * Register an async listener. Errors are logged instead of becoming
+ * unhandled rejections, so one failing listener does not affect others.
+ * @param {string} event - One of LEASE_EVENTS
+ * @param {Function} handler - async (payload) => {}
+ */
+const onLeaseEvent = (event, handler) => {
+  leaseEvents.on(event, payload => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => {
+        console.error(`❌ Lease event listener for ${event} failed:`, error);
+      });
+  });
+};
+
+/**
+ * Emit a lease event
+ * @param {string} event - One of LEASE_EVENTS
+ * @param {Object} payload - { lease, ... }
+ */
+const emitLeaseEvent = (event, payload) => {
+  leaseEvents.emit(event, payload);
+};
+
+module.exports = {
+  LEASE_EVENTS,
+  leaseEvents,
+  onLeaseEvent,
+  emitLeaseEvent,
+};
@@ -0,0 +1,99 @@
+/**
+ * Default lease event listeners
+ * Required once at startup (see app.js)
+ */
+
+const { LEASE_EVENTS, onLeaseEvent } = require('./leaseEvents');
+const notificationService = require('../services/notification.service');
+const depositsService = require('../modules/deposits/deposits.service');
+const waitlistService = require('../modules/waitlist/waitlist.service');
+const { toDateString } = require('../utils/dates');
+
+onLeaseEvent(LEASE_EVENTS.ACTIVATED, async ({ lease }) => {
+  await notificationService.notifyUser(
+    lease.tenant,
+    'Your lease has started',
+    `Your lease ${lease.code} for "${lease.property.title}" is now active. Enjoy your stay!`
+  );
+});
+
+// Review prompt: reviewsService.canReview only allows COMPLETED leases
+onLeaseEvent(LEASE_EVENTS.COMPLETED, async ({ lease }) => {
+  await notificationService.notifyUser(
+    lease.tenant,
+    'How was your stay?',
+    `Your lease ${lease.code} for "${lease.property.title}" has ended. Let other tenants know how it went by leaving a review in the app.`
+  );
+});
+
+// Move-out: the landlord itemizes deductions before the deposit is returned
+onLeaseEvent(LEASE_EVENTS.COMPLETED, async ({ lease }) => {
+  await depositsService.openReturn(lease);
+});
+
+onLeaseEvent(LEASE_EVENTS.RENEWED, async ({ lease, renewal, invoice }) => {
+  const newEndDate = toDateString(lease.endDate);
+  const billing = invoice
+    ? ` An invoice of ${invoice.currencyCode} ${invoice.amount} for the extra period is available in the app.`
+    : '';
+
+  await Promise.all([
+    notificationService.notifyUser(
+      lease.tenant,
+      'Your lease has been extended',
+      `Your lease ${lease.code} for "${lease.property.title}" now ends on ${newEndDate}.${billing}`
+    ),
+    notificationService.notifyUser(
+      lease.landlord,
+      'Lease extended',
+      `Lease ${lease.code} for "${lease.property.title}" has been extended to ${newEndDate} at ${lease.currencyCode} ${renewal.monthlyRent} per month.`
+    ),
+  ]);
+});
+
+onLeaseEvent(LEASE_EVENTS.ENDED_EARLY, async ({ lease, termination }) => {
+  const endDate = toDateString(termination.effectiveDate);
+  const settlement = parseFloat(termination.settlementAmount);
+  let tenantSettlement = ' Nothing is owed by either party.';
+
+  if (settlement > 0) {
+    tenantSettlement = ` An invoice of ${lease.currencyCode} ${settlement} for the settlement is available in the app.`;
+  } else if (settlement < 0) {
+    tenantSettlement = ` ${lease.currencyCode} ${-settlement} will be refunded to your original payment method.`;
+  }
+
+  await Promise.all([
+    notificationService.notifyUser(
+      lease.tenant,
+      'Your lease ends early',
+      `Your lease ${lease.code} for "${lease.property.title}" now ends on ${endDate}.${tenantSettlement}`
+    ),
+    notificationService.notifyUser(
+      lease.landlord,
+      'Lease ends early',
+      `Lease ${lease.code} for "${lease.property.title}" now ends on ${endDate} instead of ${toDateString(termination.originalEndDate)}.`
+    ),
+  ]);
+});
+
+onLeaseEvent(LEASE_EVENTS.EXPIRED, async ({ lease }) => {
+  const period = `${toDateString(lease.startDate)} to ${toDateString(lease.endDate)}`;
+
+  await Promise.all([
+    notificationService.notifyUser(
+      lease.tenant,
+      'Your booking has expired',
+      `Your booking ${lease.code} for "${lease.property.title}" (${period}) was cancelled. ${lease.cancellationReason}.`
+    ),
+    notificationService.notifyUser(
+      lease.landlord,
+      'Booking expired',
+      `Booking ${lease.code} for "${lease.property.title}" (${period}) was cancelled. ${lease.cancellationReason}. The dates are available again.`
+    ),
+  ]);
+});
+
+// Freed dates go to the waitlist first
+onLeaseEvent(LEASE_EVENTS.RELEASED, async ({ lease }) => {
+  await waitlistService.offerReleasedDates(lease.propertyId);
+});
@@ -0,0 +1,21 @@
+const calendarSyncService = require('../modules/availability/calendarSync.service');
+
+/**
+ * Re-import every external ICS calendar into blocked dates
+ */
+const run = async () => {
+  const result = await calendarSyncService.syncAllImports();
+
+  if (result.synced + result.failed > 0) {
+    console.log(
+      `📅 Synced ${result.synced} external calendar(s), ${result.failed} failed`
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  name: 'calendar-imports',
+  run,
+};
@@ -0,0 +1,22 @@
+const depositsService = require('../modules/deposits/deposits.service');
+
+/**
+ * Submit deposit deductions the landlord left past the return deadline
+ * and accept deductions the tenant did not answer within the dispute window
+ */
+const run = async () => {
+  const result = await depositsService.processOverdue();
+
+  if (result.submitted > 0 || result.accepted > 0 || result.failed > 0) {
+    console.log(
+      `💰 Deposits: ${result.submitted} submitted, ${result.accepted} settled, ${result.failed} failed`
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  name: 'deposits',
+  run,
+};
@@ -0,0 +1,119 @@
+/**
+ * Background job scheduler
+ * Jobs run in-process on a fixed interval, or once a day at a fixed UTC
+ * hour. Each job exposes run().
+ */
+
+const jobsConfig = require('../config/jobs');
+const rentInvoicesJob = require('./rentInvoices.job');
+const leaseLifecycleJob = require('./leaseLifecycle.job');
+const calendarImportsJob = require('./calendarImports.job');
+const depositsJob = require('./deposits.job');
+const waitlistJob = require('./waitlist.job');
+const reconciliationJob = require('./reconciliation.job');
+
+const schedule = [
+  {
+    job: leaseLifecycleJob,
+    intervalMinutes: jobsConfig.leaseLifecycle.intervalMinutes,
+  },
+  {
+    job: rentInvoicesJob,
+    intervalMinutes: jobsConfig.rentInvoices.intervalMinutes,
+  },
+  {
+    job: calendarImportsJob,
+    intervalMinutes: jobsConfig.calendarImports.intervalMinutes,
+  },
+  {
+    job: depositsJob,
+    intervalMinutes: jobsConfig.deposits.intervalMinutes,
+  },
+  {
+    job: waitlistJob,
+    intervalMinutes: jobsConfig.waitlist.intervalMinutes,
+  },
+  {
+    job: reconciliationJob,
+    dailyAtHourUtc: jobsConfig.reconciliation.hourUtc,
+  },
+];
+
+const timers = [];
+const running = new Set();
+
+/**
+ * Run a job unless the previous run is still in progress.
+ * Errors are logged so one failing run does not stop the schedule.
+ */
+const runJob = async job => {
+  if (running.has(job.name)) return;
+
+  running.add(job.name);
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+/**
+ * Milliseconds from now until the next time the clock shows hourUtc:00 UTC
+ */
+const msUntilHourUtc = (hourUtc, now = new Date()) => {
+  const next = new Date(now);
+  next.setUTCHours(hourUtc, 0, 0, 0);
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next - now;
+};
+
+/**
+ * Run a job every day at hourUtc. The delay is recomputed after each run so
+ * the job stays on the hour however long the process lives.
+ */
+const scheduleDaily = (job, hourUtc) => {
+  const timer = setTimeout(() => {
+    timers.splice(timers.indexOf(timer), 1);
+    scheduleDaily(job, hourUtc);
+    runJob(job);
+  }, msUntilHourUtc(hourUtc));
+  timer.unref();
+  timers.push(timer);
+};
+
+const startJobs = () => {
+  if (!jobsConfig.enabled) {
+    console.log('⏸️  Background jobs are disabled');
+    return;
+  }
+
+  for (const { job, intervalMinutes, dailyAtHourUtc } of schedule) {
+    if (dailyAtHourUtc !== undefined) {
+      scheduleDaily(job, dailyAtHourUtc);
+      continue;
+    }
+
+    const timer = setInterval(() => runJob(job), intervalMinutes * 60 * 1000);
+    timer.unref();
+    timers.push(timer);
+
+    runJob(job);
+  }
+
+  console.log(`⏰ Started ${schedule.length} background job(s)`);
+};
+
+const stopJobs = () => {
+  // clearTimeout also clears intervals
+  timers.splice(0).forEach(clearTimeout);
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  runJob,
+};
@@ -0,0 +1,22 @@
+const leaseLifecycleService = require('../modules/bookings/leaseLifecycle.service');
+
+/**
+ * Activate paid, approved leases on their start date, complete active
+ * leases after their end date and cancel expired bookings
+ */
+const run = async () => {
+  const result = await leaseLifecycleService.run();
+
+  if (result.activated > 0 || result.completed > 0 || result.expired > 0) {
+    console.log(
+      `🔄 Lease lifecycle: ${result.activated} activated, ${result.completed} completed, ${result.expired} expired`
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  name: 'lease-lifecycle',
+  run,
+};
@@ -0,0 +1,25 @@
+const stripe = require('../config/stripe');
+const reconciliationService = require('../modules/reconciliation/reconciliation.service');
+
+/**
+ * Compare the payments and refunds of the last days with Stripe, fixing
+ * payments that missed a webhook and reporting the other mismatches
+ */
+const run = async () => {
+  if (!stripe) return null;
+
+  const result = await reconciliationService.reconcile();
+
+  if (result.fixed > 0 || result.mismatches > 0) {
+    console.log(
+      `🔎 Stripe reconciliation: ${result.checked} checked, ${result.fixed} fixed, ${result.mismatches} to review`
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  name: 'stripe-reconciliation',
+  run,
+};
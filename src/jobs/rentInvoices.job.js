@@ -0,0 +1,22 @@
+const invoicesService = require('../modules/invoices/invoices.service');
+
+/**
+ * Issue RENT invoices for active leases whose next billing period starts
+ * within the configured lead time
+ */
+const run = async () => {
+  const result = await invoicesService.generateDueRentInvoices();
+
+  if (result.invoicesCreated > 0) {
+    console.log(
+      `🧾 Generated ${result.invoicesCreated} rent invoice(s) for ${result.leasesChecked} active lease(s)`
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  name: 'rent-invoices',
+  run,
+};
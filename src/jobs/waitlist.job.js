@@ -0,0 +1,22 @@
+const waitlistService = require('../modules/waitlist/waitlist.service');
+
+/**
+ * Pass expired priority windows on to the next waitlisted tenant and offer
+ * dates that became free
+ */
+const run = async () => {
+  const result = await waitlistService.processWaitlists();
+
+  if (result.expired > 0 || result.offered > 0) {
+    console.log(
+      `📋 Waitlist: ${result.expired} expired, ${result.offered} offered`
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  name: 'waitlist',
+  run,
+};
@@ -39,6 +39,30 @@ const uploadFields = fields => {
   return upload.fields(fields);
 };
 
+// Calendar (.ics) files are read in memory and never stored
+const calendarUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const isCalendar =
+      file.mimetype === 'text/calendar' ||
+      file.originalname.toLowerCase().endsWith('.ics');
+
+    if (!isCalendar) {
+      return cb(new Error('File type not allowed. Upload an .ics file'), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1,
+  },
+});
+
+// Middleware for a single calendar file upload
+const uploadCalendarFile = (fieldName = 'file') => {
+  return calendarUpload.single(fieldName);
+};
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -83,5 +107,6 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadCalendarFile,
   handleUploadError,
 };
@@ -0,0 +1,296 @@
+const { validationResult } = require('express-validator');
+const availabilityService = require('./availability.service');
+const calendarSyncService = require('./calendarSync.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Get the landlord calendar of a property (open window and blocked dates)
+ * GET /api/v1/properties/:propertyId/calendar
+ */
+exports.getCalendar = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const calendar = await availabilityService.getCalendar(
+    req.params.propertyId,
+    req.user,
+    { from: req.query.from, to: req.query.to }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: calendar,
+  });
+});
+
+/**
+ * Block a date range
+ * POST /api/v1/properties/:propertyId/blocked-dates
+ */
+exports.createBlockedDate = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const blockedDate = await availabilityService.createBlockedDate(
+    req.params.propertyId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Dates blocked successfully',
+    data: blockedDate,
+  });
+});
+
+/**
+ * Remove a blocked date range
+ * DELETE /api/v1/properties/:propertyId/blocked-dates/:blockedDateId
+ */
+exports.deleteBlockedDate = catchAsync(async (req, res) => {
+  await availabilityService.deleteBlockedDate(
+    req.params.propertyId,
+    req.params.blockedDateId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Blocked dates removed successfully',
+  });
+});
+
+/**
+ * Set the open-from/open-until window
+ * PUT /api/v1/properties/:propertyId/open-window
+ */
+exports.updateOpenWindow = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const property = await availabilityService.updateOpenWindow(
+    req.params.propertyId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Open window updated successfully',
+    data: property,
+  });
+});
+
+/**
+ * Get the secret ICS feed URL of a property
+ * GET /api/v1/properties/:propertyId/ics-feed
+ */
+exports.getIcsFeed = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const feed = await calendarSyncService.getFeed(
+    req.params.propertyId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: feed,
+  });
+});
+
+/**
+ * Replace the ICS feed URL (the old one stops working)
+ * POST /api/v1/properties/:propertyId/ics-feed/rotate
+ */
+exports.rotateIcsFeed = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const feed = await calendarSyncService.rotateFeedToken(
+    req.params.propertyId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed URL rotated successfully',
+    data: feed,
+  });
+});
+
+/**
+ * Public ICS feed, authenticated by its secret token
+ * GET /api/v1/calendars/:token.ics
+ */
+exports.getIcsFeedContent = catchAsync(async (req, res) => {
+  const calendar = await calendarSyncService.buildFeed(req.params.token);
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.status(200).send(calendar);
+});
+
+/**
+ * List external calendars imported into a property
+ * GET /api/v1/properties/:propertyId/calendar-imports
+ */
+exports.listCalendarImports = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const calendarImports = await calendarSyncService.listImports(
+    req.params.propertyId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: calendarImports,
+  });
+});
+
+/**
+ * Subscribe to an external calendar URL
+ * POST /api/v1/properties/:propertyId/calendar-imports
+ */
+exports.createCalendarImport = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await calendarSyncService.createImport(
+    req.params.propertyId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar imported successfully',
+    data: result,
+  });
+});
+
+/**
+ * Sync an external calendar now
+ * POST /api/v1/properties/:propertyId/calendar-imports/:importId/sync
+ */
+exports.syncCalendarImport = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const report = await calendarSyncService.syncImportById(
+    req.params.propertyId,
+    req.params.importId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar synced successfully',
+    data: report,
+  });
+});
+
+/**
+ * Remove an external calendar and its blocked dates
+ * DELETE /api/v1/properties/:propertyId/calendar-imports/:importId
+ */
+exports.deleteCalendarImport = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await calendarSyncService.deleteImport(
+    req.params.propertyId,
+    req.params.importId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar import removed successfully',
+  });
+});
+
+/**
+ * Import an uploaded .ics file into blocked dates
+ * POST /api/v1/properties/:propertyId/calendar-imports/upload
+ */
+exports.uploadCalendarFile = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const report = await calendarSyncService.importUpload(
+    req.params.propertyId,
+    req.user,
+    req.file
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar file imported successfully',
+    data: report,
+  });
+});
@@ -0,0 +1,520 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const {
+  uploadCalendarFile,
+  handleUploadError,
+} = require('../../middleware/upload');
+const availabilityController = require('./availability.controller');
+const {
+  propertyIdValidation,
+  createBlockedDateValidation,
+  updateOpenWindowValidation,
+  createCalendarImportValidation,
+  calendarImportIdValidation,
+} = require('./availability.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PropertyBlockedDate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *           description: Only visible to the landlord
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     CalendarImportReport:
+ *       type: object
+ *       properties:
+ *         imported:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         removed:
+ *           type: integer
+ *         skipped:
+ *           type: integer
+ *           description: Events that already ended
+ *         conflicts:
+ *           type: array
+ *           description: Imported events overlapping bookings on this platform
+ *           items:
+ *             type: object
+ *             properties:
+ *               uid:
+ *                 type: string
+ *               summary:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               bookings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ */
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/calendar:
+ *   get:
+ *     summary: Get the landlord availability calendar of a property
+ *     description: Open window and blocked date ranges, including reasons (owner/admin only).
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Calendar retrieved successfully
+ *       403:
+ *         description: Not the owner of this property
+ *       404:
+ *         description: Property not found
+ */
+router.get(
+  '/:propertyId/calendar',
+  auth,
+  propertyIdValidation,
+  availabilityController.getCalendar
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/blocked-dates:
+ *   post:
+ *     summary: Block a date range (maintenance, personal use, ...)
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 example: Maintenance
+ *     responses:
+ *       201:
+ *         description: Dates blocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PropertyBlockedDate'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the owner of this property
+ *       409:
+ *         description: Dates overlap existing bookings
+ */
+router.post(
+  '/:propertyId/blocked-dates',
+  auth,
+  createBlockedDateValidation,
+  availabilityController.createBlockedDate
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/blocked-dates/{blockedDateId}:
+ *   delete:
+ *     summary: Remove a blocked date range
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: blockedDateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blocked dates removed successfully
+ *       403:
+ *         description: Not the owner of this property
+ *       404:
+ *         description: Blocked date not found
+ */
+router.delete(
+  '/:propertyId/blocked-dates/:blockedDateId',
+  auth,
+  availabilityController.deleteBlockedDate
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/open-window:
+ *   put:
+ *     summary: Set the open-from/open-until window for bookings
+ *     description: New bookings must fall inside the window. Send null to remove a limit.
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               availableFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               availableUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Open window updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the owner of this property
+ */
+router.put(
+  '/:propertyId/open-window',
+  auth,
+  updateOpenWindowValidation,
+  availabilityController.updateOpenWindow
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/ics-feed:
+ *   get:
+ *     summary: Get the secret ICS feed URL of a property
+ *     description: Approved and active bookings plus blocked dates, for other platforms to subscribe to.
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Feed URL retrieved successfully
+ *       403:
+ *         description: Not the owner of this property
+ */
+router.get(
+  '/:propertyId/ics-feed',
+  auth,
+  propertyIdValidation,
+  availabilityController.getIcsFeed
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/ics-feed/rotate:
+ *   post:
+ *     summary: Replace the ICS feed URL
+ *     description: The previous URL stops working immediately.
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Feed URL rotated successfully
+ *       403:
+ *         description: Not the owner of this property
+ */
+router.post(
+  '/:propertyId/ics-feed/rotate',
+  auth,
+  propertyIdValidation,
+  availabilityController.rotateIcsFeed
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/calendar-imports:
+ *   get:
+ *     summary: List external calendars imported into a property
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar imports retrieved successfully
+ *       403:
+ *         description: Not the owner of this property
+ *   post:
+ *     summary: Import an external calendar URL (Airbnb, Booking.com, ...)
+ *     description: |
+ *       Events are imported as blocked dates and re-synced periodically.
+ *       Events overlapping bookings are still blocked and reported as conflicts.
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Airbnb
+ *               url:
+ *                 type: string
+ *                 example: https://www.airbnb.com/calendar/ical/123.ics?s=abc
+ *     responses:
+ *       201:
+ *         description: Calendar imported successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the owner of this property
+ *       502:
+ *         description: The calendar URL could not be fetched
+ */
+router.get(
+  '/:propertyId/calendar-imports',
+  auth,
+  propertyIdValidation,
+  availabilityController.listCalendarImports
+);
+
+router.post(
+  '/:propertyId/calendar-imports',
+  auth,
+  createCalendarImportValidation,
+  availabilityController.createCalendarImport
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/calendar-imports/upload:
+ *   post:
+ *     summary: Import an .ics file once
+ *     description: Events are deduplicated by UID, so re-uploading a file updates the same ranges.
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Calendar file imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalendarImportReport'
+ *       400:
+ *         description: Missing or invalid file
+ *       403:
+ *         description: Not the owner of this property
+ */
+router.post(
+  '/:propertyId/calendar-imports/upload',
+  auth,
+  uploadCalendarFile('file'),
+  handleUploadError,
+  propertyIdValidation,
+  availabilityController.uploadCalendarFile
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/calendar-imports/{importId}/sync:
+ *   post:
+ *     summary: Sync an external calendar now
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar synced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalendarImportReport'
+ *       404:
+ *         description: Calendar import not found
+ *       502:
+ *         description: The calendar URL could not be fetched
+ */
+router.post(
+  '/:propertyId/calendar-imports/:importId/sync',
+  auth,
+  calendarImportIdValidation,
+  availabilityController.syncCalendarImport
+);
+
+/**
+ * @swagger
+ * /api/v1/properties/{propertyId}/calendar-imports/{importId}:
+ *   delete:
+ *     summary: Remove an external calendar and the dates it blocked
+ *     tags: [Property Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Calendar import removed successfully
+ *       404:
+ *         description: Calendar import not found
+ */
+router.delete(
+  '/:propertyId/calendar-imports/:importId',
+  auth,
+  calendarImportIdValidation,
+  availabilityController.deleteCalendarImport
+);
+
+module.exports = router;
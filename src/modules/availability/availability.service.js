@@ -0,0 +1,346 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const { toDateString } = require('../../utils/dates');
+const stayRulesService = require('./stayRules.service');
+
+// Required lazily: bookings.service depends on this service
+const getBookingsService = () => require('../bookings/bookings.service');
+
+class AvailabilityService {
+  /**
+   * Whether a period lies inside the property's open window
+   * @param {Object} property - { availableFrom, availableUntil }
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {boolean}
+   */
+  isWithinOpenWindow(property, startDate, endDate) {
+    return (
+      (!property.availableFrom || startDate >= property.availableFrom) &&
+      (!property.availableUntil || endDate <= property.availableUntil)
+    );
+  }
+
+  /**
+   * Blocked ranges of a property overlapping a period
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Array>}
+   */
+  async findBlockedOverlaps(propertyId, startDate, endDate, client = prisma) {
+    return client.propertyBlockedDate.findMany({
+      where: {
+        propertyId,
+        startDate: { lte: endDate },
+        endDate: { gte: startDate },
+      },
+      orderBy: { startDate: 'asc' },
+    });
+  }
+
+  /**
+   * Check the landlord's calendar (open window and blocked ranges) for a period
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {Object} client - Prisma client or transaction
+   * @throws {AppError} 400 outside the open window, 409 on a blocked range
+   */
+  async assertPeriodOpen(propertyId, startDate, endDate, client = prisma) {
+    const property = await client.property.findUnique({
+      where: { id: propertyId },
+      select: { availableFrom: true, availableUntil: true },
+    });
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    if (!this.isWithinOpenWindow(property, startDate, endDate)) {
+      throw new AppError(
+        `Property is only open for bookings ${this.describeOpenWindow(property)}`,
+        400
+      );
+    }
+
+    const blocked = await this.findBlockedOverlaps(
+      propertyId,
+      startDate,
+      endDate,
+      client
+    );
+
+    if (blocked.length > 0) {
+      throw new AppError(
+        'Property is not available for the selected period',
+        409
+      );
+    }
+  }
+
+  /**
+   * Boolean variant of assertPeriodOpen
+   * @returns {Promise<boolean>}
+   */
+  async isPeriodOpen(propertyId, startDate, endDate, client = prisma) {
+    try {
+      await this.assertPeriodOpen(propertyId, startDate, endDate, client);
+      return true;
+    } catch (error) {
+      if (error instanceof AppError && error.statusCode !== 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stay rules (min/max stay, notice, horizon, check-in days) a period breaks
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Object>} { stayRules, violations }
+   */
+  async getStayRuleViolations(propertyId, startDate, endDate) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        minStayDays: true,
+        maxStayDays: true,
+        minNoticeDays: true,
+        bookingHorizonDays: true,
+        checkInDays: true,
+      },
+    });
+
+    if (!property) {
+      return { stayRules: null, violations: [] };
+    }
+
+    return {
+      stayRules: stayRulesService.describe(property),
+      violations: stayRulesService.getViolations(property, startDate, endDate),
+    };
+  }
+
+  describeOpenWindow(property) {
+    if (property.availableFrom && property.availableUntil) {
+      return `from ${toDateString(property.availableFrom)} until ${toDateString(
+        property.availableUntil
+      )}`;
+    }
+    if (property.availableFrom) {
+      return `from ${toDateString(property.availableFrom)}`;
+    }
+    return `until ${toDateString(property.availableUntil)}`;
+  }
+
+  /**
+   * Unavailable ranges from the landlord's calendar, for calendar views.
+   * Reasons are not included since the ranges are public.
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} [{ startDate, endDate, type: BLOCKED|CLOSED }]
+   */
+  async getUnavailableRanges(propertyId, startDate, endDate) {
+    const [property, blocked] = await Promise.all([
+      prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { availableFrom: true, availableUntil: true },
+      }),
+      this.findBlockedOverlaps(propertyId, startDate, endDate),
+    ]);
+
+    const ranges = blocked.map(range => ({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      type: 'BLOCKED',
+    }));
+
+    if (property?.availableFrom && property.availableFrom > startDate) {
+      ranges.push({
+        startDate,
+        endDate: property.availableFrom,
+        type: 'CLOSED',
+      });
+    }
+
+    if (property?.availableUntil && property.availableUntil < endDate) {
+      ranges.push({
+        startDate: property.availableUntil,
+        endDate,
+        type: 'CLOSED',
+      });
+    }
+
+    return ranges.sort((a, b) => a.startDate - b.startDate);
+  }
+
+  /**
+   * Get a property the user can manage (owner or admin)
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getManagedProperty(propertyId, user) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        ownerId: true,
+        availableFrom: true,
+        availableUntil: true,
+      },
+    });
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    if (user.role !== 'ADMIN' && property.ownerId !== user.id) {
+      throw new AppError(
+        'You can only manage availability of your own properties',
+        403
+      );
+    }
+
+    return property;
+  }
+
+  /**
+   * Get the availability calendar of a property (owner view, with reasons)
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @param {Object} range - { from, to } optional
+   * @returns {Promise<Object>}
+   */
+  async getCalendar(propertyId, user, { from, to } = {}) {
+    const property = await this.getManagedProperty(propertyId, user);
+
+    const where = { propertyId };
+    if (from) where.endDate = { gte: new Date(from) };
+    if (to) where.startDate = { lte: new Date(to) };
+
+    const blockedDates = await prisma.propertyBlockedDate.findMany({
+      where,
+      orderBy: { startDate: 'asc' },
+    });
+
+    return {
+      propertyId,
+      availableFrom: property.availableFrom,
+      availableUntil: property.availableUntil,
+      blockedDates,
+    };
+  }
+
+  /**
+   * Block a date range. Fails if a booking already holds any of the dates.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @param {Object} data - { startDate, endDate, reason }
+   * @returns {Promise<Object>} Created blocked range
+   */
+  async createBlockedDate(propertyId, user, data) {
+    await this.getManagedProperty(propertyId, user);
+
+    const startDate = new Date(data.startDate);
+    const endDate = new Date(data.endDate);
+
+    if (startDate >= endDate) {
+      throw new AppError('Start date must be before end date', 400);
+    }
+
+    const bookingsService = getBookingsService();
+
+    return prisma.$transaction(async tx => {
+      // Same lock as booking creation, so a booking can't slip in
+      await bookingsService.lockPropertyForBooking(tx, propertyId);
+
+      const conflicts = await tx.lease.findMany({
+        where: {
+          propertyId,
+          AND: [
+            bookingsService.getBlockingLeaseWhere(),
+            { startDate: { lte: endDate } },
+            { endDate: { gte: startDate } },
+          ],
+        },
+        select: { code: true },
+      });
+
+      if (conflicts.length > 0) {
+        throw new AppError(
+          `These dates overlap existing bookings: ${conflicts
+            .map(lease => lease.code)
+            .join(', ')}`,
+          409
+        );
+      }
+
+      return tx.propertyBlockedDate.create({
+        data: {
+          propertyId,
+          startDate,
+          endDate,
+          reason: data.reason || null,
+          createdById: user.id,
+        },
+      });
+    });
+  }
+
+  /**
+   * Remove a blocked range
+   * @param {string} propertyId
+   * @param {string} blockedDateId
+   * @param {Object} user - Authenticated user
+   */
+  async deleteBlockedDate(propertyId, blockedDateId, user) {
+    await this.getManagedProperty(propertyId, user);
+
+    const blockedDate = await prisma.propertyBlockedDate.findFirst({
+      where: { id: blockedDateId, propertyId },
+    });
+
+    if (!blockedDate) {
+      throw new AppError('Blocked date not found', 404);
+    }
+
+    await prisma.propertyBlockedDate.delete({ where: { id: blockedDateId } });
+  }
+
+  /**
+   * Set the open window of a property. Only new bookings are checked
+   * against it; existing bookings are kept.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @param {Object} data - { availableFrom, availableUntil } (null clears)
+   * @returns {Promise<Object>} { id, availableFrom, availableUntil }
+   */
+  async updateOpenWindow(propertyId, user, data) {
+    await this.getManagedProperty(propertyId, user);
+
+    const availableFrom = data.availableFrom
+      ? new Date(data.availableFrom)
+      : null;
+    const availableUntil = data.availableUntil
+      ? new Date(data.availableUntil)
+      : null;
+
+    if (availableFrom && availableUntil && availableFrom >= availableUntil) {
+      throw new AppError('Open from date must be before open until date', 400);
+    }
+
+    return prisma.property.update({
+      where: { id: propertyId },
+      data: { availableFrom, availableUntil },
+      select: { id: true, availableFrom: true, availableUntil: true },
+    });
+  }
+}
+
+module.exports = new AvailabilityService();
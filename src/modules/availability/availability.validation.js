@@ -0,0 +1,69 @@
+const { body, param } = require('express-validator');
+
+const propertyIdValidation = [
+  param('propertyId').isUUID().withMessage('Invalid property ID format'),
+];
+
+const createBlockedDateValidation = [
+  ...propertyIdValidation,
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+];
+
+const updateOpenWindowValidation = [
+  ...propertyIdValidation,
+  body('availableFrom')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Open from must be a valid date'),
+  body('availableUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Open until must be a valid date'),
+];
+
+const createCalendarImportValidation = [
+  ...propertyIdValidation,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('url')
+    .trim()
+    .customSanitizer(value =>
+      typeof value === 'string'
+        ? value.replace(/^webcal:\/\//i, 'https://')
+        : value
+    )
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('URL must be a valid http(s) calendar link'),
+];
+
+const calendarImportIdValidation = [
+  ...propertyIdValidation,
+  param('importId').isUUID().withMessage('Invalid calendar import ID format'),
+];
+
+module.exports = {
+  propertyIdValidation,
+  createBlockedDateValidation,
+  updateOpenWindowValidation,
+  createCalendarImportValidation,
+  calendarImportIdValidation,
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const availabilityController = require('./availability.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/calendars/{token}.ics:
+ *   get:
+ *     summary: ICS feed of a property's booked and blocked dates
+ *     description: Public URL secured by its token. Get it from GET /api/v1/properties/{propertyId}/ics-feed.
+ *     tags: [Property Availability]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar not found
+ */
+router.get('/:token.ics', availabilityController.getIcsFeedContent);
+
+module.exports = router;
@@ -0,0 +1,592 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const { buildCalendar, parseEvents } = require('../../utils/ical');
+const availabilityService = require('./availability.service');
+
+// Required lazily: bookings.service depends on the availability module
+const getBookingsService = () => require('../bookings/bookings.service');
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_CALENDAR_SIZE = 2 * 1024 * 1024; // 2MB
+const MAX_REDIRECTS = 5;
+const EXPORTED_LEASE_STATUSES = ['APPROVED', 'ACTIVE'];
+
+// Addresses a landlord-provided URL must never reach: private, loopback,
+// link-local, shared, multicast and reserved ranges. BlockList also matches
+// IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) =>
+  blockedAddresses.addSubnet(network, prefix, type)
+);
+
+const isBlockedAddress = address => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const hostNotAllowed = () =>
+  new AppError('Calendar URL host is not allowed', 400);
+
+/**
+ * dns.lookup for outgoing calendar requests that refuses blocked addresses.
+ * Checked when the socket connects, so a host can't resolve to a public
+ * address for the check and a private one for the request.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(hostNotAllowed());
+    }
+
+    return callback(null, address, family);
+  });
+};
+
+class CalendarSyncService {
+  generateFeedToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  getFeedUrl(token) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}/api/v1/calendars/${token}.ics`;
+  }
+
+  /**
+   * Get the secret ICS feed URL of a property, creating the token on first use
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { url }
+   */
+  async getFeed(propertyId, user) {
+    await availabilityService.getManagedProperty(propertyId, user);
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { icsFeedToken: true },
+    });
+
+    if (property.icsFeedToken) {
+      return { url: this.getFeedUrl(property.icsFeedToken) };
+    }
+
+    return this.rotateFeedToken(propertyId, user);
+  }
+
+  /**
+   * Replace the feed token. The previous URL stops working.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { url }
+   */
+  async rotateFeedToken(propertyId, user) {
+    await availabilityService.getManagedProperty(propertyId, user);
+
+    const icsFeedToken = this.generateFeedToken();
+    await prisma.property.update({
+      where: { id: propertyId },
+      data: { icsFeedToken },
+    });
+
+    return { url: this.getFeedUrl(icsFeedToken) };
+  }
+
+  /**
+   * Build the ICS feed of a property: approved and active bookings, plus
+   * dates blocked on this platform. Imported ranges are not exported back,
+   * so two platforms syncing each other don't echo events.
+   * @param {string} token - Feed token
+   * @returns {Promise<string>} ICS document
+   */
+  async buildFeed(token) {
+    const property = token
+      ? await prisma.property.findUnique({
+          where: { icsFeedToken: token },
+          select: { id: true, title: true },
+        })
+      : null;
+
+    if (!property) {
+      throw new AppError('Calendar not found', 404);
+    }
+
+    // Periods that ended more than 30 days ago are no longer relevant
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [leases, blockedDates] = await Promise.all([
+      prisma.lease.findMany({
+        where: {
+          propertyId: property.id,
+          status: { in: EXPORTED_LEASE_STATUSES },
+          endDate: { gte: since },
+        },
+        select: { id: true, code: true, startDate: true, endDate: true },
+      }),
+      prisma.propertyBlockedDate.findMany({
+        where: {
+          propertyId: property.id,
+          externalUid: null,
+          endDate: { gte: since },
+        },
+        select: { id: true, startDate: true, endDate: true },
+      }),
+    ]);
+
+    return buildCalendar({
+      name: property.title,
+      events: [
+        ...leases.map(lease => ({
+          uid: `lease-${lease.id}@rentverse`,
+          summary: `Booked (${lease.code})`,
+          start: lease.startDate,
+          end: lease.endDate,
+        })),
+        ...blockedDates.map(blockedDate => ({
+          uid: `blocked-${blockedDate.id}@rentverse`,
+          summary: 'Not available',
+          start: blockedDate.startDate,
+          end: blockedDate.endDate,
+        })),
+      ],
+    });
+  }
+
+  /**
+   * List the external calendars of a property
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>}
+   */
+  async listImports(propertyId, user) {
+    await availabilityService.getManagedProperty(propertyId, user);
+
+    return prisma.propertyCalendarImport.findMany({
+      where: { propertyId },
+      include: { _count: { select: { blockedDates: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Subscribe a property to an external ICS URL and run a first sync
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @param {Object} data - { name, url }
+   * @returns {Promise<Object>} { calendarImport, report }
+   */
+  async createImport(propertyId, user, { name, url }) {
+    await availabilityService.getManagedProperty(propertyId, user);
+    await this.assertPublicHost(this.assertFetchableUrl(url).hostname);
+
+    const calendarImport = await prisma.propertyCalendarImport.create({
+      data: { propertyId, name, url },
+    });
+
+    const report = await this.syncImport(calendarImport);
+
+    return { calendarImport, report };
+  }
+
+  /**
+   * Remove an external calendar and the ranges it imported
+   * @param {string} propertyId
+   * @param {string} importId
+   * @param {Object} user - Authenticated user
+   */
+  async deleteImport(propertyId, importId, user) {
+    const calendarImport = await this.getImport(propertyId, importId, user);
+
+    // Imported blocked dates are removed by the cascade
+    await prisma.propertyCalendarImport.delete({
+      where: { id: calendarImport.id },
+    });
+  }
+
+  /**
+   * Sync one external calendar now
+   * @returns {Promise<Object>} Sync report
+   */
+  async syncImportById(propertyId, importId, user) {
+    const calendarImport = await this.getImport(propertyId, importId, user);
+    return this.syncImport(calendarImport);
+  }
+
+  async getImport(propertyId, importId, user) {
+    await availabilityService.getManagedProperty(propertyId, user);
+
+    const calendarImport = await prisma.propertyCalendarImport.findFirst({
+      where: { id: importId, propertyId },
+    });
+
+    if (!calendarImport) {
+      throw new AppError('Calendar import not found', 404);
+    }
+
+    return calendarImport;
+  }
+
+  /**
+   * Fetch an external calendar and mirror its events as blocked dates.
+   * Events removed from the calendar are unblocked again.
+   * @param {Object} calendarImport
+   * @returns {Promise<Object>} Sync report
+   */
+  async syncImport(calendarImport) {
+    try {
+      const content = await this.fetchCalendar(calendarImport.url);
+      const events = parseEvents(content);
+
+      const report = await this.importEvents(
+        calendarImport.propertyId,
+        events,
+        calendarImport
+      );
+
+      await prisma.propertyCalendarImport.update({
+        where: { id: calendarImport.id },
+        data: {
+          lastSyncedAt: new Date(),
+          lastSyncStatus: 'success',
+          lastSyncError: null,
+          lastSyncReport: report,
+        },
+      });
+
+      return report;
+    } catch (error) {
+      await prisma.propertyCalendarImport.update({
+        where: { id: calendarImport.id },
+        data: {
+          lastSyncedAt: new Date(),
+          lastSyncStatus: 'failed',
+          lastSyncError: error.message,
+        },
+      });
+
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Calendar sync failed: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Import an uploaded ICS file once. Events are deduplicated by UID,
+   * so uploading the same file again only updates the ranges.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated user
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} Import report
+   */
+  async importUpload(propertyId, user, file) {
+    await availabilityService.getManagedProperty(propertyId, user);
+
+    if (!file) {
+      throw new AppError('Calendar file is required', 400);
+    }
+
+    const content = file.buffer.toString('utf8');
+    if (!content.includes('BEGIN:VCALENDAR')) {
+      throw new AppError('File is not a valid iCalendar file', 400);
+    }
+
+    return this.importEvents(propertyId, parseEvents(content), null);
+  }
+
+  /**
+   * Upsert events as blocked dates (by UID) and report conflicts with
+   * bookings. Ranges are still blocked on conflict: the dates are already
+   * taken on the other platform.
+   * @param {string} propertyId
+   * @param {Array} events - Parsed ICS events
+   * @param {Object|null} calendarImport - Source calendar, null for uploads
+   * @returns {Promise<Object>} { imported, updated, removed, skipped, conflicts }
+   */
+  async importEvents(propertyId, events, calendarImport) {
+    const bookingsService = getBookingsService();
+    const now = new Date();
+    const report = {
+      imported: 0,
+      updated: 0,
+      removed: 0,
+      skipped: 0,
+      conflicts: [],
+    };
+    const seenUids = [];
+
+    for (const event of events) {
+      seenUids.push(event.uid);
+
+      if (event.end < now) {
+        report.skipped++;
+        continue;
+      }
+
+      const reason = `Imported${
+        calendarImport ? ` from ${calendarImport.name}` : ''
+      }${event.summary ? `: ${event.summary}` : ''}`;
+      const data = {
+        startDate: event.start,
+        endDate: event.end,
+        reason,
+        calendarImportId: calendarImport?.id || null,
+      };
+
+      const existing = await prisma.propertyBlockedDate.findUnique({
+        where: {
+          propertyId_externalUid: { propertyId, externalUid: event.uid },
+        },
+      });
+
+      if (existing) {
+        await prisma.propertyBlockedDate.update({
+          where: { id: existing.id },
+          data,
+        });
+        report.updated++;
+      } else {
+        await prisma.propertyBlockedDate.create({
+          data: { ...data, propertyId, externalUid: event.uid },
+        });
+        report.imported++;
+      }
+
+      const conflictingLeases = await prisma.lease.findMany({
+        where: {
+          propertyId,
+          AND: [
+            bookingsService.getBlockingLeaseWhere(),
+            { startDate: { lte: event.end } },
+            { endDate: { gte: event.start } },
+          ],
+        },
+        select: { id: true, code: true, status: true },
+      });
+
+      if (conflictingLeases.length > 0) {
+        report.conflicts.push({
+          uid: event.uid,
+          summary: event.summary,
+          startDate: event.start,
+          endDate: event.end,
+          bookings: conflictingLeases,
+        });
+      }
+    }
+
+    // Unblock events that were removed from the external calendar
+    if (calendarImport) {
+      const { count } = await prisma.propertyBlockedDate.deleteMany({
+        where: {
+          calendarImportId: calendarImport.id,
+          externalUid: { notIn: seenUids },
+        },
+      });
+      report.removed = count;
+    }
+
+    if (report.conflicts.length > 0) {
+      console.warn(
+        `⚠️  Calendar import for property ${propertyId} overlaps ${report.conflicts.length} booking(s)`
+      );
+    }
+
+    return report;
+  }
+
+  /**
+   * Sync every external calendar (used by the scheduled job)
+   * @returns {Promise<Object>} { synced, failed }
+   */
+  async syncAllImports() {
+    const calendarImports = await prisma.propertyCalendarImport.findMany();
+    let synced = 0;
+    let failed = 0;
+
+    for (const calendarImport of calendarImports) {
+      try {
+        await this.syncImport(calendarImport);
+        synced++;
+      } catch (error) {
+        failed++;
+        console.error(
+          `❌ Calendar import ${calendarImport.id} failed:`,
+          error.message
+        );
+      }
+    }
+
+    return { synced, failed };
+  }
+
+  /**
+   * Check the scheme and host of a calendar URL. IP addresses are checked
+   * here; host names when they resolve.
+   * @param {string} url
+   * @returns {URL} Parsed URL
+   */
+  assertFetchableUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new AppError('Calendar URL is not valid', 400);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new AppError('Calendar URL must use http or https', 400);
+    }
+
+    // The URL parser already turned decimal, octal and hex IPv4 forms into
+    // dotted quads; IPv6 hosts keep their brackets
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+
+    if (
+      host.toLowerCase() === 'localhost' ||
+      (net.isIP(host) && isBlockedAddress(host))
+    ) {
+      throw hostNotAllowed();
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Fail when a host name resolves to a blocked address
+   * @param {string} hostname
+   */
+  async assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return;
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch {
+      throw new AppError('Calendar URL host could not be resolved', 400);
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      throw hostNotAllowed();
+    }
+  }
+
+  /**
+   * Download an external calendar. Redirects are followed by hand so every
+   * hop is checked, and the download stops once it passes
+   * MAX_CALENDAR_SIZE.
+   * @param {string} url
+   * @returns {Promise<string>} ICS content
+   */
+  async fetchCalendar(url) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    let target = this.assertFetchableUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await this.request(target, signal);
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error('Calendar URL redirected too many times');
+        }
+
+        target = this.assertFetchableUrl(
+          new URL(headers.location, target).href
+        );
+        continue;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw new Error(`Calendar URL responded with ${statusCode}`);
+      }
+
+      const content = await this.readBody(response);
+
+      if (!content.includes('BEGIN:VCALENDAR')) {
+        throw new Error('URL did not return an iCalendar file');
+      }
+
+      return content;
+    }
+  }
+
+  request(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      client
+        .get(
+          url,
+          {
+            headers: { Accept: 'text/calendar' },
+            lookup: publicLookup,
+            signal,
+          },
+          resolve
+        )
+        .on('error', reject);
+    });
+  }
+
+  readBody(response) {
+    return new Promise((resolve, reject) => {
+      const tooLarge = () => {
+        response.destroy();
+        reject(new Error('Calendar file is too large'));
+      };
+
+      if (
+        parseInt(response.headers['content-length'], 10) > MAX_CALENDAR_SIZE
+      ) {
+        tooLarge();
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_CALENDAR_SIZE) {
+          tooLarge();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      response.on('error', reject);
+    });
+  }
+}
+
+module.exports = new CalendarSyncService();
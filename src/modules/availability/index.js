@@ -0,0 +1,15 @@
+const availabilityController = require('./availability.controller');
+const availabilityService = require('./availability.service');
+const availabilityRoutes = require('./availability.routes');
+const calendarSyncService = require('./calendarSync.service');
+const stayRulesService = require('./stayRules.service');
+const calendarFeedRoutes = require('./calendarFeed.routes');
+
+module.exports = {
+  controller: availabilityController,
+  service: availabilityService,
+  routes: availabilityRoutes,
+  calendarSyncService,
+  stayRulesService,
+  calendarFeedRoutes,
+};
@@ -0,0 +1,197 @@
+const AppError = require('../../utils/AppError');
+const { addDays, toDateString } = require('../../utils/dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+const STAY_RULE_ERRORS = {
+  INVALID_STAY_RULES: 'INVALID_STAY_RULES',
+  STAY_TOO_SHORT: 'STAY_TOO_SHORT',
+  STAY_TOO_LONG: 'STAY_TOO_LONG',
+  INSUFFICIENT_NOTICE: 'INSUFFICIENT_NOTICE',
+  BEYOND_BOOKING_HORIZON: 'BEYOND_BOOKING_HORIZON',
+  CHECK_IN_DAY_NOT_ALLOWED: 'CHECK_IN_DAY_NOT_ALLOWED',
+};
+
+const DAY_COUNT_FIELDS = [
+  'minStayDays',
+  'maxStayDays',
+  'minNoticeDays',
+  'bookingHorizonDays',
+];
+
+const STAY_RULE_FIELDS = [...DAY_COUNT_FIELDS, 'checkInDays'];
+
+const startOfDay = date => {
+  const result = new Date(date);
+  result.setUTCHours(0, 0, 0, 0);
+  return result;
+};
+
+class StayRulesService {
+  /**
+   * Validate and normalize stay rules sent on property create/update.
+   * Only fields present in the input are returned; null clears a limit.
+   * @param {Object} data - Request body
+   * @param {Object} existing - Current rules of the property (on update)
+   * @returns {Object} Prisma data for the stay rule fields
+   * @throws {AppError} 400 INVALID_STAY_RULES
+   */
+  normalize(data, existing = {}) {
+    const rules = {};
+
+    for (const field of DAY_COUNT_FIELDS) {
+      if (data[field] === undefined) continue;
+
+      if (data[field] === null || data[field] === '') {
+        rules[field] = null;
+        continue;
+      }
+
+      const value = Number(data[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        this.invalid(`${field} must be a whole number of days (0 or more)`);
+      }
+      rules[field] = value;
+    }
+
+    if (data.checkInDays !== undefined) {
+      const days = data.checkInDays === null ? [] : data.checkInDays;
+      if (!Array.isArray(days)) {
+        this.invalid('checkInDays must be a list of weekdays from 0 to 6');
+      }
+
+      const weekdays = days.map(Number);
+      if (weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        this.invalid('checkInDays must be a list of weekdays from 0 to 6');
+      }
+      rules.checkInDays = [...new Set(weekdays)].sort((a, b) => a - b);
+    }
+
+    const merged = { ...existing, ...rules };
+
+    if (merged.minStayDays === 0) {
+      this.invalid('minStayDays must be at least 1');
+    }
+
+    if (
+      merged.minStayDays != null &&
+      merged.maxStayDays != null &&
+      merged.minStayDays > merged.maxStayDays
+    ) {
+      this.invalid('minStayDays cannot be greater than maxStayDays');
+    }
+
+    if (
+      merged.minNoticeDays != null &&
+      merged.bookingHorizonDays != null &&
+      merged.minNoticeDays > merged.bookingHorizonDays
+    ) {
+      this.invalid('minNoticeDays cannot be greater than bookingHorizonDays');
+    }
+
+    return rules;
+  }
+
+  invalid(message) {
+    throw new AppError(message, 400, STAY_RULE_ERRORS.INVALID_STAY_RULES);
+  }
+
+  /**
+   * Stay rules a period breaks
+   * @param {Object} property - Property with stay rule fields
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {Date} now
+   * @returns {Array} [{ code, message }]
+   */
+  getViolations(property, startDate, endDate, now = new Date()) {
+    const violations = [];
+    const days = Math.ceil((endDate - startDate) / DAY_MS);
+    const today = startOfDay(now);
+
+    if (property.minStayDays != null && days < property.minStayDays) {
+      violations.push({
+        code: STAY_RULE_ERRORS.STAY_TOO_SHORT,
+        message: `Minimum stay is ${property.minStayDays} days`,
+      });
+    }
+
+    if (property.maxStayDays != null && days > property.maxStayDays) {
+      violations.push({
+        code: STAY_RULE_ERRORS.STAY_TOO_LONG,
+        message: `Maximum stay is ${property.maxStayDays} days`,
+      });
+    }
+
+    if (
+      property.minNoticeDays != null &&
+      startDate < addDays(today, property.minNoticeDays)
+    ) {
+      violations.push({
+        code: STAY_RULE_ERRORS.INSUFFICIENT_NOTICE,
+        message: `Bookings must be made at least ${property.minNoticeDays} days before check-in`,
+      });
+    }
+
+    if (
+      property.bookingHorizonDays != null &&
+      startDate > addDays(today, property.bookingHorizonDays)
+    ) {
+      violations.push({
+        code: STAY_RULE_ERRORS.BEYOND_BOOKING_HORIZON,
+        message: `Check-in must be on or before ${toDateString(
+          addDays(today, property.bookingHorizonDays)
+        )}`,
+      });
+    }
+
+    if (
+      property.checkInDays?.length > 0 &&
+      !property.checkInDays.includes(startDate.getUTCDay())
+    ) {
+      violations.push({
+        code: STAY_RULE_ERRORS.CHECK_IN_DAY_NOT_ALLOWED,
+        message: `Check-in is only possible on ${property.checkInDays
+          .map(day => WEEKDAYS[day])
+          .join(', ')}`,
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Fail with the first stay rule a period breaks
+   * @throws {AppError} 400 with the violation code
+   */
+  assertStayRules(property, startDate, endDate, now = new Date()) {
+    const [violation] = this.getViolations(property, startDate, endDate, now);
+
+    if (violation) {
+      throw new AppError(violation.message, 400, violation.code);
+    }
+  }
+
+  /**
+   * Stay rules of a property, for availability responses
+   * @param {Object} property
+   * @returns {Object}
+   */
+  describe(property) {
+    return STAY_RULE_FIELDS.reduce((rules, field) => {
+      rules[field] = property[field] ?? (field === 'checkInDays' ? [] : null);
+      return rules;
+    }, {});
+  }
+}
+
+module.exports = new StayRulesService();
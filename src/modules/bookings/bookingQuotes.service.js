@@ -0,0 +1,326 @@
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const bookingConfig = require('../../config/booking');
+const stayRulesService = require('../availability/stayRules.service');
+const taxesService = require('../taxes/taxes.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUOTE_TOKEN_TYPE = 'booking-quote';
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class BookingQuotesService {
+  /**
+   * Calculate the price breakdown for a stay
+   * Rent is billed per started month (30 days), same as the mobile flow.
+   * Only the upfront months are charged at booking; the remaining months
+   * are billed through monthly RENT invoices.
+   * @param {Object} property - Property with price
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Object}
+   */
+  calculateBreakdown(property, startDate, endDate) {
+    const { pricing } = bookingConfig;
+
+    const days = Math.ceil((endDate - startDate) / DAY_MS);
+    const months = Math.max(1, Math.ceil(days / 30));
+    const upfrontMonths = Math.min(months, pricing.upfrontRentMonths);
+    const monthlyRent = parseFloat(property.price);
+
+    const rentAmount = roundMoney(monthlyRent * upfrontMonths);
+    const securityDeposit = roundMoney(
+      monthlyRent * pricing.securityDepositMonths
+    );
+    const serviceFee = roundMoney(
+      (rentAmount * pricing.serviceFeePercent) / 100 + pricing.serviceFeeFixed
+    );
+    const totalAmount = roundMoney(rentAmount + securityDeposit + serviceFee);
+
+    return {
+      days,
+      months,
+      upfrontMonths,
+      monthlyRent,
+      rentAmount,
+      securityDeposit,
+      serviceFee,
+      totalAmount,
+    };
+  }
+
+  /**
+   * Create a quote for a property and stay period
+   * @param {Object} quoteData - { propertyId, startDate, endDate }
+   * @param {string} userId - Tenant requesting the quote
+   * @returns {Promise<Object>} { quote, quoteToken }
+   */
+  async createQuote(quoteData, userId) {
+    const { propertyId } = quoteData;
+    const startDate = new Date(quoteData.startDate);
+    const endDate = new Date(quoteData.endDate);
+
+    if (isNaN(startDate) || isNaN(endDate)) {
+      throw new AppError('Valid start date and end date are required', 400);
+    }
+
+    if (startDate >= endDate) {
+      throw new AppError('Start date must be before end date', 400);
+    }
+
+    if (startDate < new Date()) {
+      throw new AppError('Start date cannot be in the past', 400);
+    }
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        title: true,
+        price: true,
+        currencyCode: true,
+        country: true,
+        state: true,
+        ownerId: true,
+        isAvailable: true,
+        minStayDays: true,
+        maxStayDays: true,
+        minNoticeDays: true,
+        bookingHorizonDays: true,
+        checkInDays: true,
+      },
+    });
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    if (property.ownerId === userId) {
+      throw new AppError('You cannot book your own property', 400);
+    }
+
+    if (!property.isAvailable) {
+      throw new AppError(
+        'Property is currently not available for booking',
+        400
+      );
+    }
+
+    stayRulesService.assertStayRules(property, startDate, endDate);
+
+    // Required lazily to avoid a circular dependency with bookings.service
+    const bookingsService = require('./bookings.service');
+    await bookingsService.checkPeriodAvailable(
+      propertyId,
+      startDate,
+      endDate,
+      prisma,
+      userId
+    );
+
+    const breakdown = this.calculateBreakdown(property, startDate, endDate);
+    const tax = await taxesService.calculateCharges(property, [
+      { chargeType: 'RENT', amount: breakdown.rentAmount, description: 'Rent' },
+      {
+        chargeType: 'SERVICE_FEE',
+        amount: breakdown.serviceFee,
+        description: 'Service fee',
+      },
+    ]);
+    const expiresAt = new Date(
+      Date.now() + bookingConfig.quote.ttlMinutes * 60 * 1000
+    );
+
+    const quote = await prisma.bookingQuote.create({
+      data: {
+        propertyId,
+        tenantId: userId,
+        startDate,
+        endDate,
+        ...breakdown,
+        // Exclusive tax is added on top; inclusive tax is already in the price
+        taxAmount: tax.taxAmount,
+        totalAmount: roundMoney(breakdown.totalAmount + tax.exclusiveTax),
+        currencyCode: property.currencyCode,
+        expiresAt,
+        taxLines: { create: tax.lines },
+      },
+      include: { taxLines: true },
+    });
+
+    return {
+      quote: this.formatQuote(quote),
+      quoteToken: this.signQuote(quote),
+    };
+  }
+
+  /**
+   * Sign a quote so the client can redeem it before it expires
+   * @param {Object} quote
+   * @returns {string}
+   */
+  signQuote(quote) {
+    const expiresIn = Math.max(
+      1,
+      Math.floor((new Date(quote.expiresAt) - Date.now()) / 1000)
+    );
+
+    return jwt.sign(
+      {
+        type: QUOTE_TOKEN_TYPE,
+        quoteId: quote.id,
+        propertyId: quote.propertyId,
+        tenantId: quote.tenantId,
+      },
+      bookingConfig.quote.secret,
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Verify a quote token signature and expiry
+   * @param {string} quoteToken
+   * @returns {Object} Decoded token payload
+   */
+  verifyQuoteToken(quoteToken) {
+    if (!quoteToken) {
+      throw new AppError('A valid booking quote is required', 400);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(quoteToken, bookingConfig.quote.secret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError(
+          'Booking quote has expired. Please request a new quote.',
+          400
+        );
+      }
+      throw new AppError('Invalid booking quote', 400);
+    }
+
+    if (decoded.type !== QUOTE_TOKEN_TYPE) {
+      throw new AppError('Invalid booking quote', 400);
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Redeem a quote for a new booking. Marks the quote as used so it
+   * cannot be redeemed twice.
+   * @param {string} quoteToken
+   * @param {string} userId - Tenant creating the booking
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Quote record
+   */
+  async redeemQuote(quoteToken, userId, client = prisma) {
+    const decoded = this.verifyQuoteToken(quoteToken);
+
+    if (decoded.tenantId !== userId) {
+      throw new AppError('This quote was issued to another user', 403);
+    }
+
+    const quote = await client.bookingQuote.findUnique({
+      where: { id: decoded.quoteId },
+      include: { taxLines: true },
+    });
+
+    if (!quote) {
+      throw new AppError('Booking quote not found', 404);
+    }
+
+    if (quote.expiresAt < new Date()) {
+      throw new AppError(
+        'Booking quote has expired. Please request a new quote.',
+        400
+      );
+    }
+
+    // Conditional update guards against two bookings redeeming one quote
+    const { count } = await client.bookingQuote.updateMany({
+      where: { id: quote.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new AppError('Booking quote has already been used', 409);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Attach a redeemed quote to the lease it created
+   * @param {string} quoteId
+   * @param {string} leaseId
+   * @param {Object} client - Prisma client or transaction
+   */
+  async attachQuoteToLease(quoteId, leaseId, client = prisma) {
+    return client.bookingQuote.update({
+      where: { id: quoteId },
+      data: { leaseId },
+    });
+  }
+
+  /**
+   * Get the quote a booking was created from, verifying that the lease
+   * amounts were not changed after the quote was issued
+   * @param {Object} lease - Lease with totalPrice and tenantId
+   * @returns {Promise<Object>} Quote record including its tax lines
+   */
+  async getValidQuoteForLease(lease) {
+    const quote = await prisma.bookingQuote.findUnique({
+      where: { leaseId: lease.id },
+      include: { taxLines: true },
+    });
+
+    if (!quote || !quote.usedAt) {
+      throw new AppError(
+        'Booking has no valid quote. Please create a new booking.',
+        400
+      );
+    }
+
+    if (
+      quote.tenantId !== lease.tenantId ||
+      parseFloat(quote.totalAmount) !== parseFloat(lease.totalPrice)
+    ) {
+      throw new AppError('Booking amount does not match its quote', 400);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Convert Decimal fields to numbers for API responses
+   * @param {Object} quote
+   * @returns {Object}
+   */
+  formatQuote(quote) {
+    return {
+      id: quote.id,
+      propertyId: quote.propertyId,
+      startDate: quote.startDate,
+      endDate: quote.endDate,
+      days: quote.days,
+      months: quote.months,
+      upfrontMonths: quote.upfrontMonths,
+      monthlyRent: parseFloat(quote.monthlyRent),
+      rentAmount: parseFloat(quote.rentAmount),
+      securityDeposit: parseFloat(quote.securityDeposit),
+      serviceFee: parseFloat(quote.serviceFee),
+      taxAmount: parseFloat(quote.taxAmount || 0),
+      taxLines: (quote.taxLines || []).map(line =>
+        taxesService.formatLine(line)
+      ),
+      totalAmount: parseFloat(quote.totalAmount),
+      currencyCode: quote.currencyCode,
+      expiresAt: quote.expiresAt,
+    };
+  }
+}
+
+module.exports = new BookingQuotesService();
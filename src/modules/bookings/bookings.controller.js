@@ -1,4 +1,7 @@
 const bookingsService = require('./bookings.service');
+const bookingQuotesService = require('./bookingQuotes.service');
+const availabilityService = require('../availability/availability.service');
+const leaseStatusService = require('./leaseStatus.service');
 const { validationResult } = require('express-validator');
 
 class BookingsController {
@@ -22,14 +25,22 @@ class BookingsController {
         new Date(startDate),
         new Date(endDate)
       );
+      const { stayRules, violations } =
+        await availabilityService.getStayRuleViolations(
+          propertyId,
+          new Date(startDate),
+          new Date(endDate)
+        );
 
       res.json({
         success: true,
         data: {
-          available: isAvailable,
+          available: isAvailable && violations.length === 0,
           propertyId,
           startDate,
           endDate,
+          stayRules,
+          stayRuleViolations: violations,
         },
       });
     } catch (error) {
@@ -68,6 +79,48 @@ class BookingsController {
     }
   }
 
+  /**
+   * Create a server-side price quote for a booking
+   */
+  async createQuote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await bookingQuotesService.createQuote(
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Quote created successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Create quote error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * Create new booking
    */
@@ -95,6 +148,14 @@ class BookingsController {
     } catch (error) {
       console.error('Create booking error:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
       if (
         error.message.includes('not found') ||
         error.message.includes('cannot book')
@@ -250,6 +311,37 @@ class BookingsController {
     }
   }
 
+  /**
+   * Get the status history of a booking
+   */
+  async getBookingHistory(req, res) {
+    try {
+      const result = await leaseStatusService.getHistory(
+        req.params.id,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get booking history error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * Approve booking (owner only)
    */
@@ -273,6 +365,14 @@ class BookingsController {
     } catch (error) {
       console.error('Approve booking error:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
       if (error.message === 'Booking not found') {
         return res.status(404).json({
           success: false,
@@ -333,6 +433,14 @@ class BookingsController {
     } catch (error) {
       console.error('Reject booking error:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
       if (error.message === 'Booking not found') {
         return res.status(404).json({
           success: false,
@@ -382,10 +490,15 @@ class BookingsController {
         startDate,
         endDate
       );
+      const blockedPeriods = await availabilityService.getUnavailableRanges(
+        propertyId,
+        startDate,
+        endDate
+      );
 
       res.json({
         success: true,
-        data: { bookedPeriods },
+        data: { bookedPeriods, blockedPeriods },
       });
     } catch (error) {
       console.error('Get property booked periods error:', error);
@@ -122,9 +122,16 @@ router.get('/occupied-dates/:propertyId', bookingsController.getOccupiedDates);
 
 /**
  * @swagger
- * /api/v1/bookings:
+ * /api/v1/bookings/quote:
  *   post:
- *     summary: Create a new booking
+ *     summary: Get a price quote for a booking
+ *     description: |
+ *       Computes rent, security deposit and fees on the server from the
+ *       property price and stay length. Rent and the service fee are taxed
+ *       with the rates of the property's country and state: exclusive tax
+ *       is added to the total, and every taxed charge is listed in
+ *       taxLines. Returns a signed, short-lived quoteToken that must be
+ *       sent when creating the booking.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -138,28 +145,77 @@ router.get('/occupied-dates/:propertyId', bookingsController.getOccupiedDates);
  *               - propertyId
  *               - startDate
  *               - endDate
- *               - rentAmount
  *             properties:
  *               propertyId:
  *                 type: string
  *                 format: uuid
- *                 description: Property to book
  *               startDate:
  *                 type: string
  *                 format: date-time
- *                 description: Rental start date
  *               endDate:
  *                 type: string
  *                 format: date-time
- *                 description: Rental end date
- *               rentAmount:
- *                 type: number
- *                 minimum: 0
- *                 description: Monthly rent amount
- *               securityDeposit:
- *                 type: number
- *                 minimum: 0
- *                 description: Security deposit (optional)
+ *     responses:
+ *       201:
+ *         description: Quote created successfully
+ *       400:
+ *         description: |
+ *           Validation error or stay rule violation. Stay rule errors carry a
+ *           `code`: STAY_TOO_SHORT, STAY_TOO_LONG, INSUFFICIENT_NOTICE,
+ *           BEYOND_BOOKING_HORIZON or CHECK_IN_DAY_NOT_ALLOWED.
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Property already booked for the selected period
+ */
+router.post(
+  '/quote',
+  auth,
+  [
+    body('propertyId').isUUID().withMessage('Valid property ID is required'),
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('endDate').isISO8601().withMessage('Valid end date is required'),
+  ],
+  bookingsController.createQuote
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings:
+ *   post:
+ *     summary: Create a new booking
+ *     description: |
+ *       Creates a booking from a quote obtained via POST /api/v1/bookings/quote.
+ *       Rent, deposit and total are taken from the quote.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quoteToken
+ *             properties:
+ *               quoteToken:
+ *                 type: string
+ *                 description: Signed quote token from the quote endpoint
+ *               propertyId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Optional, must match the quote
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional, must match the quote
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional, must match the quote
  *               notes:
  *                 type: string
  *                 description: Booking notes/comments
@@ -167,27 +223,32 @@ router.get('/occupied-dates/:propertyId', bookingsController.getOccupiedDates);
  *       201:
  *         description: Booking created successfully
  *       400:
- *         description: Bad request or validation error
+ *         description: Bad request, validation error, invalid quote or stay rule violation (see `code`)
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Property not found
+ *       409:
+ *         description: Quote already used or property already booked
  */
 router.post(
   '/',
   auth,
   authorize('USER', 'ADMIN'),
   [
-    body('propertyId').isUUID().withMessage('Valid property ID is required'),
-    body('startDate').isISO8601().withMessage('Valid start date is required'),
-    body('endDate').isISO8601().withMessage('Valid end date is required'),
-    body('rentAmount')
-      .isFloat({ min: 0 })
-      .withMessage('Valid rent amount is required'),
-    body('securityDeposit')
+    body('quoteToken').notEmpty().withMessage('Booking quote is required'),
+    body('propertyId')
       .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Security deposit must be positive'),
+      .isUUID()
+      .withMessage('Valid property ID is required'),
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid start date is required'),
+    body('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid end date is required'),
     body('notes')
       .optional()
       .trim()
@@ -367,6 +428,71 @@ router.get(
  */
 router.get('/:id', auth, bookingsController.getBookingById);
 
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/history:
+ *   get:
+ *     summary: Get the status history of a booking
+ *     description: Every status change with the actor, reason and time, plus the statuses the current user can move the booking to.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Status history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     allowedTransitions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           fromStatus:
+ *                             type: string
+ *                             nullable: true
+ *                           toStatus:
+ *                             type: string
+ *                           actorRole:
+ *                             type: string
+ *                             enum: [TENANT, LANDLORD, ADMIN, SYSTEM]
+ *                           actor:
+ *                             type: object
+ *                             nullable: true
+ *                           reason:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/history', auth, bookingsController.getBookingHistory);
+
 /**
  * @swagger
  * /api/v1/bookings/{id}/approve:
@@ -1,33 +1,75 @@
 const { prisma } = require('../../config/database');
 const pdfGenerationService = require('../../services/pdfGeneration.service');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const bookingQuotesService = require('./bookingQuotes.service');
+const AppError = require('../../utils/AppError');
+const bookingConfig = require('../../config/booking');
+const availabilityService = require('../availability/availability.service');
+const stayRulesService = require('../availability/stayRules.service');
+const leaseStatusService = require('./leaseStatus.service');
+const leaseParticipantsService = require('./leaseParticipants.service');
+const cancellationPoliciesService = require('./cancellationPolicies.service');
+const waitlistService = require('../waitlist/waitlist.service');
+
+// Required lazily: payments.service depends on this service
+const getPaymentService = () => require('../payments/payments.service');
+
+// Leases in these statuses never hold dates, even with an unexpired hold
+const RELEASED_STATUSES = [
+  'REJECTED',
+  'CANCELLED',
+  'REFUNDED',
+  'PARTIALLY_REFUNDED',
+  'COMPLETED',
+];
+
+const BOOKING_ERRORS = {
+  // Clients can offer to join the waitlist on these
+  PERIOD_BOOKED: 'PERIOD_BOOKED',
+  WAITLIST_PRIORITY_HOLD: 'WAITLIST_PRIORITY_HOLD',
+};
 
 class BookingsService {
   /**
-   * Check if property is available for specific date range
+   * Prisma filter for leases that currently reserve their dates: leases in
+   * a configured blocking status, or with an active payment hold
+   * @param {Date} now
+   * @returns {Object}
+   */
+  getBlockingLeaseWhere(now = new Date()) {
+    return {
+      OR: [
+        { status: { in: bookingConfig.availability.blockingStatuses } },
+        {
+          status: { notIn: RELEASED_STATUSES },
+          holdExpiresAt: { gt: now },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Check if another booking reserves any date of the period
    * @param {string} propertyId
    * @param {Date} startDate
    * @param {Date} endDate
    * @param {string} excludeLeaseId - Optional: exclude specific lease from check
+   * @param {Object} client - Prisma client or transaction
    * @returns {Promise<boolean>}
    */
-  async isPropertyAvailableForPeriod(
+  async hasOverlappingLease(
     propertyId,
     startDate,
     endDate,
-    excludeLeaseId = null
+    excludeLeaseId = null,
+    client = prisma
   ) {
     const where = {
       propertyId,
-      status: { in: ['APPROVED', 'ACTIVE'] },
-      OR: [
+      AND: [
+        this.getBlockingLeaseWhere(),
         // Check for date overlaps
-        {
-          AND: [
-            { startDate: { lte: endDate } },
-            { endDate: { gte: startDate } },
-          ],
-        },
+        { startDate: { lte: endDate } },
+        { endDate: { gte: startDate } },
       ],
     };
 
@@ -36,136 +78,378 @@ class BookingsService {
       where.id = { not: excludeLeaseId };
     }
 
-    const overlappingLeases = await prisma.lease.findMany({ where });
+    const overlappingLease = await client.lease.findFirst({
+      where,
+      select: { id: true },
+    });
 
-    return overlappingLeases.length === 0;
+    return !!overlappingLease;
   }
 
   /**
-   * Create new booking/lease
-   * @param {Object} bookingData
-   * @param {string} userId
-   * @returns {Promise<Object>}
+   * Check if property is available for specific date range: no overlapping
+   * booking, inside the open window and not blocked by the landlord
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {string} excludeLeaseId - Optional: exclude specific lease from check
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<boolean>}
    */
-  async createBooking(bookingData, userId) {
-    const {
+  async isPropertyAvailableForPeriod(
+    propertyId,
+    startDate,
+    endDate,
+    excludeLeaseId = null,
+    client = prisma
+  ) {
+    const hasOverlap = await this.hasOverlappingLease(
       propertyId,
       startDate,
       endDate,
-      rentAmount,
-      securityDeposit,
-      notes,
-    } = bookingData;
-
-    // Convert strings to Date objects
-    const bookingStartDate = new Date(startDate);
-    const bookingEndDate = new Date(endDate);
-
-    // Validate dates
-    if (bookingStartDate >= bookingEndDate) {
-      throw new Error('Start date must be before end date');
-    }
+      excludeLeaseId,
+      client
+    );
 
-    if (bookingStartDate < new Date()) {
-      throw new Error('Start date cannot be in the past');
+    if (hasOverlap) {
+      return false;
     }
 
-    // Check if property exists and is available
-    const property = await prisma.property.findUnique({
-      where: { id: propertyId },
-      include: {
-        owner: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
-        },
+    return availabilityService.isPeriodOpen(
+      propertyId,
+      startDate,
+      endDate,
+      client
+    );
+  }
+
+  /**
+   * Check if a waitlisted tenant other than the given one has a running
+   * priority window on any date of the period
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {string} tenantId - Tenant booking (their own window is ignored)
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<boolean>}
+   */
+  async hasWaitlistPriorityHold(
+    propertyId,
+    startDate,
+    endDate,
+    tenantId = null,
+    client = prisma
+  ) {
+    const entry = await client.waitlistEntry.findFirst({
+      where: {
+        propertyId,
+        status: 'OFFERED',
+        priorityExpiresAt: { gt: new Date() },
+        startDate: { lte: endDate },
+        endDate: { gte: startDate },
+        ...(tenantId && { tenantId: { not: tenantId } }),
       },
+      select: { id: true },
     });
 
-    if (!property) {
-      throw new Error('Property not found');
-    }
+    return !!entry;
+  }
+
+  /**
+   * Same checks as isPropertyAvailableForPeriod, failing with the reason.
+   * Dates offered to a waitlisted tenant are only available to that tenant.
+   * @param {string} tenantId - Tenant asking, null to only check bookings
+   * @throws {AppError} 409 when booked, blocked or held for the waitlist,
+   * 400 outside the open window
+   */
+  async checkPeriodAvailable(
+    propertyId,
+    startDate,
+    endDate,
+    client = prisma,
+    tenantId = null
+  ) {
+    const hasOverlap = await this.hasOverlappingLease(
+      propertyId,
+      startDate,
+      endDate,
+      null,
+      client
+    );
 
-    // Check if property owner is not the same as tenant
-    if (property.ownerId === userId) {
-      throw new Error('You cannot book your own property');
+    if (hasOverlap) {
+      throw new AppError(
+        'Property is already booked for the selected period',
+        409,
+        BOOKING_ERRORS.PERIOD_BOOKED
+      );
     }
 
-    // Check if property is manually disabled by owner
-    if (!property.isAvailable) {
-      throw new Error('Property is currently not available for booking');
+    if (
+      tenantId &&
+      (await this.hasWaitlistPriorityHold(
+        propertyId,
+        startDate,
+        endDate,
+        tenantId,
+        client
+      ))
+    ) {
+      throw new AppError(
+        'These dates are reserved for a tenant on the waitlist, please try again later',
+        409,
+        BOOKING_ERRORS.WAITLIST_PRIORITY_HOLD
+      );
     }
 
-    // Smart availability check: Check for date conflicts with approved/active leases
-    const isAvailable = await this.isPropertyAvailableForPeriod(
+    await availabilityService.assertPeriodOpen(
       propertyId,
-      bookingStartDate,
-      bookingEndDate
+      startDate,
+      endDate,
+      client
     );
+  }
 
-    if (!isAvailable) {
-      throw new Error(`Property is already booked for the selected period`);
-    }
+  /**
+   * Serialize bookings of one property until the transaction ends.
+   * Every code path that reserves dates takes this Postgres advisory lock
+   * before checking availability, so two concurrent requests can't both
+   * see the period as free.
+   * @param {Object} tx - Prisma interactive transaction
+   * @param {string} propertyId
+   */
+  async lockPropertyForBooking(tx, propertyId) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${propertyId}))`;
+  }
 
-    // ===========================================
-    // 🆕 AUTO-APPROVE FLOW (Check property setting)
-    // ===========================================
-    // Check if property has auto-approval enabled
-    const bookingStatus = property.autoApproval ? 'APPROVED' : 'PENDING';
+  /**
+   * Lock the property and make sure the period is still free
+   * @param {Object} tx - Prisma interactive transaction
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {string} tenantId - Tenant booking, for waitlist priority windows
+   * @throws {AppError} 409 when the period is taken
+   */
+  async assertPeriodAvailable(
+    tx,
+    propertyId,
+    startDate,
+    endDate,
+    tenantId = null
+  ) {
+    await this.lockPropertyForBooking(tx, propertyId);
+    await this.checkPeriodAvailable(
+      propertyId,
+      startDate,
+      endDate,
+      tx,
+      tenantId
+    );
+  }
 
-    console.log(
-      `📋 Property ${propertyId} autoApproval: ${property.autoApproval}`
+  /**
+   * Expiry of a new payment hold
+   * @returns {Date}
+   */
+  getHoldExpiry() {
+    return new Date(
+      Date.now() + bookingConfig.availability.holdMinutes * 60 * 1000
     );
-    console.log(`📋 Booking will be created with status: ${bookingStatus}`);
+  }
 
-    // Create booking with status based on property setting
-    const booking = await prisma.lease.create({
-      data: {
-        propertyId,
-        tenantId: userId,
-        landlordId: property.ownerId,
-        startDate: bookingStartDate,
-        endDate: bookingEndDate,
-        rentAmount: parseFloat(rentAmount),
-        securityDeposit: securityDeposit ? parseFloat(securityDeposit) : null,
-        status: bookingStatus, // Auto-approve if property has autoApproval=true
-        notes: notes || null,
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
-            images: true,
+  /**
+   * Reserve the dates of a booking while the tenant is paying.
+   * Fails with 409 if the dates were taken after the booking's hold expired.
+   * @param {Object} booking - Lease with id, propertyId, startDate, endDate
+   * @returns {Promise<Date>} New hold expiry
+   */
+  async holdBookingDates(booking) {
+    return prisma.$transaction(async tx => {
+      await this.lockPropertyForBooking(tx, booking.propertyId);
+
+      // The landlord calendar was checked when the booking was created
+      const hasOverlap = await this.hasOverlappingLease(
+        booking.propertyId,
+        booking.startDate,
+        booking.endDate,
+        booking.id,
+        tx
+      );
+
+      if (hasOverlap) {
+        throw new AppError(
+          'Property is already booked for the selected period',
+          409
+        );
+      }
+
+      const holdExpiresAt = this.getHoldExpiry();
+      await tx.lease.update({
+        where: { id: booking.id },
+        data: { holdExpiresAt },
+      });
+
+      return holdExpiresAt;
+    });
+  }
+
+  /**
+   * Create new booking/lease from a server-side quote
+   * @param {Object} bookingData - { quoteToken, notes, message }
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async createBooking(bookingData, userId) {
+    const { quoteToken, notes, message } = bookingData;
+
+    const booking = await prisma.$transaction(async tx => {
+      // Price and stay period come from the quote, never from the client
+      const quote = await bookingQuotesService.redeemQuote(
+        quoteToken,
+        userId,
+        tx
+      );
+
+      const { propertyId } = quote;
+      const bookingStartDate = quote.startDate;
+      const bookingEndDate = quote.endDate;
+
+      // Optional client-sent details must match what was quoted
+      if (
+        (bookingData.propertyId && bookingData.propertyId !== propertyId) ||
+        (bookingData.startDate &&
+          new Date(bookingData.startDate).getTime() !==
+            bookingStartDate.getTime()) ||
+        (bookingData.endDate &&
+          new Date(bookingData.endDate).getTime() !== bookingEndDate.getTime())
+      ) {
+        throw new AppError('Booking details do not match the quote', 400);
+      }
+
+      if (bookingStartDate < new Date()) {
+        throw new AppError('Start date cannot be in the past', 400);
+      }
+
+      // Check if property exists and is available
+      const property = await tx.property.findUnique({
+        where: { id: propertyId },
+        include: {
+          owner: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
           },
         },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
+      });
+
+      if (!property) {
+        throw new AppError('Property not found', 404);
+      }
+
+      // Check if property owner is not the same as tenant
+      if (property.ownerId === userId) {
+        throw new AppError('You cannot book your own property', 400);
+      }
+
+      // The owner may have disabled or unlisted it since the quote
+      if (!property.isAvailable || property.status !== 'APPROVED') {
+        throw new AppError(
+          'Property is currently not available for booking',
+          409
+        );
+      }
+
+      // Rules may have changed since the quote was issued
+      stayRulesService.assertStayRules(
+        property,
+        bookingStartDate,
+        bookingEndDate
+      );
+
+      // Smart availability check under a per-property lock (409 on conflict)
+      await this.assertPeriodAvailable(
+        tx,
+        propertyId,
+        bookingStartDate,
+        bookingEndDate,
+        userId
+      );
+
+      // ===========================================
+      // 🆕 AUTO-APPROVE FLOW (Check property setting)
+      // ===========================================
+      // Check if property has auto-approval enabled
+      const bookingStatus = property.autoApproval ? 'APPROVED' : 'PENDING';
+
+      console.log(
+        `📋 Property ${propertyId} autoApproval: ${property.autoApproval}`
+      );
+      console.log(`📋 Booking will be created with status: ${bookingStatus}`);
+
+      // Create booking with status based on property setting
+      const lease = await tx.lease.create({
+        data: {
+          propertyId,
+          tenantId: userId,
+          landlordId: property.ownerId,
+          startDate: bookingStartDate,
+          endDate: bookingEndDate,
+          rentAmount: quote.monthlyRent,
+          securityDeposit: quote.securityDeposit,
+          totalPrice: quote.totalAmount,
+          currencyCode: quote.currencyCode,
+          status: bookingStatus, // Auto-approve if property has autoApproval=true
+          cancellationPolicy: property.cancellationPolicy,
+          notes: notes || null,
+          message: message || null,
+          holdExpiresAt: this.getHoldExpiry(),
         },
-        landlord: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+              address: true,
+              city: true,
+              images: true,
+            },
+          },
+          tenant: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
+          },
+          landlord: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
           },
         },
-      },
+      });
+
+      await bookingQuotesService.attachQuoteToLease(quote.id, lease.id, tx);
+      await leaseStatusService.recordCreated(lease, { id: userId }, tx);
+      await waitlistService.markBooked(lease, tx);
+      lease.quote = bookingQuotesService.formatQuote(quote);
+
+      return lease;
     });
 
+    const bookingStatus = booking.status;
+
     // 🆕 AUTO-GENERATE PDF only if booking is auto-approved
     if (bookingStatus === 'APPROVED') {
       try {
@@ -272,10 +556,11 @@ class BookingsService {
    */
   async getUserBookings(userId, page = 1, limit = 10) {
     const skip = (page - 1) * limit;
+    const where = leaseParticipantsService.getTenantLeaseWhere(userId);
 
     const [bookings, total] = await Promise.all([
       prisma.lease.findMany({
-        where: { tenantId: userId },
+        where,
         include: {
           property: {
             select: {
@@ -302,9 +587,7 @@ class BookingsService {
         skip,
         take: limit,
       }),
-      prisma.lease.count({
-        where: { tenantId: userId },
-      }),
+      prisma.lease.count({ where }),
     ]);
 
     const pages = Math.ceil(total / limit);
@@ -509,35 +792,39 @@ class BookingsService {
     }
 
     // Approve the booking
-    const approvedBooking = await prisma.lease.update({
-      where: { id: bookingId },
-      data: {
-        status: 'APPROVED',
-        notes: notes
-          ? `${booking.notes || ''}\n\nOwner approval notes: ${notes}`.trim()
-          : booking.notes,
-        updatedAt: new Date(),
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
-          },
+    const approvedBooking = await leaseStatusService.transition(
+      bookingId,
+      'APPROVED',
+      {
+        user: { id: ownerId },
+        reason: notes || null,
+        data: {
+          notes: notes
+            ? `${booking.notes || ''}\n\nOwner approval notes: ${notes}`.trim()
+            : booking.notes,
+          approvedAt: new Date(),
         },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+              address: true,
+              city: true,
+            },
+          },
+          tenant: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
           },
         },
-      },
-    });
+      }
+    );
 
     // Generate PDF rental agreement after approval
     try {
@@ -620,37 +907,40 @@ class BookingsService {
       };
     }
 
-    // Approve the booking
-    const approvedBooking = await prisma.lease.update({
-      where: { id: bookingId },
-      data: {
-        status: 'APPROVED',
-        notes: notes
-          ? `${booking.notes || ''}\n\nApproval notes: ${notes}`.trim()
-          : booking.notes,
-        updatedAt: new Date(),
-        approvedAt: new Date(),
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
-          },
+    // Approve the booking (the lease state machine checks the status)
+    const approvedBooking = await leaseStatusService.transition(
+      bookingId,
+      'APPROVED',
+      {
+        user: { id: userId, role: userRole },
+        reason: notes || null,
+        data: {
+          notes: notes
+            ? `${booking.notes || ''}\n\nApproval notes: ${notes}`.trim()
+            : booking.notes,
+          approvedAt: new Date(),
         },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+              address: true,
+              city: true,
+            },
+          },
+          tenant: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
           },
         },
-      },
-    });
+      }
+    );
 
     // Generate PDF rental agreement after approval
     if (approvedBooking.status === 'APPROVED') {
@@ -754,10 +1044,12 @@ class BookingsService {
 
       if (payment && payment.paymentIntentId) {
         try {
-          await stripe.refunds.create({
-            payment_intent: payment.paymentIntentId,
-            reason: 'requested_by_customer',
-          });
+          await getPaymentService().refundPaymentIntent(
+            payment.paymentIntentId,
+            null,
+            { bookingId },
+            { reason: 'requested_by_customer' }
+          );
           newStatus = 'REFUNDED';
           newPaymentStatus = 'refunded';
           console.log('✅ Refund processed successfully via Stripe');
@@ -779,35 +1071,40 @@ class BookingsService {
     }
 
     // Reject the booking
-    const rejectedBooking = await prisma.lease.update({
-      where: { id: bookingId },
-      data: {
-        status: newStatus,
-        paymentStatus: newPaymentStatus,
-        notes:
-          `${booking.notes || ''}\n\nRejection/Refund reason: ${reason}`.trim(),
-        updatedAt: new Date(),
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
-          },
+    const rejectedBooking = await leaseStatusService.transition(
+      bookingId,
+      newStatus,
+      {
+        user: { id: ownerId },
+        reason,
+        data: {
+          paymentStatus: newPaymentStatus,
+          notes:
+            `${booking.notes || ''}\n\nRejection/Refund reason: ${reason}`.trim(),
+          rejectedAt: new Date(),
+          rejectionReason: reason,
         },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+              address: true,
+              city: true,
+            },
+          },
+          tenant: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
           },
         },
-      },
-    });
+      }
+    );
 
     return rejectedBooking;
   }
@@ -851,6 +1148,19 @@ class BookingsService {
             phone: true,
           },
         },
+        participants: {
+          where: { status: { in: ['INVITED', 'ACCEPTED'] } },
+          include: {
+            user: {
+              select: {
+                id: true,
+                email: true,
+                name: true,
+              },
+            },
+          },
+          orderBy: { invitedAt: 'asc' },
+        },
       },
     });
 
@@ -858,11 +1168,23 @@ class BookingsService {
       throw new Error('Booking not found');
     }
 
-    // Check access: user must be either tenant or landlord
-    if (booking.tenantId !== userId && booking.landlordId !== userId) {
+    // Check access: user must be the tenant, the landlord or an accepted
+    // co-tenant or guarantor
+    const isParticipant = booking.participants.some(
+      participant =>
+        participant.status === 'ACCEPTED' && participant.userId === userId
+    );
+    if (
+      booking.tenantId !== userId &&
+      booking.landlordId !== userId &&
+      !isParticipant
+    ) {
       throw new Error('Access denied: You can only view your own bookings');
     }
 
+    booking.cancellationPolicyDetails =
+      cancellationPoliciesService.getLeasePolicy(booking);
+
     return booking;
   }
 
@@ -877,14 +1199,10 @@ class BookingsService {
     const bookedPeriods = await prisma.lease.findMany({
       where: {
         propertyId,
-        status: { in: ['APPROVED', 'ACTIVE'] },
-        OR: [
-          {
-            AND: [
-              { startDate: { lte: endDate } },
-              { endDate: { gte: startDate } },
-            ],
-          },
+        AND: [
+          this.getBlockingLeaseWhere(),
+          { startDate: { lte: endDate } },
+          { endDate: { gte: startDate } },
         ],
       },
       select: {
@@ -1053,7 +1371,8 @@ class BookingsService {
   }
 
   /**
-   * Upload tenant signature for rental agreement
+   * Upload tenant signature for rental agreement. Accepted co-tenants and
+   * guarantors sign on their participant record.
    * @param {string} bookingId
    * @param {string} signatureUrl
    * @param {string} userId
@@ -1069,7 +1388,26 @@ class BookingsService {
     }
 
     if (booking.tenantId !== userId) {
-      throw new Error('Access denied: Only the tenant can sign this agreement');
+      await leaseParticipantsService.signAgreement(
+        bookingId,
+        signatureUrl,
+        userId
+      );
+
+      return prisma.lease.findUnique({
+        where: { id: bookingId },
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+            },
+          },
+          participants: {
+            where: { userId },
+          },
+        },
+      });
     }
 
     if (booking.tenantSignatureUrl) {
@@ -1129,12 +1467,27 @@ class BookingsService {
       orderBy: { startDate: 'asc' },
     });
 
-    return bookings.map(booking => ({
-      start: booking.startDate.toISOString().split('T')[0],
-      end: booking.endDate.toISOString().split('T')[0],
-      status: booking.status,
-      tenantName: booking.tenant.name,
-    }));
+    const unavailableRanges = await availabilityService.getUnavailableRanges(
+      propertyId,
+      startDate,
+      endDate
+    );
+
+    return [
+      ...bookings.map(booking => ({
+        start: booking.startDate.toISOString().split('T')[0],
+        end: booking.endDate.toISOString().split('T')[0],
+        status: booking.status,
+        tenantName: booking.tenant.name,
+      })),
+      // Landlord calendar: status is BLOCKED or CLOSED (outside open window)
+      ...unavailableRanges.map(range => ({
+        start: range.startDate.toISOString().split('T')[0],
+        end: range.endDate.toISOString().split('T')[0],
+        status: range.type,
+        tenantName: null,
+      })),
+    ];
   }
 }
 
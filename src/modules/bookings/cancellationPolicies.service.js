@@ -0,0 +1,131 @@
+const bookingConfig = require('../../config/booking');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_POLICY = 'MODERATE';
+
+// Refund of the rent paid at booking by hours left before check-in. Tiers
+// are checked in order; the security deposit is always refunded in full.
+const CANCELLATION_POLICIES = {
+  FLEXIBLE: {
+    name: 'Flexible',
+    description:
+      'Full refund up to 1 day before check-in, 50% after that until check-in.',
+    tiers: [
+      { hoursBeforeStart: 24, refundPercent: 100 },
+      { hoursBeforeStart: 0, refundPercent: 50 },
+    ],
+  },
+  MODERATE: {
+    name: 'Moderate',
+    description:
+      'Full refund up to 5 days before check-in, 50% up to 1 day before check-in.',
+    tiers: [
+      { hoursBeforeStart: 5 * 24, refundPercent: 100 },
+      { hoursBeforeStart: 24, refundPercent: 50 },
+    ],
+  },
+  STRICT: {
+    name: 'Strict',
+    description:
+      'Full refund up to 14 days before check-in, 50% up to 7 days before check-in.',
+    tiers: [
+      { hoursBeforeStart: 14 * 24, refundPercent: 100 },
+      { hoursBeforeStart: 7 * 24, refundPercent: 50 },
+    ],
+  },
+  LONG_TERM: {
+    name: 'Long-term',
+    description:
+      'Full refund up to 30 days before check-in, 50% up to 14 days before check-in.',
+    tiers: [
+      { hoursBeforeStart: 30 * 24, refundPercent: 100 },
+      { hoursBeforeStart: 14 * 24, refundPercent: 50 },
+    ],
+  },
+};
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class CancellationPoliciesService {
+  /**
+   * Policy terms for API responses
+   * @param {string} code - CancellationPolicy value
+   * @returns {Object} { code, name, description, tiers }
+   */
+  describe(code) {
+    const policyCode = CANCELLATION_POLICIES[code] ? code : DEFAULT_POLICY;
+    return { code: policyCode, ...CANCELLATION_POLICIES[policyCode] };
+  }
+
+  /**
+   * All policies landlords can choose from
+   * @returns {Array}
+   */
+  listPolicies() {
+    return Object.keys(CANCELLATION_POLICIES).map(code => this.describe(code));
+  }
+
+  /**
+   * Policy a lease is cancelled under: the one of the property when it was
+   * booked, else the property's current policy
+   * @param {Object} lease - Lease with cancellationPolicy, optionally property
+   * @returns {Object}
+   */
+  getLeasePolicy(lease) {
+    return this.describe(
+      lease.cancellationPolicy || lease.property?.cancellationPolicy
+    );
+  }
+
+  /**
+   * What a tenant gets back when cancelling a paid booking now
+   * @param {Object} lease - Lease with startDate, securityDeposit and
+   * cancellationPolicy (or property.cancellationPolicy)
+   * @param {Object} payment - Completed booking payment (amount, completedAt)
+   * @param {Date} now
+   * @returns {Object} { policy, refundPercent, refundableAmount,
+   * depositAmount, hoursBeforeStart, inGracePeriod }
+   */
+  getRefundQuote(lease, payment, now = new Date()) {
+    const policy = this.getLeasePolicy(lease);
+    const paidAmount = parseFloat(payment.amount);
+    const depositAmount = Math.min(
+      parseFloat(lease.securityDeposit || 0),
+      paidAmount
+    );
+    const hoursBeforeStart =
+      (new Date(lease.startDate).getTime() - now.getTime()) / HOUR_MS;
+    const inGracePeriod =
+      !!payment.completedAt &&
+      now.getTime() - new Date(payment.completedAt).getTime() <
+        bookingConfig.cancellation.graceHours * HOUR_MS;
+
+    let refundPercent = 0;
+    if (hoursBeforeStart > 0) {
+      const tier = policy.tiers.find(
+        ({ hoursBeforeStart: hours }) => hoursBeforeStart >= hours
+      );
+      refundPercent = inGracePeriod ? 100 : tier?.refundPercent || 0;
+    }
+
+    // Once the lease started, the deposit follows the deposit return
+    const refundableAmount =
+      hoursBeforeStart > 0
+        ? roundMoney(
+            depositAmount + ((paidAmount - depositAmount) * refundPercent) / 100
+          )
+        : 0;
+
+    return {
+      policy,
+      refundPercent,
+      refundableAmount,
+      depositAmount,
+      hoursBeforeStart: Math.max(0, Math.floor(hoursBeforeStart)),
+      inGracePeriod,
+    };
+  }
+}
+
+module.exports = new CancellationPoliciesService();
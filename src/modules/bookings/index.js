@@ -1,9 +1,21 @@
 const bookingsController = require('./bookings.controller');
 const bookingsService = require('./bookings.service');
 const bookingsRoutes = require('./bookings.routes');
+const leaseRenewalsService = require('./leaseRenewals.service');
+const leaseRenewalRoutes = require('./leaseRenewals.routes');
+const leaseTerminationsService = require('./leaseTerminations.service');
+const leaseTerminationRoutes = require('./leaseTerminations.routes');
+const leaseParticipantsService = require('./leaseParticipants.service');
+const leaseParticipantRoutes = require('./leaseParticipants.routes');
 
 module.exports = {
   controller: bookingsController,
   service: bookingsService,
   routes: bookingsRoutes,
+  leaseRenewalsService,
+  leaseRenewalRoutes,
+  leaseTerminationsService,
+  leaseTerminationRoutes,
+  leaseParticipantsService,
+  leaseParticipantRoutes,
 };
@@ -0,0 +1,261 @@
+const { prisma } = require('../../config/database');
+const bookingConfig = require('../../config/booking');
+const paymentService = require('../payments/payments.service');
+const leaseStatusService = require('./leaseStatus.service');
+const { LEASE_EVENTS, emitLeaseEvent } = require('../../events/leaseEvents');
+
+const leaseEventInclude = {
+  property: {
+    select: {
+      id: true,
+      title: true,
+    },
+  },
+  tenant: {
+    select: {
+      id: true,
+      email: true,
+      name: true,
+    },
+  },
+  landlord: {
+    select: {
+      id: true,
+      email: true,
+      name: true,
+    },
+  },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tenants in the middle of paying keep their booking until the hold ends,
+// and as long as their offline payment waits for review
+const notPayingWhere = now => ({
+  paymentStatus: { not: 'paid' },
+  OR: [{ holdExpiresAt: null }, { holdExpiresAt: { lte: now } }],
+  payments: { none: { status: 'PENDING' } },
+});
+
+class LeaseLifecycleService {
+  /**
+   * Move paid, approved leases to ACTIVE once their start date is reached:
+   * APPROVED leases paid offline or before approval, and PAID leases that
+   * were paid after their approval. Leases paid before approval wait for
+   * the landlord.
+   * @param {Date} now
+   * @returns {Promise<Array>} Activated leases
+   */
+  async activateStartedLeases(now = new Date()) {
+    const [approved, paid] = await Promise.all([
+      prisma.lease.findMany({
+        where: {
+          status: 'APPROVED',
+          paymentStatus: 'paid',
+          startDate: { lte: now },
+        },
+        select: { id: true },
+      }),
+      prisma.lease.findMany({
+        where: {
+          status: 'PAID',
+          approvedAt: { not: null },
+          startDate: { lte: now },
+        },
+        select: { id: true },
+      }),
+    ]);
+
+    const activation = {
+      to: 'ACTIVE',
+      data: { activatedAt: now },
+      reason: 'Start date reached',
+      event: LEASE_EVENTS.ACTIVATED,
+    };
+
+    return [
+      ...(await this.transitionLeases(approved, {
+        ...activation,
+        from: 'APPROVED',
+      })),
+      ...(await this.transitionLeases(paid, { ...activation, from: 'PAID' })),
+    ];
+  }
+
+  /**
+   * Move active leases to COMPLETED after their end date
+   * @param {Date} now
+   * @returns {Promise<Array>} Completed leases
+   */
+  async completeEndedLeases(now = new Date()) {
+    const leases = await prisma.lease.findMany({
+      where: {
+        status: 'ACTIVE',
+        endDate: { lt: now },
+      },
+      select: { id: true },
+    });
+
+    return this.transitionLeases(leases, {
+      from: 'ACTIVE',
+      to: 'COMPLETED',
+      data: { completedAt: now },
+      reason: 'End date passed',
+      event: LEASE_EVENTS.COMPLETED,
+    });
+  }
+
+  /**
+   * Cancel PENDING bookings the landlord did not answer in time
+   * @param {Date} now
+   * @returns {Promise<Array>} Expired leases
+   */
+  async expireUnansweredLeases(now = new Date()) {
+    const { pendingHours } = bookingConfig.expiry;
+    const where = notPayingWhere(now);
+
+    const leases = await prisma.lease.findMany({
+      where: {
+        ...where,
+        status: 'PENDING',
+        createdAt: { lt: new Date(now.getTime() - pendingHours * HOUR_MS) },
+      },
+      select: { id: true },
+    });
+
+    return this.expireLeases(leases, {
+      from: 'PENDING',
+      where,
+      now,
+      reason: `Expired: the landlord did not respond within ${pendingHours} hours`,
+    });
+  }
+
+  /**
+   * Cancel APPROVED bookings the tenant did not pay in time
+   * @param {Date} now
+   * @returns {Promise<Array>} Expired leases
+   */
+  async expireUnpaidLeases(now = new Date()) {
+    const { paymentHours } = bookingConfig.expiry;
+    const where = notPayingWhere(now);
+    const cutoff = new Date(now.getTime() - paymentHours * HOUR_MS);
+
+    const leases = await prisma.lease.findMany({
+      where: {
+        ...where,
+        status: 'APPROVED',
+        // Bookings approved before approvedAt was recorded use updatedAt
+        AND: {
+          OR: [
+            { approvedAt: { lt: cutoff } },
+            { approvedAt: null, updatedAt: { lt: cutoff } },
+          ],
+        },
+      },
+      select: { id: true },
+    });
+
+    return this.expireLeases(leases, {
+      from: 'APPROVED',
+      where,
+      now,
+      reason: `Expired: payment was not received within ${paymentHours} hours of approval`,
+    });
+  }
+
+  /**
+   * Cancel expired leases and their open Stripe payments. Cancelling the
+   * lease first keeps cancelPayment from moving it to REFUNDED.
+   */
+  async expireLeases(leases, { from, where, now, reason }) {
+    const expired = await this.transitionLeases(leases, {
+      from,
+      to: 'CANCELLED',
+      where,
+      data: { cancelledAt: now, cancellationReason: reason },
+      reason,
+      event: LEASE_EVENTS.EXPIRED,
+    });
+
+    for (const lease of expired) {
+      const openPayments = await prisma.stripePayment.findMany({
+        where: {
+          bookingId: lease.id,
+          status: 'pending',
+          paymentIntentId: { not: null },
+        },
+      });
+
+      for (const payment of openPayments) {
+        try {
+          await paymentService.cancelPayment(
+            payment.paymentIntentId,
+            payment.userId
+          );
+        } catch (error) {
+          console.error(
+            `❌ Could not cancel payment ${payment.paymentIntentId} of expired lease ${lease.code}:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Update each lease only if it is still in the expected status, so a
+   * lease changed in the meantime (e.g. cancelled) is left alone.
+   */
+  async transitionLeases(
+    leases,
+    { from, to, where = {}, data, reason, event }
+  ) {
+    const transitioned = [];
+
+    for (const { id } of leases) {
+      let lease;
+      try {
+        lease = await leaseStatusService.transition(id, to, {
+          reason,
+          data,
+          fromStatus: from,
+          where,
+          include: leaseEventInclude,
+        });
+      } catch (error) {
+        if (error.statusCode === 409) continue;
+        throw error;
+      }
+
+      console.log(`🔄 Lease ${lease.code}: ${from} → ${to}`);
+      emitLeaseEvent(event, { lease });
+      transitioned.push(lease);
+    }
+
+    return transitioned;
+  }
+
+  /**
+   * Run all lifecycle transitions. Activation runs first so a lease whose
+   * whole stay was missed is activated and completed in the same run.
+   * @param {Date} now
+   * @returns {Promise<Object>} { activated, completed, expired }
+   */
+  async run(now = new Date()) {
+    const activated = await this.activateStartedLeases(now);
+    const completed = await this.completeEndedLeases(now);
+    const unanswered = await this.expireUnansweredLeases(now);
+    const unpaid = await this.expireUnpaidLeases(now);
+
+    return {
+      activated: activated.length,
+      completed: completed.length,
+      expired: unanswered.length + unpaid.length,
+    };
+  }
+}
+
+module.exports = new LeaseLifecycleService();
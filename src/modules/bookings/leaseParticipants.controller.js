@@ -0,0 +1,179 @@
+const { validationResult } = require('express-validator');
+const leaseParticipantsService = require('./leaseParticipants.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Open lease invitations of the current user
+ * GET /api/v1/bookings/participant-invitations
+ */
+exports.getMyInvitations = catchAsync(async (req, res) => {
+  const result = await leaseParticipantsService.getMyInvitations(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * List participants of a booking
+ * GET /api/v1/bookings/:bookingId/participants
+ */
+exports.listParticipants = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseParticipantsService.listParticipants(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Invite a co-tenant or guarantor (primary tenant)
+ * POST /api/v1/bookings/:bookingId/participants
+ */
+exports.inviteParticipant = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseParticipantsService.inviteParticipant(
+    req.params.bookingId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: result,
+  });
+});
+
+/**
+ * Change the role or rent share of a participant (primary tenant)
+ * PATCH /api/v1/bookings/:bookingId/participants/:participantId
+ */
+exports.updateParticipant = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseParticipantsService.updateParticipant(
+    req.params.bookingId,
+    req.params.participantId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Participant updated successfully',
+    data: result,
+  });
+});
+
+/**
+ * Remove a participant (primary tenant) or leave the lease (participant)
+ * DELETE /api/v1/bookings/:bookingId/participants/:participantId
+ */
+exports.removeParticipant = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseParticipantsService.removeParticipant(
+    req.params.bookingId,
+    req.params.participantId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Participant removed successfully',
+    data: result,
+  });
+});
+
+/**
+ * Accept a lease invitation (invitee)
+ * POST /api/v1/bookings/:bookingId/participants/:participantId/accept
+ */
+exports.acceptInvitation = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseParticipantsService.respondToInvitation(
+    req.params.bookingId,
+    req.params.participantId,
+    req.user,
+    true
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation accepted',
+    data: result,
+  });
+});
+
+/**
+ * Decline a lease invitation (invitee)
+ * POST /api/v1/bookings/:bookingId/participants/:participantId/decline
+ */
+exports.declineInvitation = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseParticipantsService.respondToInvitation(
+    req.params.bookingId,
+    req.params.participantId,
+    req.user,
+    false
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined',
+    data: result,
+  });
+});
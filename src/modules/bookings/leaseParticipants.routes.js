@@ -0,0 +1,327 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const leaseParticipantsController = require('./leaseParticipants.controller');
+const {
+  bookingIdValidation,
+  participantIdValidation,
+  inviteParticipantValidation,
+  updateParticipantValidation,
+} = require('./leaseParticipants.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaseParticipant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           nullable: true
+ *           description: null for the primary tenant, who has no participant record
+ *         leaseId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *           description: Set once the invitation is accepted
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [PRIMARY_TENANT, CO_TENANT, GUARANTOR]
+ *         status:
+ *           type: string
+ *           enum: [INVITED, ACCEPTED, DECLINED, REMOVED]
+ *         rentShare:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage of each invoice paid by this participant. The primary tenant pays what co-tenants don't.
+ *         signatureUrl:
+ *           type: string
+ *           description: Rental agreement signature
+ *         signedAt:
+ *           type: string
+ *           format: date-time
+ *         invitedAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/participant-invitations:
+ *   get:
+ *     summary: Get my open lease invitations
+ *     description: Invitations are matched on the email address of the account.
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ */
+router.get(
+  '/participant-invitations',
+  auth,
+  leaseParticipantsController.getMyInvitations
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/participants:
+ *   get:
+ *     summary: List the tenants and guarantors of a booking
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Participants retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rentSplit:
+ *                       type: boolean
+ *                       description: Whether co-tenants pay a share of each invoice
+ *                     participants:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LeaseParticipant'
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking not found
+ *   post:
+ *     summary: Invite a co-tenant or guarantor (primary tenant)
+ *     description: The invitee is notified by email and accepts from the app with an account using that email. Rent shares of co-tenants cannot add up to more than 100%.
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [CO_TENANT, GUARANTOR]
+ *               rentShare:
+ *                 type: number
+ *                 description: Percentage of each invoice (co-tenants only)
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Invalid invitee or rent share
+ *       403:
+ *         description: Not the primary tenant
+ *       409:
+ *         description: Already invited or booking closed
+ */
+router.get(
+  '/:bookingId/participants',
+  auth,
+  bookingIdValidation,
+  leaseParticipantsController.listParticipants
+);
+
+router.post(
+  '/:bookingId/participants',
+  auth,
+  inviteParticipantValidation,
+  leaseParticipantsController.inviteParticipant
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/participants/{participantId}:
+ *   patch:
+ *     summary: Change the role or rent share of a participant (primary tenant)
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: participantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [CO_TENANT, GUARANTOR]
+ *               rentShare:
+ *                 type: number
+ *                 nullable: true
+ *                 description: null stops splitting rent with this participant
+ *     responses:
+ *       200:
+ *         description: Participant updated successfully
+ *       400:
+ *         description: Invalid rent share
+ *       403:
+ *         description: Not the primary tenant
+ *       404:
+ *         description: Participant not found
+ *   delete:
+ *     summary: Remove a participant or leave the lease
+ *     description: The primary tenant can remove anyone; a participant can remove themselves.
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: participantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Participant removed successfully
+ *       403:
+ *         description: Not allowed to remove this participant
+ *       409:
+ *         description: Participant is no longer on the lease
+ */
+router.patch(
+  '/:bookingId/participants/:participantId',
+  auth,
+  updateParticipantValidation,
+  leaseParticipantsController.updateParticipant
+);
+
+router.delete(
+  '/:bookingId/participants/:participantId',
+  auth,
+  participantIdValidation,
+  leaseParticipantsController.removeParticipant
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/participants/{participantId}/accept:
+ *   post:
+ *     summary: Accept a lease invitation
+ *     description: Accepted participants can view the booking, sign the rental agreement and pay its invoices.
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: participantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       403:
+ *         description: Invitation is for another email address
+ *       409:
+ *         description: Invitation is no longer open
+ */
+router.post(
+  '/:bookingId/participants/:participantId/accept',
+  auth,
+  participantIdValidation,
+  leaseParticipantsController.acceptInvitation
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/participants/{participantId}/decline:
+ *   post:
+ *     summary: Decline a lease invitation
+ *     tags: [Lease Participants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: participantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       403:
+ *         description: Invitation is for another email address
+ *       409:
+ *         description: Invitation is no longer open
+ */
+router.post(
+  '/:bookingId/participants/:participantId/decline',
+  auth,
+  participantIdValidation,
+  leaseParticipantsController.declineInvitation
+);
+
+module.exports = router;
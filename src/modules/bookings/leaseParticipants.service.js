@@ -0,0 +1,512 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const notificationService = require('../../services/notification.service');
+
+// Participants can be invited until the lease is over
+const OPEN_LEASE_STATUSES = ['PENDING', 'PAID', 'APPROVED', 'ACTIVE'];
+const ACTIVE_PARTICIPANT_STATUSES = ['INVITED', 'ACCEPTED'];
+
+const ROLE_LABELS = {
+  PRIMARY_TENANT: 'primary tenant',
+  CO_TENANT: 'co-tenant',
+  GUARANTOR: 'guarantor',
+};
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const userSelect = {
+  select: {
+    id: true,
+    email: true,
+    name: true,
+  },
+};
+
+const leaseInclude = {
+  property: { select: { id: true, title: true } },
+  tenant: userSelect,
+  landlord: userSelect,
+  participants: {
+    include: { user: userSelect },
+    orderBy: { invitedAt: 'asc' },
+  },
+};
+
+const normalizeEmail = email => email.trim().toLowerCase();
+
+class LeaseParticipantsService {
+  /**
+   * Prisma filter for leases a user takes part in: as the booking tenant or
+   * as a participant who accepted the invitation
+   * @param {string} userId
+   * @returns {Object}
+   */
+  getTenantLeaseWhere(userId) {
+    return {
+      OR: [
+        { tenantId: userId },
+        { participants: { some: { userId, status: 'ACCEPTED' } } },
+      ],
+    };
+  }
+
+  /**
+   * Accepted participant row of a user on a lease
+   * @param {string} leaseId
+   * @param {string} userId
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object|null>}
+   */
+  async findAcceptedParticipant(leaseId, userId, client = prisma) {
+    return client.leaseParticipant.findFirst({
+      where: { leaseId, userId, status: 'ACCEPTED' },
+    });
+  }
+
+  /**
+   * Whether a user is the booking tenant or an accepted participant
+   * @param {Object} lease - Lease with id and tenantId
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async isTenantParty(lease, userId) {
+    if (lease.tenantId === userId) return true;
+    return !!(await this.findAcceptedParticipant(lease.id, userId));
+  }
+
+  async getLease(leaseId) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: leaseInclude,
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    return lease;
+  }
+
+  /**
+   * Whether a user can see the participants of a lease: the parties,
+   * admins, accepted participants and pending invitees
+   */
+  canView(lease, user) {
+    if (
+      user.role === 'ADMIN' ||
+      lease.tenantId === user.id ||
+      lease.landlordId === user.id
+    ) {
+      return true;
+    }
+
+    return lease.participants.some(
+      participant =>
+        (participant.status === 'ACCEPTED' && participant.userId === user.id) ||
+        (participant.status === 'INVITED' &&
+          participant.email === normalizeEmail(user.email || ''))
+    );
+  }
+
+  assertPrimaryTenant(lease, user) {
+    if (lease.tenantId !== user.id) {
+      throw new AppError(
+        'Only the primary tenant can manage participants',
+        403
+      );
+    }
+  }
+
+  assertLeaseOpen(lease) {
+    if (!OPEN_LEASE_STATUSES.includes(lease.status)) {
+      throw new AppError(
+        `Participants cannot be changed on a ${lease.status.toLowerCase()} booking`,
+        409
+      );
+    }
+  }
+
+  getParticipant(lease, participantId) {
+    const participant = lease.participants.find(
+      ({ id }) => id === participantId
+    );
+
+    if (!participant) {
+      throw new AppError('Participant not found', 404);
+    }
+
+    return participant;
+  }
+
+  /**
+   * Rent split of a lease. Co-tenants with a rentShare pay that percentage
+   * of each invoice; the primary tenant pays the rest. Shares of pending
+   * invitations count so an acceptance can't push the total over 100%.
+   * @param {Object} lease - Lease including participants
+   * @returns {Object} { split, primaryShare, shares: { userId: percent } }
+   */
+  getRentSplit(lease) {
+    const sharing = lease.participants.filter(
+      participant =>
+        ACTIVE_PARTICIPANT_STATUSES.includes(participant.status) &&
+        participant.rentShare != null
+    );
+    const othersShare = sharing.reduce(
+      (sum, participant) => sum + parseFloat(participant.rentShare),
+      0
+    );
+
+    const shares = {};
+    for (const participant of sharing) {
+      if (participant.status === 'ACCEPTED') {
+        shares[participant.userId] = parseFloat(participant.rentShare);
+      }
+    }
+    shares[lease.tenantId] = roundMoney(100 - othersShare);
+
+    return {
+      split: sharing.length > 0,
+      primaryShare: shares[lease.tenantId],
+      shares,
+    };
+  }
+
+  assertShareAvailable(lease, rentShare, participantId = null) {
+    const othersShare = lease.participants
+      .filter(
+        participant =>
+          participant.id !== participantId &&
+          ACTIVE_PARTICIPANT_STATUSES.includes(participant.status) &&
+          participant.rentShare != null
+      )
+      .reduce((sum, participant) => sum + parseFloat(participant.rentShare), 0);
+
+    if (othersShare + rentShare > 100) {
+      throw new AppError(
+        `Rent shares cannot exceed 100% (${roundMoney(100 - othersShare)}% left)`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Amount of an invoice a tenant party still owes under the rent split
+   * @param {Object} invoice - Invoice including payments and the lease with
+   * participants
+   * @param {string} userId
+   * @returns {number|null} null when the rent is not split
+   */
+  getShareDue(invoice, userId) {
+    const { split, shares } = this.getRentSplit(invoice.lease);
+    if (!split) return null;
+
+    const shareAmount = roundMoney(
+      (parseFloat(invoice.amount) * (shares[userId] || 0)) / 100
+    );
+    const paidByUser = invoice.payments
+      .filter(
+        payment => payment.status === 'COMPLETED' && payment.payerId === userId
+      )
+      .reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+
+    return Math.max(0, roundMoney(shareAmount - paidByUser));
+  }
+
+  formatParticipant(participant) {
+    return {
+      ...participant,
+      rentShare:
+        participant.rentShare != null
+          ? parseFloat(participant.rentShare)
+          : null,
+    };
+  }
+
+  /**
+   * Participants of a lease, starting with the primary tenant
+   * @returns {Promise<Object>} { rentSplit, participants }
+   */
+  async listParticipants(leaseId, user) {
+    const lease = await this.getLease(leaseId);
+
+    if (!this.canView(lease, user)) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    const { split, primaryShare } = this.getRentSplit(lease);
+
+    return {
+      rentSplit: split,
+      participants: [
+        {
+          id: null,
+          userId: lease.tenantId,
+          email: lease.tenant.email,
+          user: lease.tenant,
+          role: 'PRIMARY_TENANT',
+          status: 'ACCEPTED',
+          rentShare: split ? primaryShare : null,
+          signatureUrl: lease.tenantSignatureUrl,
+          signedAt: lease.signedAt,
+        },
+        ...lease.participants.map(participant =>
+          this.formatParticipant(participant)
+        ),
+      ],
+    };
+  }
+
+  /**
+   * Invite a co-tenant or guarantor by email (primary tenant)
+   * @param {Object} data - { email, role, rentShare }
+   * @returns {Promise<Object>} Invited participant
+   */
+  async inviteParticipant(leaseId, user, { email, role, rentShare }) {
+    const lease = await this.getLease(leaseId);
+    this.assertPrimaryTenant(lease, user);
+    this.assertLeaseOpen(lease);
+
+    const inviteEmail = normalizeEmail(email);
+
+    if (
+      inviteEmail === normalizeEmail(lease.tenant.email) ||
+      inviteEmail === normalizeEmail(lease.landlord.email)
+    ) {
+      throw new AppError(
+        'The tenant and the landlord cannot be invited as participants',
+        400
+      );
+    }
+
+    const share = rentShare != null ? parseFloat(rentShare) : null;
+    if (share != null && role !== 'CO_TENANT') {
+      throw new AppError('Only co-tenants can have a rent share', 400);
+    }
+
+    const existing = lease.participants.find(
+      participant => participant.email === inviteEmail
+    );
+
+    if (existing && ACTIVE_PARTICIPANT_STATUSES.includes(existing.status)) {
+      throw new AppError('This person is already invited to the lease', 409);
+    }
+
+    if (share != null) {
+      this.assertShareAvailable(lease, share, existing?.id);
+    }
+
+    const invitation = {
+      role,
+      rentShare: share,
+      status: 'INVITED',
+      userId: null,
+      invitedById: user.id,
+      invitedAt: new Date(),
+      respondedAt: null,
+      signatureUrl: null,
+      signedAt: null,
+    };
+
+    const participant = existing
+      ? await prisma.leaseParticipant.update({
+          where: { id: existing.id },
+          data: invitation,
+        })
+      : await prisma.leaseParticipant.create({
+          data: { ...invitation, leaseId, email: inviteEmail },
+        });
+
+    const shareText =
+      share != null ? ` You would pay ${share}% of the rent.` : '';
+    await notificationService.notifyUser(
+      { email: inviteEmail },
+      'You are invited to join a lease',
+      `${lease.tenant.name || lease.tenant.email} invited you to join lease ${lease.code} for "${lease.property.title}" as ${ROLE_LABELS[role]}.${shareText} Sign in to the app with this email address to accept or decline the invitation.`
+    );
+
+    return this.formatParticipant(participant);
+  }
+
+  /**
+   * Change the role or rent share of a participant (primary tenant)
+   * @param {Object} data - { role, rentShare } (rentShare null removes it)
+   * @returns {Promise<Object>} Updated participant
+   */
+  async updateParticipant(leaseId, participantId, user, data) {
+    const lease = await this.getLease(leaseId);
+    this.assertPrimaryTenant(lease, user);
+    this.assertLeaseOpen(lease);
+
+    const participant = this.getParticipant(lease, participantId);
+    if (!ACTIVE_PARTICIPANT_STATUSES.includes(participant.status)) {
+      throw new AppError('This participant is no longer on the lease', 409);
+    }
+
+    const role = data.role || participant.role;
+    const share =
+      data.rentShare !== undefined
+        ? data.rentShare != null
+          ? parseFloat(data.rentShare)
+          : null
+        : participant.rentShare != null
+          ? parseFloat(participant.rentShare)
+          : null;
+
+    if (share != null && role !== 'CO_TENANT') {
+      throw new AppError('Only co-tenants can have a rent share', 400);
+    }
+
+    if (share != null) {
+      this.assertShareAvailable(lease, share, participant.id);
+    }
+
+    const updated = await prisma.leaseParticipant.update({
+      where: { id: participant.id },
+      data: { role, rentShare: share },
+    });
+
+    return this.formatParticipant(updated);
+  }
+
+  /**
+   * Accept or decline an invitation (invitee, matched by email)
+   * @param {boolean} accept
+   * @returns {Promise<Object>} Updated participant
+   */
+  async respondToInvitation(leaseId, participantId, user, accept) {
+    const lease = await this.getLease(leaseId);
+    const participant = this.getParticipant(lease, participantId);
+
+    if (participant.email !== normalizeEmail(user.email || '')) {
+      throw new AppError('This invitation is for another email address', 403);
+    }
+
+    if (accept) {
+      this.assertLeaseOpen(lease);
+    }
+
+    const { count } = await prisma.leaseParticipant.updateMany({
+      where: { id: participant.id, status: 'INVITED' },
+      data: {
+        status: accept ? 'ACCEPTED' : 'DECLINED',
+        userId: accept ? user.id : null,
+        respondedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      throw new AppError('This invitation is no longer open', 409);
+    }
+
+    await notificationService.notifyUser(
+      lease.tenant,
+      accept ? 'Invitation accepted' : 'Invitation declined',
+      `${user.name || participant.email} ${accept ? 'accepted' : 'declined'} your invitation to join lease ${lease.code} as ${ROLE_LABELS[participant.role]}.`
+    );
+
+    const updated = await prisma.leaseParticipant.findUnique({
+      where: { id: participant.id },
+    });
+
+    return this.formatParticipant(updated);
+  }
+
+  /**
+   * Remove a participant (primary tenant) or leave the lease (participant)
+   * @returns {Promise<Object>} Updated participant
+   */
+  async removeParticipant(leaseId, participantId, user) {
+    const lease = await this.getLease(leaseId);
+    const participant = this.getParticipant(lease, participantId);
+
+    const isSelf = participant.userId && participant.userId === user.id;
+    if (lease.tenantId !== user.id && !isSelf) {
+      throw new AppError(
+        'Only the primary tenant can remove participants',
+        403
+      );
+    }
+
+    const { count } = await prisma.leaseParticipant.updateMany({
+      where: {
+        id: participant.id,
+        status: { in: ACTIVE_PARTICIPANT_STATUSES },
+      },
+      data: { status: 'REMOVED' },
+    });
+
+    if (count === 0) {
+      throw new AppError('This participant is no longer on the lease', 409);
+    }
+
+    if (isSelf) {
+      await notificationService.notifyUser(
+        lease.tenant,
+        'A participant left your lease',
+        `${user.name || participant.email} left lease ${lease.code} for "${lease.property.title}".`
+      );
+    }
+
+    const updated = await prisma.leaseParticipant.findUnique({
+      where: { id: participant.id },
+    });
+
+    return this.formatParticipant(updated);
+  }
+
+  /**
+   * Open invitations for the user's email address
+   * @returns {Promise<Array>}
+   */
+  async getMyInvitations(user) {
+    const invitations = await prisma.leaseParticipant.findMany({
+      where: { email: normalizeEmail(user.email || ''), status: 'INVITED' },
+      include: {
+        lease: {
+          select: {
+            id: true,
+            code: true,
+            startDate: true,
+            endDate: true,
+            status: true,
+            property: { select: { id: true, title: true, images: true } },
+            tenant: userSelect,
+          },
+        },
+      },
+      orderBy: { invitedAt: 'desc' },
+    });
+
+    return invitations.map(invitation => this.formatParticipant(invitation));
+  }
+
+  /**
+   * Record the rental agreement signature of an accepted participant
+   * @param {string} leaseId
+   * @param {string} signatureUrl
+   * @param {string} userId
+   * @returns {Promise<Object>} Updated participant
+   */
+  async signAgreement(leaseId, signatureUrl, userId) {
+    const participant = await this.findAcceptedParticipant(leaseId, userId);
+
+    if (!participant) {
+      throw new Error(
+        'Access denied: Only lease participants can sign this agreement'
+      );
+    }
+
+    if (participant.signedAt) {
+      throw new Error('Agreement already signed');
+    }
+
+    const updated = await prisma.leaseParticipant.update({
+      where: { id: participant.id },
+      data: { signatureUrl, signedAt: new Date() },
+    });
+
+    return this.formatParticipant(updated);
+  }
+}
+
+module.exports = new LeaseParticipantsService();
@@ -0,0 +1,44 @@
+const { body, param } = require('express-validator');
+
+const bookingIdValidation = [
+  param('bookingId').isUUID().withMessage('Invalid booking ID format'),
+];
+
+const participantIdValidation = [
+  ...bookingIdValidation,
+  param('participantId').isUUID().withMessage('Invalid participant ID format'),
+];
+
+const rentShareValidation = body('rentShare')
+  .optional({ nullable: true })
+  .isFloat({ gt: 0, lt: 100 })
+  .withMessage('Rent share must be a percentage between 0 and 100');
+
+const inviteParticipantValidation = [
+  ...bookingIdValidation,
+  body('email')
+    .isEmail()
+    .withMessage('A valid email is required')
+    .isLength({ max: 255 })
+    .withMessage('Email must be at most 255 characters'),
+  body('role')
+    .isIn(['CO_TENANT', 'GUARANTOR'])
+    .withMessage('Role must be CO_TENANT or GUARANTOR'),
+  rentShareValidation,
+];
+
+const updateParticipantValidation = [
+  ...participantIdValidation,
+  body('role')
+    .optional()
+    .isIn(['CO_TENANT', 'GUARANTOR'])
+    .withMessage('Role must be CO_TENANT or GUARANTOR'),
+  rentShareValidation,
+];
+
+module.exports = {
+  bookingIdValidation,
+  participantIdValidation,
+  inviteParticipantValidation,
+  updateParticipantValidation,
+};
@@ -0,0 +1,193 @@
+const { validationResult } = require('express-validator');
+const leaseRenewalsService = require('./leaseRenewals.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * List renewal requests of a booking
+ * GET /api/v1/bookings/:bookingId/renewals
+ */
+exports.listRenewals = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.listRenewals(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Request a lease extension (tenant)
+ * POST /api/v1/bookings/:bookingId/renewals
+ */
+exports.requestRenewal = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.requestRenewal(
+    req.params.bookingId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Renewal request sent successfully',
+    data: result,
+  });
+});
+
+/**
+ * Approve a renewal request (landlord)
+ * POST /api/v1/bookings/:bookingId/renewals/:renewalId/approve
+ */
+exports.approveRenewal = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.approveRenewal(
+    req.params.bookingId,
+    req.params.renewalId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Lease extended successfully',
+    data: result,
+  });
+});
+
+/**
+ * Counter a renewal request with a new rent (landlord)
+ * POST /api/v1/bookings/:bookingId/renewals/:renewalId/counter
+ */
+exports.counterRenewal = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.counterRenewal(
+    req.params.bookingId,
+    req.params.renewalId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Counter-offer sent successfully',
+    data: result,
+  });
+});
+
+/**
+ * Reject a renewal request (landlord)
+ * POST /api/v1/bookings/:bookingId/renewals/:renewalId/reject
+ */
+exports.rejectRenewal = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.rejectRenewal(
+    req.params.bookingId,
+    req.params.renewalId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Renewal request rejected',
+    data: result,
+  });
+});
+
+/**
+ * Accept the landlord's counter-offer (tenant)
+ * POST /api/v1/bookings/:bookingId/renewals/:renewalId/accept
+ */
+exports.acceptCounterOffer = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.acceptCounterOffer(
+    req.params.bookingId,
+    req.params.renewalId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Lease extended successfully',
+    data: result,
+  });
+});
+
+/**
+ * Withdraw a renewal request or decline a counter-offer (tenant)
+ * POST /api/v1/bookings/:bookingId/renewals/:renewalId/cancel
+ */
+exports.cancelRenewal = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseRenewalsService.cancelRenewal(
+    req.params.bookingId,
+    req.params.renewalId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Renewal request cancelled',
+    data: result,
+  });
+});
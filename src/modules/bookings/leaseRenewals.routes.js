@@ -0,0 +1,348 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const leaseRenewalsController = require('./leaseRenewals.controller');
+const {
+  bookingIdValidation,
+  renewalIdValidation,
+  requestRenewalValidation,
+  respondRenewalValidation,
+  counterRenewalValidation,
+} = require('./leaseRenewals.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaseRenewal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         currentEndDate:
+ *           type: string
+ *           format: date-time
+ *           description: Lease end date when the renewal was requested
+ *         proposedEndDate:
+ *           type: string
+ *           format: date-time
+ *         monthlyRent:
+ *           type: number
+ *           description: Rent for the extension (current rent or counter-offer)
+ *         extensionAmount:
+ *           type: number
+ *           description: Amount billed for the extension on approval
+ *         status:
+ *           type: string
+ *           enum: [PENDING, COUNTERED, APPROVED, REJECTED, CANCELLED]
+ *         tenantMessage:
+ *           type: string
+ *         landlordMessage:
+ *           type: string
+ *         invoiceId:
+ *           type: string
+ *           description: Invoice billing the extension (set on approval)
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals:
+ *   get:
+ *     summary: List renewal requests of a booking
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Renewal requests retrieved successfully
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ */
+router.get(
+  '/:bookingId/renewals',
+  auth,
+  bookingIdValidation,
+  leaseRenewalsController.listRenewals
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals:
+ *   post:
+ *     summary: Request a lease extension (tenant)
+ *     description: The current lease never blocks its own extension. Only approved or active leases can be extended.
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEndDate
+ *             properties:
+ *               newEndDate:
+ *                 type: string
+ *                 format: date-time
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Renewal request sent successfully
+ *       400:
+ *         description: Validation error, lease not renewable or stay rule violation
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Dates taken by another booking or an open request already exists
+ */
+router.post(
+  '/:bookingId/renewals',
+  auth,
+  requestRenewalValidation,
+  leaseRenewalsController.requestRenewal
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals/{renewalId}/approve:
+ *   post:
+ *     summary: Approve a renewal request (landlord)
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lease extended, agreement regenerated and extension invoiced
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request no longer pending or dates no longer available
+ */
+router.post(
+  '/:bookingId/renewals/:renewalId/approve',
+  auth,
+  respondRenewalValidation,
+  leaseRenewalsController.approveRenewal
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals/{renewalId}/counter:
+ *   post:
+ *     summary: Counter a renewal request with a new monthly rent (landlord)
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - monthlyRent
+ *             properties:
+ *               monthlyRent:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Counter-offer sent successfully
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request is no longer open
+ */
+router.post(
+  '/:bookingId/renewals/:renewalId/counter',
+  auth,
+  counterRenewalValidation,
+  leaseRenewalsController.counterRenewal
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals/{renewalId}/reject:
+ *   post:
+ *     summary: Reject a renewal request (landlord)
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Renewal request rejected
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request is no longer open
+ */
+router.post(
+  '/:bookingId/renewals/:renewalId/reject',
+  auth,
+  respondRenewalValidation,
+  leaseRenewalsController.rejectRenewal
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals/{renewalId}/accept:
+ *   post:
+ *     summary: Accept the landlord's counter-offer (tenant)
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lease extended, agreement regenerated and extension invoiced
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: No counter-offer to accept or dates no longer available
+ */
+router.post(
+  '/:bookingId/renewals/:renewalId/accept',
+  auth,
+  renewalIdValidation,
+  leaseRenewalsController.acceptCounterOffer
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/renewals/{renewalId}/cancel:
+ *   post:
+ *     summary: Withdraw a renewal request or decline a counter-offer (tenant)
+ *     tags: [Lease Renewals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Renewal request cancelled
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request is no longer open
+ */
+router.post(
+  '/:bookingId/renewals/:renewalId/cancel',
+  auth,
+  renewalIdValidation,
+  leaseRenewalsController.cancelRenewal
+);
+
+module.exports = router;
@@ -0,0 +1,510 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+const notificationService = require('../../services/notification.service');
+const availabilityService = require('../availability/availability.service');
+const stayRulesService = require('../availability/stayRules.service');
+const invoicesService = require('../invoices/invoices.service');
+const taxesService = require('../taxes/taxes.service');
+const bookingsService = require('./bookings.service');
+const { LEASE_EVENTS, emitLeaseEvent } = require('../../events/leaseEvents');
+const { toDateString } = require('../../utils/dates');
+
+const RENEWABLE_LEASE_STATUSES = ['APPROVED', 'ACTIVE'];
+const OPEN_RENEWAL_STATUSES = ['PENDING', 'COUNTERED'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const partySelect = {
+  select: {
+    id: true,
+    email: true,
+    name: true,
+  },
+};
+
+const leaseInclude = {
+  property: {
+    select: {
+      id: true,
+      title: true,
+      availableFrom: true,
+      availableUntil: true,
+      maxStayDays: true,
+    },
+  },
+  tenant: partySelect,
+  landlord: partySelect,
+};
+
+class LeaseRenewalsService {
+  /**
+   * Get a lease the user is a party of (or any lease for admins)
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getLeaseForUser(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: leaseInclude,
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (
+      user.role !== 'ADMIN' &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    return lease;
+  }
+
+  async getRenewal(lease, renewalId) {
+    const renewal = await prisma.leaseRenewal.findFirst({
+      where: { id: renewalId, leaseId: lease.id },
+    });
+
+    if (!renewal) {
+      throw new AppError('Renewal request not found', 404);
+    }
+
+    return renewal;
+  }
+
+  assertTenant(lease, user) {
+    if (lease.tenantId !== user.id) {
+      throw new AppError('Only the tenant can do this', 403);
+    }
+  }
+
+  assertLandlord(lease, user) {
+    if (lease.landlordId !== user.id && user.role !== 'ADMIN') {
+      throw new AppError('Only the landlord can do this', 403);
+    }
+  }
+
+  assertStatus(renewal, statuses) {
+    if (!statuses.includes(renewal.status)) {
+      throw new AppError(
+        `This renewal request is already ${renewal.status.toLowerCase()}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Check that the property is free between the current and the new end
+   * date. The lease itself is excluded, so it never blocks its own
+   * extension. Only the maximum stay rule applies to an extension.
+   * @param {Object} lease - Lease including property
+   * @param {Date} newEndDate
+   * @param {Object} client - Prisma client or transaction
+   * @throws {AppError} 400/409 with the reason
+   */
+  async checkExtensionAvailable(lease, newEndDate, client = prisma) {
+    const hasOverlap = await bookingsService.hasOverlappingLease(
+      lease.propertyId,
+      lease.endDate,
+      newEndDate,
+      lease.id,
+      client
+    );
+
+    if (hasOverlap) {
+      throw new AppError(
+        'The property is booked by someone else during the extension',
+        409
+      );
+    }
+
+    const blocked = await availabilityService.findBlockedOverlaps(
+      lease.propertyId,
+      lease.endDate,
+      newEndDate,
+      client
+    );
+
+    if (blocked.length > 0) {
+      throw new AppError(
+        'The property is not available during the extension',
+        409
+      );
+    }
+
+    if (
+      lease.property.availableUntil &&
+      newEndDate > lease.property.availableUntil
+    ) {
+      throw new AppError(
+        `The property is only open for bookings until ${toDateString(
+          lease.property.availableUntil
+        )}`,
+        400
+      );
+    }
+
+    const tooLong = stayRulesService
+      .getViolations(
+        { maxStayDays: lease.property.maxStayDays },
+        lease.startDate,
+        newEndDate
+      )
+      .find(violation => violation.code === 'STAY_TOO_LONG');
+
+    if (tooLong) {
+      throw new AppError(tooLong.message, 400, tooLong.code);
+    }
+  }
+
+  /**
+   * Rent billing periods added by an extension. Uses the same calendar
+   * periods as the monthly rent invoices: a period that already started
+   * before the current end date was billed in full.
+   * @param {Object} lease - { startDate, endDate }
+   * @param {Date} newEndDate
+   * @returns {Array<{periodStart: Date, periodEnd: Date}>}
+   */
+  getExtensionPeriods(lease, newEndDate) {
+    return invoicesService
+      .getRentPeriods({ startDate: lease.startDate, endDate: newEndDate }, 0)
+      .filter(period => period.periodStart >= lease.endDate);
+  }
+
+  /**
+   * Price difference of an extension at a monthly rent
+   * @returns {number}
+   */
+  calculateExtensionAmount(lease, newEndDate, monthlyRent) {
+    const periods = this.getExtensionPeriods(lease, newEndDate);
+    return roundMoney(periods.length * parseFloat(monthlyRent));
+  }
+
+  formatRenewal(renewal, lease) {
+    return {
+      ...renewal,
+      extensionAmount: this.calculateExtensionAmount(
+        { startDate: lease.startDate, endDate: renewal.currentEndDate },
+        renewal.proposedEndDate,
+        renewal.monthlyRent
+      ),
+    };
+  }
+
+  /**
+   * List the renewal requests of a lease
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>}
+   */
+  async listRenewals(leaseId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+
+    const renewals = await prisma.leaseRenewal.findMany({
+      where: { leaseId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return renewals.map(renewal => this.formatRenewal(renewal, lease));
+  }
+
+  /**
+   * Tenant proposes a new end date
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user (tenant)
+   * @param {Object} data - { newEndDate, message }
+   * @returns {Promise<Object>} Created renewal request
+   */
+  async requestRenewal(leaseId, user, { newEndDate, message }) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertTenant(lease, user);
+
+    if (!RENEWABLE_LEASE_STATUSES.includes(lease.status)) {
+      throw new AppError('Only approved or active leases can be extended', 400);
+    }
+
+    const proposedEndDate = new Date(newEndDate);
+    if (proposedEndDate <= lease.endDate) {
+      throw new AppError(
+        'The new end date must be after the current end date',
+        400
+      );
+    }
+
+    const openRenewal = await prisma.leaseRenewal.findFirst({
+      where: { leaseId, status: { in: OPEN_RENEWAL_STATUSES } },
+    });
+
+    if (openRenewal) {
+      throw new AppError(
+        'There is already an open renewal request for this lease',
+        409
+      );
+    }
+
+    await this.checkExtensionAvailable(lease, proposedEndDate);
+
+    const renewal = await prisma.leaseRenewal.create({
+      data: {
+        leaseId,
+        currentEndDate: lease.endDate,
+        proposedEndDate,
+        monthlyRent: lease.rentAmount,
+        tenantMessage: message || null,
+      },
+    });
+
+    await notificationService.notifyUser(
+      lease.landlord,
+      'Lease extension requested',
+      `${lease.tenant.name} would like to extend lease ${lease.code} for "${lease.property.title}" until ${toDateString(proposedEndDate)}. Review the request in the app.`
+    );
+
+    return this.formatRenewal(renewal, lease);
+  }
+
+  /**
+   * Landlord approves a pending request at the current rent
+   * @returns {Promise<Object>} { renewal, lease, invoice }
+   */
+  async approveRenewal(leaseId, renewalId, user, { message } = {}) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertLandlord(lease, user);
+
+    const renewal = await this.getRenewal(lease, renewalId);
+    this.assertStatus(renewal, ['PENDING']);
+
+    return this.applyRenewal(lease, renewal, {
+      landlordMessage: message || renewal.landlordMessage,
+    });
+  }
+
+  /**
+   * Landlord counters with a new monthly rent for the extension
+   * @returns {Promise<Object>} Updated renewal request
+   */
+  async counterRenewal(leaseId, renewalId, user, { monthlyRent, message }) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertLandlord(lease, user);
+
+    const renewal = await this.getRenewal(lease, renewalId);
+    this.assertStatus(renewal, OPEN_RENEWAL_STATUSES);
+
+    const updated = await this.updateRenewalStatus(renewal, {
+      status: 'COUNTERED',
+      monthlyRent: roundMoney(parseFloat(monthlyRent)),
+      landlordMessage: message || null,
+      respondedAt: new Date(),
+    });
+
+    await notificationService.notifyUser(
+      lease.tenant,
+      'Counter-offer for your lease extension',
+      `The landlord of "${lease.property.title}" offers to extend lease ${lease.code} until ${toDateString(renewal.proposedEndDate)} at ${lease.currencyCode} ${updated.monthlyRent} per month. Accept or decline it in the app.`
+    );
+
+    return this.formatRenewal(updated, lease);
+  }
+
+  /**
+   * Landlord rejects an open request
+   * @returns {Promise<Object>} Updated renewal request
+   */
+  async rejectRenewal(leaseId, renewalId, user, { message } = {}) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertLandlord(lease, user);
+
+    const renewal = await this.getRenewal(lease, renewalId);
+    this.assertStatus(renewal, OPEN_RENEWAL_STATUSES);
+
+    const updated = await this.updateRenewalStatus(renewal, {
+      status: 'REJECTED',
+      landlordMessage: message || null,
+      respondedAt: new Date(),
+    });
+
+    await notificationService.notifyUser(
+      lease.tenant,
+      'Lease extension declined',
+      `Your request to extend lease ${lease.code} for "${lease.property.title}" was declined.${message ? ` Message from the landlord: ${message}` : ''}`
+    );
+
+    return this.formatRenewal(updated, lease);
+  }
+
+  /**
+   * Tenant accepts the landlord's counter-offer
+   * @returns {Promise<Object>} { renewal, lease, invoice }
+   */
+  async acceptCounterOffer(leaseId, renewalId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertTenant(lease, user);
+
+    const renewal = await this.getRenewal(lease, renewalId);
+    this.assertStatus(renewal, ['COUNTERED']);
+
+    return this.applyRenewal(lease, renewal);
+  }
+
+  /**
+   * Tenant withdraws a request or declines a counter-offer
+   * @returns {Promise<Object>} Updated renewal request
+   */
+  async cancelRenewal(leaseId, renewalId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertTenant(lease, user);
+
+    const renewal = await this.getRenewal(lease, renewalId);
+    this.assertStatus(renewal, OPEN_RENEWAL_STATUSES);
+
+    const updated = await this.updateRenewalStatus(renewal, {
+      status: 'CANCELLED',
+    });
+
+    return this.formatRenewal(updated, lease);
+  }
+
+  /**
+   * Update a renewal only if its status did not change in the meantime
+   */
+  async updateRenewalStatus(renewal, data, client = prisma) {
+    const { count } = await client.leaseRenewal.updateMany({
+      where: { id: renewal.id, status: renewal.status },
+      data,
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        'This renewal request was updated in the meantime',
+        409
+      );
+    }
+
+    return client.leaseRenewal.findUnique({ where: { id: renewal.id } });
+  }
+
+  /**
+   * Extend the lease, bill the extension and regenerate the agreement
+   * @param {Object} lease - Lease including property and parties
+   * @param {Object} renewal - Renewal being approved
+   * @param {Object} data - Extra renewal fields to store
+   * @returns {Promise<Object>} { renewal, lease, invoice }
+   */
+  async applyRenewal(lease, renewal, data = {}) {
+    const now = new Date();
+
+    const result = await prisma.$transaction(async tx => {
+      // Same lock as booking creation, so nobody books the extra dates
+      await bookingsService.lockPropertyForBooking(tx, lease.propertyId);
+
+      const current = await tx.lease.findUnique({
+        where: { id: lease.id },
+        select: { status: true, endDate: true },
+      });
+
+      if (
+        !RENEWABLE_LEASE_STATUSES.includes(current.status) ||
+        current.endDate.getTime() !== renewal.currentEndDate.getTime()
+      ) {
+        throw new AppError(
+          'The lease changed since the renewal was requested',
+          409
+        );
+      }
+
+      await this.checkExtensionAvailable(lease, renewal.proposedEndDate, tx);
+
+      const amount = this.calculateExtensionAmount(
+        lease,
+        renewal.proposedEndDate,
+        renewal.monthlyRent
+      );
+
+      let invoice = null;
+      if (amount > 0) {
+        const [firstPeriod] = this.getExtensionPeriods(
+          lease,
+          renewal.proposedEndDate
+        );
+
+        const memo = `Lease extension ${toDateString(
+          firstPeriod.periodStart
+        )} - ${toDateString(renewal.proposedEndDate)}`;
+        const tax = await taxesService.calculateInvoice(
+          lease.id,
+          'RENT',
+          amount,
+          memo,
+          tx
+        );
+
+        // Covers every extension period, so the monthly rent job skips them
+        invoice = await tx.invoice.create({
+          data: {
+            leaseId: lease.id,
+            type: 'RENT',
+            amount: tax.amount,
+            taxAmount: tax.taxAmount,
+            currencyCode: lease.currencyCode,
+            dueDate: now,
+            periodStart: firstPeriod.periodStart,
+            periodEnd: renewal.proposedEndDate,
+            memo,
+            taxLines: { create: tax.lines },
+          },
+          include: { payments: true, taxLines: true },
+        });
+      }
+
+      const approved = await this.updateRenewalStatus(
+        renewal,
+        {
+          ...data,
+          status: 'APPROVED',
+          approvedAt: now,
+          respondedAt: renewal.respondedAt || now,
+          invoiceId: invoice?.id || null,
+        },
+        tx
+      );
+
+      const extendedLease = await tx.lease.update({
+        where: { id: lease.id },
+        data: { endDate: renewal.proposedEndDate },
+        include: leaseInclude,
+      });
+
+      return { renewal: approved, lease: extendedLease, invoice };
+    });
+
+    console.log(
+      `📆 Lease ${lease.code} extended to ${toDateString(result.lease.endDate)}`
+    );
+
+    // The agreement states the lease period, so it is generated again.
+    // Don't fail the extension if PDF generation fails.
+    try {
+      await pdfGenerationService.generateAndUploadRentalAgreementPDF(lease.id);
+    } catch (pdfError) {
+      console.error(
+        `❌ Error regenerating rental agreement for lease ${lease.code}:`,
+        pdfError.message
+      );
+    }
+
+    emitLeaseEvent(LEASE_EVENTS.RENEWED, result);
+
+    return {
+      ...result,
+      renewal: this.formatRenewal(result.renewal, result.lease),
+      invoice: result.invoice && invoicesService.formatInvoice(result.invoice),
+    };
+  }
+}
+
+module.exports = new LeaseRenewalsService();
@@ -0,0 +1,47 @@
+const { body, param } = require('express-validator');
+
+const bookingIdValidation = [
+  param('bookingId').isUUID().withMessage('Invalid booking ID format'),
+];
+
+const renewalIdValidation = [
+  ...bookingIdValidation,
+  param('renewalId').isUUID().withMessage('Invalid renewal ID format'),
+];
+
+const messageValidation = body('message')
+  .optional()
+  .isString()
+  .withMessage('Message must be a string')
+  .isLength({ max: 1000 })
+  .withMessage('Message must be at most 1000 characters');
+
+const requestRenewalValidation = [
+  ...bookingIdValidation,
+  body('newEndDate')
+    .notEmpty()
+    .withMessage('New end date is required')
+    .isISO8601()
+    .withMessage('New end date must be a valid date'),
+  messageValidation,
+];
+
+const respondRenewalValidation = [...renewalIdValidation, messageValidation];
+
+const counterRenewalValidation = [
+  ...renewalIdValidation,
+  body('monthlyRent')
+    .notEmpty()
+    .withMessage('Monthly rent is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Monthly rent must be a positive number'),
+  messageValidation,
+];
+
+module.exports = {
+  bookingIdValidation,
+  renewalIdValidation,
+  requestRenewalValidation,
+  respondRenewalValidation,
+  counterRenewalValidation,
+};
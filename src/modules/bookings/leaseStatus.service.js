@@ -0,0 +1,285 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const { LEASE_EVENTS, emitLeaseEvent } = require('../../events/leaseEvents');
+
+const LEASE_STATUS_ERRORS = {
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  STATUS_TRANSITION_NOT_ALLOWED: 'STATUS_TRANSITION_NOT_ALLOWED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+};
+
+/**
+ * Legal lease status transitions and who may trigger each one.
+ * SYSTEM covers background jobs and Stripe webhooks. REJECTED, CANCELLED,
+ * REFUNDED and COMPLETED are final; a PARTIALLY_REFUNDED booking can still
+ * get the rest of its payment back. A booking paid after it was approved is
+ * PAID and starts like an APPROVED one.
+ */
+const TRANSITIONS = {
+  PENDING: {
+    PAID: ['TENANT', 'SYSTEM'],
+    APPROVED: ['LANDLORD', 'ADMIN'],
+    REJECTED: ['LANDLORD', 'ADMIN'],
+    CANCELLED: ['ADMIN', 'SYSTEM'],
+    REFUNDED: ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'],
+  },
+  PAID: {
+    APPROVED: ['LANDLORD', 'ADMIN'],
+    ACTIVE: ['SYSTEM'],
+    REJECTED: ['LANDLORD', 'ADMIN'],
+    REFUNDED: ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'],
+    PARTIALLY_REFUNDED: ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'],
+  },
+  APPROVED: {
+    PAID: ['TENANT', 'SYSTEM'],
+    ACTIVE: ['SYSTEM'],
+    CANCELLED: ['ADMIN', 'SYSTEM'],
+    REFUNDED: ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'],
+    PARTIALLY_REFUNDED: ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'],
+  },
+  ACTIVE: {
+    COMPLETED: ['SYSTEM'],
+    REFUNDED: ['LANDLORD', 'ADMIN', 'SYSTEM'],
+    PARTIALLY_REFUNDED: ['LANDLORD', 'ADMIN', 'SYSTEM'],
+  },
+  PARTIALLY_REFUNDED: {
+    REFUNDED: ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'],
+  },
+  REJECTED: {},
+  CANCELLED: {},
+  REFUNDED: {},
+  COMPLETED: {},
+};
+
+// Statuses that give the dates of a booking back before its stay
+const RELEASING_STATUSES = [
+  'REJECTED',
+  'CANCELLED',
+  'REFUNDED',
+  'PARTIALLY_REFUNDED',
+];
+
+class LeaseStatusService {
+  /**
+   * Role a user acts as on a lease. Without a user the change is made by
+   * the system (jobs, webhooks).
+   * @param {Object} lease - Lease with tenantId and landlordId
+   * @param {Object|null} user - { id, role }
+   * @returns {string} TENANT, LANDLORD, ADMIN or SYSTEM
+   */
+  getActorRole(lease, user) {
+    if (!user) return 'SYSTEM';
+    if (lease.tenantId === user.id) return 'TENANT';
+    if (lease.landlordId === user.id) return 'LANDLORD';
+    if (user.role === 'ADMIN') return 'ADMIN';
+    return null;
+  }
+
+  /**
+   * Statuses a lease can move to, optionally only those an actor may trigger
+   * @param {string} fromStatus
+   * @param {string} actorRole
+   * @returns {Array<string>}
+   */
+  getAllowedTransitions(fromStatus, actorRole = null) {
+    return Object.entries(TRANSITIONS[fromStatus] || {})
+      .filter(([, roles]) => !actorRole || roles.includes(actorRole))
+      .map(([toStatus]) => toStatus);
+  }
+
+  canTransition(fromStatus, toStatus, actorRole) {
+    return this.getAllowedTransitions(fromStatus, actorRole).includes(toStatus);
+  }
+
+  /**
+   * @throws {AppError} 409 INVALID_STATUS_TRANSITION when the transition
+   * does not exist, 403 STATUS_TRANSITION_NOT_ALLOWED when the actor may
+   * not trigger it
+   */
+  assertTransition(fromStatus, toStatus, actorRole) {
+    const roles = TRANSITIONS[fromStatus]?.[toStatus];
+
+    if (!roles) {
+      throw new AppError(
+        `Cannot change booking status from ${fromStatus} to ${toStatus}`,
+        409,
+        LEASE_STATUS_ERRORS.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    if (!roles.includes(actorRole)) {
+      throw new AppError(
+        `You are not allowed to change this booking from ${fromStatus} to ${toStatus}`,
+        403,
+        LEASE_STATUS_ERRORS.STATUS_TRANSITION_NOT_ALLOWED
+      );
+    }
+  }
+
+  /**
+   * Change the status of a lease and record it in the status history.
+   * The update only applies if the status did not change since it was read.
+   * @param {string} leaseId
+   * @param {string} toStatus
+   * @param {Object} options
+   * @param {Object} options.user - User making the change, none for SYSTEM
+   * @param {string} options.reason - Stored in the history
+   * @param {Object} options.data - Other lease fields to update
+   * @param {string} options.fromStatus - Only apply from this status
+   * @param {Object} options.where - Extra conditions for the update
+   * @param {Object} options.include - Include for the returned lease
+   * @param {Object} options.client - Transaction to run in. The caller then
+   * calls emitStatusEvents once the transaction is committed.
+   * @returns {Promise<Object>} Updated lease
+   */
+  async transition(leaseId, toStatus, options = {}) {
+    if (options.client) {
+      return this.applyTransition(options.client, leaseId, toStatus, options);
+    }
+
+    const lease = await prisma.$transaction(tx =>
+      this.applyTransition(tx, leaseId, toStatus, options)
+    );
+    this.emitStatusEvents(lease, toStatus);
+
+    return lease;
+  }
+
+  /**
+   * Emit the lease events of a committed status change
+   * @param {Object} lease - Updated lease
+   * @param {string} toStatus
+   */
+  emitStatusEvents(lease, toStatus) {
+    if (RELEASING_STATUSES.includes(toStatus)) {
+      emitLeaseEvent(LEASE_EVENTS.RELEASED, { lease, status: toStatus });
+    }
+  }
+
+  async applyTransition(
+    client,
+    leaseId,
+    toStatus,
+    {
+      user = null,
+      reason = null,
+      data = {},
+      fromStatus,
+      where = {},
+      include,
+    } = {}
+  ) {
+    const lease = await client.lease.findUnique({
+      where: { id: leaseId },
+      select: { id: true, status: true, tenantId: true, landlordId: true },
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (fromStatus && lease.status !== fromStatus) {
+      throw this.statusChangedError();
+    }
+
+    const actorRole = this.getActorRole(lease, user);
+    this.assertTransition(lease.status, toStatus, actorRole);
+
+    const { count } = await client.lease.updateMany({
+      where: { ...where, id: leaseId, status: lease.status },
+      data: { ...data, status: toStatus },
+    });
+
+    if (count === 0) {
+      throw this.statusChangedError();
+    }
+
+    await client.leaseStatusHistory.create({
+      data: {
+        leaseId,
+        fromStatus: lease.status,
+        toStatus,
+        actorRole,
+        actorId: user?.id || null,
+        reason,
+      },
+    });
+
+    return client.lease.findUnique({ where: { id: leaseId }, include });
+  }
+
+  statusChangedError() {
+    return new AppError(
+      'The booking was updated in the meantime, please try again',
+      409,
+      LEASE_STATUS_ERRORS.STATUS_CHANGED
+    );
+  }
+
+  /**
+   * Record the initial status of a new lease
+   * @param {Object} lease - Created lease
+   * @param {Object} user - Tenant who booked
+   * @param {Object} client - Transaction the lease was created in
+   */
+  async recordCreated(lease, user, client = prisma) {
+    return client.leaseStatusHistory.create({
+      data: {
+        leaseId: lease.id,
+        fromStatus: null,
+        toStatus: lease.status,
+        actorRole: this.getActorRole(lease, user) || 'SYSTEM',
+        actorId: user?.id || null,
+        reason:
+          lease.status === 'APPROVED'
+            ? 'Booking created (auto-approved)'
+            : 'Booking created',
+      },
+    });
+  }
+
+  /**
+   * Status history of a lease, oldest first
+   * @param {string} leaseId
+   * @param {Object} user - Tenant, landlord or admin
+   * @returns {Promise<Object>} { status, allowedTransitions, history }
+   */
+  async getHistory(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: { id: true, status: true, tenantId: true, landlordId: true },
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    const actorRole = this.getActorRole(lease, user);
+    if (!actorRole) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    const history = await prisma.leaseStatusHistory.findMany({
+      where: { leaseId },
+      include: {
+        actor: {
+          select: {
+            id: true,
+            name: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return {
+      status: lease.status,
+      allowedTransitions: this.getAllowedTransitions(lease.status, actorRole),
+      history,
+    };
+  }
+}
+
+module.exports = new LeaseStatusService();
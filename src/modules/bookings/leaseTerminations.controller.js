@@ -0,0 +1,166 @@
+const { validationResult } = require('express-validator');
+const leaseTerminationsService = require('./leaseTerminations.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * List termination notices of a booking
+ * GET /api/v1/bookings/:bookingId/terminations
+ */
+exports.listTerminations = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseTerminationsService.listTerminations(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * File an early termination notice (tenant or landlord)
+ * POST /api/v1/bookings/:bookingId/terminations
+ */
+exports.fileTermination = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseTerminationsService.fileTermination(
+    req.params.bookingId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Termination notice filed successfully',
+    data: result,
+  });
+});
+
+/**
+ * Acknowledge a termination notice (other party)
+ * POST /api/v1/bookings/:bookingId/terminations/:terminationId/acknowledge
+ */
+exports.acknowledgeTermination = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseTerminationsService.acknowledgeTermination(
+    req.params.bookingId,
+    req.params.terminationId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Lease ended early successfully',
+    data: result,
+  });
+});
+
+/**
+ * Dispute a termination notice (other party)
+ * POST /api/v1/bookings/:bookingId/terminations/:terminationId/dispute
+ */
+exports.disputeTermination = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseTerminationsService.disputeTermination(
+    req.params.bookingId,
+    req.params.terminationId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Termination notice disputed',
+    data: result,
+  });
+});
+
+/**
+ * Resolve a disputed termination notice (admin)
+ * POST /api/v1/bookings/:bookingId/terminations/:terminationId/resolve
+ */
+exports.resolveTermination = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseTerminationsService.resolveDispute(
+    req.params.bookingId,
+    req.params.terminationId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Dispute resolved successfully',
+    data: result,
+  });
+});
+
+/**
+ * Withdraw a termination notice (initiator)
+ * POST /api/v1/bookings/:bookingId/terminations/:terminationId/cancel
+ */
+exports.cancelTermination = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await leaseTerminationsService.cancelTermination(
+    req.params.bookingId,
+    req.params.terminationId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Termination notice withdrawn',
+    data: result,
+  });
+});
@@ -0,0 +1,344 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const leaseTerminationsController = require('./leaseTerminations.controller');
+const {
+  bookingIdValidation,
+  terminationIdValidation,
+  fileTerminationValidation,
+  acknowledgeTerminationValidation,
+  disputeTerminationValidation,
+  resolveTerminationValidation,
+} = require('./leaseTerminations.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaseTermination:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         initiatedBy:
+ *           type: string
+ *           enum: [TENANT, LANDLORD]
+ *         reason:
+ *           type: string
+ *         noticeDate:
+ *           type: string
+ *           format: date-time
+ *         effectiveDate:
+ *           type: string
+ *           format: date-time
+ *           description: Day the lease ends
+ *         originalEndDate:
+ *           type: string
+ *           format: date-time
+ *         noticeDays:
+ *           type: integer
+ *           description: Notice required by the property terms
+ *         shortfallDays:
+ *           type: integer
+ *           description: Days of notice missing
+ *         penaltyAmount:
+ *           type: number
+ *           description: Owed by the tenant (notice shortfall and early termination fee)
+ *         compensationAmount:
+ *           type: number
+ *           description: Owed to the tenant when the landlord gives short notice
+ *         usedRentAmount:
+ *           type: number
+ *           description: Unpaid rent for days used in a voided invoice period
+ *         unusedRentAmount:
+ *           type: number
+ *           description: Paid rent for days after the effective date
+ *         settlementAmount:
+ *           type: number
+ *           description: Positive when the tenant is charged, negative when refunded
+ *         status:
+ *           type: string
+ *           enum: [PENDING, ACKNOWLEDGED, DISPUTED, CANCELLED]
+ *         responseNote:
+ *           type: string
+ *         invoiceId:
+ *           type: string
+ *           description: Settlement invoice when the tenant owes money
+ *         refundedAmount:
+ *           type: number
+ *           description: Amount refunded through Stripe when the tenant is owed money
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/terminations:
+ *   get:
+ *     summary: List termination notices of a booking
+ *     tags: [Lease Terminations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Termination notices retrieved successfully
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or termination notice not found
+ */
+router.get(
+  '/:bookingId/terminations',
+  auth,
+  bookingIdValidation,
+  leaseTerminationsController.listTerminations
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/terminations:
+ *   post:
+ *     summary: File an early termination notice (tenant or landlord)
+ *     description: Notice shortfall and fees come from the property terms (terminationNoticeDays, earlyTerminationFeeMonths) or the platform defaults. Amounts are an estimate until the notice is acknowledged.
+ *     tags: [Lease Terminations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - effectiveDate
+ *             properties:
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Termination notice filed with the estimated settlement
+ *       400:
+ *         description: Validation error, lease not active or invalid effective date
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or termination notice not found
+ *       409:
+ *         description: An open termination notice already exists
+ */
+router.post(
+  '/:bookingId/terminations',
+  auth,
+  fileTerminationValidation,
+  leaseTerminationsController.fileTermination
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/terminations/{terminationId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge a termination notice (other party)
+ *     description: Ends the lease on the effective date. Unpaid rent invoices after that date are voided; the tenant is invoiced or refunded the settlement.
+ *     tags: [Lease Terminations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: terminationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lease ended early and settled
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or termination notice not found
+ *       409:
+ *         description: Notice is no longer pending or the lease changed
+ */
+router.post(
+  '/:bookingId/terminations/:terminationId/acknowledge',
+  auth,
+  acknowledgeTerminationValidation,
+  leaseTerminationsController.acknowledgeTermination
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/terminations/{terminationId}/dispute:
+ *   post:
+ *     summary: Dispute a termination notice (other party)
+ *     tags: [Lease Terminations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: terminationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Termination notice disputed, waiting for an admin decision
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or termination notice not found
+ *       409:
+ *         description: Notice is no longer pending
+ */
+router.post(
+  '/:bookingId/terminations/:terminationId/dispute',
+  auth,
+  disputeTerminationValidation,
+  leaseTerminationsController.disputeTermination
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/terminations/{terminationId}/resolve:
+ *   post:
+ *     summary: Resolve a disputed termination notice (admin)
+ *     tags: [Lease Terminations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: terminationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [uphold, cancel]
+ *               penaltyAmount:
+ *                 type: number
+ *                 description: Overrides the computed penalty when upholding
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute resolved successfully
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or termination notice not found
+ *       409:
+ *         description: Notice is not disputed
+ */
+router.post(
+  '/:bookingId/terminations/:terminationId/resolve',
+  auth,
+  authorize('ADMIN'),
+  resolveTerminationValidation,
+  leaseTerminationsController.resolveTermination
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/terminations/{terminationId}/cancel:
+ *   post:
+ *     summary: Withdraw a termination notice (initiator)
+ *     tags: [Lease Terminations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: terminationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Termination notice withdrawn
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or termination notice not found
+ *       409:
+ *         description: Notice is no longer open
+ */
+router.post(
+  '/:bookingId/terminations/:terminationId/cancel',
+  auth,
+  terminationIdValidation,
+  leaseTerminationsController.cancelTermination
+);
+
+module.exports = router;
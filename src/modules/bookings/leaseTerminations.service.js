@@ -0,0 +1,623 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const bookingConfig = require('../../config/booking');
+const notificationService = require('../../services/notification.service');
+const invoicesService = require('../invoices/invoices.service');
+const taxesService = require('../taxes/taxes.service');
+const paymentService = require('../payments/payments.service');
+const { LEASE_EVENTS, emitLeaseEvent } = require('../../events/leaseEvents');
+const { toDateString } = require('../../utils/dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_TERMINATION_STATUSES = ['PENDING', 'DISPUTED'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const startOfDay = date => {
+  const result = new Date(date);
+  result.setUTCHours(0, 0, 0, 0);
+  return result;
+};
+
+const daysBetween = (from, to) => Math.max(0, Math.ceil((to - from) / DAY_MS));
+
+const partySelect = {
+  select: {
+    id: true,
+    email: true,
+    name: true,
+  },
+};
+
+const leaseInclude = {
+  property: {
+    select: {
+      id: true,
+      title: true,
+      terminationNoticeDays: true,
+      earlyTerminationFeeMonths: true,
+    },
+  },
+  tenant: partySelect,
+  landlord: partySelect,
+  quote: { select: { upfrontMonths: true } },
+};
+
+class LeaseTerminationsService {
+  /**
+   * Get a lease the user is a party of (or any lease for admins)
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getLeaseForUser(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: leaseInclude,
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (
+      user.role !== 'ADMIN' &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    return lease;
+  }
+
+  async getTermination(lease, terminationId) {
+    const termination = await prisma.leaseTermination.findFirst({
+      where: { id: terminationId, leaseId: lease.id },
+    });
+
+    if (!termination) {
+      throw new AppError('Termination notice not found', 404);
+    }
+
+    return termination;
+  }
+
+  getParty(lease, user) {
+    if (lease.tenantId === user.id) return 'TENANT';
+    if (lease.landlordId === user.id) return 'LANDLORD';
+    return null;
+  }
+
+  assertStatus(termination, statuses) {
+    if (!statuses.includes(termination.status)) {
+      throw new AppError(
+        `This termination notice is already ${termination.status.toLowerCase()}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Termination terms of a property, falling back to the defaults
+   * @param {Object} property
+   * @returns {Object} { noticeDays, feeMonths }
+   */
+  getTerms(property) {
+    const { termination } = bookingConfig;
+
+    return {
+      noticeDays: property.terminationNoticeDays ?? termination.noticeDays,
+      feeMonths:
+        property.earlyTerminationFeeMonths != null
+          ? parseFloat(property.earlyTerminationFeeMonths)
+          : termination.feeMonths,
+    };
+  }
+
+  /**
+   * Rent periods billed for a lease, with the amount billed for each.
+   * Upfront months were paid with the booking (the whole stay for leases
+   * booked without a quote); the others come from RENT invoices.
+   * @param {Object} lease - Lease including quote
+   * @param {Array} invoices - RENT invoices of the lease
+   * @returns {Array<{periodStart, periodEnd, amount, invoice}>}
+   */
+  getBilledPeriods(lease, invoices) {
+    const billed = [];
+
+    if (lease.paymentStatus === 'paid') {
+      const periods = invoicesService.getRentPeriods(lease, 0);
+      const upfrontMonths = lease.quote
+        ? lease.quote.upfrontMonths
+        : periods.length;
+
+      periods.slice(0, upfrontMonths).forEach(period => {
+        billed.push({ ...period, amount: parseFloat(lease.rentAmount) });
+      });
+    }
+
+    invoices
+      .filter(invoice => invoice.status !== 'VOID' && invoice.periodStart)
+      .forEach(invoice => {
+        billed.push({
+          periodStart: invoice.periodStart,
+          periodEnd: invoice.periodEnd,
+          amount: parseFloat(invoice.amount),
+          invoice,
+        });
+      });
+
+    return billed;
+  }
+
+  /**
+   * Compute the settlement of ending a lease on a date.
+   * - Notice shortfall: days of notice missing, at a daily rent of 1/30 of
+   *   the monthly rent. Owed by the tenant, or to the tenant when the
+   *   landlord gives short notice.
+   * - Fee: months of rent from the property terms (tenant-initiated only).
+   * - Unpaid rent invoices after the effective date are voided; the used
+   *   part of an unpaid invoice spanning it is charged instead.
+   * - Rent paid for days after the effective date is credited back.
+   * @param {Object} lease - Lease including property, quote
+   * @param {Object} notice - { initiatedBy, noticeDate, effectiveDate }
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Amounts and the invoices to void
+   */
+  async calculateSettlement(lease, notice, client = prisma) {
+    const { initiatedBy, noticeDate, effectiveDate } = notice;
+    const { noticeDays, feeMonths } = this.getTerms(lease.property);
+    const monthlyRent = parseFloat(lease.rentAmount);
+    const dailyRent = monthlyRent / 30;
+
+    const givenNoticeDays = daysBetween(startOfDay(noticeDate), effectiveDate);
+    const shortfallDays = Math.max(0, noticeDays - givenNoticeDays);
+    const shortfallAmount = roundMoney(shortfallDays * dailyRent);
+
+    const penaltyAmount =
+      initiatedBy === 'TENANT'
+        ? roundMoney(shortfallAmount + feeMonths * monthlyRent)
+        : 0;
+    const compensationAmount = initiatedBy === 'LANDLORD' ? shortfallAmount : 0;
+
+    const invoices = await client.invoice.findMany({
+      where: { leaseId: lease.id, type: 'RENT' },
+      include: { payments: true },
+    });
+
+    // Unpaid invoices running past the effective date are replaced by a
+    // charge for the days actually used
+    const invoicesToVoid = invoices.filter(
+      invoice =>
+        invoice.status === 'DUE' &&
+        invoice.periodEnd > effectiveDate &&
+        invoicesService.getAmountPaid(invoice) === 0
+    );
+    const voidIds = new Set(invoicesToVoid.map(invoice => invoice.id));
+
+    const usedRentAmount = roundMoney(
+      invoicesToVoid
+        .filter(invoice => invoice.periodStart < effectiveDate)
+        .reduce(
+          (sum, invoice) =>
+            sum + daysBetween(invoice.periodStart, effectiveDate) * dailyRent,
+          0
+        )
+    );
+
+    const unusedRentAmount = roundMoney(
+      this.getBilledPeriods(
+        lease,
+        invoices.filter(invoice => !voidIds.has(invoice.id))
+      )
+        .filter(period => period.periodEnd > effectiveDate)
+        .reduce((sum, period) => {
+          const from =
+            period.periodStart > effectiveDate
+              ? period.periodStart
+              : effectiveDate;
+          const credit = daysBetween(from, period.periodEnd) * dailyRent;
+          return sum + Math.min(credit, period.amount);
+        }, 0)
+    );
+
+    return {
+      noticeDays,
+      shortfallDays,
+      penaltyAmount,
+      compensationAmount,
+      usedRentAmount,
+      unusedRentAmount,
+      settlementAmount: roundMoney(
+        penaltyAmount + usedRentAmount - compensationAmount - unusedRentAmount
+      ),
+      invoicesToVoid,
+    };
+  }
+
+  /**
+   * List termination notices of a lease
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>}
+   */
+  async listTerminations(leaseId, user) {
+    await this.getLeaseForUser(leaseId, user);
+
+    return prisma.leaseTermination.findMany({
+      where: { leaseId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * File a notice to end an active lease early
+   * @param {string} leaseId
+   * @param {Object} user - Tenant or landlord of the lease
+   * @param {Object} data - { effectiveDate, reason }
+   * @returns {Promise<Object>} Created termination notice with estimated amounts
+   */
+  async fileTermination(leaseId, user, { effectiveDate, reason }) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const initiatedBy = this.getParty(lease, user);
+
+    if (!initiatedBy) {
+      throw new AppError(
+        'Only the tenant or the landlord can end a lease',
+        403
+      );
+    }
+
+    if (lease.status !== 'ACTIVE') {
+      throw new AppError('Only active leases can be ended early', 400);
+    }
+
+    const noticeDate = new Date();
+    const effective = startOfDay(new Date(effectiveDate));
+
+    if (effective < startOfDay(noticeDate)) {
+      throw new AppError('The effective date cannot be in the past', 400);
+    }
+
+    if (effective >= lease.endDate) {
+      throw new AppError(
+        'The effective date must be before the lease end date',
+        400
+      );
+    }
+
+    const openTermination = await prisma.leaseTermination.findFirst({
+      where: { leaseId, status: { in: OPEN_TERMINATION_STATUSES } },
+    });
+
+    if (openTermination) {
+      throw new AppError(
+        'There is already an open termination notice for this lease',
+        409
+      );
+    }
+
+    const { invoicesToVoid: _invoicesToVoid, ...amounts } =
+      await this.calculateSettlement(lease, {
+        initiatedBy,
+        noticeDate,
+        effectiveDate: effective,
+      });
+
+    const termination = await prisma.leaseTermination.create({
+      data: {
+        leaseId,
+        initiatedById: user.id,
+        initiatedBy,
+        reason: reason || null,
+        noticeDate,
+        effectiveDate: effective,
+        originalEndDate: lease.endDate,
+        ...amounts,
+      },
+    });
+
+    const otherParty = initiatedBy === 'TENANT' ? lease.landlord : lease.tenant;
+    await notificationService.notifyUser(
+      otherParty,
+      'Early termination notice',
+      `${user.name || 'The other party'} wants to end lease ${lease.code} for "${lease.property.title}" on ${toDateString(effective)}. Acknowledge or dispute the notice in the app.`
+    );
+
+    return termination;
+  }
+
+  /**
+   * The other party accepts the notice; the lease is ended and settled
+   * @returns {Promise<Object>} Settled termination
+   */
+  async acknowledgeTermination(leaseId, terminationId, user, { note } = {}) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const termination = await this.getTermination(lease, terminationId);
+    this.assertStatus(termination, ['PENDING']);
+
+    const party = this.getParty(lease, user);
+    if (!party || party === termination.initiatedBy) {
+      throw new AppError(
+        'Only the other party can acknowledge this notice',
+        403
+      );
+    }
+
+    return this.settleTermination(lease, termination, {
+      responseNote: note || null,
+      respondedById: user.id,
+      respondedAt: new Date(),
+    });
+  }
+
+  /**
+   * The other party disputes the notice; an admin decides
+   * @returns {Promise<Object>} Updated termination
+   */
+  async disputeTermination(leaseId, terminationId, user, { reason }) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const termination = await this.getTermination(lease, terminationId);
+    this.assertStatus(termination, ['PENDING']);
+
+    const party = this.getParty(lease, user);
+    if (!party || party === termination.initiatedBy) {
+      throw new AppError('Only the other party can dispute this notice', 403);
+    }
+
+    const updated = await this.updateTerminationStatus(termination, {
+      status: 'DISPUTED',
+      responseNote: reason,
+      respondedById: user.id,
+      respondedAt: new Date(),
+    });
+
+    console.log(`⚖️  Termination of lease ${lease.code} disputed`);
+
+    return updated;
+  }
+
+  /**
+   * Admin decision on a disputed notice: uphold it (optionally with an
+   * adjusted penalty) or cancel it
+   * @param {Object} data - { action: 'uphold'|'cancel', penaltyAmount, note }
+   * @returns {Promise<Object>} Updated termination
+   */
+  async resolveDispute(leaseId, terminationId, user, data) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const termination = await this.getTermination(lease, terminationId);
+    this.assertStatus(termination, ['DISPUTED']);
+
+    const resolution = {
+      resolvedById: user.id,
+      resolvedAt: new Date(),
+      ...(data.note && { responseNote: data.note }),
+    };
+
+    if (data.action === 'cancel') {
+      const cancelled = await this.updateTerminationStatus(termination, {
+        ...resolution,
+        status: 'CANCELLED',
+      });
+
+      await Promise.all(
+        [lease.tenant, lease.landlord].map(party =>
+          notificationService.notifyUser(
+            party,
+            'Early termination cancelled',
+            `The termination notice for lease ${lease.code} was cancelled after review. The lease continues until ${toDateString(lease.endDate)}.`
+          )
+        )
+      );
+
+      return cancelled;
+    }
+
+    return this.settleTermination(lease, termination, resolution, {
+      penaltyAmount:
+        data.penaltyAmount !== undefined && data.penaltyAmount !== null
+          ? roundMoney(parseFloat(data.penaltyAmount))
+          : undefined,
+    });
+  }
+
+  /**
+   * The party who filed the notice withdraws it
+   * @returns {Promise<Object>} Updated termination
+   */
+  async cancelTermination(leaseId, terminationId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const termination = await this.getTermination(lease, terminationId);
+    this.assertStatus(termination, OPEN_TERMINATION_STATUSES);
+
+    if (termination.initiatedById !== user.id) {
+      throw new AppError('Only the party who filed it can withdraw it', 403);
+    }
+
+    return this.updateTerminationStatus(termination, { status: 'CANCELLED' });
+  }
+
+  /**
+   * Update a termination only if its status did not change in the meantime
+   */
+  async updateTerminationStatus(termination, data, client = prisma) {
+    const { count } = await client.leaseTermination.updateMany({
+      where: { id: termination.id, status: termination.status },
+      data,
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        'This termination notice was updated in the meantime',
+        409
+      );
+    }
+
+    return client.leaseTermination.findUnique({
+      where: { id: termination.id },
+    });
+  }
+
+  /**
+   * End the lease on the effective date and settle the amounts: a charge
+   * invoice when the tenant owes money, a Stripe refund otherwise.
+   * Amounts are computed again since billing may have changed since filing.
+   * @param {Object} lease - Lease including property, parties, quote
+   * @param {Object} termination
+   * @param {Object} data - Extra termination fields to store
+   * @param {Object} overrides - { penaltyAmount } set by an admin
+   * @returns {Promise<Object>} Settled termination
+   */
+  async settleTermination(lease, termination, data, overrides = {}) {
+    const now = new Date();
+
+    const settled = await prisma.$transaction(async tx => {
+      const current = await tx.lease.findUnique({
+        where: { id: lease.id },
+        select: { status: true, endDate: true },
+      });
+
+      if (
+        current.status !== 'ACTIVE' ||
+        current.endDate.getTime() !== termination.originalEndDate.getTime()
+      ) {
+        throw new AppError('The lease changed since the notice was filed', 409);
+      }
+
+      const { invoicesToVoid, ...amounts } = await this.calculateSettlement(
+        lease,
+        termination,
+        tx
+      );
+
+      if (overrides.penaltyAmount !== undefined) {
+        amounts.settlementAmount = roundMoney(
+          amounts.settlementAmount -
+            amounts.penaltyAmount +
+            overrides.penaltyAmount
+        );
+        amounts.penaltyAmount = overrides.penaltyAmount;
+      }
+
+      if (invoicesToVoid.length > 0) {
+        await tx.invoice.updateMany({
+          where: { id: { in: invoicesToVoid.map(invoice => invoice.id) } },
+          data: {
+            status: 'VOID',
+            voidedAt: now,
+            voidReason: 'Lease ended early',
+          },
+        });
+      }
+
+      let invoice = null;
+      if (amounts.settlementAmount > 0) {
+        const memo = `Early termination settlement (lease ends ${toDateString(
+          termination.effectiveDate
+        )})`;
+        const tax = await taxesService.calculateInvoice(
+          lease.id,
+          'OTHER',
+          amounts.settlementAmount,
+          memo,
+          tx
+        );
+
+        invoice = await tx.invoice.create({
+          data: {
+            leaseId: lease.id,
+            type: 'OTHER',
+            amount: tax.amount,
+            taxAmount: tax.taxAmount,
+            currencyCode: lease.currencyCode,
+            dueDate: now,
+            memo,
+            taxLines: { create: tax.lines },
+          },
+        });
+      }
+
+      // Renewals no longer make sense once the lease ends early
+      await tx.leaseRenewal.updateMany({
+        where: {
+          leaseId: lease.id,
+          status: { in: ['PENDING', 'COUNTERED'] },
+        },
+        data: { status: 'CANCELLED' },
+      });
+
+      // The lifecycle job completes the lease after its new end date
+      await tx.lease.update({
+        where: { id: lease.id },
+        data: {
+          endDate: termination.effectiveDate,
+          endedEarlyAt: termination.effectiveDate,
+        },
+      });
+
+      return this.updateTerminationStatus(
+        termination,
+        {
+          ...data,
+          ...amounts,
+          status: 'ACKNOWLEDGED',
+          settledAt: now,
+          invoiceId: invoice?.id || null,
+        },
+        tx
+      );
+    });
+
+    console.log(
+      `🏁 Lease ${lease.code} ends early on ${toDateString(settled.effectiveDate)} (settlement ${settled.settlementAmount})`
+    );
+
+    const result = await this.refundSettlement(lease, settled);
+
+    emitLeaseEvent(LEASE_EVENTS.ENDED_EARLY, {
+      lease: { ...lease, endDate: settled.effectiveDate },
+      termination: result,
+    });
+
+    return result;
+  }
+
+  /**
+   * Refund the tenant when the settlement is in their favour. A failed
+   * refund is logged and can be handled manually; the termination stands.
+   */
+  async refundSettlement(lease, termination) {
+    const refundAmount = -parseFloat(termination.settlementAmount);
+
+    if (refundAmount <= 0) {
+      return termination;
+    }
+
+    try {
+      const { refundedAmount, refundIds } =
+        await paymentService.refundLeaseAmount(lease.id, refundAmount, {
+          terminationId: termination.id,
+        });
+
+      if (refundedAmount < refundAmount) {
+        console.warn(
+          `⚠️  Lease ${lease.code}: refunded ${refundedAmount} of ${refundAmount}, the rest must be paid out manually`
+        );
+      }
+
+      return prisma.leaseTermination.update({
+        where: { id: termination.id },
+        data: { refundedAmount, stripeRefundIds: refundIds },
+      });
+    } catch (error) {
+      console.error(
+        `❌ Early termination refund failed for lease ${lease.code}:`,
+        error.message
+      );
+      return termination;
+    }
+  }
+}
+
+module.exports = new LeaseTerminationsService();
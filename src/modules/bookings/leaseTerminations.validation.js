@@ -0,0 +1,64 @@
+const { body, param } = require('express-validator');
+
+const bookingIdValidation = [
+  param('bookingId').isUUID().withMessage('Invalid booking ID format'),
+];
+
+const terminationIdValidation = [
+  ...bookingIdValidation,
+  param('terminationId').isUUID().withMessage('Invalid termination ID format'),
+];
+
+const noteValidation = field =>
+  body(field)
+    .optional()
+    .isString()
+    .withMessage(`${field} must be a string`)
+    .isLength({ max: 1000 })
+    .withMessage(`${field} must be at most 1000 characters`);
+
+const fileTerminationValidation = [
+  ...bookingIdValidation,
+  body('effectiveDate')
+    .notEmpty()
+    .withMessage('Effective date is required')
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  noteValidation('reason'),
+];
+
+const acknowledgeTerminationValidation = [
+  ...terminationIdValidation,
+  noteValidation('note'),
+];
+
+const disputeTerminationValidation = [
+  ...terminationIdValidation,
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters'),
+];
+
+const resolveTerminationValidation = [
+  ...terminationIdValidation,
+  body('action')
+    .isIn(['uphold', 'cancel'])
+    .withMessage('Action must be uphold or cancel'),
+  body('penaltyAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Penalty amount must be 0 or more'),
+  noteValidation('note'),
+];
+
+module.exports = {
+  bookingIdValidation,
+  terminationIdValidation,
+  fileTerminationValidation,
+  acknowledgeTerminationValidation,
+  disputeTerminationValidation,
+  resolveTerminationValidation,
+};
@@ -0,0 +1,92 @@
+const { validationResult } = require('express-validator');
+const commissionsService = require('./commissions.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Global commission and overrides (admin)
+ * GET /api/v1/commissions
+ */
+exports.listRules = catchAsync(async (req, res) => {
+  const result = await commissionsService.listRules();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Set the commission of a landlord (admin)
+ * PUT /api/v1/commissions/landlords/:landlordId
+ */
+exports.setLandlordRule = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await commissionsService.setLandlordRule(
+    req.params.landlordId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Commission rule saved successfully',
+    data: result,
+  });
+});
+
+/**
+ * Set the commission of a property type (admin)
+ * PUT /api/v1/commissions/property-types/:propertyTypeId
+ */
+exports.setPropertyTypeRule = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await commissionsService.setPropertyTypeRule(
+    req.params.propertyTypeId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Commission rule saved successfully',
+    data: result,
+  });
+});
+
+/**
+ * Delete a commission override (admin)
+ * DELETE /api/v1/commissions/:ruleId
+ */
+exports.deleteRule = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await commissionsService.deleteRule(req.params.ruleId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Commission rule deleted successfully',
+  });
+});
@@ -0,0 +1,173 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const commissionsController = require('./commissions.controller');
+const {
+  landlordRuleValidation,
+  propertyTypeRuleValidation,
+  ruleIdValidation,
+} = require('./commissions.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CommissionRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         landlordId:
+ *           type: string
+ *           nullable: true
+ *         propertyTypeId:
+ *           type: string
+ *           nullable: true
+ *         ratePercent:
+ *           type: number
+ *           example: 8.5
+ *         fixedFee:
+ *           type: number
+ *           description: Added to every charge
+ *         note:
+ *           type: string
+ *     CommissionRuleInput:
+ *       type: object
+ *       required:
+ *         - ratePercent
+ *       properties:
+ *         ratePercent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         fixedFee:
+ *           type: number
+ *           minimum: 0
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/commissions:
+ *   get:
+ *     summary: Get the platform commission and its overrides (Admin)
+ *     description: The fee of a Stripe payment is the landlord's rule if any, else the property type's rule, else the default (COMMISSION_RATE_PERCENT and COMMISSION_FIXED_FEE). It is collected as the application fee of destination charges.
+ *     tags: [Commissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Commission rules retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', auth, authorize('ADMIN'), commissionsController.listRules);
+
+/**
+ * @swagger
+ * /api/v1/commissions/landlords/{landlordId}:
+ *   put:
+ *     summary: Set the commission of a landlord (Admin)
+ *     tags: [Commissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: landlordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRuleInput'
+ *     responses:
+ *       200:
+ *         description: Commission rule saved successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Landlord not found
+ */
+router.put(
+  '/landlords/:landlordId',
+  auth,
+  authorize('ADMIN'),
+  landlordRuleValidation,
+  commissionsController.setLandlordRule
+);
+
+/**
+ * @swagger
+ * /api/v1/commissions/property-types/{propertyTypeId}:
+ *   put:
+ *     summary: Set the commission of a property type (Admin)
+ *     tags: [Commissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRuleInput'
+ *     responses:
+ *       200:
+ *         description: Commission rule saved successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Property type not found
+ */
+router.put(
+  '/property-types/:propertyTypeId',
+  auth,
+  authorize('ADMIN'),
+  propertyTypeRuleValidation,
+  commissionsController.setPropertyTypeRule
+);
+
+/**
+ * @swagger
+ * /api/v1/commissions/{ruleId}:
+ *   delete:
+ *     summary: Delete a commission override (Admin)
+ *     tags: [Commissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Commission rule deleted successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Commission rule not found
+ */
+router.delete(
+  '/:ruleId',
+  auth,
+  authorize('ADMIN'),
+  ruleIdValidation,
+  commissionsController.deleteRule
+);
+
+module.exports = router;
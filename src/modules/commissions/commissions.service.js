@@ -0,0 +1,194 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const billingConfig = require('../../config/billing');
+
+const ruleInclude = {
+  landlord: { select: { id: true, email: true, name: true } },
+  propertyType: { select: { id: true, code: true, name: true } },
+};
+
+class CommissionsService {
+  /**
+   * Commission that applies to a landlord's property: the landlord's rule,
+   * else the property type's rule, else the global rate
+   * @param {Object} target - { landlordId, propertyTypeId }
+   * @returns {Promise<Object>} { ratePercent, fixedFee, source, ruleId }
+   */
+  async getCommission({ landlordId, propertyTypeId }) {
+    const conditions = [];
+    if (landlordId) conditions.push({ landlordId });
+    if (propertyTypeId) conditions.push({ propertyTypeId });
+
+    const rules = conditions.length
+      ? await prisma.commissionRule.findMany({ where: { OR: conditions } })
+      : [];
+
+    const rule =
+      rules.find(({ landlordId: id }) => id) ||
+      rules.find(({ propertyTypeId: id }) => id);
+
+    if (!rule) {
+      return {
+        ratePercent: billingConfig.commission.ratePercent,
+        fixedFee: billingConfig.commission.fixedFee,
+        source: 'DEFAULT',
+        ruleId: null,
+      };
+    }
+
+    return {
+      ratePercent: parseFloat(rule.ratePercent),
+      fixedFee: parseFloat(rule.fixedFee),
+      source: rule.landlordId ? 'LANDLORD' : 'PROPERTY_TYPE',
+      ruleId: rule.id,
+    };
+  }
+
+  /**
+   * Platform fee of a charge, never more than the charge itself
+   * @param {number} amountInCents
+   * @param {Object} commission - { ratePercent, fixedFee }
+   * @returns {number} Fee in cents
+   */
+  calculateFee(amountInCents, { ratePercent, fixedFee }) {
+    const fee =
+      Math.round((amountInCents * ratePercent) / 100) +
+      Math.round(fixedFee * 100);
+
+    return Math.min(Math.max(fee, 0), amountInCents);
+  }
+
+  /**
+   * Commission and fee for a charge on a lease
+   * @param {Object} lease - Lease with landlordId and property.propertyTypeId
+   * @param {number} amountInCents
+   * @returns {Promise<Object>} { ratePercent, fixedFee, source, ruleId, feeInCents }
+   */
+  async getFeeForLease(lease, amountInCents) {
+    const commission = await this.getCommission({
+      landlordId: lease.landlordId,
+      propertyTypeId: lease.property?.propertyTypeId,
+    });
+
+    return {
+      ...commission,
+      feeInCents: this.calculateFee(amountInCents, commission),
+    };
+  }
+
+  /**
+   * Commission that was returned with the refunded part of a payment.
+   * Matches Stripe, which refunds application fees pro rata.
+   * @param {number} platformFee
+   * @param {number} amount - Payment amount
+   * @param {number} refundedAmount
+   * @returns {number}
+   */
+  getRefundedFee(platformFee, amount, refundedAmount) {
+    if (!(amount > 0)) return 0;
+
+    const share = Math.min(refundedAmount / amount, 1);
+    return Math.round(platformFee * share * 100) / 100;
+  }
+
+  formatRule(rule) {
+    return {
+      ...rule,
+      ratePercent: parseFloat(rule.ratePercent),
+      fixedFee: parseFloat(rule.fixedFee),
+    };
+  }
+
+  /**
+   * Global commission and all overrides
+   * @returns {Promise<Object>} { default, rules }
+   */
+  async listRules() {
+    const rules = await prisma.commissionRule.findMany({
+      include: ruleInclude,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return {
+      default: {
+        ratePercent: billingConfig.commission.ratePercent,
+        fixedFee: billingConfig.commission.fixedFee,
+      },
+      rules: rules.map(rule => this.formatRule(rule)),
+    };
+  }
+
+  /**
+   * Create or replace the commission rule of a landlord
+   * @param {string} landlordId
+   * @param {Object} admin
+   * @param {Object} data - { ratePercent, fixedFee, note }
+   * @returns {Promise<Object>}
+   */
+  async setLandlordRule(landlordId, admin, data) {
+    const landlord = await prisma.user.findUnique({
+      where: { id: landlordId },
+      select: { id: true },
+    });
+
+    if (!landlord) {
+      throw new AppError('Landlord not found', 404);
+    }
+
+    return this.upsertRule({ landlordId }, admin, data);
+  }
+
+  /**
+   * Create or replace the commission rule of a property type
+   * @param {string} propertyTypeId
+   * @param {Object} admin
+   * @param {Object} data - { ratePercent, fixedFee, note }
+   * @returns {Promise<Object>}
+   */
+  async setPropertyTypeRule(propertyTypeId, admin, data) {
+    const propertyType = await prisma.propertyType.findUnique({
+      where: { id: propertyTypeId },
+      select: { id: true },
+    });
+
+    if (!propertyType) {
+      throw new AppError('Property type not found', 404);
+    }
+
+    return this.upsertRule({ propertyTypeId }, admin, data);
+  }
+
+  async upsertRule(where, admin, { ratePercent, fixedFee, note }) {
+    const values = {
+      ratePercent: parseFloat(ratePercent),
+      fixedFee: fixedFee != null ? parseFloat(fixedFee) : 0,
+      note: note || null,
+    };
+
+    const rule = await prisma.commissionRule.upsert({
+      where,
+      create: { ...where, ...values, createdById: admin.id },
+      update: values,
+      include: ruleInclude,
+    });
+
+    return this.formatRule(rule);
+  }
+
+  /**
+   * Delete an override; its landlord or property type falls back to the
+   * next rule
+   * @param {string} ruleId
+   */
+  async deleteRule(ruleId) {
+    const { count } = await prisma.commissionRule.deleteMany({
+      where: { id: ruleId },
+    });
+
+    if (count === 0) {
+      throw new AppError('Commission rule not found', 404);
+    }
+  }
+}
+
+module.exports = new CommissionsService();
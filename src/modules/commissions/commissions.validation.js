@@ -0,0 +1,41 @@
+const { body, param } = require('express-validator');
+
+const ruleValidation = [
+  body('ratePercent')
+    .notEmpty()
+    .withMessage('Rate is required')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be a percentage between 0 and 100'),
+  body('fixedFee')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Fixed fee must be 0 or more'),
+  body('note')
+    .optional()
+    .isString()
+    .withMessage('Note must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+];
+
+const landlordRuleValidation = [
+  param('landlordId').isUUID().withMessage('Invalid landlord ID format'),
+  ...ruleValidation,
+];
+
+const propertyTypeRuleValidation = [
+  param('propertyTypeId')
+    .isUUID()
+    .withMessage('Invalid property type ID format'),
+  ...ruleValidation,
+];
+
+const ruleIdValidation = [
+  param('ruleId').isUUID().withMessage('Invalid rule ID format'),
+];
+
+module.exports = {
+  landlordRuleValidation,
+  propertyTypeRuleValidation,
+  ruleIdValidation,
+};
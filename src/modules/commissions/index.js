@@ -0,0 +1,9 @@
+const commissionsController = require('./commissions.controller');
+const commissionsService = require('./commissions.service');
+const commissionsRoutes = require('./commissions.routes');
+
+module.exports = {
+  controller: commissionsController,
+  service: commissionsService,
+  routes: commissionsRoutes,
+};
@@ -0,0 +1,214 @@
+const { validationResult } = require('express-validator');
+const depositsService = require('./deposits.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Get the security deposit of a booking
+ * GET /api/v1/bookings/:bookingId/deposit
+ */
+exports.getDeposit = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.getDeposit(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Add a deduction with photo evidence (landlord)
+ * POST /api/v1/bookings/:bookingId/deposit/deductions
+ */
+exports.addDeduction = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.addDeduction(
+    req.params.bookingId,
+    req.user,
+    req.body,
+    req.files
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Deduction added successfully',
+    data: result,
+  });
+});
+
+/**
+ * Remove a deduction before submitting (landlord)
+ * DELETE /api/v1/bookings/:bookingId/deposit/deductions/:deductionId
+ */
+exports.removeDeduction = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.removeDeduction(
+    req.params.bookingId,
+    req.params.deductionId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Deduction removed successfully',
+    data: result,
+  });
+});
+
+/**
+ * Submit the deductions to the tenant (landlord)
+ * POST /api/v1/bookings/:bookingId/deposit/submit
+ */
+exports.submitDeductions = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.submitDeductions(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Deductions submitted successfully',
+    data: result,
+  });
+});
+
+/**
+ * Accept the deductions (tenant)
+ * POST /api/v1/bookings/:bookingId/deposit/accept
+ */
+exports.acceptDeductions = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.acceptDeductions(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Deposit settled successfully',
+    data: result,
+  });
+});
+
+/**
+ * Dispute the deductions (tenant)
+ * POST /api/v1/bookings/:bookingId/deposit/dispute
+ */
+exports.disputeDeductions = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.disputeDeductions(
+    req.params.bookingId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Deductions disputed successfully',
+    data: result,
+  });
+});
+
+/**
+ * Resolve a disputed deposit (admin)
+ * POST /api/v1/bookings/:bookingId/deposit/resolve
+ */
+exports.resolveDispute = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.resolveDispute(
+    req.params.bookingId,
+    req.user,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Deposit dispute resolved successfully',
+    data: result,
+  });
+});
+
+/**
+ * Get the deposit statement PDF
+ * GET /api/v1/bookings/:bookingId/deposit/statement
+ */
+exports.getStatement = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await depositsService.getStatement(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
@@ -0,0 +1,409 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const {
+  uploadMultiple,
+  handleUploadError,
+} = require('../../middleware/upload');
+const depositsController = require('./deposits.controller');
+const {
+  bookingIdValidation,
+  deductionIdValidation,
+  addDeductionValidation,
+  disputeDeductionsValidation,
+  resolveDisputeValidation,
+} = require('./deposits.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DepositDeduction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           description: Amount claimed by the landlord
+ *         approvedAmount:
+ *           type: number
+ *           nullable: true
+ *           description: Amount approved by an admin after a dispute
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: string
+ *     SecurityDeposit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         leaseCode:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         currencyCode:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [HELD, AWAITING_DEDUCTIONS, PROPOSED, DISPUTED, SETTLED]
+ *         returnDueAt:
+ *           type: string
+ *           format: date-time
+ *           description: Deadline for the landlord to submit deductions
+ *         disputeDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: Deadline for the tenant to dispute the deductions
+ *         disputeReason:
+ *           type: string
+ *         resolutionNote:
+ *           type: string
+ *         deductedAmount:
+ *           type: number
+ *         balance:
+ *           type: number
+ *           description: Amount returned to the tenant with the current deductions
+ *         refundAmount:
+ *           type: number
+ *         refundedAmount:
+ *           type: number
+ *           description: Amount refunded through Stripe
+ *         refundError:
+ *           type: string
+ *           description: Set when the refund failed and must be paid out manually
+ *         statementUrl:
+ *           type: string
+ *         deductions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DepositDeduction'
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit:
+ *   get:
+ *     summary: Get the security deposit of a booking
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deposit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SecurityDeposit'
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or deposit not found
+ */
+router.get(
+  '/:bookingId/deposit',
+  auth,
+  bookingIdValidation,
+  depositsController.getDeposit
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/deductions:
+ *   post:
+ *     summary: Add a deduction with photo evidence (landlord)
+ *     description: Possible once the lease is completed and until the deductions are submitted. Deductions cannot exceed the deposit.
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *               - amount
+ *               - photos
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 example: Broken kitchen cabinet door
+ *               amount:
+ *                 type: number
+ *                 example: 150
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Deduction added successfully
+ *       400:
+ *         description: Validation failed, missing photos or deductions exceed the deposit
+ *       403:
+ *         description: Not the landlord of this booking
+ *       409:
+ *         description: Deductions cannot be changed in the current deposit status
+ */
+router.post(
+  '/:bookingId/deposit/deductions',
+  auth,
+  uploadMultiple('photos', 5),
+  handleUploadError,
+  addDeductionValidation,
+  depositsController.addDeduction
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/deductions/{deductionId}:
+ *   delete:
+ *     summary: Remove a deduction before submitting (landlord)
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deductionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deduction removed successfully
+ *       403:
+ *         description: Not the landlord of this booking
+ *       404:
+ *         description: Deduction not found
+ *       409:
+ *         description: Deductions cannot be changed in the current deposit status
+ */
+router.delete(
+  '/:bookingId/deposit/deductions/:deductionId',
+  auth,
+  deductionIdValidation,
+  depositsController.removeDeduction
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/submit:
+ *   post:
+ *     summary: Submit the deductions to the tenant (landlord)
+ *     description: Opens the dispute window for the tenant. Without deductions the full deposit is refunded right away.
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deductions submitted successfully
+ *       403:
+ *         description: Not the landlord of this booking
+ *       409:
+ *         description: Deposit is not awaiting deductions
+ */
+router.post(
+  '/:bookingId/deposit/submit',
+  auth,
+  bookingIdValidation,
+  depositsController.submitDeductions
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/accept:
+ *   post:
+ *     summary: Accept the deductions and receive the balance (tenant)
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deposit settled and balance refunded
+ *       403:
+ *         description: Not the tenant of this booking
+ *       409:
+ *         description: No deductions to respond to
+ */
+router.post(
+  '/:bookingId/deposit/accept',
+  auth,
+  bookingIdValidation,
+  depositsController.acceptDeductions
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/dispute:
+ *   post:
+ *     summary: Dispute the deductions within the dispute window (tenant)
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: The cabinet door was already broken at move-in
+ *     responses:
+ *       200:
+ *         description: Deductions disputed, an admin will decide
+ *       403:
+ *         description: Not the tenant of this booking
+ *       409:
+ *         description: No deductions to respond to or the dispute window has closed
+ */
+router.post(
+  '/:bookingId/deposit/dispute',
+  auth,
+  disputeDeductionsValidation,
+  depositsController.disputeDeductions
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/resolve:
+ *   post:
+ *     summary: Resolve a disputed deposit (admin only)
+ *     description: Sets the approved amount of the listed deductions; others keep the amount claimed. The balance is then refunded.
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deductions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     approvedAmount:
+ *                       type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute resolved and deposit settled
+ *       400:
+ *         description: Approved amount exceeds the amount claimed
+ *       403:
+ *         description: Admin access required
+ *       409:
+ *         description: Deposit is not disputed
+ */
+router.post(
+  '/:bookingId/deposit/resolve',
+  auth,
+  authorize('ADMIN'),
+  resolveDisputeValidation,
+  depositsController.resolveDispute
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/deposit/statement:
+ *   get:
+ *     summary: Get the deposit statement PDF of a settled deposit
+ *     tags: [Security Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Statement URL
+ *       403:
+ *         description: Not allowed for this booking
+ *       409:
+ *         description: Deposit is not settled yet
+ */
+router.get(
+  '/:bookingId/deposit/statement',
+  auth,
+  bookingIdValidation,
+  depositsController.getStatement
+);
+
+module.exports = router;
@@ -0,0 +1,649 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const bookingConfig = require('../../config/booking');
+const notificationService = require('../../services/notification.service');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+const fileUploadService = require('../../utils/fileUpload');
+const paymentService = require('../payments/payments.service');
+const { addDays, toDateString } = require('../../utils/dates');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const partySelect = {
+  select: {
+    id: true,
+    email: true,
+    name: true,
+  },
+};
+
+const depositInclude = {
+  deductions: { orderBy: { createdAt: 'asc' } },
+  lease: {
+    select: {
+      id: true,
+      code: true,
+      tenantId: true,
+      landlordId: true,
+      startDate: true,
+      endDate: true,
+      property: { select: { id: true, title: true } },
+      tenant: partySelect,
+      landlord: partySelect,
+    },
+  },
+};
+
+class DepositsService {
+  /**
+   * Record the deposit collected with a booking payment, with a paid
+   * DEPOSIT invoice for the charge. Called once the payment succeeds; a
+   * deposit that is already recorded is left as is.
+   * @param {string} leaseId
+   * @param {string} paymentIntentId - Booking payment including the deposit,
+   * null when the booking was paid offline
+   * @param {string} method - PaymentMethod of the booking payment
+   * @returns {Promise<Object|null>} Deposit, null when the lease has none
+   */
+  async recordHeld(leaseId, paymentIntentId, method = 'CREDIT_CARD') {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: {
+        securityDeposit: true,
+        currencyCode: true,
+        tenantId: true,
+        deposit: true,
+      },
+    });
+
+    if (!lease?.securityDeposit || parseFloat(lease.securityDeposit) <= 0) {
+      return null;
+    }
+
+    if (lease.deposit) return lease.deposit;
+
+    const paidAt = new Date();
+
+    // The payment webhook and the client confirmation can both record it
+    try {
+      return await prisma.$transaction(async tx => {
+        const invoice = await tx.invoice.create({
+          data: {
+            leaseId,
+            type: 'DEPOSIT',
+            amount: lease.securityDeposit,
+            currencyCode: lease.currencyCode,
+            dueDate: paidAt,
+            status: 'PAID',
+            paidAt,
+            memo: 'Security deposit collected with the booking payment',
+            payments: {
+              create: {
+                amount: lease.securityDeposit,
+                method,
+                status: 'COMPLETED',
+                paidAt,
+                txnRef: paymentIntentId || null,
+                payerId: lease.tenantId,
+              },
+            },
+          },
+        });
+
+        return tx.securityDeposit.create({
+          data: {
+            leaseId,
+            amount: lease.securityDeposit,
+            currencyCode: lease.currencyCode,
+            paymentIntentId: paymentIntentId || null,
+            invoiceId: invoice.id,
+            heldAt: paidAt,
+          },
+        });
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return prisma.securityDeposit.findUnique({ where: { leaseId } });
+    }
+  }
+
+  /**
+   * Mark a held deposit as returned when the booking payment was refunded
+   * (booking cancelled or refunded before the stay). Partial refunds return
+   * the deposit first.
+   * @param {string} leaseId
+   * @param {number|null} refundedAmount - Booking payment refunded, null
+   * when all of it was
+   */
+  async releaseWithBooking(leaseId, refundedAmount = null) {
+    const deposit = await prisma.securityDeposit.findUnique({
+      where: { leaseId },
+    });
+
+    if (!deposit || deposit.status !== 'HELD') return;
+
+    const returned =
+      refundedAmount == null
+        ? deposit.amount
+        : Math.min(parseFloat(deposit.amount), refundedAmount);
+
+    await prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: {
+        status: 'SETTLED',
+        refundAmount: returned,
+        refundedAmount: returned,
+        settledAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Open the deposit return once the lease is completed: the landlord has
+   * until returnDueAt to itemize deductions
+   * @param {Object} lease - Completed lease including property and parties
+   */
+  async openReturn(lease) {
+    const returnDueAt = addDays(new Date(), bookingConfig.deposit.returnDays);
+
+    const { count } = await prisma.securityDeposit.updateMany({
+      where: { leaseId: lease.id, status: 'HELD' },
+      data: { status: 'AWAITING_DEDUCTIONS', returnDueAt },
+    });
+
+    if (count === 0) return;
+
+    await notificationService.notifyUser(
+      lease.landlord,
+      'Return the security deposit',
+      `Lease ${lease.code} for "${lease.property.title}" has ended. Add any deductions from the security deposit with photo evidence and submit them by ${toDateString(returnDueAt)}. Without deductions the full deposit is returned to the tenant.`
+    );
+  }
+
+  /**
+   * Get the deposit of a lease the user is a party of (or any for admins)
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Deposit including deductions and lease
+   */
+  async getDepositForUser(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: { id: true, tenantId: true, landlordId: true },
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (
+      user.role !== 'ADMIN' &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    const deposit = await prisma.securityDeposit.findUnique({
+      where: { leaseId },
+      include: depositInclude,
+    });
+
+    if (!deposit) {
+      throw new AppError('This booking has no security deposit held', 404);
+    }
+
+    return deposit;
+  }
+
+  assertStatus(deposit, statuses) {
+    if (!statuses.includes(deposit.status)) {
+      throw new AppError(
+        `This action is not possible while the deposit is ${deposit.status.toLowerCase().replace('_', ' ')}`,
+        409
+      );
+    }
+  }
+
+  assertLandlord(deposit, user) {
+    if (deposit.lease.landlordId !== user.id) {
+      throw new AppError('Only the landlord can manage deductions', 403);
+    }
+  }
+
+  assertTenant(deposit, user) {
+    if (deposit.lease.tenantId !== user.id) {
+      throw new AppError('Only the tenant can respond to deductions', 403);
+    }
+  }
+
+  /**
+   * Total deducted from a deposit. Amounts approved by an admin replace the
+   * claimed amounts; the total never exceeds the deposit.
+   * @param {Object} deposit - Deposit including deductions
+   * @returns {number}
+   */
+  getDeductedAmount(deposit) {
+    const total = deposit.deductions.reduce(
+      (sum, deduction) =>
+        sum +
+        parseFloat(
+          deduction.approvedAmount != null
+            ? deduction.approvedAmount
+            : deduction.amount
+        ),
+      0
+    );
+
+    return roundMoney(Math.min(total, parseFloat(deposit.amount)));
+  }
+
+  /**
+   * Convert Decimal fields to numbers and add the current balance
+   * @param {Object} deposit - Deposit including deductions
+   * @returns {Object}
+   */
+  formatDeposit(deposit) {
+    const { lease, ...rest } = deposit;
+    const deductedAmount = this.getDeductedAmount(deposit);
+
+    return {
+      ...rest,
+      leaseCode: lease?.code,
+      amount: parseFloat(deposit.amount),
+      deductedAmount,
+      balance: roundMoney(parseFloat(deposit.amount) - deductedAmount),
+      refundAmount: parseFloat(deposit.refundAmount),
+      refundedAmount: parseFloat(deposit.refundedAmount),
+      deductions: deposit.deductions.map(deduction => ({
+        ...deduction,
+        amount: parseFloat(deduction.amount),
+        approvedAmount:
+          deduction.approvedAmount != null
+            ? parseFloat(deduction.approvedAmount)
+            : null,
+      })),
+    };
+  }
+
+  /**
+   * Get the deposit of a booking
+   * @returns {Promise<Object>}
+   */
+  async getDeposit(leaseId, user) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    return this.formatDeposit(deposit);
+  }
+
+  /**
+   * Add a deduction with photo evidence (landlord, after move-out)
+   * @param {string} leaseId
+   * @param {Object} user - Landlord
+   * @param {Object} data - { description, amount }
+   * @param {Array} files - Evidence photos (multer files)
+   * @returns {Promise<Object>} Updated deposit
+   */
+  async addDeduction(leaseId, user, { description, amount }, files = []) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertLandlord(deposit, user);
+    this.assertStatus(deposit, ['AWAITING_DEDUCTIONS']);
+
+    const claimed = deposit.deductions.reduce(
+      (sum, deduction) => sum + parseFloat(deduction.amount),
+      0
+    );
+    const deductionAmount = roundMoney(parseFloat(amount));
+
+    if (claimed + deductionAmount > parseFloat(deposit.amount)) {
+      throw new AppError(
+        `Deductions cannot exceed the deposit of ${deposit.currencyCode} ${deposit.amount}`,
+        400
+      );
+    }
+
+    if (!files.length) {
+      throw new AppError('At least one photo is required as evidence', 400);
+    }
+
+    const uploaded = await fileUploadService.uploadMultipleFiles(
+      files,
+      'deposit-evidence'
+    );
+
+    await prisma.depositDeduction.create({
+      data: {
+        depositId: deposit.id,
+        description,
+        amount: deductionAmount,
+        photos: uploaded.map(file => file.url),
+      },
+    });
+
+    return this.getDeposit(leaseId, user);
+  }
+
+  /**
+   * Remove a deduction before it is submitted (landlord)
+   * @returns {Promise<Object>} Updated deposit
+   */
+  async removeDeduction(leaseId, deductionId, user) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertLandlord(deposit, user);
+    this.assertStatus(deposit, ['AWAITING_DEDUCTIONS']);
+
+    const deduction = deposit.deductions.find(item => item.id === deductionId);
+    if (!deduction) {
+      throw new AppError('Deduction not found', 404);
+    }
+
+    await prisma.depositDeduction.delete({ where: { id: deductionId } });
+
+    return this.getDeposit(leaseId, user);
+  }
+
+  /**
+   * Send the deductions to the tenant (landlord). Without deductions the
+   * whole deposit is returned right away.
+   * @returns {Promise<Object>} Updated deposit
+   */
+  async submitDeductions(leaseId, user) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertLandlord(deposit, user);
+    this.assertStatus(deposit, ['AWAITING_DEDUCTIONS']);
+
+    await this.submit(deposit);
+
+    return this.getDeposit(leaseId, user);
+  }
+
+  async submit(deposit) {
+    if (deposit.deductions.length === 0) {
+      return this.settle(deposit, 'AWAITING_DEDUCTIONS', {
+        submittedAt: new Date(),
+      });
+    }
+
+    const disputeDeadline = addDays(
+      new Date(),
+      bookingConfig.deposit.disputeDays
+    );
+    await this.updateStatus(deposit, 'AWAITING_DEDUCTIONS', {
+      status: 'PROPOSED',
+      submittedAt: new Date(),
+      disputeDeadline,
+    });
+
+    const { lease } = deposit;
+    await notificationService.notifyUser(
+      lease.tenant,
+      'Security deposit deductions',
+      `The landlord of "${lease.property.title}" deducted ${deposit.currencyCode} ${this.getDeductedAmount(deposit)} from your deposit of ${deposit.currencyCode} ${deposit.amount} (lease ${lease.code}). Review the deductions in the app and accept or dispute them by ${toDateString(disputeDeadline)}; after that they are accepted automatically.`
+    );
+  }
+
+  /**
+   * Accept the deductions and receive the balance (tenant)
+   * @returns {Promise<Object>} Settled deposit
+   */
+  async acceptDeductions(leaseId, user) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertTenant(deposit, user);
+    this.assertStatus(deposit, ['PROPOSED']);
+
+    await this.settle(deposit, 'PROPOSED', { respondedAt: new Date() });
+
+    return this.getDeposit(leaseId, user);
+  }
+
+  /**
+   * Dispute the deductions within the window (tenant); an admin decides
+   * @returns {Promise<Object>} Updated deposit
+   */
+  async disputeDeductions(leaseId, user, { reason }) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertTenant(deposit, user);
+    this.assertStatus(deposit, ['PROPOSED']);
+
+    if (deposit.disputeDeadline < new Date()) {
+      throw new AppError('The dispute window for this deposit has closed', 409);
+    }
+
+    await this.updateStatus(deposit, 'PROPOSED', {
+      status: 'DISPUTED',
+      disputeReason: reason,
+      respondedAt: new Date(),
+    });
+
+    await notificationService.notifyUser(
+      deposit.lease.landlord,
+      'Deposit deductions disputed',
+      `The tenant disputed the deposit deductions for lease ${deposit.lease.code}: "${reason}". An administrator will review the evidence.`
+    );
+
+    return this.getDeposit(leaseId, user);
+  }
+
+  /**
+   * Decide a disputed deposit (admin). Deductions not listed keep the
+   * claimed amount.
+   * @param {Object} data - { deductions: [{ id, approvedAmount }], note }
+   * @returns {Promise<Object>} Settled deposit
+   */
+  async resolveDispute(leaseId, user, { deductions = [], note }) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertStatus(deposit, ['DISPUTED']);
+
+    for (const { id, approvedAmount } of deductions) {
+      const deduction = deposit.deductions.find(item => item.id === id);
+
+      if (!deduction) {
+        throw new AppError(`Deduction ${id} not found`, 404);
+      }
+
+      if (parseFloat(approvedAmount) > parseFloat(deduction.amount)) {
+        throw new AppError(
+          'Approved amounts cannot exceed the amount claimed by the landlord',
+          400
+        );
+      }
+    }
+
+    await prisma.$transaction(
+      deductions.map(({ id, approvedAmount }) =>
+        prisma.depositDeduction.update({
+          where: { id },
+          data: { approvedAmount: roundMoney(parseFloat(approvedAmount)) },
+        })
+      )
+    );
+
+    const updated = await prisma.securityDeposit.findUnique({
+      where: { id: deposit.id },
+      include: depositInclude,
+    });
+
+    await this.settle(updated, 'DISPUTED', {
+      resolvedById: user.id,
+      resolvedAt: new Date(),
+      resolutionNote: note || null,
+    });
+
+    return this.getDeposit(leaseId, user);
+  }
+
+  /**
+   * Update a deposit only if its status did not change in the meantime
+   */
+  async updateStatus(deposit, fromStatus, data) {
+    const { count } = await prisma.securityDeposit.updateMany({
+      where: { id: deposit.id, status: fromStatus },
+      data,
+    });
+
+    if (count === 0) {
+      throw new AppError('This deposit was updated in the meantime', 409);
+    }
+  }
+
+  /**
+   * Close the deposit: refund the balance through Stripe and produce the
+   * statement. A failed refund is recorded for a manual payout.
+   * @param {Object} deposit - Deposit including deductions and lease
+   * @param {string} fromStatus - Status the deposit is expected in
+   * @param {Object} data - Extra fields to store
+   */
+  async settle(deposit, fromStatus, data = {}) {
+    const deductedAmount = this.getDeductedAmount(deposit);
+    const refundAmount = roundMoney(
+      parseFloat(deposit.amount) - deductedAmount
+    );
+
+    await this.updateStatus(deposit, fromStatus, {
+      ...data,
+      status: 'SETTLED',
+      deductedAmount,
+      refundAmount,
+      settledAt: new Date(),
+    });
+
+    const refund = {
+      refundedAmount: 0,
+      stripeRefundIds: [],
+      refundError: null,
+    };
+
+    if (refundAmount > 0) {
+      try {
+        if (!deposit.paymentIntentId) {
+          throw new Error('No card payment to refund the deposit to');
+        }
+
+        const stripeRefund = await paymentService.refundPaymentIntent(
+          deposit.paymentIntentId,
+          Math.round(refundAmount * 100),
+          { leaseId: deposit.leaseId, depositId: deposit.id }
+        );
+
+        refund.refundedAmount = stripeRefund.amount / 100;
+        refund.stripeRefundIds = [stripeRefund.id];
+      } catch (error) {
+        console.error(
+          `❌ Deposit refund failed for lease ${deposit.lease.code}:`,
+          error.message
+        );
+        refund.refundError = error.message;
+      }
+    }
+
+    await prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: refund,
+    });
+
+    console.log(
+      `💰 Deposit of lease ${deposit.lease.code} settled: ${deductedAmount} deducted, ${refund.refundedAmount} refunded`
+    );
+
+    await this.generateStatement(deposit.id);
+
+    const { lease } = deposit;
+    const balance = `${deposit.currencyCode} ${refundAmount}`;
+    await Promise.all([
+      notificationService.notifyUser(
+        lease.tenant,
+        'Your security deposit has been returned',
+        refund.refundError
+          ? `The deposit for lease ${lease.code} is settled: ${balance} is owed to you. Our team will pay it out manually.`
+          : `The deposit for lease ${lease.code} is settled: ${balance} was refunded to your original payment method. The deposit statement is available in the app.`
+      ),
+      notificationService.notifyUser(
+        lease.landlord,
+        'Security deposit settled',
+        `The deposit for lease ${lease.code} is settled: ${deposit.currencyCode} ${deductedAmount} deducted, ${balance} returned to the tenant.`
+      ),
+    ]);
+  }
+
+  /**
+   * Generate the deposit statement PDF. Failures are logged; the statement
+   * can be generated again from the statement endpoint.
+   * @param {string} depositId
+   * @returns {Promise<string|null>} Statement URL
+   */
+  async generateStatement(depositId) {
+    try {
+      const { url } =
+        await pdfGenerationService.generateDepositStatementPDF(depositId);
+      return url;
+    } catch (error) {
+      console.error('❌ Error generating deposit statement:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the statement of a settled deposit, generating it if missing
+   * @returns {Promise<Object>} { url }
+   */
+  async getStatement(leaseId, user) {
+    const deposit = await this.getDepositForUser(leaseId, user);
+    this.assertStatus(deposit, ['SETTLED']);
+
+    if (deposit.statementUrl) {
+      return { url: deposit.statementUrl };
+    }
+
+    const url = await this.generateStatement(deposit.id);
+    if (!url) {
+      throw new AppError('Deposit statement could not be generated', 500);
+    }
+
+    return { url };
+  }
+
+  /**
+   * Move overdue deposits forward (used by the scheduled job):
+   * - deductions not submitted by returnDueAt are submitted as they are
+   * - deductions not answered by disputeDeadline are accepted
+   * @param {Date} now
+   * @returns {Promise<Object>} { submitted, accepted, failed }
+   */
+  async processOverdue(now = new Date()) {
+    const result = { submitted: 0, accepted: 0, failed: 0 };
+
+    const [overdueReturns, expiredDisputeWindows] = await Promise.all([
+      prisma.securityDeposit.findMany({
+        where: { status: 'AWAITING_DEDUCTIONS', returnDueAt: { lt: now } },
+        include: depositInclude,
+      }),
+      prisma.securityDeposit.findMany({
+        where: { status: 'PROPOSED', disputeDeadline: { lt: now } },
+        include: depositInclude,
+      }),
+    ]);
+
+    for (const deposit of overdueReturns) {
+      try {
+        await this.submit(deposit);
+        result.submitted++;
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Deposit ${deposit.id} submit failed:`, error.message);
+      }
+    }
+
+    for (const deposit of expiredDisputeWindows) {
+      try {
+        await this.settle(deposit, 'PROPOSED');
+        result.accepted++;
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Deposit ${deposit.id} settle failed:`, error.message);
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new DepositsService();
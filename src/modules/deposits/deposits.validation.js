@@ -0,0 +1,59 @@
+const { body, param } = require('express-validator');
+
+const bookingIdValidation = [
+  param('bookingId').isUUID().withMessage('Invalid booking ID format'),
+];
+
+const deductionIdValidation = [
+  ...bookingIdValidation,
+  param('deductionId').isUUID().withMessage('Invalid deduction ID format'),
+];
+
+const addDeductionValidation = [
+  ...bookingIdValidation,
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required')
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+];
+
+const disputeDeductionsValidation = [
+  ...bookingIdValidation,
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters'),
+];
+
+const resolveDisputeValidation = [
+  ...bookingIdValidation,
+  body('deductions')
+    .optional()
+    .isArray()
+    .withMessage('Deductions must be an array'),
+  body('deductions.*.id').isUUID().withMessage('Invalid deduction ID format'),
+  body('deductions.*.approvedAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Approved amount must be 0 or more'),
+  body('note')
+    .optional()
+    .isString()
+    .withMessage('note must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('note must be at most 1000 characters'),
+];
+
+module.exports = {
+  bookingIdValidation,
+  deductionIdValidation,
+  addDeductionValidation,
+  disputeDeductionsValidation,
+  resolveDisputeValidation,
+};
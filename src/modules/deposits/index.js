@@ -0,0 +1,9 @@
+const depositsController = require('./deposits.controller');
+const depositsService = require('./deposits.service');
+const depositsRoutes = require('./deposits.routes');
+
+module.exports = {
+  controller: depositsController,
+  service: depositsService,
+  routes: depositsRoutes,
+};
@@ -0,0 +1,85 @@
+const { validationResult } = require('express-validator');
+const disputesService = require('./disputes.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Disputes of the landlord's leases (all for admins)
+ * GET /api/v1/disputes
+ */
+exports.listDisputes = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await disputesService.listDisputes(req.user, {
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 10,
+    status: req.query.status,
+    leaseId: req.query.leaseId,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get a dispute
+ * GET /api/v1/disputes/:disputeId
+ */
+exports.getDispute = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const dispute = await disputesService.getDispute(
+    req.params.disputeId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: dispute,
+  });
+});
+
+/**
+ * Send evidence for a dispute to Stripe (landlord or admin)
+ * POST /api/v1/disputes/:disputeId/evidence
+ */
+exports.submitEvidence = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const dispute = await disputesService.submitEvidence(
+    req.params.disputeId,
+    req.user,
+    req.body,
+    req.files
+  );
+
+  res.status(200).json({
+    success: true,
+    message: req.body.submit
+      ? 'Evidence submitted successfully'
+      : 'Evidence saved successfully',
+    data: dispute,
+  });
+});
@@ -0,0 +1,255 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const { uploadFields, handleUploadError } = require('../../middleware/upload');
+const disputesController = require('./disputes.controller');
+const {
+  listDisputesValidation,
+  disputeIdValidation,
+  submitEvidenceValidation,
+} = require('./disputes.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Dispute:
+ *       type: object
+ *       description: Chargeback or inquiry opened by the tenant's bank on a card payment, kept in step with Stripe by the charge.dispute.* webhooks
+ *       properties:
+ *         id:
+ *           type: string
+ *         stripeDisputeId:
+ *           type: string
+ *         chargeId:
+ *           type: string
+ *         paymentIntentId:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         stripePaymentId:
+ *           type: string
+ *           nullable: true
+ *           description: Disputed booking payment
+ *         paymentId:
+ *           type: string
+ *           nullable: true
+ *           description: Disputed invoice card payment
+ *         invoiceId:
+ *           type: string
+ *           nullable: true
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           example: product_not_received
+ *         status:
+ *           type: string
+ *           enum: [warning_needs_response, warning_under_review, warning_closed, needs_response, under_review, won, lost]
+ *         evidenceDueBy:
+ *           type: string
+ *           format: date-time
+ *         evidence:
+ *           type: object
+ *           description: Evidence last sent to Stripe
+ *         evidenceSubmittedAt:
+ *           type: string
+ *           format: date-time
+ *         canSubmitEvidence:
+ *           type: boolean
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         adjustedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the lease, ledger and payout were adjusted for a lost dispute
+ *         transferReversalId:
+ *           type: string
+ *           nullable: true
+ *         lease:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             code:
+ *               type: string
+ *             paymentStatus:
+ *               type: string
+ *               description: disputed while a booking payment dispute is open, charged_back once it is lost
+ */
+
+/**
+ * @swagger
+ * /api/v1/disputes:
+ *   get:
+ *     summary: List payment disputes (Landlord, Admin)
+ *     description: Landlords see the disputes of their leases, admins all.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [warning_needs_response, warning_under_review, warning_closed, needs_response, under_review, won, lost]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ *       403:
+ *         description: Landlord or admin access required
+ */
+router.get(
+  '/',
+  auth,
+  authorize('LANDLORD', 'ADMIN'),
+  listDisputesValidation,
+  disputesController.listDisputes
+);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{disputeId}:
+ *   get:
+ *     summary: Get a payment dispute (Landlord, Admin)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dispute retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Dispute'
+ *       403:
+ *         description: Not the landlord of this lease
+ *       404:
+ *         description: Dispute not found
+ */
+router.get(
+  '/:disputeId',
+  auth,
+  authorize('LANDLORD', 'ADMIN'),
+  disputeIdValidation,
+  disputesController.getDispute
+);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{disputeId}/evidence:
+ *   post:
+ *     summary: Send evidence for a dispute to Stripe (Landlord, Admin)
+ *     description: |
+ *       Files are uploaded to Stripe as dispute evidence. The tenant's name
+ *       and email, the stay and its start date are filled in from the lease
+ *       unless given. Without submit the evidence is only saved in Stripe
+ *       and can still be completed; Stripe accepts one submission.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: disputeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productDescription:
+ *                 type: string
+ *               serviceDate:
+ *                 type: string
+ *                 format: date
+ *               cancellationPolicyDisclosure:
+ *                 type: string
+ *               refundPolicyDisclosure:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 description: Anything else the bank should know
+ *               submit:
+ *                 type: boolean
+ *                 default: false
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *               serviceDocumentation:
+ *                 type: string
+ *                 format: binary
+ *                 description: e.g. the signed rental agreement
+ *               customerCommunication:
+ *                 type: string
+ *                 format: binary
+ *               cancellationPolicy:
+ *                 type: string
+ *                 format: binary
+ *               otherFile:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Evidence saved or submitted successfully
+ *       403:
+ *         description: Not the landlord of this lease
+ *       404:
+ *         description: Dispute not found
+ *       409:
+ *         description: The dispute no longer accepts evidence or its deadline has passed
+ *       503:
+ *         description: Stripe is not configured
+ */
+router.post(
+  '/:disputeId/evidence',
+  auth,
+  authorize('LANDLORD', 'ADMIN'),
+  uploadFields([
+    { name: 'receipt', maxCount: 1 },
+    { name: 'serviceDocumentation', maxCount: 1 },
+    { name: 'customerCommunication', maxCount: 1 },
+    { name: 'cancellationPolicy', maxCount: 1 },
+    { name: 'otherFile', maxCount: 1 },
+  ]),
+  handleUploadError,
+  submitEvidenceValidation,
+  disputesController.submitEvidence
+);
+
+module.exports = router;
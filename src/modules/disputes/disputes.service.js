@@ -0,0 +1,545 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const stripe = require('../../config/stripe');
+const paymentsService = require('../payments/payments.service');
+const invoicesService = require('../invoices/invoices.service');
+const depositsService = require('../deposits/deposits.service');
+const ledgerService = require('../ledger/ledger.service');
+const commissionsService = require('../commissions/commissions.service');
+const notificationService = require('../../services/notification.service');
+const { toDateString } = require('../../utils/dates');
+
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+
+// Statuses in which Stripe accepts evidence
+const EVIDENCE_STATUSES = ['warning_needs_response', 'needs_response'];
+
+/**
+ * Evidence files accepted by the evidence endpoint and the Stripe evidence
+ * field each one is sent as
+ */
+const EVIDENCE_FILES = {
+  receipt: 'receipt',
+  serviceDocumentation: 'service_documentation',
+  customerCommunication: 'customer_communication',
+  cancellationPolicy: 'cancellation_policy',
+  otherFile: 'uncategorized_file',
+};
+
+const EVIDENCE_TEXT = {
+  productDescription: 'product_description',
+  serviceDate: 'service_date',
+  cancellationPolicyDisclosure: 'cancellation_policy_disclosure',
+  refundPolicyDisclosure: 'refund_policy_disclosure',
+  notes: 'uncategorized_text',
+};
+
+const disputeInclude = {
+  lease: {
+    select: {
+      id: true,
+      code: true,
+      landlordId: true,
+      startDate: true,
+      endDate: true,
+      paymentStatus: true,
+      property: { select: { title: true, address: true } },
+      tenant: { select: { name: true, email: true } },
+      landlord: { select: { name: true, email: true } },
+    },
+  },
+  payment: { select: { invoiceId: true } },
+};
+
+class DisputesService {
+  /**
+   * Store a dispute as Stripe reports it. The first report links it to the
+   * booking or invoice payment, marks a disputed booking payment on the
+   * lease and notifies the landlord and admins; later reports update its
+   * status and evidence deadline.
+   * @param {Object} dispute - Stripe dispute
+   * @returns {Promise<Object|null>} Dispute, null when the payment is not
+   * one of ours
+   */
+  async recordDispute(dispute) {
+    const data = {
+      amount: dispute.amount / 100,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      status: dispute.status,
+      evidenceDueBy: dispute.evidence_details?.due_by
+        ? new Date(dispute.evidence_details.due_by * 1000)
+        : null,
+    };
+
+    const existing = await prisma.dispute.findUnique({
+      where: { stripeDisputeId: dispute.id },
+    });
+
+    if (existing) {
+      return prisma.dispute.update({
+        where: { id: existing.id },
+        data,
+        include: disputeInclude,
+      });
+    }
+
+    const target = await this.findDisputedPayment(dispute.payment_intent);
+
+    if (!target) {
+      console.warn(
+        `⚠️  Dispute ${dispute.id} on unknown payment ${dispute.payment_intent}, skipping`
+      );
+      return null;
+    }
+
+    let record;
+    try {
+      record = await prisma.dispute.create({
+        data: {
+          ...data,
+          stripeDisputeId: dispute.id,
+          chargeId: dispute.charge,
+          paymentIntentId: dispute.payment_intent,
+          leaseId: target.leaseId,
+          stripePaymentId: target.stripePaymentId,
+          paymentId: target.paymentId,
+          leasePaymentStatus: target.leasePaymentStatus,
+        },
+        include: disputeInclude,
+      });
+    } catch (error) {
+      // Another delivery of the dispute created it first
+      if (error.code !== 'P2002') throw error;
+
+      return prisma.dispute.update({
+        where: { stripeDisputeId: dispute.id },
+        data,
+        include: disputeInclude,
+      });
+    }
+
+    // Only the booking payment is tracked on the lease; a disputed invoice
+    // payment shows on the invoice's dispute
+    if (record.stripePaymentId) {
+      await prisma.lease.update({
+        where: { id: record.leaseId },
+        data: { paymentStatus: 'disputed' },
+      });
+    }
+
+    const due = record.evidenceDueBy
+      ? ` Upload evidence in the app before ${toDateString(record.evidenceDueBy)} to contest it.`
+      : '';
+
+    await this.notifyParties(
+      record,
+      'Payment disputed',
+      `The tenant's bank disputed the ${this.describePayment(record)} (reason: ${record.reason.replace(/_/g, ' ')}).${due}`
+    );
+
+    return record;
+  }
+
+  /**
+   * Booking or invoice card payment of a disputed PaymentIntent
+   * @param {string} paymentIntentId
+   * @returns {Promise<Object|null>} { leaseId, stripePaymentId, paymentId,
+   * leasePaymentStatus }
+   */
+  async findDisputedPayment(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const stripePayment = await prisma.stripePayment.findUnique({
+      where: { paymentIntentId },
+      select: {
+        id: true,
+        bookingId: true,
+        booking: { select: { paymentStatus: true } },
+      },
+    });
+
+    if (stripePayment) {
+      return {
+        leaseId: stripePayment.bookingId,
+        stripePaymentId: stripePayment.id,
+        paymentId: null,
+        leasePaymentStatus: stripePayment.booking.paymentStatus,
+      };
+    }
+
+    const invoicePayment = await prisma.payment.findFirst({
+      where: { txnRef: paymentIntentId, method: 'CREDIT_CARD' },
+      select: { id: true, invoice: { select: { leaseId: true } } },
+    });
+
+    if (!invoicePayment?.invoice) return null;
+
+    return {
+      leaseId: invoicePayment.invoice.leaseId,
+      stripePaymentId: null,
+      paymentId: invoicePayment.id,
+      leasePaymentStatus: null,
+    };
+  }
+
+  /**
+   * Record the outcome of a closed dispute. A lost dispute takes the
+   * payment back from the lease, the ledger and the landlord's payout; any
+   * other outcome gives the lease its payment status back.
+   * @param {Object} dispute - Stripe dispute
+   */
+  async handleDisputeClosed(dispute) {
+    const record = await this.recordDispute(dispute);
+    if (!record) return;
+
+    const { count } = await prisma.dispute.updateMany({
+      where: { id: record.id, closedAt: null },
+      data: { closedAt: new Date() },
+    });
+
+    if (dispute.status === 'lost') {
+      await this.applyLoss(record);
+      return;
+    }
+
+    if (count === 0) return;
+
+    if (record.stripePaymentId) {
+      await this.restoreLeasePaymentStatus(record);
+    }
+
+    await this.notifyParties(
+      record,
+      'Dispute closed',
+      `The dispute over the ${this.describePayment(record)} was closed without a chargeback. The payment stands.`
+    );
+  }
+
+  /**
+   * Give the lease back the payment status it had before the dispute,
+   * unless another dispute on it is still open
+   * @param {Object} record - Dispute
+   */
+  async restoreLeasePaymentStatus(record) {
+    const openDisputes = await prisma.dispute.count({
+      where: {
+        leaseId: record.leaseId,
+        stripePaymentId: { not: null },
+        closedAt: null,
+      },
+    });
+
+    if (openDisputes > 0) return;
+
+    await prisma.lease.updateMany({
+      where: { id: record.leaseId, paymentStatus: 'disputed' },
+      data: { paymentStatus: record.leasePaymentStatus || 'paid' },
+    });
+  }
+
+  /**
+   * Adjust the lease, the ledger and the landlord's payout for a lost
+   * dispute, once. A booking payment is marked as charged back and releases
+   * the deposit it held; an invoice payment is marked as refunded, so the
+   * invoice is due again. The commission on the disputed amount is returned
+   * to the landlord and the rest is taken back from destination charge
+   * transfers.
+   * @param {Object} record - Dispute
+   */
+  async applyLoss(record) {
+    if (record.adjustedAt) return;
+
+    const amount = parseFloat(record.amount);
+
+    if (record.stripePaymentId) {
+      await prisma.lease.update({
+        where: { id: record.leaseId },
+        data: { paymentStatus: 'charged_back' },
+      });
+      // The deposit was part of the booking payment the bank took back
+      await depositsService.releaseWithBooking(record.leaseId, amount);
+    } else if (record.paymentId) {
+      const { count } = await prisma.payment.updateMany({
+        where: { id: record.paymentId, status: 'COMPLETED' },
+        data: { status: 'REFUNDED' },
+      });
+
+      if (count > 0) {
+        await invoicesService.refreshInvoiceStatus(record.payment.invoiceId);
+      }
+    }
+
+    const source = await paymentsService.getLedgerSource(
+      record.paymentIntentId
+    );
+    const feeReturned = source
+      ? commissionsService.getRefundedFee(
+          parseFloat(source.platformFee || 0),
+          parseFloat(source.amount),
+          amount
+        )
+      : 0;
+
+    let reversal = null;
+    let reversalFailed = false;
+    try {
+      reversal = await this.reverseTransfer(record, amount - feeReturned);
+    } catch (error) {
+      reversalFailed = true;
+      console.error(
+        `❌ Could not reverse the transfer of dispute ${record.stripeDisputeId}:`,
+        error.message
+      );
+    }
+
+    if (source) {
+      await ledgerService.recordDisputeLoss(source, {
+        disputeId: record.stripeDisputeId,
+        amount,
+        feeReturned,
+        reversed: reversal ? reversal.amount / 100 : 0,
+      });
+    }
+
+    const { count } = await prisma.dispute.updateMany({
+      where: { id: record.id, adjustedAt: null },
+      data: { adjustedAt: new Date(), transferReversalId: reversal?.id },
+    });
+
+    if (count === 0) return;
+
+    const outcome = record.stripePaymentId
+      ? 'The booking is marked as charged back.'
+      : 'The invoice it paid is due again.';
+    const payout = reversal
+      ? ` ${record.currency.toUpperCase()} ${reversal.amount / 100} was taken back from your payouts.`
+      : '';
+
+    await notificationService.notifyUser(
+      record.lease.landlord,
+      'Dispute lost',
+      `The tenant's bank decided the dispute over the ${this.describePayment(record)} in the tenant's favour. ${outcome}${payout}`
+    );
+
+    await this.notifyAdmins(
+      'Dispute lost',
+      `Dispute ${record.stripeDisputeId} over the ${this.describePayment(record)} was lost. ${outcome}${
+        reversalFailed
+          ? ' The transfer to the landlord could not be reversed; take it back in Stripe.'
+          : ''
+      }`
+    );
+  }
+
+  /**
+   * Take an amount back from the landlord's transfer of a destination charge
+   * @param {Object} record - Dispute
+   * @param {number} amount
+   * @returns {Promise<Object|null>} Stripe transfer reversal, null when the
+   * charge was not transferred
+   */
+  async reverseTransfer(record, amount) {
+    if (!stripe || !(amount > 0)) return null;
+
+    const charge = await stripe.charges.retrieve(record.chargeId);
+    if (!charge.transfer) return null;
+
+    return stripe.transfers.createReversal(
+      charge.transfer,
+      {
+        amount: toCents(amount),
+        metadata: {
+          disputeId: record.stripeDisputeId,
+          leaseId: record.leaseId,
+        },
+      },
+      // A replayed webhook must not take the transfer back twice
+      { idempotencyKey: `dispute-reversal-${record.stripeDisputeId}` }
+    );
+  }
+
+  /**
+   * Disputes of the landlord's leases, or all of them for admins
+   * @param {Object} user
+   * @param {Object} filters - { page, limit, status, leaseId }
+   * @returns {Promise<Object>} { disputes, pagination }
+   */
+  async listDisputes(user, { page = 1, limit = 10, status, leaseId }) {
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(user.role !== 'ADMIN' && { lease: { landlordId: user.id } }),
+      ...(status && { status }),
+      ...(leaseId && { leaseId }),
+    };
+
+    const [disputes, total] = await Promise.all([
+      prisma.dispute.findMany({
+        where,
+        include: disputeInclude,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.dispute.count({ where }),
+    ]);
+
+    return {
+      disputes: disputes.map(dispute => this.formatDispute(dispute)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a dispute of the landlord's lease, or any for admins
+   * @param {string} disputeId
+   * @param {Object} user
+   * @returns {Promise<Object>} Dispute
+   */
+  async getDispute(disputeId, user) {
+    return this.formatDispute(await this.getDisputeForUser(disputeId, user));
+  }
+
+  async getDisputeForUser(disputeId, user) {
+    const dispute = await prisma.dispute.findUnique({
+      where: { id: disputeId },
+      include: disputeInclude,
+    });
+
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+
+    if (user.role !== 'ADMIN' && dispute.lease.landlordId !== user.id) {
+      throw new AppError('You do not have access to this dispute', 403);
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Send evidence for a dispute to Stripe. Files are uploaded to Stripe
+   * and the tenant and stay are filled in from the lease unless given.
+   * Evidence is staged until it is submitted; Stripe accepts one
+   * submission.
+   * @param {string} disputeId
+   * @param {Object} user - Landlord of the lease or admin
+   * @param {Object} data - Evidence text fields and submit
+   * @param {Object} files - Evidence files by field (multer fields)
+   * @returns {Promise<Object>} Updated dispute
+   */
+  async submitEvidence(disputeId, user, data, files = {}) {
+    if (!stripe) {
+      throw new AppError('Payments are not configured', 503);
+    }
+
+    const dispute = await this.getDisputeForUser(disputeId, user);
+
+    if (!EVIDENCE_STATUSES.includes(dispute.status)) {
+      throw new AppError('This dispute no longer accepts evidence', 409);
+    }
+
+    if (dispute.evidenceDueBy && dispute.evidenceDueBy < new Date()) {
+      throw new AppError('The deadline for evidence has passed', 409);
+    }
+
+    const { lease } = dispute;
+    const evidence = {
+      customer_name: lease.tenant.name,
+      customer_email_address: lease.tenant.email,
+      product_description: `Rental of "${lease.property.title}", ${lease.property.address}, from ${toDateString(lease.startDate)} to ${toDateString(lease.endDate)} (lease ${lease.code})`,
+      service_date: toDateString(lease.startDate),
+    };
+
+    Object.entries(EVIDENCE_TEXT).forEach(([field, stripeField]) => {
+      if (data[field]) evidence[stripeField] = data[field];
+    });
+
+    for (const [field, stripeField] of Object.entries(EVIDENCE_FILES)) {
+      const file = files[field]?.[0];
+      if (!file) continue;
+
+      const uploaded = await stripe.files.create({
+        purpose: 'dispute_evidence',
+        file: {
+          data: file.buffer,
+          name: file.originalname,
+          type: file.mimetype,
+        },
+      });
+      evidence[stripeField] = uploaded.id;
+    }
+
+    const submit = !!data.submit;
+    const updated = await stripe.disputes.update(dispute.stripeDisputeId, {
+      evidence,
+      submit,
+    });
+
+    return this.formatDispute(
+      await prisma.dispute.update({
+        where: { id: dispute.id },
+        data: {
+          status: updated.status,
+          evidence: { ...(dispute.evidence || {}), ...evidence },
+          ...(submit && { evidenceSubmittedAt: new Date() }),
+        },
+        include: disputeInclude,
+      })
+    );
+  }
+
+  async notifyParties(record, subject, message) {
+    await notificationService.notifyUser(
+      record.lease.landlord,
+      subject,
+      message
+    );
+    await this.notifyAdmins(subject, message);
+  }
+
+  async notifyAdmins(subject, message) {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN', isActive: true },
+      select: { name: true, email: true },
+    });
+
+    for (const admin of admins) {
+      await notificationService.notifyUser(admin, subject, message);
+    }
+  }
+
+  describePayment(record) {
+    const payment = record.stripePaymentId
+      ? 'booking payment'
+      : 'invoice payment';
+
+    return `${payment} of ${record.currency.toUpperCase()} ${parseFloat(record.amount)} for "${record.lease.property.title}" (lease ${record.lease.code})`;
+  }
+
+  formatDispute(dispute) {
+    const { lease, payment, ...rest } = dispute;
+
+    return {
+      ...rest,
+      amount: parseFloat(dispute.amount),
+      invoiceId: payment?.invoiceId || null,
+      canSubmitEvidence: EVIDENCE_STATUSES.includes(dispute.status),
+      lease: {
+        id: lease.id,
+        code: lease.code,
+        paymentStatus: lease.paymentStatus,
+        property: lease.property,
+        tenant: lease.tenant,
+      },
+    };
+  }
+}
+
+module.exports = new DisputesService();
@@ -0,0 +1,53 @@
+const { body, param, query } = require('express-validator');
+
+const DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'warning_closed',
+  'needs_response',
+  'under_review',
+  'won',
+  'lost',
+];
+
+const listDisputesValidation = [
+  query('status')
+    .optional()
+    .isIn(DISPUTE_STATUSES)
+    .withMessage(`Status must be one of: ${DISPUTE_STATUSES.join(', ')}`),
+  query('leaseId').optional().isUUID().withMessage('Invalid lease ID format'),
+];
+
+const disputeIdValidation = [
+  param('disputeId').isUUID().withMessage('Invalid dispute ID format'),
+];
+
+const evidenceText = field =>
+  body(field)
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage(`${field} must be at most 5000 characters`);
+
+const submitEvidenceValidation = [
+  ...disputeIdValidation,
+  evidenceText('productDescription'),
+  body('serviceDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Service date must be a valid date'),
+  evidenceText('cancellationPolicyDisclosure'),
+  evidenceText('refundPolicyDisclosure'),
+  evidenceText('notes'),
+  body('submit')
+    .optional()
+    .isBoolean()
+    .withMessage('Submit must be a boolean')
+    .toBoolean(),
+];
+
+module.exports = {
+  listDisputesValidation,
+  disputeIdValidation,
+  submitEvidenceValidation,
+};
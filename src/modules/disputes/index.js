@@ -0,0 +1,9 @@
+const disputesController = require('./disputes.controller');
+const disputesService = require('./disputes.service');
+const disputesRoutes = require('./disputes.routes');
+
+module.exports = {
+  controller: disputesController,
+  service: disputesService,
+  routes: disputesRoutes,
+};
@@ -0,0 +1,9 @@
+const inspectionsController = require('./inspections.controller');
+const inspectionsService = require('./inspections.service');
+const inspectionsRoutes = require('./inspections.routes');
+
+module.exports = {
+  controller: inspectionsController,
+  service: inspectionsService,
+  routes: inspectionsRoutes,
+};
@@ -0,0 +1,222 @@
+const { validationResult } = require('express-validator');
+const inspectionsService = require('./inspections.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * List the inspections of a booking
+ * GET /api/v1/bookings/:bookingId/inspections
+ */
+exports.listInspections = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.listInspections(
+    req.params.bookingId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Start a move-in or move-out inspection
+ * POST /api/v1/bookings/:bookingId/inspections
+ */
+exports.createInspection = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.createInspection(
+    req.params.bookingId,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Inspection created successfully',
+    data: result,
+  });
+});
+
+/**
+ * Get an inspection with its changes since move-in
+ * GET /api/v1/bookings/:bookingId/inspections/:inspectionId
+ */
+exports.getInspection = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.getInspectionDetails(
+    req.params.bookingId,
+    req.params.inspectionId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Add a checklist item with photos
+ * POST /api/v1/bookings/:bookingId/inspections/:inspectionId/items
+ */
+exports.addItem = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.addItem(
+    req.params.bookingId,
+    req.params.inspectionId,
+    req.user,
+    req.body,
+    req.files
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Item added successfully',
+    data: result,
+  });
+});
+
+/**
+ * Update a checklist item
+ * PUT /api/v1/bookings/:bookingId/inspections/:inspectionId/items/:itemId
+ */
+exports.updateItem = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.updateItem(
+    req.params.bookingId,
+    req.params.inspectionId,
+    req.params.itemId,
+    req.user,
+    req.body,
+    req.files
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Item updated successfully',
+    data: result,
+  });
+});
+
+/**
+ * Remove a checklist item
+ * DELETE /api/v1/bookings/:bookingId/inspections/:inspectionId/items/:itemId
+ */
+exports.removeItem = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.removeItem(
+    req.params.bookingId,
+    req.params.inspectionId,
+    req.params.itemId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Item removed successfully',
+    data: result,
+  });
+});
+
+/**
+ * Sign an inspection (tenant or landlord)
+ * POST /api/v1/bookings/:bookingId/inspections/:inspectionId/sign
+ */
+exports.signInspection = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.signInspection(
+    req.params.bookingId,
+    req.params.inspectionId,
+    req.user,
+    req.file
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Inspection signed successfully',
+    data: result,
+  });
+});
+
+/**
+ * Get the PDF of a completed inspection
+ * GET /api/v1/bookings/:bookingId/inspections/:inspectionId/pdf
+ */
+exports.getReportPDF = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await inspectionsService.getReportPDF(
+    req.params.bookingId,
+    req.params.inspectionId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
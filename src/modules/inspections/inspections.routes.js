@@ -0,0 +1,492 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const {
+  uploadSingle,
+  uploadMultiple,
+  handleUploadError,
+} = require('../../middleware/upload');
+const inspectionsController = require('./inspections.controller');
+const {
+  bookingIdValidation,
+  inspectionIdValidation,
+  itemIdValidation,
+  createInspectionValidation,
+  addItemValidation,
+  updateItemValidation,
+} = require('./inspections.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InspectionItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         room:
+ *           type: string
+ *           example: Kitchen
+ *         item:
+ *           type: string
+ *           example: Oven
+ *         condition:
+ *           type: string
+ *           enum: [EXCELLENT, GOOD, FAIR, POOR, DAMAGED]
+ *         notes:
+ *           type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: string
+ *     LeaseInspection:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [MOVE_IN, MOVE_OUT]
+ *         status:
+ *           type: string
+ *           enum: [DRAFT, SIGNING, COMPLETED]
+ *           description: Items can only be changed while DRAFT; COMPLETED once both parties signed
+ *         notes:
+ *           type: string
+ *         tenantSignedAt:
+ *           type: string
+ *           format: date-time
+ *         landlordSignedAt:
+ *           type: string
+ *           format: date-time
+ *         pdfUrl:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InspectionItem'
+ *     InspectionDifferences:
+ *       type: object
+ *       description: Move-out report compared with the move-in report. Items are matched on room and item name.
+ *       properties:
+ *         summary:
+ *           type: object
+ *           properties:
+ *             UNCHANGED:
+ *               type: integer
+ *             WORSE:
+ *               type: integer
+ *             BETTER:
+ *               type: integer
+ *             ADDED:
+ *               type: integer
+ *             NOT_INSPECTED:
+ *               type: integer
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               room:
+ *                 type: string
+ *               item:
+ *                 type: string
+ *               change:
+ *                 type: string
+ *                 enum: [UNCHANGED, WORSE, BETTER, ADDED, NOT_INSPECTED]
+ *               moveIn:
+ *                 type: object
+ *                 nullable: true
+ *               moveOut:
+ *                 type: object
+ *                 nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections:
+ *   get:
+ *     summary: List the inspections of a booking
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Inspections retrieved successfully
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get(
+  '/:bookingId/inspections',
+  auth,
+  bookingIdValidation,
+  inspectionsController.listInspections
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections:
+ *   post:
+ *     summary: Start a move-in or move-out inspection (tenant or landlord)
+ *     description: Move-in inspections can be started for paid, approved or active bookings, move-out inspections for active or completed ones. A booking has at most one of each.
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [MOVE_IN, MOVE_OUT]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Inspection created successfully
+ *       403:
+ *         description: Not the tenant or landlord of this booking
+ *       409:
+ *         description: Inspection already exists or not possible for the booking status
+ */
+router.post(
+  '/:bookingId/inspections',
+  auth,
+  createInspectionValidation,
+  inspectionsController.createInspection
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections/{inspectionId}:
+ *   get:
+ *     summary: Get an inspection
+ *     description: Move-out inspections include the differences from the move-in report (null when there is none).
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Inspection retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/LeaseInspection'
+ *                     - type: object
+ *                       properties:
+ *                         differences:
+ *                           $ref: '#/components/schemas/InspectionDifferences'
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking or inspection not found
+ */
+router.get(
+  '/:bookingId/inspections/:inspectionId',
+  auth,
+  inspectionIdValidation,
+  inspectionsController.getInspection
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections/{inspectionId}/items:
+ *   post:
+ *     summary: Add a checklist item with photos
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - room
+ *               - item
+ *               - condition
+ *             properties:
+ *               room:
+ *                 type: string
+ *               item:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [EXCELLENT, GOOD, FAIR, POOR, DAMAGED]
+ *               notes:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Item added successfully
+ *       403:
+ *         description: Not the tenant or landlord of this booking
+ *       409:
+ *         description: Inspection is already signed
+ */
+router.post(
+  '/:bookingId/inspections/:inspectionId/items',
+  auth,
+  uploadMultiple('photos', 10),
+  handleUploadError,
+  addItemValidation,
+  inspectionsController.addItem
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections/{inspectionId}/items/{itemId}:
+ *   put:
+ *     summary: Update a checklist item
+ *     description: Uploaded photos are added to the item; removePhotos lists photo URLs to drop.
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               room:
+ *                 type: string
+ *               item:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [EXCELLENT, GOOD, FAIR, POOR, DAMAGED]
+ *               notes:
+ *                 type: string
+ *               removePhotos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               photos:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Inspection is already signed
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Item removed successfully
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Inspection is already signed
+ */
+router.put(
+  '/:bookingId/inspections/:inspectionId/items/:itemId',
+  auth,
+  uploadMultiple('photos', 10),
+  handleUploadError,
+  updateItemValidation,
+  inspectionsController.updateItem
+);
+
+router.delete(
+  '/:bookingId/inspections/:inspectionId/items/:itemId',
+  auth,
+  itemIdValidation,
+  inspectionsController.removeItem
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections/{inspectionId}/sign:
+ *   post:
+ *     summary: Sign an inspection (tenant or landlord)
+ *     description: The first signature locks the items. Once both parties signed the inspection is completed and its PDF generated.
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional signature image
+ *     responses:
+ *       200:
+ *         description: Inspection signed successfully
+ *       400:
+ *         description: Inspection has no items
+ *       403:
+ *         description: Not the tenant or landlord of this booking
+ *       409:
+ *         description: Already signed
+ */
+router.post(
+  '/:bookingId/inspections/:inspectionId/sign',
+  auth,
+  uploadSingle('signature'),
+  handleUploadError,
+  inspectionIdValidation,
+  inspectionsController.signInspection
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{bookingId}/inspections/{inspectionId}/pdf:
+ *   get:
+ *     summary: Get the PDF of a completed inspection
+ *     tags: [Inspections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: inspectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PDF URL
+ *       409:
+ *         description: Not signed by both parties yet
+ */
+router.get(
+  '/:bookingId/inspections/:inspectionId/pdf',
+  auth,
+  inspectionIdValidation,
+  inspectionsController.getReportPDF
+);
+
+module.exports = router;
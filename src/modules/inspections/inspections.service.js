@@ -0,0 +1,469 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const notificationService = require('../../services/notification.service');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+const fileUploadService = require('../../utils/fileUpload');
+
+// Best first; a higher index is a worse condition
+const CONDITIONS = ['EXCELLENT', 'GOOD', 'FAIR', 'POOR', 'DAMAGED'];
+
+// Lease statuses an inspection can be started in
+const INSPECTION_LEASE_STATUSES = {
+  MOVE_IN: ['PAID', 'APPROVED', 'ACTIVE'],
+  MOVE_OUT: ['ACTIVE', 'COMPLETED'],
+};
+
+const partySelect = {
+  select: {
+    id: true,
+    email: true,
+    name: true,
+  },
+};
+
+const leaseInclude = {
+  property: {
+    select: { id: true, title: true, address: true, city: true },
+  },
+  tenant: partySelect,
+  landlord: partySelect,
+};
+
+const inspectionInclude = {
+  items: { orderBy: [{ room: 'asc' }, { createdAt: 'asc' }] },
+};
+
+const itemKey = item =>
+  `${item.room.trim().toLowerCase()}|${item.item.trim().toLowerCase()}`;
+
+const itemState = item =>
+  item && {
+    condition: item.condition,
+    notes: item.notes,
+    photos: item.photos,
+  };
+
+class InspectionsService {
+  /**
+   * Get a lease the user is a party of (or any for admins)
+   * @param {string} leaseId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Lease including property and parties
+   */
+  async getLeaseForUser(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: leaseInclude,
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (
+      user.role !== 'ADMIN' &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    return lease;
+  }
+
+  /**
+   * Party the user signs as, null for admins
+   * @returns {string|null} TENANT or LANDLORD
+   */
+  getParty(lease, user) {
+    if (lease.tenantId === user.id) return 'TENANT';
+    if (lease.landlordId === user.id) return 'LANDLORD';
+    return null;
+  }
+
+  assertParty(lease, user) {
+    const party = this.getParty(lease, user);
+
+    if (!party) {
+      throw new AppError(
+        'Only the tenant or the landlord can change inspections',
+        403
+      );
+    }
+
+    return party;
+  }
+
+  async getInspection(lease, inspectionId) {
+    const inspection = await prisma.leaseInspection.findFirst({
+      where: { id: inspectionId, leaseId: lease.id },
+      include: inspectionInclude,
+    });
+
+    if (!inspection) {
+      throw new AppError('Inspection not found', 404);
+    }
+
+    return inspection;
+  }
+
+  assertEditable(inspection) {
+    if (inspection.status !== 'DRAFT') {
+      throw new AppError('Signed inspections cannot be changed anymore', 409);
+    }
+  }
+
+  /**
+   * Compare a move-out report with the move-in report, item by item.
+   * Items are matched on room and item name (case-insensitive).
+   * @param {Object} moveIn - Move-in inspection including items
+   * @param {Object} moveOut - Move-out inspection including items
+   * @returns {Object} { summary, items } - change is UNCHANGED, WORSE,
+   * BETTER, ADDED (only at move-out) or NOT_INSPECTED (only at move-in)
+   */
+  getDifferences(moveIn, moveOut) {
+    const moveInItems = new Map(
+      moveIn.items.map(item => [itemKey(item), item])
+    );
+    const moveOutItems = new Map(
+      moveOut.items.map(item => [itemKey(item), item])
+    );
+    const keys = [...new Set([...moveInItems.keys(), ...moveOutItems.keys()])];
+
+    const items = keys.map(key => {
+      const before = moveInItems.get(key);
+      const after = moveOutItems.get(key);
+      let change;
+
+      if (!before) {
+        change = 'ADDED';
+      } else if (!after) {
+        change = 'NOT_INSPECTED';
+      } else {
+        const delta =
+          CONDITIONS.indexOf(after.condition) -
+          CONDITIONS.indexOf(before.condition);
+        change = delta > 0 ? 'WORSE' : delta < 0 ? 'BETTER' : 'UNCHANGED';
+      }
+
+      const { room, item } = after || before;
+
+      return {
+        room,
+        item,
+        change,
+        moveIn: itemState(before) || null,
+        moveOut: itemState(after) || null,
+      };
+    });
+
+    const summary = items.reduce(
+      (counts, { change }) => ({
+        ...counts,
+        [change]: (counts[change] || 0) + 1,
+      }),
+      { UNCHANGED: 0, WORSE: 0, BETTER: 0, ADDED: 0, NOT_INSPECTED: 0 }
+    );
+
+    return { summary, items };
+  }
+
+  /**
+   * Differences of a move-out report from the lease's move-in report
+   * @returns {Promise<Object|null>} null for move-in reports or when there
+   * is no move-in report
+   */
+  async getDifferencesFor(inspection) {
+    if (inspection.type !== 'MOVE_OUT') return null;
+
+    const moveIn = await prisma.leaseInspection.findUnique({
+      where: {
+        leaseId_type: { leaseId: inspection.leaseId, type: 'MOVE_IN' },
+      },
+      include: inspectionInclude,
+    });
+
+    return moveIn ? this.getDifferences(moveIn, inspection) : null;
+  }
+
+  /**
+   * List the inspections of a booking
+   * @returns {Promise<Array>}
+   */
+  async listInspections(leaseId, user) {
+    await this.getLeaseForUser(leaseId, user);
+
+    return prisma.leaseInspection.findMany({
+      where: { leaseId },
+      include: inspectionInclude,
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Get an inspection; move-out reports include the differences from the
+   * move-in report
+   * @returns {Promise<Object>}
+   */
+  async getInspectionDetails(leaseId, inspectionId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const inspection = await this.getInspection(lease, inspectionId);
+
+    return {
+      ...inspection,
+      differences: await this.getDifferencesFor(inspection),
+    };
+  }
+
+  /**
+   * Start a move-in or move-out inspection (tenant or landlord)
+   * @param {Object} data - { type, notes }
+   * @returns {Promise<Object>} Created inspection
+   */
+  async createInspection(leaseId, user, { type, notes }) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertParty(lease, user);
+
+    if (!INSPECTION_LEASE_STATUSES[type].includes(lease.status)) {
+      throw new AppError(
+        `A ${type === 'MOVE_IN' ? 'move-in' : 'move-out'} inspection cannot be started for a ${lease.status.toLowerCase()} booking`,
+        409
+      );
+    }
+
+    const existing = await prisma.leaseInspection.findUnique({
+      where: { leaseId_type: { leaseId, type } },
+    });
+
+    if (existing) {
+      throw new AppError('This inspection already exists', 409);
+    }
+
+    return prisma.leaseInspection.create({
+      data: {
+        leaseId,
+        type,
+        notes: notes || null,
+        createdById: user.id,
+      },
+      include: inspectionInclude,
+    });
+  }
+
+  /**
+   * Add a checklist item with photos
+   * @param {Object} data - { room, item, condition, notes }
+   * @param {Array} files - Photos (multer files)
+   * @returns {Promise<Object>} Updated inspection
+   */
+  async addItem(leaseId, inspectionId, user, data, files = []) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertParty(lease, user);
+    const inspection = await this.getInspection(lease, inspectionId);
+    this.assertEditable(inspection);
+
+    const photos = await this.uploadPhotos(files);
+
+    await prisma.inspectionItem.create({
+      data: {
+        inspectionId,
+        room: data.room,
+        item: data.item,
+        condition: data.condition,
+        notes: data.notes || null,
+        photos,
+      },
+    });
+
+    return this.getInspection(lease, inspectionId);
+  }
+
+  /**
+   * Update a checklist item; uploaded photos are added to the existing ones
+   * @param {Object} data - { room, item, condition, notes, removePhotos }
+   * @returns {Promise<Object>} Updated inspection
+   */
+  async updateItem(leaseId, inspectionId, itemId, user, data, files = []) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertParty(lease, user);
+    const inspection = await this.getInspection(lease, inspectionId);
+    this.assertEditable(inspection);
+
+    const item = inspection.items.find(({ id }) => id === itemId);
+    if (!item) {
+      throw new AppError('Inspection item not found', 404);
+    }
+
+    const removePhotos = data.removePhotos || [];
+    const photos = [
+      ...item.photos.filter(url => !removePhotos.includes(url)),
+      ...(await this.uploadPhotos(files)),
+    ];
+
+    const updateData = { photos };
+    for (const field of ['room', 'item', 'condition', 'notes']) {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    }
+
+    await prisma.inspectionItem.update({
+      where: { id: itemId },
+      data: updateData,
+    });
+
+    return this.getInspection(lease, inspectionId);
+  }
+
+  /**
+   * Remove a checklist item
+   * @returns {Promise<Object>} Updated inspection
+   */
+  async removeItem(leaseId, inspectionId, itemId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    this.assertParty(lease, user);
+    const inspection = await this.getInspection(lease, inspectionId);
+    this.assertEditable(inspection);
+
+    if (!inspection.items.some(({ id }) => id === itemId)) {
+      throw new AppError('Inspection item not found', 404);
+    }
+
+    await prisma.inspectionItem.delete({ where: { id: itemId } });
+
+    return this.getInspection(lease, inspectionId);
+  }
+
+  async uploadPhotos(files) {
+    if (!files.length) return [];
+
+    const uploaded = await fileUploadService.uploadMultipleFiles(
+      files,
+      'inspections'
+    );
+
+    return uploaded.map(file => file.url);
+  }
+
+  /**
+   * Sign an inspection (tenant or landlord). The first signature locks the
+   * items; once both parties signed the report PDF is generated.
+   * @param {Object} file - Optional signature image (multer file)
+   * @returns {Promise<Object>} Updated inspection
+   */
+  async signInspection(leaseId, inspectionId, user, file = null) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const party = this.assertParty(lease, user);
+    const inspection = await this.getInspection(lease, inspectionId);
+
+    const signedAtField =
+      party === 'TENANT' ? 'tenantSignedAt' : 'landlordSignedAt';
+    const signatureField =
+      party === 'TENANT' ? 'tenantSignatureUrl' : 'landlordSignatureUrl';
+
+    if (inspection[signedAtField]) {
+      throw new AppError('You already signed this inspection', 409);
+    }
+
+    if (inspection.items.length === 0) {
+      throw new AppError('Add at least one item before signing', 400);
+    }
+
+    const signatureUrl = file
+      ? (await fileUploadService.uploadFile(file, 'inspection-signatures')).url
+      : null;
+
+    const otherSigned =
+      party === 'TENANT'
+        ? inspection.landlordSignedAt
+        : inspection.tenantSignedAt;
+    const now = new Date();
+
+    // Guard against both parties signing at the same time
+    const { count } = await prisma.leaseInspection.updateMany({
+      where: { id: inspectionId, [signedAtField]: null },
+      data: {
+        [signedAtField]: now,
+        [signatureField]: signatureUrl,
+        status: otherSigned ? 'COMPLETED' : 'SIGNING',
+        ...(otherSigned && { completedAt: now }),
+      },
+    });
+
+    if (count === 0) {
+      throw new AppError('You already signed this inspection', 409);
+    }
+
+    const typeLabel = inspection.type === 'MOVE_IN' ? 'move-in' : 'move-out';
+
+    if (otherSigned) {
+      await this.generateReport(lease, inspectionId);
+    } else {
+      const otherParty = party === 'TENANT' ? lease.landlord : lease.tenant;
+      await notificationService.notifyUser(
+        otherParty,
+        'Inspection report ready to sign',
+        `The ${typeLabel} inspection report for lease ${lease.code} ("${lease.property.title}") was signed by the ${party.toLowerCase()}. Review and sign it in the app.`
+      );
+    }
+
+    return this.getInspection(lease, inspectionId);
+  }
+
+  /**
+   * Generate the PDF of a completed inspection. Failures are logged; the
+   * PDF can be generated again from the PDF endpoint.
+   * @returns {Promise<string|null>} PDF URL
+   */
+  async generateReport(lease, inspectionId) {
+    try {
+      const inspection = await this.getInspection(lease, inspectionId);
+      const differences = await this.getDifferencesFor(inspection);
+
+      const { url } = await pdfGenerationService.generateInspectionReportPDF(
+        lease,
+        inspection,
+        differences
+      );
+
+      await prisma.leaseInspection.update({
+        where: { id: inspectionId },
+        data: { pdfUrl: url },
+      });
+
+      return url;
+    } catch (error) {
+      console.error('❌ Error generating inspection report:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the PDF of a completed inspection, generating it if missing
+   * @returns {Promise<Object>} { url }
+   */
+  async getReportPDF(leaseId, inspectionId, user) {
+    const lease = await this.getLeaseForUser(leaseId, user);
+    const inspection = await this.getInspection(lease, inspectionId);
+
+    if (inspection.status !== 'COMPLETED') {
+      throw new AppError(
+        'The report is available once both parties signed',
+        409
+      );
+    }
+
+    if (inspection.pdfUrl) {
+      return { url: inspection.pdfUrl };
+    }
+
+    const url = await this.generateReport(lease, inspectionId);
+    if (!url) {
+      throw new AppError('Inspection report could not be generated', 500);
+    }
+
+    return { url };
+  }
+}
+
+module.exports = new InspectionsService();
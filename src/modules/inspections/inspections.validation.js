@@ -0,0 +1,74 @@
+const { body, param } = require('express-validator');
+
+const CONDITIONS = ['EXCELLENT', 'GOOD', 'FAIR', 'POOR', 'DAMAGED'];
+
+const bookingIdValidation = [
+  param('bookingId').isUUID().withMessage('Invalid booking ID format'),
+];
+
+const inspectionIdValidation = [
+  ...bookingIdValidation,
+  param('inspectionId').isUUID().withMessage('Invalid inspection ID format'),
+];
+
+const itemIdValidation = [
+  ...inspectionIdValidation,
+  param('itemId').isUUID().withMessage('Invalid item ID format'),
+];
+
+const textValidation = (field, max, { optional = false } = {}) =>
+  (optional ? body(field).optional() : body(field))
+    .trim()
+    .notEmpty()
+    .withMessage(`${field} is required`)
+    .isLength({ max })
+    .withMessage(`${field} must be at most ${max} characters`);
+
+const notesValidation = body('notes')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('notes must be a string')
+  .isLength({ max: 1000 })
+  .withMessage('notes must be at most 1000 characters');
+
+const createInspectionValidation = [
+  ...bookingIdValidation,
+  body('type')
+    .isIn(['MOVE_IN', 'MOVE_OUT'])
+    .withMessage('Type must be MOVE_IN or MOVE_OUT'),
+  notesValidation,
+];
+
+const addItemValidation = [
+  ...inspectionIdValidation,
+  textValidation('room', 100),
+  textValidation('item', 100),
+  body('condition')
+    .isIn(CONDITIONS)
+    .withMessage(`Condition must be one of ${CONDITIONS.join(', ')}`),
+  notesValidation,
+];
+
+const updateItemValidation = [
+  ...itemIdValidation,
+  textValidation('room', 100, { optional: true }),
+  textValidation('item', 100, { optional: true }),
+  body('condition')
+    .optional()
+    .isIn(CONDITIONS)
+    .withMessage(`Condition must be one of ${CONDITIONS.join(', ')}`),
+  notesValidation,
+  // Multipart forms send a single value as a string
+  body('removePhotos')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value])),
+];
+
+module.exports = {
+  bookingIdValidation,
+  inspectionIdValidation,
+  itemIdValidation,
+  createInspectionValidation,
+  addItemValidation,
+  updateItemValidation,
+};
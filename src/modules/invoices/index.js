@@ -0,0 +1,9 @@
+const invoicesController = require('./invoices.controller');
+const invoicesService = require('./invoices.service');
+const invoicesRoutes = require('./invoices.routes');
+
+module.exports = {
+  controller: invoicesController,
+  service: invoicesService,
+  routes: invoicesRoutes,
+};
@@ -0,0 +1,168 @@
+const { validationResult } = require('express-validator');
+const invoicesService = require('./invoices.service');
+const paymentService = require('../payments/payments.service');
+const catchAsync = require('../../utils/catchAsync');
+
+const getListFilters = req => ({
+  page: parseInt(req.query.page) || 1,
+  limit: parseInt(req.query.limit) || 10,
+  status: req.query.status,
+  leaseId: req.query.leaseId,
+});
+
+/**
+ * Get invoices of the current user (as tenant)
+ * GET /api/v1/invoices/my
+ */
+exports.getMyInvoices = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await invoicesService.getTenantInvoices(
+    req.user.id,
+    getListFilters(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get invoices of the current user's properties (as landlord)
+ * GET /api/v1/invoices/landlord
+ */
+exports.getLandlordInvoices = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await invoicesService.getLandlordInvoices(
+    req.user.id,
+    getListFilters(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get invoice details
+ * GET /api/v1/invoices/:id
+ */
+exports.getInvoiceById = catchAsync(async (req, res) => {
+  const invoice = await invoicesService.getInvoiceById(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: invoice,
+  });
+});
+
+/**
+ * Create Payment Sheet to pay an invoice (fully or partially) via Stripe
+ * POST /api/v1/invoices/:id/pay
+ */
+exports.payInvoice = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const paymentSheet = await paymentService.createInvoicePaymentSheet(
+    req.params.id,
+    req.user.id,
+    req.body.amount
+  );
+
+  res.status(200).json({
+    success: true,
+    data: paymentSheet,
+  });
+});
+
+/**
+ * Record an offline payment for an invoice (Landlord/Admin)
+ * POST /api/v1/invoices/:id/payments
+ */
+exports.recordPayment = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const invoice = await invoicesService.recordPayment(
+    req.params.id,
+    req.user,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment recorded successfully',
+    data: invoice,
+  });
+});
+
+/**
+ * Void an unpaid invoice (Landlord/Admin)
+ * POST /api/v1/invoices/:id/void
+ */
+exports.voidInvoice = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const invoice = await invoicesService.voidInvoice(
+    req.params.id,
+    req.user,
+    req.body.reason
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Invoice voided successfully',
+    data: invoice,
+  });
+});
+
+/**
+ * Run the rent invoice generator now (Admin)
+ * POST /api/v1/invoices/generate
+ */
+exports.generateRentInvoices = catchAsync(async (req, res) => {
+  const result = await invoicesService.generateDueRentInvoices();
+
+  res.status(200).json({
+    success: true,
+    message: `${result.invoicesCreated} invoice(s) generated`,
+    data: result,
+  });
+});
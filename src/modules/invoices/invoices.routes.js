@@ -0,0 +1,358 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const invoicesController = require('./invoices.controller');
+const {
+  listInvoicesValidation,
+  payInvoiceValidation,
+  recordPaymentValidation,
+  voidInvoiceValidation,
+} = require('./invoices.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [RENT, DEPOSIT, UTILITY, OTHER]
+ *         amount:
+ *           type: number
+ *           description: Including tax
+ *         taxAmount:
+ *           type: number
+ *         taxLines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxLine'
+ *         amountPaid:
+ *           type: number
+ *           description: Sum of completed payments
+ *         balanceDue:
+ *           type: number
+ *           description: Remaining amount to pay (0 unless DUE)
+ *         currencyCode:
+ *           type: string
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the billed period (RENT invoices)
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [DUE, PAID, VOID, REFUNDED]
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         memo:
+ *           type: string
+ *         payments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [BANK_TRANSFER, CASH, EWALLET, CREDIT_CARD]
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, COMPLETED, FAILED, REFUNDED]
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *               txnRef:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/invoices/my:
+ *   get:
+ *     summary: Get my invoices (as tenant)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DUE, PAID, VOID, REFUNDED]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/my',
+  auth,
+  listInvoicesValidation,
+  invoicesController.getMyInvoices
+);
+
+/**
+ * @swagger
+ * /api/v1/invoices/landlord:
+ *   get:
+ *     summary: Get invoices of my properties (as landlord)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DUE, PAID, VOID, REFUNDED]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/landlord',
+  auth,
+  listInvoicesValidation,
+  invoicesController.getLandlordInvoices
+);
+
+/**
+ * @swagger
+ * /api/v1/invoices/generate:
+ *   post:
+ *     summary: Generate due rent invoices now (Admin only)
+ *     description: Runs the same generator as the scheduled rent invoice job.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Generation finished
+ *       403:
+ *         description: Admin access required
+ */
+router.post(
+  '/generate',
+  auth,
+  authorize('ADMIN'),
+  invoicesController.generateRentInvoices
+);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}:
+ *   get:
+ *     summary: Get invoice details with payments
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       403:
+ *         description: Not the tenant or landlord of this invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', auth, invoicesController.getInvoiceById);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/pay:
+ *   post:
+ *     summary: Pay an invoice via Stripe (Tenant)
+ *     description: |
+ *       Creates a Stripe Payment Sheet for the invoice. Send an amount lower
+ *       than the balance to pay in several parts. The invoice becomes PAID
+ *       once completed payments cover the full amount. Accepted co-tenants
+ *       and guarantors can pay too; when the rent is split, the amount
+ *       defaults to the payer's outstanding share (shareDue).
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the outstanding balance, or the payer's share when the rent is split
+ *     responses:
+ *       200:
+ *         description: Payment sheet created
+ *       400:
+ *         description: Invoice not payable, invalid amount or no outstanding share
+ *       403:
+ *         description: Not a tenant of this invoice
+ *       503:
+ *         description: Payment service is not configured
+ */
+router.post(
+  '/:id/pay',
+  auth,
+  payInvoiceValidation,
+  invoicesController.payInvoice
+);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/payments:
+ *   post:
+ *     summary: Record an offline payment (Landlord/Admin)
+ *     description: Records a completed partial or full payment received outside Stripe.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [BANK_TRANSFER, CASH, EWALLET, CREDIT_CARD]
+ *               txnRef:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invoice not payable or invalid amount
+ *       403:
+ *         description: Only the landlord can record payments
+ */
+router.post(
+  '/:id/payments',
+  auth,
+  recordPaymentValidation,
+  invoicesController.recordPayment
+);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/void:
+ *   post:
+ *     summary: Void an unpaid invoice (Landlord/Admin)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice voided
+ *       400:
+ *         description: Invoice is not DUE or already has payments
+ *       403:
+ *         description: Only the landlord can void invoices
+ */
+router.post(
+  '/:id/void',
+  auth,
+  voidInvoiceValidation,
+  invoicesController.voidInvoice
+);
+
+module.exports = router;
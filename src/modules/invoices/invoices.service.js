@@ -0,0 +1,587 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const billingConfig = require('../../config/billing');
+const { addMonths, addDays, toDateString } = require('../../utils/dates');
+const leaseParticipantsService = require('../bookings/leaseParticipants.service');
+const receiptsService = require('../receipts/receipts.service');
+const taxesService = require('../taxes/taxes.service');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const invoiceInclude = {
+  lease: {
+    select: {
+      id: true,
+      code: true,
+      tenantId: true,
+      landlordId: true,
+      property: {
+        select: {
+          id: true,
+          title: true,
+          address: true,
+          city: true,
+        },
+      },
+    },
+  },
+  payments: {
+    orderBy: { createdAt: 'asc' },
+  },
+  taxLines: true,
+};
+
+class InvoicesService {
+  /**
+   * Billing periods of a lease that are not covered by the upfront payment.
+   * Periods are calendar months anchored on the lease start date; the last
+   * one is cut off at the lease end date.
+   * @param {Object} lease - Lease with startDate and endDate
+   * @param {number} upfrontMonths - Months already paid at booking
+   * @returns {Array<{periodStart: Date, periodEnd: Date}>}
+   */
+  getRentPeriods(lease, upfrontMonths) {
+    const periods = [];
+    const endDate = new Date(lease.endDate);
+
+    for (let i = upfrontMonths; ; i++) {
+      const periodStart = addMonths(lease.startDate, i);
+      if (periodStart >= endDate) break;
+
+      const nextStart = addMonths(lease.startDate, i + 1);
+      periods.push({
+        periodStart,
+        periodEnd: nextStart < endDate ? nextStart : endDate,
+      });
+    }
+
+    return periods;
+  }
+
+  /**
+   * Create the RENT invoices of a lease whose period starts within the
+   * billing lead time. Periods that already have an invoice are skipped.
+   * @param {Object} lease - Lease including its quote
+   * @param {Date} now
+   * @returns {Promise<Array>} Created invoices
+   */
+  async generateRentInvoicesForLease(lease, now = new Date()) {
+    // Leases booked without a quote paid the whole stay upfront
+    if (!lease.quote) {
+      return [];
+    }
+
+    const issueUntil = addDays(now, billingConfig.invoiceLeadDays);
+    const periods = this.getRentPeriods(
+      lease,
+      lease.quote.upfrontMonths
+    ).filter(period => period.periodStart <= issueUntil);
+
+    const created = [];
+    const existingInvoices = await prisma.invoice.findMany({
+      where: { leaseId: lease.id, type: 'RENT' },
+      select: { periodStart: true, periodEnd: true },
+    });
+
+    for (const period of periods) {
+      // Skip periods already invoiced, including those covered by a
+      // lease extension invoice spanning several periods
+      const isInvoiced = existingInvoices.some(
+        invoice =>
+          invoice.periodStart?.getTime() === period.periodStart.getTime() ||
+          (invoice.periodStart <= period.periodStart &&
+            invoice.periodEnd > period.periodStart)
+      );
+
+      if (isInvoiced) continue;
+
+      const memo = `Rent ${toDateString(period.periodStart)} - ${toDateString(
+        period.periodEnd
+      )}`;
+      const tax = await taxesService.calculateInvoice(
+        lease.id,
+        'RENT',
+        parseFloat(lease.rentAmount),
+        memo
+      );
+
+      try {
+        const invoice = await prisma.invoice.create({
+          data: {
+            leaseId: lease.id,
+            type: 'RENT',
+            amount: tax.amount,
+            taxAmount: tax.taxAmount,
+            currencyCode: lease.currencyCode,
+            dueDate: period.periodStart,
+            periodStart: period.periodStart,
+            periodEnd: period.periodEnd,
+            memo,
+            taxLines: { create: tax.lines },
+          },
+        });
+        created.push(invoice);
+      } catch (error) {
+        // Another run created the same period in the meantime
+        if (error.code === 'P2002') continue;
+        throw error;
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Generate due RENT invoices for all active leases
+   * @param {Date} now
+   * @returns {Promise<Object>} { leasesChecked, invoicesCreated }
+   */
+  async generateDueRentInvoices(now = new Date()) {
+    const leases = await prisma.lease.findMany({
+      where: {
+        status: 'ACTIVE',
+        endDate: { gt: now },
+      },
+      include: {
+        quote: { select: { upfrontMonths: true } },
+      },
+    });
+
+    let invoicesCreated = 0;
+
+    for (const lease of leases) {
+      try {
+        const invoices = await this.generateRentInvoicesForLease(lease, now);
+        invoicesCreated += invoices.length;
+      } catch (error) {
+        console.error(
+          `Failed to generate rent invoices for lease ${lease.id}:`,
+          error
+        );
+      }
+    }
+
+    return { leasesChecked: leases.length, invoicesCreated };
+  }
+
+  /**
+   * Get invoices of the current user as tenant, co-tenant or guarantor
+   * @param {string} userId
+   * @param {Object} filters - { page, limit, status, leaseId }
+   * @returns {Promise<Object>}
+   */
+  async getTenantInvoices(userId, filters = {}) {
+    return this.listInvoices(
+      leaseParticipantsService.getTenantLeaseWhere(userId),
+      filters
+    );
+  }
+
+  /**
+   * Get invoices of the current user as landlord
+   * @param {string} landlordId
+   * @param {Object} filters - { page, limit, status, leaseId }
+   * @returns {Promise<Object>}
+   */
+  async getLandlordInvoices(landlordId, filters = {}) {
+    return this.listInvoices({ landlordId }, filters);
+  }
+
+  async listInvoices(leaseWhere, { page = 1, limit = 10, status, leaseId }) {
+    const skip = (page - 1) * limit;
+    const where = { lease: leaseWhere };
+
+    if (status) where.status = status;
+    if (leaseId) where.leaseId = leaseId;
+
+    const [invoices, total] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        include: invoiceInclude,
+        orderBy: { dueDate: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.invoice.count({ where }),
+    ]);
+
+    return {
+      invoices: invoices.map(invoice => this.formatInvoice(invoice)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get invoice details. Accessible by the tenant, accepted co-tenants and
+   * guarantors, the landlord and admins.
+   * @param {string} invoiceId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getInvoiceById(invoiceId, user) {
+    const invoice = await this.findInvoiceForUser(invoiceId, user);
+    return this.formatInvoice(invoice);
+  }
+
+  async findInvoiceForUser(invoiceId, user) {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: invoiceInclude,
+    });
+
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    if (
+      user.role !== 'ADMIN' &&
+      user.id !== invoice.lease.landlordId &&
+      !(await leaseParticipantsService.isTenantParty(invoice.lease, user.id))
+    ) {
+      throw new AppError('Unauthorized access to invoice', 403);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Get an invoice the tenant or an accepted co-tenant or guarantor can
+   * pay, with its outstanding balance. When the rent is split, shareDue is
+   * what the payer still owes of their own share.
+   * @param {string} invoiceId
+   * @param {string} userId - Paying tenant party
+   * @returns {Promise<Object>} { invoice, balanceDue, shareDue, payer }
+   */
+  async getPayableInvoice(invoiceId, userId) {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: {
+        payments: true,
+        taxLines: true,
+        lease: {
+          include: {
+            tenant: { select: { id: true, email: true, name: true } },
+            landlord: {
+              select: {
+                id: true,
+                stripeAccountId: true,
+                stripeOnboardingComplete: true,
+              },
+            },
+            property: {
+              select: {
+                title: true,
+                propertyTypeId: true,
+                country: true,
+                state: true,
+              },
+            },
+            participants: {
+              include: {
+                user: { select: { id: true, email: true, name: true } },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    const { lease } = invoice;
+    const payer =
+      lease.tenantId === userId
+        ? lease.tenant
+        : lease.participants.find(
+            participant =>
+              participant.status === 'ACCEPTED' && participant.userId === userId
+          )?.user;
+
+    if (!payer) {
+      throw new AppError('Unauthorized access to invoice', 403);
+    }
+
+    if (invoice.status !== 'DUE') {
+      throw new AppError(`Invoice is already ${invoice.status}`, 400);
+    }
+
+    const balanceDue = this.getBalanceDue(invoice);
+    const shareDue = leaseParticipantsService.getShareDue(invoice, userId);
+
+    return {
+      invoice,
+      balanceDue,
+      shareDue: shareDue !== null ? Math.min(shareDue, balanceDue) : null,
+      payer,
+    };
+  }
+
+  /**
+   * Record a payment received outside Stripe (cash, bank transfer, ...).
+   * Only the landlord of the lease or an admin can record payments. A
+   * receipt is issued for the payment.
+   * @param {string} invoiceId
+   * @param {Object} user - Authenticated user
+   * @param {Object} paymentData - { amount, method, txnRef, paidAt }
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async recordPayment(invoiceId, user, paymentData) {
+    const invoice = await this.findInvoiceForUser(invoiceId, user);
+
+    if (user.role !== 'ADMIN' && invoice.lease.landlordId !== user.id) {
+      throw new AppError('Only the landlord can record payments', 403);
+    }
+
+    if (invoice.status !== 'DUE') {
+      throw new AppError(`Invoice is already ${invoice.status}`, 400);
+    }
+
+    const amount = roundMoney(parseFloat(paymentData.amount));
+    const balanceDue = this.getBalanceDue(invoice);
+
+    if (!(amount > 0) || amount > balanceDue) {
+      throw new AppError(
+        `Payment amount must be greater than 0 and at most ${balanceDue}`,
+        400
+      );
+    }
+
+    const payment = await prisma.payment.create({
+      data: {
+        invoiceId,
+        amount,
+        method: paymentData.method || 'BANK_TRANSFER',
+        status: 'COMPLETED',
+        paidAt: paymentData.paidAt ? new Date(paymentData.paidAt) : new Date(),
+        txnRef: paymentData.txnRef,
+        payerId: invoice.lease.tenantId,
+        taxLines: {
+          create: taxesService.prorateLines(
+            invoice.taxLines,
+            amount / parseFloat(invoice.amount)
+          ),
+        },
+      },
+    });
+
+    await this.refreshInvoiceStatus(invoiceId);
+    await receiptsService.issueForPayment(payment.id);
+
+    return this.getInvoiceById(invoiceId, user);
+  }
+
+  /**
+   * Track a Stripe PaymentIntent created for an invoice
+   * @param {string} invoiceId
+   * @param {string} userId - Paying tenant
+   * @param {number} amount
+   * @param {string} paymentIntentId
+   * @param {number} platformFee - Commission on the payment, including its
+   * tax
+   * @param {Array<Object>} taxLines - Tax paid with the payment
+   * @returns {Promise<Object>} Payment record
+   */
+  async createPendingStripePayment(
+    invoiceId,
+    userId,
+    amount,
+    paymentIntentId,
+    platformFee,
+    taxLines = []
+  ) {
+    return prisma.payment.create({
+      data: {
+        invoiceId,
+        amount,
+        method: 'CREDIT_CARD',
+        status: 'PENDING',
+        txnRef: paymentIntentId,
+        payerId: userId,
+        platformFee,
+        taxLines: { create: taxLines },
+      },
+    });
+  }
+
+  /**
+   * Void an unpaid invoice. Invoices with completed payments must be
+   * refunded instead.
+   * @param {string} invoiceId
+   * @param {Object} user - Authenticated user
+   * @param {string} reason
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async voidInvoice(invoiceId, user, reason) {
+    const invoice = await this.findInvoiceForUser(invoiceId, user);
+
+    if (user.role !== 'ADMIN' && invoice.lease.landlordId !== user.id) {
+      throw new AppError('Only the landlord can void invoices', 403);
+    }
+
+    if (invoice.status !== 'DUE') {
+      throw new AppError(`Invoice is already ${invoice.status}`, 400);
+    }
+
+    if (this.getAmountPaid(invoice) > 0) {
+      throw new AppError(
+        'Invoice has completed payments and cannot be voided',
+        400
+      );
+    }
+
+    await prisma.invoice.update({
+      where: { id: invoiceId },
+      data: {
+        status: 'VOID',
+        voidedAt: new Date(),
+        voidReason: reason,
+      },
+    });
+
+    return this.getInvoiceById(invoiceId, user);
+  }
+
+  /**
+   * Stripe webhook: invoice PaymentIntent succeeded. A declined attempt
+   * leaves the payment FAILED while the tenant can still retry with the
+   * same PaymentIntent, so a failed payment completes too.
+   * @param {Object} paymentIntent
+   */
+  async handleStripePaymentSucceeded(paymentIntent) {
+    const payment = await this.findStripePayment(paymentIntent.id);
+    if (!payment) return;
+
+    const { count } = await prisma.payment.updateMany({
+      where: { id: payment.id, status: { in: ['PENDING', 'FAILED'] } },
+      data: { status: 'COMPLETED', paidAt: new Date() },
+    });
+
+    if (count > 0) {
+      await this.refreshInvoiceStatus(payment.invoiceId);
+    }
+  }
+
+  /**
+   * Stripe webhook: invoice PaymentIntent failed or was canceled. Only a
+   * pending payment fails; a late event can't undo a completed one.
+   * @param {Object} paymentIntent
+   */
+  async handleStripePaymentFailed(paymentIntent) {
+    const payment = await this.findStripePayment(paymentIntent.id);
+    if (!payment) return;
+
+    await prisma.payment.updateMany({
+      where: { id: payment.id, status: 'PENDING' },
+      data: { status: 'FAILED' },
+    });
+  }
+
+  /**
+   * Stripe webhook: charge of an invoice payment was refunded
+   * @param {Object} charge
+   * @returns {Promise<boolean>} Whether the charge belonged to an invoice
+   */
+  async handleStripeRefund(charge) {
+    const payment = await this.findStripePayment(charge.payment_intent);
+
+    if (!payment) {
+      return false;
+    }
+
+    if (payment.status === 'COMPLETED') {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { status: 'REFUNDED' },
+      });
+
+      await this.refreshInvoiceStatus(payment.invoiceId);
+    }
+
+    return true;
+  }
+
+  async findStripePayment(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    return prisma.payment.findFirst({
+      where: { txnRef: paymentIntentId, method: 'CREDIT_CARD' },
+    });
+  }
+
+  /**
+   * Recalculate invoice status from its completed payments.
+   * VOID invoices are never changed.
+   * @param {string} invoiceId
+   * @param {Object} client - Prisma client or transaction
+   */
+  async refreshInvoiceStatus(invoiceId, client = prisma) {
+    const invoice = await client.invoice.findUnique({
+      where: { id: invoiceId },
+      include: { payments: true },
+    });
+
+    if (!invoice || invoice.status === 'VOID') {
+      return invoice;
+    }
+
+    const amountPaid = this.getAmountPaid(invoice);
+    const hasRefunds = invoice.payments.some(p => p.status === 'REFUNDED');
+
+    let data;
+    if (amountPaid >= parseFloat(invoice.amount)) {
+      data = { status: 'PAID', paidAt: invoice.paidAt || new Date() };
+    } else if (amountPaid === 0 && hasRefunds) {
+      data = { status: 'REFUNDED', paidAt: null };
+    } else {
+      data = { status: 'DUE', paidAt: null };
+    }
+
+    return client.invoice.update({ where: { id: invoiceId }, data });
+  }
+
+  getAmountPaid(invoice) {
+    return roundMoney(
+      invoice.payments
+        .filter(payment => payment.status === 'COMPLETED')
+        .reduce((sum, payment) => sum + parseFloat(payment.amount), 0)
+    );
+  }
+
+  getBalanceDue(invoice) {
+    return Math.max(
+      0,
+      roundMoney(parseFloat(invoice.amount) - this.getAmountPaid(invoice))
+    );
+  }
+
+  /**
+   * Convert Decimal fields to numbers and add payment totals
+   * @param {Object} invoice - Invoice including payments
+   * @returns {Object}
+   */
+  formatInvoice(invoice) {
+    return {
+      ...invoice,
+      amount: parseFloat(invoice.amount),
+      taxAmount: parseFloat(invoice.taxAmount || 0),
+      taxLines: (invoice.taxLines || []).map(line =>
+        taxesService.formatLine(line)
+      ),
+      amountPaid: this.getAmountPaid(invoice),
+      balanceDue: invoice.status === 'DUE' ? this.getBalanceDue(invoice) : 0,
+      payments: invoice.payments.map(payment => ({
+        ...payment,
+        amount: parseFloat(payment.amount),
+      })),
+    };
+  }
+}
+
+module.exports = new InvoicesService();
@@ -0,0 +1,51 @@
+const { body, query } = require('express-validator');
+
+const listInvoicesValidation = [
+  query('status')
+    .optional()
+    .isIn(['DUE', 'PAID', 'VOID', 'REFUNDED'])
+    .withMessage('Invalid invoice status'),
+  query('leaseId').optional().isUUID().withMessage('Invalid lease ID format'),
+];
+
+const payInvoiceValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
+];
+
+const recordPaymentValidation = [
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('method')
+    .optional()
+    .isIn(['BANK_TRANSFER', 'CASH', 'EWALLET', 'CREDIT_CARD'])
+    .withMessage('Invalid payment method'),
+  body('txnRef')
+    .optional()
+    .isString()
+    .withMessage('Transaction reference must be a string'),
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date'),
+];
+
+const voidInvoiceValidation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .withMessage('Reason must be a string'),
+];
+
+module.exports = {
+  listInvoicesValidation,
+  payInvoiceValidation,
+  recordPaymentValidation,
+  voidInvoiceValidation,
+};
@@ -0,0 +1,9 @@
+const ledgerController = require('./ledger.controller');
+const ledgerService = require('./ledger.service');
+const ledgerRoutes = require('./ledger.routes');
+
+module.exports = {
+  controller: ledgerController,
+  service: ledgerService,
+  routes: ledgerRoutes,
+};
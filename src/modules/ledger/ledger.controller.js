@@ -0,0 +1,109 @@
+const { validationResult } = require('express-validator');
+const ledgerService = require('./ledger.service');
+const paymentsService = require('../payments/payments.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Get the ledger balance of the current landlord
+ * GET /api/v1/ledger/balance
+ */
+exports.getMyBalance = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const balance = await ledgerService.getLandlordBalance(req.user.id, {
+    startDate: req.query.startDate,
+    endDate: req.query.endDate,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: balance,
+  });
+});
+
+/**
+ * Get the ledger balance of a landlord (admin)
+ * GET /api/v1/ledger/landlords/:landlordId/balance
+ */
+exports.getLandlordBalance = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const balance = await ledgerService.getLandlordBalance(
+    req.params.landlordId,
+    {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: balance,
+  });
+});
+
+/**
+ * Get the ledger balance of a booking
+ * GET /api/v1/ledger/leases/:leaseId/balance
+ */
+exports.getLeaseBalance = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const balance = await ledgerService.getLeaseBalanceForUser(
+    req.params.leaseId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: balance,
+  });
+});
+
+/**
+ * Check that the ledger balances (admin)
+ * GET /api/v1/ledger/integrity
+ */
+exports.checkIntegrity = catchAsync(async (req, res) => {
+  const result = await ledgerService.checkIntegrity();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Post card payments made before the ledger existed (admin)
+ * POST /api/v1/ledger/backfill
+ */
+exports.backfillLedger = catchAsync(async (req, res) => {
+  const result = await paymentsService.backfillLedger();
+
+  res.status(200).json({
+    success: true,
+    message: 'Ledger backfill completed',
+    data: result,
+  });
+});
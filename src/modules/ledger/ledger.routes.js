@@ -0,0 +1,223 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const ledgerController = require('./ledger.controller');
+const {
+  periodValidation,
+  landlordBalanceValidation,
+  leaseIdValidation,
+} = require('./ledger.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LedgerBalance:
+ *       type: object
+ *       description: Totals derived from double-entry ledger postings. Card payments move money from Stripe clearing to the tenant account and on to what is owed to the landlord; the platform fee moves from the landlord to platform revenue; payouts (Stripe Connect transfers) settle what is owed to the landlord. Verified bank transfers and e-wallet payments go to the landlord directly and are settled right away.
+ *       properties:
+ *         collected:
+ *           type: number
+ *           description: Card payments and verified offline payments received
+ *         refunded:
+ *           type: number
+ *           description: Refunds paid back to tenants
+ *         disputed:
+ *           type: number
+ *           description: Taken back by tenants' banks with lost disputes
+ *         platformFees:
+ *           type: number
+ *           description: Commission kept, less platformFeesRefunded
+ *         platformFeesRefunded:
+ *           type: number
+ *           description: Commission returned with refunds and lost disputes
+ *         landlordEarnings:
+ *           type: number
+ *           description: Collected less refunds, lost disputes and commission
+ *         paidOut:
+ *           type: number
+ *           description: Transferred to the landlord, less transfer reversals, plus offline payments the landlord received directly
+ *         landlordPayable:
+ *           type: number
+ *           description: Still owed to the landlord
+ *         stripeClearing:
+ *           type: number
+ *           description: Money held on the platform Stripe account
+ *         entries:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/v1/ledger/balance:
+ *   get:
+ *     summary: Get my ledger balance (landlord)
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/LedgerBalance'
+ */
+router.get(
+  '/balance',
+  auth,
+  authorize('LANDLORD', 'ADMIN'),
+  periodValidation,
+  ledgerController.getMyBalance
+);
+
+/**
+ * @swagger
+ * /api/v1/ledger/landlords/{landlordId}/balance:
+ *   get:
+ *     summary: Get the ledger balance of a landlord (admin)
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: landlordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get(
+  '/landlords/:landlordId/balance',
+  auth,
+  authorize('ADMIN'),
+  landlordBalanceValidation,
+  ledgerController.getLandlordBalance
+);
+
+/**
+ * @swagger
+ * /api/v1/ledger/leases/{leaseId}/balance:
+ *   get:
+ *     summary: Get the ledger balance of a booking
+ *     description: Available to the landlord, the tenant, accepted co-tenants and guarantors, and admins.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *       403:
+ *         description: Not allowed for this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get(
+  '/leases/:leaseId/balance',
+  auth,
+  leaseIdValidation,
+  ledgerController.getLeaseBalance
+);
+
+/**
+ * @swagger
+ * /api/v1/ledger/integrity:
+ *   get:
+ *     summary: Check that the ledger balances (admin)
+ *     description: Total debits must equal total credits, and so must the entries of every transaction.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Integrity report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balanced:
+ *                       type: boolean
+ *                     totals:
+ *                       type: object
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     unbalancedTransactions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ */
+router.get(
+  '/integrity',
+  auth,
+  authorize('ADMIN'),
+  ledgerController.checkIntegrity
+);
+
+/**
+ * @swagger
+ * /api/v1/ledger/backfill:
+ *   post:
+ *     summary: Post card payments made before the ledger existed (admin)
+ *     description: Posts payments, platform fees, transfers and refunds of completed and refunded card payments. Already posted movements are skipped, so it is safe to run again.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backfill completed
+ */
+router.post(
+  '/backfill',
+  auth,
+  authorize('ADMIN'),
+  ledgerController.backfillLedger
+);
+
+module.exports = router;
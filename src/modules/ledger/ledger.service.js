@@ -0,0 +1,548 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const leaseParticipantsService = require('../bookings/leaseParticipants.service');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+
+const debit = (account, amount, ownerId = null) => ({
+  account,
+  ownerId,
+  debit: amount,
+  credit: 0,
+});
+
+const credit = (account, amount, ownerId = null) => ({
+  account,
+  ownerId,
+  debit: 0,
+  credit: amount,
+});
+
+class LedgerService {
+  /**
+   * Post a balanced transaction. A reference that was already posted is
+   * skipped, so a movement can be reported more than once (client
+   * confirmation and webhook, Stripe retries).
+   * @param {Object} transaction - { type, reference, sourceId, leaseId,
+   * tenantId, landlordId, currency, description, occurredAt, entries }
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object|null>} Posted transaction, null when the
+   * reference was already posted
+   * @throws {AppError} 500 when the entries don't balance
+   */
+  async postTransaction({ entries, ...transaction }, client = prisma) {
+    const debits = entries.reduce(
+      (sum, entry) => sum + toCents(entry.debit),
+      0
+    );
+    const credits = entries.reduce(
+      (sum, entry) => sum + toCents(entry.credit),
+      0
+    );
+
+    if (debits === 0 || debits !== credits) {
+      throw new AppError(
+        `Ledger transaction ${transaction.reference} does not balance`,
+        500
+      );
+    }
+
+    try {
+      return await client.ledgerTransaction.create({
+        data: { ...transaction, entries: { create: entries } },
+        include: { entries: true },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Post a succeeded Stripe payment: the tenant pays into the platform's
+   * Stripe balance, the amount is owed to the landlord less the platform
+   * fee, and destination charges pay the rest out right away
+   * @param {Object} source - { paymentIntentId, leaseId, tenantId,
+   * landlordId, amount, platformFee, currency, occurredAt }
+   * @param {Object} options - { transferred }: destination charge
+   */
+  async recordStripePayment(source, { transferred = false } = {}) {
+    const base = this.getTransactionBase(source);
+    const amount = roundMoney(parseFloat(source.amount));
+    const fee = roundMoney(parseFloat(source.platformFee || 0));
+
+    await this.postTransaction({
+      ...base,
+      type: 'PAYMENT',
+      reference: `payment:${source.paymentIntentId}`,
+      description: 'Card payment',
+      entries: [
+        debit('STRIPE_CLEARING', amount),
+        credit('TENANT', amount, source.tenantId),
+        debit('TENANT', amount, source.tenantId),
+        credit('LANDLORD_PAYABLE', amount, source.landlordId),
+      ],
+    });
+
+    if (fee > 0) {
+      await this.postTransaction({
+        ...base,
+        type: 'PLATFORM_FEE',
+        reference: `fee:${source.paymentIntentId}`,
+        description: 'Platform commission',
+        entries: [
+          debit('LANDLORD_PAYABLE', fee, source.landlordId),
+          credit('PLATFORM_REVENUE', fee),
+        ],
+      });
+    }
+
+    if (transferred && amount > fee) {
+      await this.postTransaction({
+        ...base,
+        type: 'PAYOUT',
+        reference: `payout:${source.paymentIntentId}`,
+        description: 'Transfer to the landlord',
+        entries: [
+          debit(
+            'LANDLORD_PAYABLE',
+            roundMoney(amount - fee),
+            source.landlordId
+          ),
+          credit('STRIPE_CLEARING', roundMoney(amount - fee)),
+        ],
+      });
+    }
+  }
+
+  /**
+   * Post a verified bank transfer or e-wallet payment. The tenant paid the
+   * landlord directly, so nothing is owed to the landlord afterwards and no
+   * platform fee is taken.
+   * @param {Object} source - { paymentId, leaseId, tenantId, landlordId,
+   * amount, currency, occurredAt }
+   * @param {Object} client - Prisma client or transaction
+   */
+  async recordOfflinePayment(source, client = prisma) {
+    const base = {
+      ...this.getTransactionBase(source),
+      sourceId: source.paymentId,
+    };
+    const amount = roundMoney(parseFloat(source.amount));
+
+    await this.postTransaction(
+      {
+        ...base,
+        type: 'PAYMENT',
+        reference: `payment:${source.paymentId}`,
+        description: 'Offline payment',
+        entries: [
+          debit('OFFLINE_RECEIVED', amount, source.landlordId),
+          credit('TENANT', amount, source.tenantId),
+          debit('TENANT', amount, source.tenantId),
+          credit('LANDLORD_PAYABLE', amount, source.landlordId),
+        ],
+      },
+      client
+    );
+
+    await this.postTransaction(
+      {
+        ...base,
+        type: 'PAYOUT',
+        reference: `payout:${source.paymentId}`,
+        description: 'Received by the landlord directly',
+        entries: [
+          debit('LANDLORD_PAYABLE', amount, source.landlordId),
+          credit('OFFLINE_RECEIVED', amount, source.landlordId),
+        ],
+      },
+      client
+    );
+  }
+
+  /**
+   * Post what was refunded on a Stripe payment since the last posting.
+   * Takes Stripe's running totals, like recordRefundedAmount, so every
+   * report of the same refund posts it once.
+   * @param {Object} source - Payment as for recordStripePayment
+   * @param {number} refundedAmount - Total refunded on the payment
+   * @param {number} feeRefunded - Total platform fee returned
+   */
+  async recordStripeRefund(source, refundedAmount, feeRefunded) {
+    const posted = await this.getPostedRefunds(source.paymentIntentId);
+    const refund = roundMoney(refundedAmount - posted.refunded);
+
+    if (refund <= 0) return;
+
+    const base = this.getTransactionBase(source, new Date());
+    const feeRefund = Math.max(0, roundMoney(feeRefunded - posted.feeRefunded));
+    const key = `${source.paymentIntentId}:${toCents(refundedAmount)}`;
+
+    await this.postTransaction({
+      ...base,
+      type: 'REFUND',
+      reference: `refund:${key}`,
+      description: 'Refund to the tenant',
+      entries: [
+        debit('LANDLORD_PAYABLE', refund, source.landlordId),
+        credit('TENANT', refund, source.tenantId),
+        debit('TENANT', refund, source.tenantId),
+        credit('STRIPE_CLEARING', refund),
+      ],
+    });
+
+    if (feeRefund > 0) {
+      await this.postTransaction({
+        ...base,
+        type: 'FEE_REFUND',
+        reference: `fee_refund:${key}`,
+        description: 'Platform commission returned with a refund',
+        entries: [
+          debit('PLATFORM_REVENUE', feeRefund),
+          credit('LANDLORD_PAYABLE', feeRefund, source.landlordId),
+        ],
+      });
+    }
+
+    // Destination charges are refunded with reverse_transfer
+    if (posted.transferred && refund > feeRefund) {
+      await this.postTransaction({
+        ...base,
+        type: 'PAYOUT_REVERSAL',
+        reference: `payout_reversal:${key}`,
+        description: 'Transfer taken back from the landlord',
+        entries: [
+          debit('STRIPE_CLEARING', roundMoney(refund - feeRefund)),
+          credit(
+            'LANDLORD_PAYABLE',
+            roundMoney(refund - feeRefund),
+            source.landlordId
+          ),
+        ],
+      });
+    }
+  }
+
+  /**
+   * Post a lost dispute: the disputed amount went back to the tenant like
+   * a refund, with the commission on it returned to the landlord and the
+   * transfer taken back when it was reversed
+   * @param {Object} source - Payment as for recordStripePayment
+   * @param {Object} loss - { disputeId, amount, feeReturned, reversed }
+   */
+  async recordDisputeLoss(
+    source,
+    { disputeId, amount, feeReturned, reversed }
+  ) {
+    const base = this.getTransactionBase(source, new Date());
+    const lost = roundMoney(amount);
+
+    await this.postTransaction({
+      ...base,
+      type: 'DISPUTE',
+      reference: `dispute:${disputeId}`,
+      description: 'Payment taken back after a lost dispute',
+      entries: [
+        debit('LANDLORD_PAYABLE', lost, source.landlordId),
+        credit('TENANT', lost, source.tenantId),
+        debit('TENANT', lost, source.tenantId),
+        credit('STRIPE_CLEARING', lost),
+      ],
+    });
+
+    if (feeReturned > 0) {
+      await this.postTransaction({
+        ...base,
+        type: 'FEE_REFUND',
+        reference: `fee_refund:dispute:${disputeId}`,
+        description: 'Platform commission returned with a lost dispute',
+        entries: [
+          debit('PLATFORM_REVENUE', roundMoney(feeReturned)),
+          credit(
+            'LANDLORD_PAYABLE',
+            roundMoney(feeReturned),
+            source.landlordId
+          ),
+        ],
+      });
+    }
+
+    if (reversed > 0) {
+      await this.postTransaction({
+        ...base,
+        type: 'PAYOUT_REVERSAL',
+        reference: `payout_reversal:dispute:${disputeId}`,
+        description:
+          'Transfer taken back from the landlord after a lost dispute',
+        entries: [
+          debit('STRIPE_CLEARING', roundMoney(reversed)),
+          credit('LANDLORD_PAYABLE', roundMoney(reversed), source.landlordId),
+        ],
+      });
+    }
+  }
+
+  getTransactionBase(source, occurredAt = source.occurredAt) {
+    return {
+      sourceId: source.paymentIntentId,
+      leaseId: source.leaseId,
+      tenantId: source.tenantId,
+      landlordId: source.landlordId,
+      currency: (source.currency || 'MYR').toUpperCase(),
+      occurredAt: occurredAt || new Date(),
+    };
+  }
+
+  async getPostedRefunds(sourceId) {
+    const transactions = await prisma.ledgerTransaction.findMany({
+      where: { sourceId, type: { in: ['PAYOUT', 'REFUND', 'FEE_REFUND'] } },
+      include: { entries: true },
+    });
+
+    const sum = (type, account, side) =>
+      transactions
+        .filter(transaction => transaction.type === type)
+        .flatMap(transaction => transaction.entries)
+        .filter(entry => entry.account === account)
+        .reduce((total, entry) => total + parseFloat(entry[side]), 0);
+
+    return {
+      refunded: roundMoney(sum('REFUND', 'STRIPE_CLEARING', 'credit')),
+      feeRefunded: roundMoney(sum('FEE_REFUND', 'PLATFORM_REVENUE', 'debit')),
+      transferred: transactions.some(({ type }) => type === 'PAYOUT'),
+    };
+  }
+
+  /**
+   * Money of one landlord's leases according to the ledger
+   * @param {string} landlordId
+   * @param {Object} period - { startDate, endDate } on occurredAt
+   * @returns {Promise<Object>} Balance summary
+   */
+  async getLandlordBalance(landlordId, period = {}) {
+    return this.getBalance({ landlordId, ...this.getPeriodWhere(period) });
+  }
+
+  /**
+   * Money of one lease according to the ledger
+   * @param {string} leaseId
+   * @returns {Promise<Object>} Balance summary
+   */
+  async getLeaseBalance(leaseId) {
+    return this.getBalance({ leaseId });
+  }
+
+  /**
+   * Ledger balance of a lease for one of its parties: the landlord, the
+   * tenant, an accepted co-tenant or guarantor, or an admin
+   * @param {string} leaseId
+   * @param {Object} user
+   * @returns {Promise<Object>} Balance summary
+   */
+  async getLeaseBalanceForUser(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: { id: true, tenantId: true, landlordId: true },
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    const allowed =
+      user.role === 'ADMIN' ||
+      lease.landlordId === user.id ||
+      (await leaseParticipantsService.isTenantParty(lease, user.id));
+
+    if (!allowed) {
+      throw new AppError('You do not have access to this booking', 403);
+    }
+
+    return this.getLeaseBalance(leaseId);
+  }
+
+  getPeriodWhere({ startDate, endDate }) {
+    if (!startDate && !endDate) return {};
+
+    return {
+      occurredAt: {
+        ...(startDate && { gte: new Date(startDate) }),
+        ...(endDate && { lte: new Date(endDate) }),
+      },
+    };
+  }
+
+  /**
+   * Sum the entries of matching transactions per account and type:
+   * - collected: paid by tenants into Stripe or to the landlord directly
+   * - refunded: paid back to tenants
+   * - disputed: taken back by tenants' banks with lost disputes
+   * - platformFees: commission kept, less platformFeesRefunded
+   * - landlordEarnings: collected - refunded - disputed - platformFees
+   * - paidOut: transferred to the landlord, less reversals, and offline
+   *   payments the landlord received directly
+   * - landlordPayable: still owed to the landlord
+   * @param {Object} where - LedgerTransaction filter
+   * @returns {Promise<Object>}
+   */
+  async getBalance(where) {
+    const entries = await prisma.ledgerEntry.findMany({
+      where: { transaction: where },
+      select: {
+        account: true,
+        debit: true,
+        credit: true,
+        transaction: { select: { type: true } },
+      },
+    });
+
+    const sum = (account, side, types = null) =>
+      roundMoney(
+        entries
+          .filter(
+            entry =>
+              entry.account === account &&
+              (!types || types.includes(entry.transaction.type))
+          )
+          .reduce((total, entry) => total + parseFloat(entry[side]), 0)
+      );
+
+    const collected = roundMoney(
+      sum('STRIPE_CLEARING', 'debit', ['PAYMENT']) +
+        sum('OFFLINE_RECEIVED', 'debit', ['PAYMENT'])
+    );
+    const refunded = sum('STRIPE_CLEARING', 'credit', ['REFUND']);
+    const disputed = sum('STRIPE_CLEARING', 'credit', ['DISPUTE']);
+    const platformFeesRefunded = sum('PLATFORM_REVENUE', 'debit');
+    const platformFees = roundMoney(
+      sum('PLATFORM_REVENUE', 'credit') - platformFeesRefunded
+    );
+    const paidOut = roundMoney(
+      sum('LANDLORD_PAYABLE', 'debit', ['PAYOUT']) -
+        sum('LANDLORD_PAYABLE', 'credit', ['PAYOUT_REVERSAL'])
+    );
+
+    return {
+      collected,
+      refunded,
+      disputed,
+      platformFees,
+      platformFeesRefunded,
+      landlordEarnings: roundMoney(
+        collected - refunded - disputed - platformFees
+      ),
+      paidOut,
+      landlordPayable: roundMoney(
+        sum('LANDLORD_PAYABLE', 'credit') - sum('LANDLORD_PAYABLE', 'debit')
+      ),
+      stripeClearing: roundMoney(
+        sum('STRIPE_CLEARING', 'debit') - sum('STRIPE_CLEARING', 'credit')
+      ),
+      entries: entries.length,
+    };
+  }
+
+  /**
+   * Card and offline payments less refunds and lost disputes of a landlord
+   * per month, from the ledger
+   * @param {string} landlordId
+   * @param {Object} period - { startDate, endDate } on occurredAt
+   * @returns {Promise<Array>} [{ month, revenue, count }] oldest first;
+   * count is the number of payments
+   */
+  async getLandlordMonthlyRevenue(landlordId, period = {}) {
+    const transactions = await prisma.ledgerTransaction.findMany({
+      where: {
+        landlordId,
+        type: { in: ['PAYMENT', 'REFUND', 'DISPUTE'] },
+        ...this.getPeriodWhere(period),
+      },
+      select: {
+        type: true,
+        occurredAt: true,
+        entries: {
+          where: { account: { in: ['STRIPE_CLEARING', 'OFFLINE_RECEIVED'] } },
+          select: { debit: true, credit: true },
+        },
+      },
+      orderBy: { occurredAt: 'asc' },
+    });
+
+    const months = {};
+    transactions.forEach(transaction => {
+      const date = new Date(transaction.occurredAt);
+      const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+      if (!months[month]) {
+        months[month] = { month, revenue: 0, count: 0 };
+      }
+
+      months[month].revenue += transaction.entries.reduce(
+        (sum, entry) =>
+          sum + parseFloat(entry.debit) - parseFloat(entry.credit),
+        0
+      );
+      if (transaction.type === 'PAYMENT') months[month].count += 1;
+    });
+
+    return Object.values(months).map(month => ({
+      ...month,
+      revenue: roundMoney(month.revenue),
+    }));
+  }
+
+  /**
+   * Check that every transaction balances and so does the whole ledger
+   * @returns {Promise<Object>} { balanced, totals, accounts,
+   * unbalancedTransactions }
+   */
+  async checkIntegrity() {
+    const [totals, accounts, unbalancedTransactions] = await Promise.all([
+      prisma.ledgerEntry.aggregate({
+        _sum: { debit: true, credit: true },
+        _count: true,
+      }),
+      prisma.ledgerEntry.groupBy({
+        by: ['account'],
+        _sum: { debit: true, credit: true },
+      }),
+      prisma.$queryRaw`
+        SELECT
+          "transactionId",
+          SUM(debit) as debit,
+          SUM(credit) as credit
+        FROM ledger_entries
+        GROUP BY "transactionId"
+        HAVING SUM(debit) <> SUM(credit)
+      `,
+    ]);
+
+    const totalDebit = parseFloat(totals._sum.debit || 0);
+    const totalCredit = parseFloat(totals._sum.credit || 0);
+
+    return {
+      balanced:
+        toCents(totalDebit) === toCents(totalCredit) &&
+        unbalancedTransactions.length === 0,
+      totals: {
+        entries: totals._count,
+        debit: roundMoney(totalDebit),
+        credit: roundMoney(totalCredit),
+      },
+      accounts: accounts.map(({ account, _sum }) => ({
+        account,
+        debit: roundMoney(parseFloat(_sum.debit || 0)),
+        credit: roundMoney(parseFloat(_sum.credit || 0)),
+      })),
+      unbalancedTransactions: unbalancedTransactions.map(row => ({
+        transactionId: row.transactionId,
+        debit: roundMoney(parseFloat(row.debit)),
+        credit: roundMoney(parseFloat(row.credit)),
+      })),
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,27 @@
+const { param, query } = require('express-validator');
+
+const periodValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+];
+
+const landlordBalanceValidation = [
+  param('landlordId').isUUID().withMessage('Invalid landlord ID format'),
+  ...periodValidation,
+];
+
+const leaseIdValidation = [
+  param('leaseId').isUUID().withMessage('Invalid booking ID format'),
+];
+
+module.exports = {
+  periodValidation,
+  landlordBalanceValidation,
+  leaseIdValidation,
+};
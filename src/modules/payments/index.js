@@ -1,9 +1,13 @@
 const paymentsController = require('./payments.controller');
 const paymentsService = require('./payments.service');
 const paymentsRoutes = require('./payments.routes');
+const offlinePaymentsService = require('./offlinePayments.service');
+const offlinePaymentRoutes = require('./offlinePayments.routes');
 
 module.exports = {
   controller: paymentsController,
   service: paymentsService,
   routes: paymentsRoutes,
+  offlinePaymentsService,
+  offlinePaymentRoutes,
 };
@@ -0,0 +1,136 @@
+const { validationResult } = require('express-validator');
+const offlinePaymentsService = require('./offlinePayments.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Submit a bank transfer or e-wallet payment with its receipt (tenant)
+ * POST /api/v1/payments/offline
+ */
+exports.submitPayment = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const payment = await offlinePaymentsService.submitPayment(
+    req.user,
+    req.body,
+    req.file
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment submitted for review',
+    data: payment,
+  });
+});
+
+/**
+ * List offline payments of the current user
+ * GET /api/v1/payments/offline
+ */
+exports.listPayments = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await offlinePaymentsService.listPayments(req.user, {
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 10,
+    status: req.query.status,
+    leaseId: req.query.leaseId,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get an offline payment with its proof
+ * GET /api/v1/payments/offline/:paymentId
+ */
+exports.getPayment = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const payment = await offlinePaymentsService.getPayment(
+    req.params.paymentId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: payment,
+  });
+});
+
+/**
+ * Verify an offline payment (landlord or admin)
+ * POST /api/v1/payments/offline/:paymentId/verify
+ */
+exports.verifyPayment = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const payment = await offlinePaymentsService.verifyPayment(
+    req.params.paymentId,
+    req.user,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment verified successfully',
+    data: payment,
+  });
+});
+
+/**
+ * Reject an offline payment (landlord or admin)
+ * POST /api/v1/payments/offline/:paymentId/reject
+ */
+exports.rejectPayment = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const payment = await offlinePaymentsService.rejectPayment(
+    req.params.paymentId,
+    req.user,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment rejected',
+    data: payment,
+  });
+});
@@ -0,0 +1,281 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const { uploadSingle, handleUploadError } = require('../../middleware/upload');
+const offlinePaymentsController = require('./offlinePayments.controller');
+const {
+  submitPaymentValidation,
+  listPaymentsValidation,
+  paymentIdValidation,
+  verifyPaymentValidation,
+  rejectPaymentValidation,
+} = require('./offlinePayments.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OfflinePayment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *           nullable: true
+ *           description: Booking paid with this payment
+ *         invoiceId:
+ *           type: string
+ *           nullable: true
+ *           description: Invoice paid with this payment
+ *         amount:
+ *           type: number
+ *         method:
+ *           type: string
+ *           enum: [BANK_TRANSFER, EWALLET]
+ *         status:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, REJECTED, REFUNDED]
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the tenant made the transfer
+ *         txnRef:
+ *           type: string
+ *           description: Bank or DuitNow reference
+ *         proofUrl:
+ *           type: string
+ *         payerNote:
+ *           type: string
+ *         reviewedById:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNote:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/payments/offline:
+ *   post:
+ *     summary: Submit a bank transfer or e-wallet payment with its receipt (tenant)
+ *     description: Creates a PENDING payment for a booking or an invoice. The landlord is notified and verifies or rejects it. A booking is paid in full; an invoice payment defaults to the payer's outstanding share.
+ *     tags: [Offline Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - receipt
+ *             properties:
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *                 description: Transfer receipt (image or PDF)
+ *               leaseId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required unless invoiceId is given
+ *               invoiceId:
+ *                 type: string
+ *                 format: uuid
+ *               amount:
+ *                 type: number
+ *                 description: Invoice payments only
+ *               method:
+ *                 type: string
+ *                 enum: [BANK_TRANSFER, EWALLET]
+ *                 default: BANK_TRANSFER
+ *               txnRef:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment submitted for review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/OfflinePayment'
+ *       400:
+ *         description: Missing receipt, invalid amount or already paid
+ *       403:
+ *         description: Not a tenant of this booking or invoice
+ *       409:
+ *         description: Booking can't be paid or already has a payment waiting for review
+ *   get:
+ *     summary: List offline payments
+ *     description: Tenants see their own payments, landlords those of their leases, admins all.
+ *     tags: [Offline Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, REJECTED, REFUNDED]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ */
+router.post(
+  '/',
+  auth,
+  uploadSingle('receipt'),
+  handleUploadError,
+  submitPaymentValidation,
+  offlinePaymentsController.submitPayment
+);
+
+router.get(
+  '/',
+  auth,
+  listPaymentsValidation,
+  offlinePaymentsController.listPayments
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/offline/{paymentId}:
+ *   get:
+ *     summary: Get an offline payment
+ *     tags: [Offline Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Payment retrieved successfully
+ *       403:
+ *         description: Not the payer or the landlord
+ *       404:
+ *         description: Payment not found
+ */
+router.get(
+  '/:paymentId',
+  auth,
+  paymentIdValidation,
+  offlinePaymentsController.getPayment
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/offline/{paymentId}/verify:
+ *   post:
+ *     summary: Verify an offline payment (landlord or admin)
+ *     description: Marks the payment COMPLETED. The invoice is paid, or the booking moves to PAID with its deposit held, the same way as after a card payment.
+ *     tags: [Offline Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified successfully
+ *       403:
+ *         description: Not the landlord of this lease
+ *       409:
+ *         description: Already reviewed, or the booking or invoice can no longer be paid
+ */
+router.post(
+  '/:paymentId/verify',
+  auth,
+  verifyPaymentValidation,
+  offlinePaymentsController.verifyPayment
+);
+
+/**
+ * @swagger
+ * /api/v1/payments/offline/{paymentId}/reject:
+ *   post:
+ *     summary: Reject an offline payment (landlord or admin)
+ *     description: The tenant is notified with the note and can submit a new proof.
+ *     tags: [Offline Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment rejected
+ *       403:
+ *         description: Not the landlord of this lease
+ *       409:
+ *         description: Already reviewed
+ */
+router.post(
+  '/:paymentId/reject',
+  auth,
+  rejectPaymentValidation,
+  offlinePaymentsController.rejectPayment
+);
+
+module.exports = router;
@@ -0,0 +1,429 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const fileUploadService = require('../../utils/fileUpload');
+const notificationService = require('../../services/notification.service');
+const bookingQuotesService = require('../bookings/bookingQuotes.service');
+const invoicesService = require('../invoices/invoices.service');
+const ledgerService = require('../ledger/ledger.service');
+const receiptsService = require('../receipts/receipts.service');
+const taxesService = require('../taxes/taxes.service');
+const paymentsService = require('./payments.service');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Statuses a booking can be paid in
+const PAYABLE_LEASE_STATUSES = ['PENDING', 'APPROVED'];
+
+const OFFLINE_METHODS = ['BANK_TRANSFER', 'EWALLET'];
+
+const leaseSelect = {
+  id: true,
+  code: true,
+  status: true,
+  paymentStatus: true,
+  tenantId: true,
+  landlordId: true,
+  totalPrice: true,
+  currencyCode: true,
+  property: { select: { id: true, title: true } },
+  tenant: { select: { id: true, email: true, name: true } },
+  landlord: { select: { id: true, email: true, name: true } },
+};
+
+const paymentInclude = {
+  lease: { select: leaseSelect },
+  invoice: {
+    select: {
+      id: true,
+      type: true,
+      status: true,
+      amount: true,
+      currencyCode: true,
+      dueDate: true,
+      lease: { select: leaseSelect },
+    },
+  },
+  payer: { select: { id: true, email: true, name: true } },
+};
+
+class OfflinePaymentsService {
+  /**
+   * Submit a bank transfer or e-wallet payment with its receipt. The
+   * payment stays PENDING until the landlord or an admin reviews it.
+   * A booking is paid in full; an invoice can be paid in part, by default
+   * the payer's outstanding share.
+   * @param {Object} user - Paying tenant
+   * @param {Object} data - { leaseId | invoiceId, amount, method, txnRef,
+   * paidAt, note }
+   * @param {Object} file - Transfer receipt (multer file)
+   * @returns {Promise<Object>} Created payment
+   */
+  async submitPayment(user, data, file) {
+    if (!file) {
+      throw new AppError('Upload the receipt of the transfer', 400);
+    }
+
+    const target = data.invoiceId
+      ? await this.getInvoiceTarget(data.invoiceId, user, data.amount)
+      : await this.getLeaseTarget(data.leaseId, user);
+
+    const proof = await fileUploadService.uploadFile(file, 'payment-proofs');
+
+    const payment = await prisma.payment.create({
+      data: {
+        invoiceId: data.invoiceId || null,
+        leaseId: data.invoiceId ? null : data.leaseId,
+        amount: target.amount,
+        method: data.method || 'BANK_TRANSFER',
+        status: 'PENDING',
+        paidAt: data.paidAt ? new Date(data.paidAt) : new Date(),
+        txnRef: data.txnRef,
+        payerId: user.id,
+        proofUrl: proof.url,
+        payerNote: data.note,
+        taxLines: { create: target.taxLines },
+      },
+      include: paymentInclude,
+    });
+
+    const lease = this.getLease(payment);
+    await notificationService.notifyUser(
+      lease.landlord,
+      'Payment proof to review',
+      `${user.name || 'The tenant'} sent proof of a ${lease.currencyCode} ${target.amount} ${this.describeMethod(payment.method)} for ${this.describeTarget(payment)} of "${lease.property.title}" (lease ${lease.code}). Check that the money arrived and verify or reject the payment in the app.`
+    );
+
+    return this.formatPayment(payment);
+  }
+
+  /**
+   * Booking the tenant can pay offline, with the amount and tax of its quote
+   * @returns {Promise<Object>} { lease, amount, taxLines }
+   */
+  async getLeaseTarget(leaseId, user) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: leaseSelect,
+    });
+
+    if (!lease) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (lease.tenantId !== user.id) {
+      throw new AppError('Unauthorized access to booking', 403);
+    }
+
+    this.assertLeasePayable(lease);
+
+    const pending = await prisma.payment.findFirst({
+      where: { leaseId, status: 'PENDING' },
+    });
+
+    if (pending) {
+      throw new AppError(
+        'A payment for this booking is already waiting for review',
+        409
+      );
+    }
+
+    const quote = await bookingQuotesService.getValidQuoteForLease(lease);
+
+    return {
+      lease,
+      amount: parseFloat(quote.totalAmount),
+      taxLines: taxesService.prorateLines(quote.taxLines),
+    };
+  }
+
+  /**
+   * Invoice the tenant or an accepted co-tenant or guarantor can pay
+   * offline. Payments waiting for review count as paid, so the same
+   * balance can't be claimed twice.
+   * @returns {Promise<Object>} { invoice, amount, taxLines }, with the share
+   * of the invoice tax paid by the amount
+   */
+  async getInvoiceTarget(invoiceId, user, amount) {
+    const { invoice, balanceDue, shareDue } =
+      await invoicesService.getPayableInvoice(invoiceId, user.id);
+
+    const pendingAmount = invoice.payments
+      .filter(
+        payment =>
+          payment.status === 'PENDING' &&
+          OFFLINE_METHODS.includes(payment.method)
+      )
+      .reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+    const available = Math.max(0, roundMoney(balanceDue - pendingAmount));
+
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+    const payAmount = hasAmount
+      ? roundMoney(parseFloat(amount))
+      : Math.min(shareDue ?? available, available);
+
+    if (!(payAmount > 0) || payAmount > available) {
+      throw new AppError(
+        `Payment amount must be greater than 0 and at most ${available}`,
+        400
+      );
+    }
+
+    return {
+      invoice,
+      amount: payAmount,
+      taxLines: taxesService.prorateLines(
+        invoice.taxLines,
+        payAmount / parseFloat(invoice.amount)
+      ),
+    };
+  }
+
+  assertLeasePayable(lease) {
+    if (lease.paymentStatus === 'paid') {
+      throw new AppError('Booking already paid', 400);
+    }
+
+    if (!PAYABLE_LEASE_STATUSES.includes(lease.status)) {
+      throw new AppError(`Booking is ${lease.status} and can't be paid`, 409);
+    }
+  }
+
+  /**
+   * Offline payments visible to a user: an admin sees all, a landlord
+   * those of their leases, a tenant their own
+   * @param {Object} user
+   * @param {Object} filters - { page, limit, status, leaseId }
+   * @returns {Promise<Object>} { payments, pagination }
+   */
+  async listPayments(user, { page = 1, limit = 10, status, leaseId }) {
+    const skip = (page - 1) * limit;
+
+    const where = {
+      method: { in: OFFLINE_METHODS },
+      proofUrl: { not: null },
+      ...(status && { status }),
+      ...(leaseId && {
+        OR: [{ leaseId }, { invoice: { leaseId } }],
+      }),
+      ...(user.role !== 'ADMIN' && {
+        AND: [
+          {
+            OR: [
+              { payerId: user.id },
+              { lease: { landlordId: user.id } },
+              { invoice: { lease: { landlordId: user.id } } },
+            ],
+          },
+        ],
+      }),
+    };
+
+    const [payments, total] = await Promise.all([
+      prisma.payment.findMany({
+        where,
+        include: paymentInclude,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.payment.count({ where }),
+    ]);
+
+    return {
+      payments: payments.map(payment => this.formatPayment(payment)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getPayment(paymentId, user) {
+    const payment = await this.findPaymentForUser(paymentId, user);
+    return this.formatPayment(payment);
+  }
+
+  async findPaymentForUser(paymentId, user) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: paymentInclude,
+    });
+
+    if (!payment || !payment.proofUrl) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    const lease = this.getLease(payment);
+    if (
+      user.role !== 'ADMIN' &&
+      payment.payerId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new AppError('Unauthorized access to payment', 403);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Payment the user can review: the landlord of the lease or an admin
+   */
+  async getPaymentForReviewer(paymentId, user) {
+    const payment = await this.findPaymentForUser(paymentId, user);
+
+    if (
+      user.role !== 'ADMIN' &&
+      this.getLease(payment).landlordId !== user.id
+    ) {
+      throw new AppError(
+        'Only the landlord or an admin can review payments',
+        403
+      );
+    }
+
+    if (payment.status !== 'PENDING') {
+      throw new AppError(`Payment is already ${payment.status}`, 409);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Verify an offline payment once the money arrived. The invoice or booking
+   * is then paid through the same hooks as a card payment: the payment is
+   * posted to the ledger, the invoice status is recalculated, the booking
+   * moves to PAID and its deposit is recorded as held.
+   * @param {string} paymentId
+   * @param {Object} user - Landlord or admin
+   * @param {string} note
+   * @returns {Promise<Object>} Updated payment
+   */
+  async verifyPayment(paymentId, user, note) {
+    const payment = await this.getPaymentForReviewer(paymentId, user);
+
+    if (payment.invoiceId) {
+      const invoice = await prisma.invoice.findUnique({
+        where: { id: payment.invoiceId },
+        include: { payments: true },
+      });
+
+      if (
+        invoice.status !== 'DUE' ||
+        parseFloat(payment.amount) > invoicesService.getBalanceDue(invoice)
+      ) {
+        throw new AppError(
+          'The invoice no longer needs this payment, reject it instead',
+          409
+        );
+      }
+    } else {
+      this.assertLeasePayable(payment.lease);
+    }
+
+    const lease = this.getLease(payment);
+
+    // The payment is posted to the ledger with its verification, so a
+    // verified payment is never missing from the landlord's balance
+    await prisma.$transaction(async tx => {
+      await this.claimReview(paymentId, 'COMPLETED', user, note, tx);
+      await ledgerService.recordOfflinePayment(
+        {
+          paymentId,
+          leaseId: lease.id,
+          tenantId: payment.payerId || lease.tenantId,
+          landlordId: lease.landlordId,
+          amount: payment.amount,
+          currency: lease.currencyCode,
+          occurredAt: payment.paidAt,
+        },
+        tx
+      );
+    });
+
+    if (payment.invoiceId) {
+      await invoicesService.refreshInvoiceStatus(payment.invoiceId);
+    } else {
+      await paymentsService.markLeasePaid(payment.leaseId, null, null, {
+        method: payment.method,
+        reason: 'Offline payment verified',
+      });
+    }
+
+    await receiptsService.issueForPayment(paymentId);
+
+    await notificationService.notifyUser(
+      payment.payer,
+      'Payment verified',
+      `Your ${this.describeMethod(payment.method)} of ${lease.currencyCode} ${parseFloat(payment.amount)} for ${this.describeTarget(payment)} of "${lease.property.title}" (lease ${lease.code}) was verified.`
+    );
+
+    return this.getPayment(paymentId, user);
+  }
+
+  /**
+   * Reject an offline payment whose money did not arrive or whose receipt
+   * is not valid. The tenant can submit a new one.
+   * @param {string} paymentId
+   * @param {Object} user - Landlord or admin
+   * @param {string} note - Why the payment was rejected
+   * @returns {Promise<Object>} Updated payment
+   */
+  async rejectPayment(paymentId, user, note) {
+    const payment = await this.getPaymentForReviewer(paymentId, user);
+
+    await this.claimReview(paymentId, 'REJECTED', user, note);
+
+    const lease = this.getLease(payment);
+    await notificationService.notifyUser(
+      payment.payer,
+      'Payment rejected',
+      `Your ${this.describeMethod(payment.method)} of ${lease.currencyCode} ${parseFloat(payment.amount)} for ${this.describeTarget(payment)} of "${lease.property.title}" (lease ${lease.code}) was rejected: ${note}. Send a new proof of payment in the app.`
+    );
+
+    return this.getPayment(paymentId, user);
+  }
+
+  /**
+   * Close the review of a PENDING payment. Only one review can win.
+   */
+  async claimReview(paymentId, status, user, note, client = prisma) {
+    const { count } = await client.payment.updateMany({
+      where: { id: paymentId, status: 'PENDING' },
+      data: {
+        status,
+        reviewedById: user.id,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+    });
+
+    if (count === 0) {
+      throw new AppError('Payment was already reviewed', 409);
+    }
+  }
+
+  getLease(payment) {
+    return payment.lease || payment.invoice.lease;
+  }
+
+  describeMethod(method) {
+    return method === 'EWALLET' ? 'e-wallet payment' : 'bank transfer';
+  }
+
+  describeTarget(payment) {
+    return payment.invoice
+      ? `the ${payment.invoice.type.toLowerCase()} invoice`
+      : 'the booking';
+  }
+
+  formatPayment(payment) {
+    return {
+      ...payment,
+      amount: parseFloat(payment.amount),
+    };
+  }
+}
+
+module.exports = new OfflinePaymentsService();
@@ -0,0 +1,75 @@
+const { body, param, query } = require('express-validator');
+
+const submitPaymentValidation = [
+  body('leaseId')
+    .if(body('invoiceId').not().exists())
+    .notEmpty()
+    .withMessage('Either leaseId or invoiceId is required')
+    .isUUID()
+    .withMessage('Invalid lease ID format'),
+  body('invoiceId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid invoice ID format'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('method')
+    .optional()
+    .isIn(['BANK_TRANSFER', 'EWALLET'])
+    .withMessage('Method must be BANK_TRANSFER or EWALLET'),
+  body('txnRef')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Transaction reference must be at most 100 characters'),
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+];
+
+const listPaymentsValidation = [
+  query('status')
+    .optional()
+    .isIn(['PENDING', 'COMPLETED', 'REJECTED', 'REFUNDED'])
+    .withMessage('Invalid payment status'),
+  query('leaseId').optional().isUUID().withMessage('Invalid lease ID format'),
+];
+
+const paymentIdValidation = [
+  param('paymentId').isUUID().withMessage('Invalid payment ID format'),
+];
+
+const verifyPaymentValidation = [
+  ...paymentIdValidation,
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+];
+
+const rejectPaymentValidation = [
+  ...paymentIdValidation,
+  body('note')
+    .notEmpty()
+    .withMessage('Tell the tenant why the payment was rejected')
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+];
+
+module.exports = {
+  submitPaymentValidation,
+  listPaymentsValidation,
+  paymentIdValidation,
+  verifyPaymentValidation,
+  rejectPaymentValidation,
+};
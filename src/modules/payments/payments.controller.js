@@ -1,4 +1,6 @@
 const paymentService = require('./payments.service');
+const webhooksService = require('../webhooks/webhooks.service');
+const stripe = require('../../config/stripe');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/AppError');
 
@@ -145,18 +147,82 @@ exports.requestRefund = catchAsync(async (req, res) => {
  */
 exports.processRefundRequest = catchAsync(async (req, res) => {
   const { requestId } = req.params;
-  const { approve, notes } = req.body;
+  const { approve, notes, amount } = req.body;
   const landlordId = req.user.id;
 
   if (typeof approve !== 'boolean') {
     throw new AppError('Approval decision (approve: boolean) is required', 400);
   }
 
+  if (amount != null && !(typeof amount === 'number' && amount > 0)) {
+    throw new AppError('Refund amount must be a positive number', 400);
+  }
+
   const result = await paymentService.processRefundRequest(
     requestId,
     landlordId,
     approve,
-    notes
+    notes,
+    amount ?? null
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Counter a refund request with a lower amount (Landlord)
+ * POST /api/v1/m/payments/refund-request/:requestId/counter
+ */
+exports.counterRefundRequest = catchAsync(async (req, res) => {
+  const { requestId } = req.params;
+  const { amount, notes } = req.body;
+
+  if (!(typeof amount === 'number' && amount > 0)) {
+    throw new AppError('Counter-offer amount must be a positive number', 400);
+  }
+
+  const refundRequest = await paymentService.counterRefundRequest(
+    requestId,
+    req.user.id,
+    { amount, notes }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Counter-offer sent to the tenant',
+    data: refundRequest,
+  });
+});
+
+/**
+ * Accept the landlord's counter-offer (Tenant)
+ * POST /api/v1/m/payments/refund-request/:requestId/accept
+ */
+exports.acceptRefundCounterOffer = catchAsync(async (req, res) => {
+  const result = await paymentService.respondToRefundCounterOffer(
+    req.params.requestId,
+    req.user.id,
+    true
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Decline the landlord's counter-offer (Tenant)
+ * POST /api/v1/m/payments/refund-request/:requestId/decline
+ */
+exports.declineRefundCounterOffer = catchAsync(async (req, res) => {
+  const result = await paymentService.respondToRefundCounterOffer(
+    req.params.requestId,
+    req.user.id,
+    false
   );
 
   res.status(200).json({
@@ -282,14 +348,13 @@ exports.createDashboardLink = catchAsync(async (req, res) => {
 exports.handleWebhook = catchAsync(async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
 
   // Security: Validate required secrets
   if (!webhookSecret) {
     throw new AppError('Webhook secret not configured', 500);
   }
 
-  if (!stripeSecretKey) {
+  if (!stripe) {
     throw new AppError('Stripe secret key not configured', 500);
   }
 
@@ -300,17 +365,14 @@ exports.handleWebhook = catchAsync(async (req, res) => {
   let event;
 
   try {
-    const Stripe = require('stripe');
-    const stripe = new Stripe(stripeSecretKey);
-
     event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     throw new AppError(`Webhook Error: ${err.message}`, 400);
   }
 
-  // Handle the event
-  await paymentService.handleWebhook(event);
+  // Handle the event once, however often Stripe delivers it
+  const { duplicate } = await webhooksService.processStripeEvent(event);
 
-  res.status(200).json({ received: true });
+  res.status(200).json({ received: true, duplicate });
 });
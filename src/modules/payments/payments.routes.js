@@ -54,8 +54,9 @@ router.get('/refund-requests', auth, paymentController.getRefundRequests);
 
 /**
  * @route   POST /api/v1/m/payments/refund-request/:requestId/process
- * @desc    Process refund request (Landlord)
+ * @desc    Approve (optionally a lower amount) or reject a refund request (Landlord)
  * @access  Private
+ * @body    { approve: boolean, notes?: string, amount?: number }
  */
 router.post(
   '/refund-request/:requestId/process',
@@ -63,4 +64,38 @@ router.post(
   paymentController.processRefundRequest
 );
 
+/**
+ * @route   POST /api/v1/m/payments/refund-request/:requestId/counter
+ * @desc    Offer to refund less than requested (Landlord)
+ * @access  Private
+ * @body    { amount: number, notes?: string }
+ */
+router.post(
+  '/refund-request/:requestId/counter',
+  auth,
+  paymentController.counterRefundRequest
+);
+
+/**
+ * @route   POST /api/v1/m/payments/refund-request/:requestId/accept
+ * @desc    Accept the landlord's counter-offer, refunded right away (Tenant)
+ * @access  Private
+ */
+router.post(
+  '/refund-request/:requestId/accept',
+  auth,
+  paymentController.acceptRefundCounterOffer
+);
+
+/**
+ * @route   POST /api/v1/m/payments/refund-request/:requestId/decline
+ * @desc    Decline the landlord's counter-offer (Tenant)
+ * @access  Private
+ */
+router.post(
+  '/refund-request/:requestId/decline',
+  auth,
+  paymentController.declineRefundCounterOffer
+);
+
 module.exports = router;
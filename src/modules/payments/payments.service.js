@@ -1,19 +1,46 @@
-const Stripe = require('stripe');
 const { PrismaClient } = require('@prisma/client');
 const AppError = require('../../utils/AppError');
+const stripe = require('../../config/stripe');
+const bookingsService = require('../bookings/bookings.service');
+const bookingQuotesService = require('../bookings/bookingQuotes.service');
+const leaseStatusService = require('../bookings/leaseStatus.service');
+const invoicesService = require('../invoices/invoices.service');
+const commissionsService = require('../commissions/commissions.service');
+const taxesService = require('../taxes/taxes.service');
+const cancellationPoliciesService = require('../bookings/cancellationPolicies.service');
+
+const ledgerService = require('../ledger/ledger.service');
+const receiptsService = require('../receipts/receipts.service');
+const notificationService = require('../../services/notification.service');
+
+// Required lazily: the deposits module refunds through this service
+const getDepositsService = () => require('../deposits/deposits.service');
+// Required lazily: the disputes module reads payments through this service
+const getDisputesService = () => require('../disputes/disputes.service');
 
 const prisma = new PrismaClient();
 
-// Security: Validate Stripe key before initialization
-if (!process.env.STRIPE_SECRET_KEY) {
-  console.error(
-    '⚠️  STRIPE_SECRET_KEY is not configured. Payment features will be disabled.'
-  );
-}
-
-const stripe = process.env.STRIPE_SECRET_KEY
-  ? new Stripe(process.env.STRIPE_SECRET_KEY)
-  : null;
+// Booking payments that still hold money that can be refunded
+const CAPTURED_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+/**
+ * StripePayment statuses a payment can move to. Stripe delivers webhooks
+ * late, twice or out of order (e.g. processing after succeeded), so
+ * payments only ever move forward. A failed attempt can still be retried
+ * on the same PaymentIntent.
+ */
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['requires_action', 'processing', 'completed', 'failed', 'canceled'],
+  requires_action: ['processing', 'completed', 'failed', 'canceled'],
+  processing: ['completed', 'failed', 'canceled'],
+  failed: ['requires_action', 'processing', 'completed', 'canceled'],
+  completed: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  refunded: [],
+  canceled: [],
+};
+
+const roundMoney = value => Math.round(value * 100) / 100;
 
 class PaymentService {
   constructor() {
@@ -45,6 +72,9 @@ class PaymentService {
               title: true,
               price: true,
               ownerId: true,
+              propertyTypeId: true,
+              country: true,
+              state: true,
             },
           },
           tenant: {
@@ -78,37 +108,19 @@ class PaymentService {
         throw new AppError('Booking already paid', 400);
       }
 
+      // Only charge bookings created from a valid server-side quote
+      const quote = await bookingQuotesService.getValidQuoteForLease(booking);
+
+      // Keep the dates reserved while the tenant completes the payment
+      await bookingsService.holdBookingDates(booking);
+
       // Check if landlord has connected Stripe account
       const landlordConnected =
         booking.landlord?.stripeAccountId &&
         booking.landlord?.stripeOnboardingComplete;
 
       // 2. Get or create Stripe customer
-      let customer;
-      const existingCustomer = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { stripeCustomerId: true },
-      });
-
-      if (existingCustomer?.stripeCustomerId) {
-        customer = await stripe.customers.retrieve(
-          existingCustomer.stripeCustomerId
-        );
-      } else {
-        customer = await stripe.customers.create({
-          email: booking.tenant.email,
-          name: booking.tenant.name,
-          metadata: {
-            userId: userId,
-          },
-        });
-
-        // Save Stripe customer ID to database
-        await prisma.user.update({
-          where: { id: userId },
-          data: { stripeCustomerId: customer.id },
-        });
-      }
+      const customer = await this.getOrCreateCustomer(userId, booking.tenant);
 
       // 3. Create or get existing payment record
       let payment = await prisma.stripePayment.findFirst({
@@ -119,8 +131,21 @@ class PaymentService {
       });
 
       // 4. Create PaymentIntent (with or without direct charge to landlord)
-      const amount = Math.round(booking.totalPrice * 100); // Convert to cents
-      const platformFee = landlordConnected ? Math.round(amount * 0.1) : 0; // 10% platform fee
+      const amount = Math.round(parseFloat(quote.totalAmount) * 100); // Convert to cents
+      const commission = await commissionsService.getFeeForLease(
+        booking,
+        amount
+      );
+      // Tax on the commission is collected from the landlord with the fee
+      const feeTax = await taxesService.calculatePlatformFee(
+        booking.property,
+        commission.feeInCents
+      );
+      const platformFee = feeTax.feeInCents;
+      const taxLines = [
+        ...taxesService.prorateLines(quote.taxLines),
+        ...(feeTax.line ? [feeTax.line] : []),
+      ];
 
       const paymentIntentParams = {
         amount: amount,
@@ -131,6 +156,8 @@ class PaymentService {
           userId: userId,
           landlordId: booking.landlordId,
           propertyTitle: booking.property.title,
+          securityDeposit: String(quote.securityDeposit),
+          platformFee: String(platformFee / 100),
           directCharge: landlordConnected ? 'true' : 'false',
         },
         automatic_payment_methods: {
@@ -138,7 +165,8 @@ class PaymentService {
         },
       };
 
-      // If landlord has Stripe Connect, use direct charge (on_behalf_of)
+      // If landlord has Stripe Connect, use a destination charge: the
+      // commission stays on the platform as the application fee
       if (landlordConnected) {
         paymentIntentParams.application_fee_amount = platformFee;
         paymentIntentParams.on_behalf_of = booking.landlord.stripeAccountId;
@@ -174,7 +202,10 @@ class PaymentService {
           where: { id: payment.id },
           data: {
             paymentIntentId: paymentIntent.id,
-            amount: booking.totalPrice,
+            amount: quote.totalAmount,
+            platformFee: platformFee / 100,
+            commissionRate: commission.ratePercent,
+            taxLines: { deleteMany: {}, create: taxLines },
           },
         });
       } else {
@@ -182,10 +213,13 @@ class PaymentService {
           data: {
             bookingId: booking.id,
             userId: userId,
-            amount: booking.totalPrice,
+            amount: quote.totalAmount,
             currency: 'myr',
             paymentIntentId: paymentIntent.id,
             status: 'pending',
+            platformFee: platformFee / 100,
+            commissionRate: commission.ratePercent,
+            taxLines: { create: taxLines },
           },
         });
       }
@@ -204,6 +238,157 @@ class PaymentService {
     }
   }
 
+  /**
+   * Get the Stripe customer of a user, creating it on first payment
+   * @param {string} userId
+   * @param {Object} profile - { email, name } used when creating the customer
+   */
+  async getOrCreateCustomer(userId, profile) {
+    const existingCustomer = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { stripeCustomerId: true },
+    });
+
+    if (existingCustomer?.stripeCustomerId) {
+      return stripe.customers.retrieve(existingCustomer.stripeCustomerId);
+    }
+
+    const customer = await stripe.customers.create({
+      email: profile.email,
+      name: profile.name,
+      metadata: {
+        userId: userId,
+      },
+    });
+
+    // Save Stripe customer ID to database
+    await prisma.user.update({
+      where: { id: userId },
+      data: { stripeCustomerId: customer.id },
+    });
+
+    return customer;
+  }
+
+  /**
+   * Create Payment Sheet parameters for paying an invoice
+   * Supports partial payments: amount defaults to the outstanding balance,
+   * or to the payer's outstanding share when the rent is split
+   */
+  async createInvoicePaymentSheet(invoiceId, userId, amount) {
+    // Security: Check if Stripe is configured
+    if (!stripe) {
+      throw new AppError('Payment service is not configured', 503);
+    }
+
+    try {
+      const { invoice, balanceDue, shareDue, payer } =
+        await invoicesService.getPayableInvoice(invoiceId, userId);
+
+      const hasAmount = amount !== undefined && amount !== null;
+      if (!hasAmount && shareDue === 0) {
+        throw new AppError(
+          'You have no outstanding share of this invoice',
+          400
+        );
+      }
+
+      const payAmount = hasAmount
+        ? Math.round(parseFloat(amount) * 100) / 100
+        : (shareDue ?? balanceDue);
+
+      if (!(payAmount > 0) || payAmount > balanceDue) {
+        throw new AppError(
+          `Payment amount must be greater than 0 and at most ${balanceDue}`,
+          400
+        );
+      }
+
+      const { lease } = invoice;
+      const landlordConnected =
+        lease.landlord?.stripeAccountId &&
+        lease.landlord?.stripeOnboardingComplete;
+
+      const customer = await this.getOrCreateCustomer(userId, payer);
+
+      const amountInCents = Math.round(payAmount * 100);
+      const commission = await commissionsService.getFeeForLease(
+        lease,
+        amountInCents
+      );
+      const { feeInCents, line: feeTaxLine } =
+        await taxesService.calculatePlatformFee(
+          lease.property,
+          commission.feeInCents
+        );
+      const taxLines = [
+        ...taxesService.prorateLines(
+          invoice.taxLines,
+          payAmount / parseFloat(invoice.amount)
+        ),
+        ...(feeTaxLine ? [feeTaxLine] : []),
+      ];
+      const paymentIntentParams = {
+        amount: amountInCents,
+        currency: invoice.currencyCode.toLowerCase(),
+        customer: customer.id,
+        metadata: {
+          invoiceId: invoice.id,
+          invoiceType: invoice.type,
+          bookingId: lease.id,
+          userId: userId,
+          landlordId: lease.landlordId,
+          propertyTitle: lease.property.title,
+          platformFee: String(feeInCents / 100),
+          directCharge: landlordConnected ? 'true' : 'false',
+        },
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      };
+
+      if (landlordConnected) {
+        paymentIntentParams.application_fee_amount = feeInCents;
+        paymentIntentParams.on_behalf_of = lease.landlord.stripeAccountId;
+        paymentIntentParams.transfer_data = {
+          destination: lease.landlord.stripeAccountId,
+        };
+      }
+
+      const paymentIntent =
+        await stripe.paymentIntents.create(paymentIntentParams);
+
+      const ephemeralKey = await stripe.ephemeralKeys.create(
+        { customer: customer.id },
+        { apiVersion: '2024-12-18.acacia' }
+      );
+
+      const payment = await invoicesService.createPendingStripePayment(
+        invoice.id,
+        userId,
+        payAmount,
+        paymentIntent.id,
+        feeInCents / 100,
+        taxLines
+      );
+
+      return {
+        paymentIntent: paymentIntent.client_secret,
+        ephemeralKey: ephemeralKey.secret,
+        customer: customer.id,
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+        paymentId: payment.id,
+        amount: payAmount,
+        balanceDue,
+        shareDue,
+      };
+    } catch (error) {
+      console.error('Invoice payment sheet creation error:', error);
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create payment sheet', 500);
+    }
+  }
+
   /**
    * Confirm payment after successful Stripe payment
    */
@@ -250,23 +435,31 @@ class PaymentService {
         throw new AppError('Unauthorized access to payment', 403);
       }
 
-      // 3. Update payment status
-      const updatedPayment = await prisma.stripePayment.update({
+      // 3. Update payment status (the webhook may have done it already)
+      await this.advancePaymentStatus(payment.id, 'completed', {
+        completedAt: new Date(),
+      });
+      const updatedPayment = await prisma.stripePayment.findUnique({
         where: { id: payment.id },
-        data: {
-          status: 'completed',
-          completedAt: new Date(),
-        },
       });
 
       // 4. Update booking status to confirmed
-      await prisma.lease.update({
-        where: { id: bookingId },
-        data: {
-          status: 'PAID',
-          paymentStatus: 'paid',
-        },
-      });
+      if (updatedPayment.status === 'completed') {
+        await this.markLeasePaid(bookingId, actualPaymentIntentId, {
+          id: userId,
+        });
+
+        try {
+          await this.postPaymentToLedger(paymentIntent);
+          await receiptsService.issueForPaymentIntent(actualPaymentIntentId);
+        } catch (error) {
+          // The payment_intent.succeeded webhook does both as well
+          console.warn(
+            `⚠️  Could not post ${actualPaymentIntentId} to the ledger or issue its receipt:`,
+            error.message
+          );
+        }
+      }
 
       return {
         paymentId: updatedPayment.id,
@@ -459,10 +652,10 @@ class PaymentService {
 
         // Only cancel if booking is PENDING or APPROVED (not yet started)
         if (bookingStatus === 'PENDING' || bookingStatus === 'APPROVED') {
-          await prisma.lease.update({
-            where: { id: payment.bookingId },
+          await leaseStatusService.transition(payment.bookingId, 'REFUNDED', {
+            user: { id: userId },
+            reason: 'Payment cancelled by user',
             data: {
-              status: 'REFUNDED',
               cancelledAt: new Date(),
               cancellationReason: 'Payment cancelled by user',
               paymentStatus: 'failed',
@@ -486,9 +679,10 @@ class PaymentService {
   }
 
   /**
-   * Request refund for completed payment
-   * - If payment < 4 hours: Auto-refund immediately
-   * - If payment > 4 hours: Require landlord approval (TODO: implement approval flow)
+   * Request refund for completed payment. The refundable amount comes from
+   * the cancellation policy of the booking, less what was already refunded:
+   * - Full refund: processed immediately
+   * - Partial refund: requires landlord approval
    */
   async requestRefund(bookingId, userId, reason) {
     try {
@@ -498,12 +692,13 @@ class PaymentService {
       const payment = await prisma.stripePayment.findFirst({
         where: {
           bookingId,
-          status: 'completed',
+          status: { in: CAPTURED_PAYMENT_STATUSES },
         },
         include: {
           booking: {
             include: {
               landlord: true,
+              property: { select: { cancellationPolicy: true } },
             },
           },
         },
@@ -518,72 +713,59 @@ class PaymentService {
         throw new AppError('Unauthorized access to payment', 403);
       }
 
-      // 2. Check refund eligibility (within 7 days)
-      const hoursSincePayment = Math.floor(
-        (new Date() - new Date(payment.completedAt)) / (1000 * 60 * 60)
+      // 2. Check what the cancellation policy refunds
+      const { policy, refundPercent, refundableAmount } =
+        cancellationPoliciesService.getRefundQuote(payment.booking, payment);
+      const amount = Math.min(
+        roundMoney(refundableAmount - parseFloat(payment.refundedAmount)),
+        this.getRefundableBalance(payment)
       );
 
-      const daysSincePayment = Math.floor(hoursSincePayment / 24);
-
-      if (daysSincePayment > 7) {
+      if (!(amount > 0)) {
         throw new AppError(
-          'Refund window expired (must be within 7 days)',
+          `This booking is no longer refundable under the ${policy.name} cancellation policy`,
           400
         );
       }
 
-      // 3. Check if within 4-hour auto-refund window
-      if (hoursSincePayment < 4) {
-        console.log('⚡ Auto-refund (< 4 hours)');
+      // 3. Full refunds don't need the landlord
+      if (refundPercent === 100) {
+        console.log(`⚡ Auto-refund (${policy.name} policy)`);
 
         // Auto-refund immediately
-        const refund = await stripe.refunds.create({
-          payment_intent: payment.paymentIntentId,
-          reason: 'requested_by_customer',
+        const { refund } = await this.refundBookingPayment(payment, amount, {
+          user: { id: userId },
+          reason:
+            reason || `Cancelled with a full refund (${policy.name} policy)`,
           metadata: {
             bookingId: bookingId,
             userId: userId,
-            reason: reason || 'Customer requested refund within 4 hours',
+            reason: reason || 'Customer cancelled the booking',
+            cancellationPolicy: policy.code,
             autoRefund: 'true',
           },
         });
 
-        // Update payment status
-        await prisma.stripePayment.update({
-          where: { id: payment.id },
-          data: {
-            status: 'refunded',
-            refundedAt: new Date(),
-          },
-        });
-
-        // Update booking status to REFUNDED
-        await prisma.lease.update({
-          where: { id: bookingId },
-          data: {
-            status: 'REFUNDED',
-            paymentStatus: 'refunded',
-            cancelledAt: new Date(),
-            cancellationReason: reason || 'Refund requested within 4 hours',
-          },
-        });
-
         return {
           refundId: refund.id,
           amount: refund.amount / 100,
           status: 'refunded',
           reason: reason,
           autoRefund: true,
-          message: 'Refund processed immediately (within 4-hour window)',
+          cancellationPolicy: policy,
+          refundPercent,
+          message: `Refund processed immediately (${policy.name} cancellation policy)`,
         };
       } else {
-        console.log('⏳ Refund requires landlord approval (> 4 hours)');
+        console.log(
+          `⏳ Partial refund (${refundPercent}%) requires landlord approval`
+        );
 
-        // Check if pending request already exists
+        // Check if an open request already exists
         const existingRequest = await prisma.refundRequest.findFirst({
           where: {
             leaseId: bookingId,
-            status: 'PENDING',
+            status: { in: ['PENDING', 'COUNTERED', 'PROCESSING'] },
           },
         });
 
@@ -597,8 +779,9 @@ class PaymentService {
             leaseId: bookingId,
             requestedBy: userId,
             landlordId: payment.booking.landlordId,
-            amount: payment.amount,
-            reason: reason || 'Customer requested refund (> 4 hours)',
+            amount,
+            refundPercent,
+            reason: reason || 'Customer cancelled the booking',
             status: 'PENDING',
           },
         });
@@ -609,8 +792,10 @@ class PaymentService {
           success: true,
           refundRequestId: refundRequest.id,
           status: 'pending_approval',
-          message:
-            'Refund request sent to landlord for approval (payment > 4 hours old)',
+          message: `Refund of ${amount} (${refundPercent}% of the rent plus the deposit) sent to landlord for approval`,
+          amount,
+          cancellationPolicy: policy,
+          refundPercent,
           autoRefund: false,
           requiresApproval: true,
         };
@@ -623,101 +808,57 @@ class PaymentService {
   }
 
   /**
-   * Process refund request (Landlord only)
+   * Process refund request (Landlord only). Landlords can approve less
+   * than requested; the rest of the payment stays refundable.
    * @param {string} requestId
    * @param {string} landlordId
    * @param {boolean} approve
    * @param {string} notes
+   * @param {number|null} amount - Amount to refund, defaults to the
+   * requested amount
    */
-  async processRefundRequest(requestId, landlordId, approve, notes) {
+  async processRefundRequest(
+    requestId,
+    landlordId,
+    approve,
+    notes,
+    amount = null
+  ) {
     try {
       console.log('👷 Processing refund request:', {
         requestId,
         landlordId,
         approve,
+        amount,
       });
 
       // 1. Get request
-      const refundRequest = await prisma.refundRequest.findUnique({
-        where: { id: requestId },
-        include: {
-          lease: true,
-        },
-      });
-
-      if (!refundRequest) {
-        throw new AppError('Refund request not found', 404);
-      }
-
-      // Verify landlord ownership
-      if (refundRequest.landlordId !== landlordId) {
-        throw new AppError('Unauthorized to process this request', 403);
-      }
-
-      // Verify status
-      if (refundRequest.status !== 'PENDING') {
-        throw new AppError(
-          `Request is already ${refundRequest.status.toLowerCase()}`,
-          400
-        );
-      }
+      const refundRequest = await this.getRefundRequestForLandlord(
+        requestId,
+        landlordId
+      );
 
       if (approve) {
-        // Find payment to refund
-        const payment = await prisma.stripePayment.findFirst({
-          where: {
-            bookingId: refundRequest.leaseId,
-            status: 'completed',
-          },
-        });
+        const refundAmount = amount ?? parseFloat(refundRequest.amount);
 
-        if (!payment) {
+        if (refundAmount > parseFloat(refundRequest.amount)) {
           throw new AppError(
-            'Original payment not found or not completed',
-            404
+            `You can refund at most the requested ${refundRequest.amount}`,
+            400
           );
         }
 
-        // Process Stripe refund
-        const refund = await stripe.refunds.create({
-          payment_intent: payment.paymentIntentId,
-          reason: 'requested_by_customer',
-          metadata: {
-            bookingId: refundRequest.leaseId,
-            refundRequestId: requestId,
-            approvedBy: landlordId,
-          },
-        });
-
-        // Update StripePayment status
-        await prisma.stripePayment.update({
-          where: { id: payment.id },
-          data: {
-            status: 'refunded',
-            refundedAt: new Date(),
-          },
-        });
-
-        // Update RefundRequest status
-        await prisma.refundRequest.update({
-          where: { id: requestId },
-          data: {
-            status: 'APPROVED',
-            approvedAt: new Date(),
-            landlordNote: notes,
-          },
-        });
-
-        // Update Lease status
-        await prisma.lease.update({
-          where: { id: refundRequest.leaseId },
-          data: {
-            status: 'REFUNDED',
-            paymentStatus: 'refunded',
-            cancelledAt: new Date(),
-            cancellationReason: `Refund approved by landlord: ${notes || ''}`,
-          },
-        });
+        const result = await this.approveRefundRequest(
+          refundRequest,
+          refundAmount,
+          {
+            user: { id: landlordId },
+            reason: `Refund approved by landlord: ${notes || ''}`,
+            fromStatus: 'PENDING',
+            data: { landlordNote: notes },
+            metadata: { approvedBy: landlordId },
+          }
+        );
 
         // TODO: Notify tenant
 
@@ -725,17 +866,14 @@ class PaymentService {
           success: true,
           status: 'APPROVED',
           message: 'Refund approved and processed successfully',
-          refundId: refund.id,
+          ...result,
         };
       } else {
         // Reject request
-        await prisma.refundRequest.update({
-          where: { id: requestId },
-          data: {
-            status: 'REJECTED',
-            rejectedAt: new Date(),
-            landlordNote: notes,
-          },
+        await this.claimRefundRequest(requestId, 'PENDING', {
+          status: 'REJECTED',
+          rejectedAt: new Date(),
+          landlordNote: notes,
         });
 
         // TODO: Notify tenant
@@ -754,109 +892,717 @@ class PaymentService {
   }
 
   /**
-   * Get refund requests for landlord
+   * Landlord offers to refund less than requested. The tenant accepts the
+   * counter-offer (refunded right away) or declines it.
+   * @param {string} requestId
+   * @param {string} landlordId
+   * @param {Object} data - { amount, notes }
+   * @returns {Promise<Object>} Updated refund request
    */
-  async getLandlordRefundRequests(landlordId, status) {
-    const where = { landlordId };
-    if (status) where.status = status;
+  async counterRefundRequest(requestId, landlordId, { amount, notes }) {
+    const refundRequest = await this.getRefundRequestForLandlord(
+      requestId,
+      landlordId
+    );
 
-    return await prisma.refundRequest.findMany({
-      where,
+    if (!(amount > 0) || amount >= parseFloat(refundRequest.amount)) {
+      throw new AppError(
+        `A counter-offer must be more than 0 and less than the requested ${refundRequest.amount}`,
+        400
+      );
+    }
+
+    await this.claimRefundRequest(requestId, 'PENDING', {
+      status: 'COUNTERED',
+      counterAmount: amount,
+      counteredAt: new Date(),
+      landlordNote: notes,
+    });
+
+    const updated = await prisma.refundRequest.findUnique({
+      where: { id: requestId },
       include: {
+        tenant: { select: { id: true, email: true, name: true } },
         lease: {
           select: {
-            id: true,
-            property: {
-              select: { title: true, address: true },
-            },
-            startDate: true,
-            endDate: true,
+            code: true,
+            currencyCode: true,
+            property: { select: { title: true } },
           },
         },
-        tenant: {
-          select: { name: true, email: true, profilePicture: true },
-        },
       },
-      orderBy: { createdAt: 'desc' },
     });
+
+    await notificationService.notifyUser(
+      updated.tenant,
+      'Counter-offer for your refund',
+      `The landlord of "${updated.lease.property.title}" offers to refund ${updated.lease.currencyCode} ${updated.counterAmount} instead of ${updated.amount} for booking ${updated.lease.code}.${notes ? ` Message from the landlord: ${notes}` : ''} Accept or decline it in the app.`
+    );
+
+    return updated;
   }
 
   /**
-   * Handle Stripe webhook events
+   * Tenant accepts or declines the landlord's counter-offer
+   * @param {string} requestId
+   * @param {string} userId - Tenant who requested the refund
+   * @param {boolean} accept
+   * @returns {Promise<Object>} Result
    */
-  async handleWebhook(event) {
-    try {
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await this.handlePaymentSuccess(event.data.object);
-          break;
-
-        case 'payment_intent.processing':
-          await this.handlePaymentProcessing(event.data.object);
-          break;
+  async respondToRefundCounterOffer(requestId, userId, accept) {
+    const refundRequest = await prisma.refundRequest.findUnique({
+      where: { id: requestId },
+      include: { lease: true },
+    });
 
-        case 'payment_intent.payment_failed':
-          await this.handlePaymentFailure(event.data.object);
-          break;
+    if (!refundRequest || refundRequest.requestedBy !== userId) {
+      throw new AppError('Refund request not found', 404);
+    }
 
-        case 'payment_intent.canceled':
-          await this.handlePaymentCanceled(event.data.object);
-          break;
+    if (refundRequest.status !== 'COUNTERED') {
+      throw new AppError('This refund request has no open counter-offer', 409);
+    }
 
-        case 'payment_intent.requires_action':
-          await this.handlePaymentRequiresAction(event.data.object);
-          break;
+    if (!accept) {
+      await this.claimRefundRequest(requestId, 'COUNTERED', {
+        status: 'DECLINED',
+        declinedAt: new Date(),
+      });
 
-        case 'charge.refunded':
-          await this.handleRefund(event.data.object);
-          break;
+      return {
+        success: true,
+        status: 'DECLINED',
+        message: 'Counter-offer declined',
+      };
+    }
 
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
+    const result = await this.approveRefundRequest(
+      refundRequest,
+      parseFloat(refundRequest.counterAmount),
+      {
+        user: { id: userId },
+        reason: 'Refund counter-offer accepted by tenant',
+        fromStatus: 'COUNTERED',
+        metadata: { counterOffer: 'true' },
       }
-    } catch (error) {
-      console.error('Webhook handling error:', error);
-      throw error;
-    }
+    );
+
+    return {
+      success: true,
+      status: 'APPROVED',
+      message: 'Counter-offer accepted and refund processed',
+      ...result,
+    };
   }
 
-  async handlePaymentSuccess(paymentIntent) {
-    const payment = await prisma.stripePayment.findFirst({
-      where: { paymentIntentId: paymentIntent.id },
+  /**
+   * Refund request the landlord can still act on
+   * @throws {AppError} 404, 403, or 400 when not PENDING
+   */
+  async getRefundRequestForLandlord(requestId, landlordId) {
+    const refundRequest = await prisma.refundRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        lease: true,
+      },
     });
 
-    if (payment && payment.status === 'pending') {
-      await prisma.stripePayment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'completed',
-          completedAt: new Date(),
-        },
-      });
+    if (!refundRequest) {
+      throw new AppError('Refund request not found', 404);
+    }
 
-      await prisma.lease.update({
-        where: { id: payment.bookingId },
-        data: {
-          status: 'PAID',
-          paymentStatus: 'paid',
-        },
-      });
+    // Verify landlord ownership
+    if (refundRequest.landlordId !== landlordId) {
+      throw new AppError('Unauthorized to process this request', 403);
+    }
+
+    // Verify status
+    if (refundRequest.status !== 'PENDING') {
+      throw new AppError(
+        `Request is already ${refundRequest.status.toLowerCase()}`,
+        400
+      );
     }
+
+    return refundRequest;
   }
 
-  async handlePaymentProcessing(paymentIntent) {
-    const payment = await prisma.stripePayment.findFirst({
-      where: { paymentIntentId: paymentIntent.id },
+  /**
+   * Move a refund request on from the status it was read in. Only one
+   * change can win, so two landlord actions, or an approval and the
+   * tenant's answer to a counter-offer, can't both apply.
+   * @param {string} requestId
+   * @param {string} fromStatus - Status the request must still be in
+   * @param {Object} data - Status and other fields to update
+   * @throws {AppError} 409 when the request was handled in the meantime
+   */
+  async claimRefundRequest(requestId, fromStatus, data) {
+    const { count } = await prisma.refundRequest.updateMany({
+      where: { id: requestId, status: fromStatus },
+      data,
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        'This refund request was already handled, please refresh',
+        409
+      );
+    }
+  }
+
+  /**
+   * Refund the agreed amount of a refund request and close it. The request
+   * is claimed as PROCESSING before Stripe is called, and goes back to
+   * fromStatus when the refund fails.
+   * @param {Object} refundRequest
+   * @param {number} amount
+   * @param {Object} options - { user, reason, fromStatus, data, metadata }
+   * @returns {Promise<Object>} { refundId, amount, refundedAmount,
+   * fullyRefunded }
+   */
+  async approveRefundRequest(
+    refundRequest,
+    amount,
+    { user, reason, fromStatus, data = {}, metadata = {} }
+  ) {
+    if (!(amount > 0)) {
+      throw new AppError('Refund amount must be more than 0', 400);
+    }
+
+    await this.claimRefundRequest(refundRequest.id, fromStatus, {
+      status: 'PROCESSING',
+    });
+
+    let result;
+    try {
+      // Find payment to refund
+      const payment = await prisma.stripePayment.findFirst({
+        where: {
+          bookingId: refundRequest.leaseId,
+          status: { in: CAPTURED_PAYMENT_STATUSES },
+        },
+      });
+
+      if (!payment) {
+        throw new AppError('Original payment not found or not completed', 404);
+      }
+
+      result = await this.refundBookingPayment(payment, amount, {
+        user,
+        reason,
+        metadata: {
+          bookingId: refundRequest.leaseId,
+          refundRequestId: refundRequest.id,
+          ...metadata,
+        },
+      });
+    } catch (error) {
+      await prisma.refundRequest.updateMany({
+        where: { id: refundRequest.id, status: 'PROCESSING' },
+        data: { status: fromStatus },
+      });
+      throw error;
+    }
+
+    const { refund, refundedAmount, fullyRefunded } = result;
+
+    await prisma.refundRequest.update({
+      where: { id: refundRequest.id },
+      data: {
+        ...data,
+        status: 'APPROVED',
+        approvedAmount: refund.amount / 100,
+        stripeRefundId: refund.id,
+        approvedAt: new Date(),
+      },
+    });
+
+    return {
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      refundedAmount,
+      fullyRefunded,
+    };
+  }
+
+  /**
+   * What is left to refund on a booking payment
+   * @param {Object} payment - StripePayment
+   * @returns {number}
+   */
+  getRefundableBalance(payment) {
+    if (!CAPTURED_PAYMENT_STATUSES.includes(payment.status)) return 0;
+
+    return roundMoney(
+      parseFloat(payment.amount) - parseFloat(payment.refundedAmount)
+    );
+  }
+
+  /**
+   * Refund (part of) a booking payment as a cancellation. The payment and
+   * the lease become PARTIALLY_REFUNDED until all of the payment is
+   * refunded, then REFUNDED.
+   * @param {Object} payment - Captured StripePayment
+   * @param {number} amount - At most the refundable balance
+   * @param {Object} options - { user, reason, metadata }
+   * @returns {Promise<Object>} { refund, refundedAmount, fullyRefunded }
+   */
+  async refundBookingPayment(payment, amount, { user, reason, metadata }) {
+    const balance = this.getRefundableBalance(payment);
+
+    if (amount > balance) {
+      throw new AppError(
+        `Only ${balance} of this payment can still be refunded`,
+        400
+      );
+    }
+
+    const refund = await this.refundPaymentIntent(
+      payment.paymentIntentId,
+      Math.round(amount * 100),
+      metadata,
+      { reason: 'requested_by_customer' }
+    );
+
+    const refundedAmount = roundMoney(
+      parseFloat(payment.refundedAmount) + refund.amount / 100
+    );
+    const fullyRefunded = refundedAmount >= parseFloat(payment.amount);
+
+    await prisma.stripePayment.update({
+      where: { id: payment.id },
+      data: {
+        status: fullyRefunded ? 'refunded' : 'partially_refunded',
+        refundedAmount,
+        refundedAt: new Date(),
+      },
+    });
+
+    await this.markLeaseRefunded(payment.bookingId, {
+      user,
+      reason,
+      refundedAmount: fullyRefunded ? null : refundedAmount,
+    });
+
+    return { refund, refundedAmount, fullyRefunded };
+  }
+
+  /**
+   * Refund part of what a tenant paid for a lease, e.g. unused rent when a
+   * lease ends early. Stripe payments are refunded newest first until the
+   * amount is covered, each up to what was not refunded yet; destination
+   * charges are reversed from the landlord.
+   * @param {string} leaseId
+   * @param {number} amount - Amount to refund
+   * @param {Object} metadata - Stripe refund metadata
+   * @returns {Promise<Object>} { refundedAmount, refundIds }
+   * @throws {AppError} 502 when Stripe rejects a refund
+   */
+  async refundLeaseAmount(leaseId, amount, metadata = {}) {
+    if (!stripe) {
+      throw new AppError('Payments are not configured', 503);
+    }
+
+    const [bookingPayments, invoicePayments] = await Promise.all([
+      prisma.stripePayment.findMany({
+        where: {
+          bookingId: leaseId,
+          status: { in: CAPTURED_PAYMENT_STATUSES },
+        },
+        orderBy: { completedAt: 'desc' },
+      }),
+      prisma.payment.findMany({
+        where: {
+          invoice: { leaseId },
+          status: 'COMPLETED',
+          method: 'CREDIT_CARD',
+          txnRef: { startsWith: 'pi_' },
+        },
+        orderBy: { paidAt: 'desc' },
+      }),
+    ]);
+
+    const charges = [
+      ...invoicePayments.map(payment => ({
+        paymentIntentId: payment.txnRef,
+        amount: roundMoney(
+          parseFloat(payment.amount) - parseFloat(payment.refundedAmount)
+        ),
+        paidAt: payment.paidAt,
+      })),
+      ...bookingPayments.map(payment => ({
+        paymentIntentId: payment.paymentIntentId,
+        amount: this.getRefundableBalance(payment),
+        paidAt: payment.completedAt,
+      })),
+    ].sort((a, b) => (b.paidAt || 0) - (a.paidAt || 0));
+
+    let remaining = Math.round(amount * 100);
+    const refundIds = [];
+
+    for (const charge of charges) {
+      if (remaining <= 0) break;
+
+      const refundAmount = Math.min(remaining, Math.round(charge.amount * 100));
+      // Fully refunded charges have nothing left to give back
+      if (refundAmount <= 0) continue;
+
+      try {
+        const refund = await this.refundPaymentIntent(
+          charge.paymentIntentId,
+          refundAmount,
+          { leaseId, ...metadata }
+        );
+
+        refundIds.push(refund.id);
+        remaining -= refund.amount;
+      } catch (error) {
+        throw new AppError(
+          `Refund of ${charge.paymentIntentId} failed after refunding ${Math.round(amount * 100 - remaining) / 100}: ${error.message}`,
+          502
+        );
+      }
+    }
+
+    return {
+      refundedAmount: Math.round(amount * 100 - remaining) / 100,
+      refundIds,
+    };
+  }
+
+  /**
+   * Refund a PaymentIntent. Destination charges are reversed from the
+   * landlord's connected account and the platform returns its application
+   * fee pro rata, so the landlord and the platform each give back their
+   * part of the refunded amount.
+   * @param {string} paymentIntentId
+   * @param {number|null} amountInCents - null refunds what is left
+   * @param {Object} metadata - Stripe refund metadata
+   * @param {Object} options - Other Stripe refund parameters (e.g. reason)
+   * @returns {Promise<Object>} Stripe refund
+   */
+  async refundPaymentIntent(
+    paymentIntentId,
+    amountInCents,
+    metadata = {},
+    options = {}
+  ) {
+    if (!stripe) {
+      throw new AppError('Payments are not configured', 503);
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    const refund = await stripe.refunds.create({
+      ...options,
+      payment_intent: paymentIntentId,
+      ...(amountInCents != null && { amount: amountInCents }),
+      reverse_transfer: !!paymentIntent.transfer_data,
+      ...(paymentIntent.application_fee_amount && {
+        refund_application_fee: true,
+      }),
+      metadata,
     });
 
-    if (payment && payment.status === 'pending') {
+    try {
+      const charge = await stripe.charges.retrieve(refund.charge);
+      await this.recordRefundedAmount(paymentIntentId, charge.amount_refunded);
+    } catch (error) {
+      // The charge.refunded webhook records it as well
+      console.warn(
+        `⚠️  Could not record refund of ${paymentIntentId}:`,
+        error.message
+      );
+    }
+
+    return refund;
+  }
+
+  /**
+   * Store how much of a Stripe payment was refunded and the commission
+   * returned with it, post the new part to the ledger and issue its credit
+   * note. Takes Stripe's
+   * running total, so the refund response and the charge.refunded webhook
+   * can both record it.
+   * @param {string} paymentIntentId
+   * @param {number} amountRefundedInCents - Total refunded on the charge
+   */
+  async recordRefundedAmount(paymentIntentId, amountRefundedInCents) {
+    const refundedAmount = amountRefundedInCents / 100;
+
+    const payment = await prisma.stripePayment.findUnique({
+      where: { paymentIntentId },
+    });
+
+    if (payment) {
+      const platformFeeRefunded = commissionsService.getRefundedFee(
+        parseFloat(payment.platformFee || 0),
+        parseFloat(payment.amount),
+        refundedAmount
+      );
+
       await prisma.stripePayment.update({
         where: { id: payment.id },
         data: {
-          status: 'processing',
+          ...(payment.status === 'completed' &&
+            refundedAmount > 0 &&
+            refundedAmount < parseFloat(payment.amount) && {
+              status: 'partially_refunded',
+            }),
+          refundedAmount,
+          platformFeeRefunded,
         },
       });
 
+      await this.postRefundToLedger(
+        paymentIntentId,
+        refundedAmount,
+        platformFeeRefunded
+      );
+      await receiptsService.issueCreditNote(paymentIntentId, refundedAmount);
+      return;
+    }
+
+    const invoicePayment =
+      await invoicesService.findStripePayment(paymentIntentId);
+
+    if (!invoicePayment) return;
+
+    const platformFeeRefunded = commissionsService.getRefundedFee(
+      parseFloat(invoicePayment.platformFee || 0),
+      parseFloat(invoicePayment.amount),
+      refundedAmount
+    );
+
+    await prisma.payment.update({
+      where: { id: invoicePayment.id },
+      data: {
+        refundedAmount,
+        ...(invoicePayment.platformFee != null && { platformFeeRefunded }),
+      },
+    });
+
+    await this.postRefundToLedger(
+      paymentIntentId,
+      refundedAmount,
+      platformFeeRefunded
+    );
+    await receiptsService.issueCreditNote(paymentIntentId, refundedAmount);
+  }
+
+  async postRefundToLedger(paymentIntentId, refundedAmount, feeRefunded) {
+    const source = await this.getLedgerSource(paymentIntentId);
+    if (!source) return;
+
+    await ledgerService.recordStripeRefund(source, refundedAmount, feeRefunded);
+  }
+
+  /**
+   * Get refund requests for landlord
+   */
+  async getLandlordRefundRequests(landlordId, status) {
+    const where = { landlordId };
+    if (status) where.status = status;
+
+    return await prisma.refundRequest.findMany({
+      where,
+      include: {
+        lease: {
+          select: {
+            id: true,
+            property: {
+              select: { title: true, address: true },
+            },
+            startDate: true,
+            endDate: true,
+          },
+        },
+        tenant: {
+          select: { name: true, email: true, profilePicture: true },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Handle Stripe webhook events
+   */
+  async handleWebhook(event) {
+    try {
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          await this.handlePaymentSuccess(event.data.object);
+          break;
+
+        case 'payment_intent.processing':
+          await this.handlePaymentProcessing(event.data.object);
+          break;
+
+        case 'payment_intent.payment_failed':
+          await this.handlePaymentFailure(event.data.object);
+          break;
+
+        case 'payment_intent.canceled':
+          await this.handlePaymentCanceled(event.data.object);
+          break;
+
+        case 'payment_intent.requires_action':
+          await this.handlePaymentRequiresAction(event.data.object);
+          break;
+
+        case 'charge.refunded':
+          await this.handleRefund(event.data.object);
+          break;
+
+        case 'charge.dispute.created':
+        case 'charge.dispute.updated':
+        case 'charge.dispute.funds_withdrawn':
+        case 'charge.dispute.funds_reinstated':
+          await getDisputesService().recordDispute(event.data.object);
+          break;
+
+        case 'charge.dispute.closed':
+          await getDisputesService().handleDisputeClosed(event.data.object);
+          break;
+
+        default:
+          console.log(`Unhandled event type: ${event.type}`);
+      }
+    } catch (error) {
+      console.error('Webhook handling error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a booking payment to a status when PAYMENT_STATUS_TRANSITIONS
+   * allow it. The update only applies while the payment is in a status it
+   * can move from, so concurrent deliveries cannot both apply it.
+   * @param {string} paymentId
+   * @param {string} toStatus
+   * @param {Object} data - Other fields to update
+   * @returns {Promise<boolean>} Whether the payment was updated
+   */
+  async advancePaymentStatus(paymentId, toStatus, data = {}) {
+    const fromStatuses = Object.keys(PAYMENT_STATUS_TRANSITIONS).filter(
+      status => PAYMENT_STATUS_TRANSITIONS[status].includes(toStatus)
+    );
+
+    const { count } = await prisma.stripePayment.updateMany({
+      where: { id: paymentId, status: { in: fromStatuses } },
+      data: { ...data, status: toStatus },
+    });
+
+    return count > 0;
+  }
+
+  async handlePaymentSuccess(paymentIntent) {
+    if (paymentIntent.metadata?.invoiceId) {
+      await invoicesService.handleStripePaymentSucceeded(paymentIntent);
+    } else {
+      const payment = await prisma.stripePayment.findFirst({
+        where: { paymentIntentId: paymentIntent.id },
+      });
+
+      if (
+        payment &&
+        (await this.advancePaymentStatus(payment.id, 'completed', {
+          completedAt: new Date(),
+        }))
+      ) {
+        await this.markLeasePaid(payment.bookingId, paymentIntent.id);
+      }
+    }
+
+    await this.postPaymentToLedger(paymentIntent);
+    await receiptsService.issueForPaymentIntent(paymentIntent.id);
+  }
+
+  /**
+   * Booking or invoice payment of a PaymentIntent, as posted to the ledger
+   * @param {string} paymentIntentId
+   * @returns {Promise<Object|null>} Ledger source, null when the payment is
+   * unknown or was never captured
+   */
+  async getLedgerSource(paymentIntentId) {
+    const payment = await prisma.stripePayment.findUnique({
+      where: { paymentIntentId },
+      include: { booking: { select: { landlordId: true } } },
+    });
+
+    if (payment) {
+      if (
+        ![...CAPTURED_PAYMENT_STATUSES, 'refunded'].includes(payment.status)
+      ) {
+        return null;
+      }
+
+      return {
+        paymentIntentId,
+        leaseId: payment.bookingId,
+        tenantId: payment.userId,
+        landlordId: payment.booking.landlordId,
+        amount: payment.amount,
+        platformFee: payment.platformFee,
+        currency: payment.currency,
+        occurredAt: payment.completedAt,
+      };
+    }
+
+    const invoicePayment = await prisma.payment.findFirst({
+      where: {
+        txnRef: paymentIntentId,
+        method: 'CREDIT_CARD',
+        status: { in: ['COMPLETED', 'REFUNDED'] },
+      },
+      include: {
+        invoice: {
+          select: {
+            leaseId: true,
+            currencyCode: true,
+            lease: { select: { tenantId: true, landlordId: true } },
+          },
+        },
+      },
+    });
+
+    if (!invoicePayment) return null;
+
+    return {
+      paymentIntentId,
+      leaseId: invoicePayment.invoice.leaseId,
+      tenantId: invoicePayment.payerId || invoicePayment.invoice.lease.tenantId,
+      landlordId: invoicePayment.invoice.lease.landlordId,
+      amount: invoicePayment.amount,
+      platformFee: invoicePayment.platformFee,
+      currency: invoicePayment.invoice.currencyCode,
+      occurredAt: invoicePayment.paidAt,
+    };
+  }
+
+  /**
+   * Post a succeeded PaymentIntent with its fee and transfer to the ledger
+   * @param {Object} paymentIntent - Stripe PaymentIntent
+   */
+  async postPaymentToLedger(paymentIntent) {
+    const source = await this.getLedgerSource(paymentIntent.id);
+    if (!source) return;
+
+    await ledgerService.recordStripePayment(source, {
+      transferred: !!paymentIntent.transfer_data,
+    });
+  }
+
+  async handlePaymentProcessing(paymentIntent) {
+    const payment = await prisma.stripePayment.findFirst({
+      where: { paymentIntentId: paymentIntent.id },
+    });
+
+    if (
+      payment &&
+      (await this.advancePaymentStatus(payment.id, 'processing'))
+    ) {
       await prisma.lease.update({
         where: { id: payment.bookingId },
         data: {
@@ -867,31 +1613,29 @@ class PaymentService {
   }
 
   async handlePaymentFailure(paymentIntent) {
+    if (paymentIntent.metadata?.invoiceId) {
+      return invoicesService.handleStripePaymentFailed(paymentIntent);
+    }
+
     const payment = await prisma.stripePayment.findFirst({
       where: { paymentIntentId: paymentIntent.id },
     });
 
     if (payment) {
-      await prisma.stripePayment.update({
-        where: { id: payment.id },
-        data: { status: 'failed' },
-      });
+      await this.advancePaymentStatus(payment.id, 'failed');
     }
   }
 
   async handlePaymentCanceled(paymentIntent) {
+    if (paymentIntent.metadata?.invoiceId) {
+      return invoicesService.handleStripePaymentFailed(paymentIntent);
+    }
+
     const payment = await prisma.stripePayment.findFirst({
       where: { paymentIntentId: paymentIntent.id },
     });
 
-    if (payment && payment.status === 'pending') {
-      await prisma.stripePayment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'canceled',
-        },
-      });
-
+    if (payment && (await this.advancePaymentStatus(payment.id, 'canceled'))) {
       await prisma.lease.update({
         where: { id: payment.bookingId },
         data: {
@@ -906,44 +1650,156 @@ class PaymentService {
       where: { paymentIntentId: paymentIntent.id },
     });
 
-    if (payment && payment.status === 'pending') {
+    if (
+      payment &&
+      (await this.advancePaymentStatus(payment.id, 'requires_action'))
+    ) {
       console.log(`Payment ${payment.id} requires action (3D Secure/OTP)`);
-
-      await prisma.stripePayment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'requires_action',
-        },
-      });
     }
   }
 
   async handleRefund(charge) {
+    await this.recordRefundedAmount(
+      charge.payment_intent,
+      charge.amount_refunded
+    );
+
+    // Partial refunds (e.g. early termination settlements) only mark the
+    // payment as partially refunded and leave the booking as it is
+    if (charge.amount_refunded < charge.amount) {
+      console.log(
+        `↩️  Partial refund on ${charge.payment_intent}: ${charge.amount_refunded / 100} of ${charge.amount / 100}`
+      );
+      return;
+    }
+
+    if (await invoicesService.handleStripeRefund(charge)) {
+      return;
+    }
+
     const payment = await prisma.stripePayment.findFirst({
       where: { paymentIntentId: charge.payment_intent },
     });
 
-    if (payment) {
-      await prisma.stripePayment.update({
-        where: { id: payment.id },
-        data: {
-          status: 'refunded',
-          refundedAt: new Date(),
-        },
+    // Refunds made through the app already marked the payment and the lease
+    if (
+      payment &&
+      (await this.advancePaymentStatus(payment.id, 'refunded', {
+        refundedAt: new Date(),
+      }))
+    ) {
+      // A lease that ended early keeps its status when its payment is refunded
+      const lease = await prisma.lease.findUnique({
+        where: { id: payment.bookingId },
+        select: { endedEarlyAt: true },
       });
 
-      await prisma.lease.update({
-        where: { id: payment.bookingId },
+      if (lease && !lease.endedEarlyAt) {
+        await this.markLeaseRefunded(payment.bookingId, {
+          reason: 'Payment refunded in Stripe',
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a completed booking payment on the lease. The lease moves to
+   * PAID when the state machine allows it; a lease cancelled in the
+   * meantime only gets its payment status, so it can be refunded.
+   * The security deposit included in the payment is recorded as held.
+   * @param {string} leaseId
+   * @param {string|null} paymentIntentId - Booking payment, null when paid
+   * offline
+   * @param {Object|null} user - Tenant confirming the payment, none for
+   * webhooks and verified offline payments
+   * @param {Object} options - { method, reason } of the payment
+   */
+  async markLeasePaid(
+    leaseId,
+    paymentIntentId,
+    user = null,
+    { method = 'CREDIT_CARD', reason = 'Payment received' } = {}
+  ) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: { status: true, tenantId: true, landlordId: true },
+    });
+
+    if (!lease) return;
+
+    await getDepositsService().recordHeld(leaseId, paymentIntentId, method);
+
+    const actorRole = leaseStatusService.getActorRole(lease, user);
+    if (leaseStatusService.canTransition(lease.status, 'PAID', actorRole)) {
+      await leaseStatusService.transition(leaseId, 'PAID', {
+        user,
+        reason,
+        data: { paymentStatus: 'paid' },
+      });
+      return;
+    }
+
+    await prisma.lease.update({
+      where: { id: leaseId },
+      data: { paymentStatus: 'paid' },
+    });
+
+    if (lease.status !== 'PAID') {
+      console.warn(
+        `⚠️  Payment received for lease ${leaseId} in status ${lease.status}; status left unchanged`
+      );
+    }
+  }
+
+  /**
+   * Record a refund that cancels the lease: REFUNDED when the whole booking
+   * payment was refunded, PARTIALLY_REFUNDED otherwise. Leases already in a
+   * final status (e.g. REJECTED by the landlord) keep it.
+   * @param {string} leaseId
+   * @param {Object} options - { user, reason, refundedAmount }; no user for
+   * webhooks, no refundedAmount for full refunds
+   */
+  async markLeaseRefunded(
+    leaseId,
+    { user = null, reason, refundedAmount = null }
+  ) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: { status: true, tenantId: true, landlordId: true },
+    });
+
+    if (!lease) return;
+
+    const partial = refundedAmount != null;
+    const toStatus = partial ? 'PARTIALLY_REFUNDED' : 'REFUNDED';
+    const paymentStatus = partial ? 'partially_refunded' : 'refunded';
+
+    // The deposit was part of the refunded booking payment
+    await getDepositsService().releaseWithBooking(leaseId, refundedAmount);
+
+    const actorRole = leaseStatusService.getActorRole(lease, user);
+    if (leaseStatusService.canTransition(lease.status, toStatus, actorRole)) {
+      await leaseStatusService.transition(leaseId, toStatus, {
+        user,
+        reason,
         data: {
-          status: 'REJECTED',
-          paymentStatus: 'refunded',
+          paymentStatus,
+          cancelledAt: new Date(),
+          cancellationReason: reason,
         },
       });
+      return;
     }
+
+    await prisma.lease.update({
+      where: { id: leaseId },
+      data: { paymentStatus },
+    });
   }
 
   /**
-   * Get landlord revenue statistics from actual Stripe payments
+   * Get landlord revenue statistics from the ledger: card payments less
+   * refunds and lost disputes, in total and per month
    * @param {string} landlordId - The landlord user ID
    * @param {Date} startDate - Start date for filtering (optional)
    * @param {Date} endDate - End date for filtering (optional)
@@ -951,98 +1807,60 @@ class PaymentService {
    */
   async getLandlordRevenue(landlordId, startDate = null, endDate = null) {
     try {
-      // Build date filter
-      const dateFilter = {};
-      if (startDate) dateFilter.gte = new Date(startDate);
-      if (endDate) dateFilter.lte = new Date(endDate);
-
-      // Get all completed payments for landlord's properties
-      const payments = await prisma.stripePayment.findMany({
-        where: {
-          status: 'completed',
-          completedAt:
-            Object.keys(dateFilter).length > 0 ? dateFilter : undefined,
-          booking: {
-            property: {
-              ownerId: landlordId,
+      const period = { startDate, endDate };
+
+      const [balance, monthlyBreakdown, recentPayments, pendingPayments, tax] =
+        await Promise.all([
+          ledgerService.getLandlordBalance(landlordId, period),
+          ledgerService.getLandlordMonthlyRevenue(landlordId, period),
+          prisma.stripePayment.findMany({
+            where: {
+              status: { in: [...CAPTURED_PAYMENT_STATUSES, 'refunded'] },
+              completedAt: ledgerService.getPeriodWhere(period).occurredAt,
+              booking: { landlordId },
             },
-          },
-        },
-        include: {
-          booking: {
-            select: {
-              id: true,
-              checkIn: true,
-              checkOut: true,
-              totalPrice: true,
-              property: {
-                select: {
-                  id: true,
-                  title: true,
-                },
+            include: {
+              booking: {
+                select: { property: { select: { id: true, title: true } } },
               },
             },
-          },
-        },
-        orderBy: {
-          completedAt: 'desc',
-        },
-      });
-
-      // Calculate statistics
-      const totalRevenue = payments.reduce(
-        (sum, payment) => sum + parseFloat(payment.amount),
-        0
-      );
-
-      // Group by month for monthly revenue
-      const monthlyRevenue = {};
-      payments.forEach(payment => {
-        const date = new Date(payment.completedAt);
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-
-        if (!monthlyRevenue[monthKey]) {
-          monthlyRevenue[monthKey] = {
-            month: monthKey,
-            revenue: 0,
-            count: 0,
-          };
-        }
-
-        monthlyRevenue[monthKey].revenue += parseFloat(payment.amount);
-        monthlyRevenue[monthKey].count += 1;
-      });
+            orderBy: { completedAt: 'desc' },
+            take: 10,
+          }),
+          // Count pending payments (processing or pending)
+          prisma.stripePayment.count({
+            where: {
+              status: { in: ['pending', 'processing'] },
+              booking: { landlordId },
+            },
+          }),
+          taxesService.getLandlordTaxSummary(landlordId, period),
+        ]);
 
       // Get current month revenue
       const currentDate = new Date();
       const currentMonthKey = `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}`;
-      const currentMonthRevenue = monthlyRevenue[currentMonthKey]?.revenue || 0;
-
-      // Count pending payments (processing or pending)
-      const pendingPayments = await prisma.stripePayment.count({
-        where: {
-          status: { in: ['pending', 'processing'] },
-          booking: {
-            property: {
-              ownerId: landlordId,
-            },
-          },
-        },
-      });
+      const currentMonth = monthlyBreakdown.find(
+        ({ month }) => month === currentMonthKey
+      );
 
       return {
-        totalRevenue: parseFloat(totalRevenue.toFixed(2)),
-        currentMonthRevenue: parseFloat(currentMonthRevenue.toFixed(2)),
-        totalTransactions: payments.length,
+        totalRevenue: roundMoney(
+          balance.collected - balance.refunded - balance.disputed
+        ),
+        currentMonthRevenue: currentMonth?.revenue || 0,
+        totalTransactions: monthlyBreakdown.reduce(
+          (sum, { count }) => sum + count,
+          0
+        ),
         pendingTransactions: pendingPayments,
-        monthlyBreakdown: Object.values(monthlyRevenue).map(m => ({
-          month: m.month,
-          revenue: parseFloat(m.revenue.toFixed(2)),
-          count: m.count,
-        })),
-        recentPayments: payments.slice(0, 10).map(p => ({
+        monthlyBreakdown,
+        tax,
+        recentPayments: recentPayments.map(p => ({
           id: p.id,
           amount: parseFloat(p.amount),
+          refundedAmount: parseFloat(p.refundedAmount),
+          status: p.status,
           currency: p.currency,
           completedAt: p.completedAt,
           bookingId: p.bookingId,
@@ -1056,70 +1874,145 @@ class PaymentService {
   }
 
   /**
-   * Get landlord payout summary (future: for Stripe Connect payouts)
+   * Get landlord payout summary from the ledger: gross card payments,
+   * refunds, lost disputes, the platform fee (less the fee returned with refunds), what is
+   * left for the landlord and how much of it was transferred, with the tax
+   * collected on them
    * @param {string} landlordId
    * @returns {Object} Payout summary
    */
   async getLandlordPayoutSummary(landlordId) {
     try {
-      // Get total completed payments
-      const completedPayments = await prisma.stripePayment.aggregate({
+      const [balance, completedTransactions, refunds, tax] = await Promise.all([
+        ledgerService.getLandlordBalance(landlordId),
+        prisma.ledgerTransaction.count({
+          where: { landlordId, type: 'PAYMENT' },
+        }),
+        prisma.ledgerTransaction.findMany({
+          where: { landlordId, type: 'REFUND' },
+          distinct: ['sourceId'],
+          select: { sourceId: true },
+        }),
+        taxesService.getLandlordTaxSummary(landlordId),
+      ]);
+
+      return {
+        totalEarned: balance.collected,
+        totalRefunded: balance.refunded,
+        totalDisputed: balance.disputed,
+        netRevenue: roundMoney(
+          balance.collected - balance.refunded - balance.disputed
+        ),
+        platformFee: balance.platformFees,
+        platformFeeRefunded: balance.platformFeesRefunded,
+        landlordPayout: balance.landlordEarnings,
+        paidOut: balance.paidOut,
+        pendingPayout: balance.landlordPayable,
+        completedTransactions,
+        refundedTransactions: refunds.length,
+        tax,
+      };
+    } catch (error) {
+      console.error('Get landlord payout summary error:', error);
+      throw new AppError('Failed to get payout summary', 500);
+    }
+  }
+
+  /**
+   * Post card payments made before the ledger existed, with their fees,
+   * transfers and refunds. Already posted movements are skipped, so it can
+   * run more than once.
+   * @returns {Promise<Object>} { payments, failed }
+   */
+  async backfillLedger() {
+    const [bookingPayments, invoicePayments] = await Promise.all([
+      prisma.stripePayment.findMany({
         where: {
-          status: 'completed',
-          booking: {
-            property: {
-              ownerId: landlordId,
-            },
-          },
+          status: { in: [...CAPTURED_PAYMENT_STATUSES, 'refunded'] },
+          paymentIntentId: { not: null },
         },
-        _sum: {
+        select: {
+          paymentIntentId: true,
           amount: true,
+          status: true,
+          refundedAmount: true,
+          platformFee: true,
+          platformFeeRefunded: true,
         },
-        _count: {
-          id: true,
-        },
-      });
-
-      // Get refunded amounts
-      const refundedPayments = await prisma.stripePayment.aggregate({
+      }),
+      prisma.payment.findMany({
         where: {
-          status: 'refunded',
-          booking: {
-            property: {
-              ownerId: landlordId,
-            },
-          },
+          method: 'CREDIT_CARD',
+          status: { in: ['COMPLETED', 'REFUNDED'] },
+          txnRef: { startsWith: 'pi_' },
         },
-        _sum: {
+        select: {
+          txnRef: true,
           amount: true,
+          status: true,
+          platformFeeRefunded: true,
         },
-        _count: {
-          id: true,
-        },
-      });
+      }),
+    ]);
+
+    const payments = [
+      ...bookingPayments.map(payment => ({
+        paymentIntentId: payment.paymentIntentId,
+        // Refunds recorded before partial refunds were tracked
+        refundedAmount:
+          payment.status === 'refunded' &&
+          parseFloat(payment.refundedAmount) === 0
+            ? parseFloat(payment.amount)
+            : parseFloat(payment.refundedAmount),
+        feeRefunded:
+          payment.status === 'refunded' &&
+          parseFloat(payment.refundedAmount) === 0
+            ? parseFloat(payment.platformFee || 0)
+            : parseFloat(payment.platformFeeRefunded),
+      })),
+      ...invoicePayments.map(payment => ({
+        paymentIntentId: payment.txnRef,
+        refundedAmount:
+          payment.status === 'REFUNDED' ? parseFloat(payment.amount) : 0,
+        feeRefunded: parseFloat(payment.platformFeeRefunded),
+      })),
+    ];
+
+    let failed = 0;
+    for (const payment of payments) {
+      try {
+        const source = await this.getLedgerSource(payment.paymentIntentId);
+        if (!source) continue;
 
-      const totalEarned = parseFloat(completedPayments._sum.amount || 0);
-      const totalRefunded = parseFloat(refundedPayments._sum.amount || 0);
-      const netRevenue = totalEarned - totalRefunded;
+        const paymentIntent = stripe
+          ? await stripe.paymentIntents.retrieve(payment.paymentIntentId)
+          : null;
 
-      // TODO: When implementing Stripe Connect, calculate actual payouts
-      // For now, assume platform takes 10% commission
-      const platformFee = netRevenue * 0.1;
-      const landlordPayout = netRevenue - platformFee;
+        await ledgerService.recordStripePayment(source, {
+          transferred: !!paymentIntent?.transfer_data,
+        });
 
-      return {
-        totalEarned: parseFloat(totalEarned.toFixed(2)),
-        totalRefunded: parseFloat(totalRefunded.toFixed(2)),
-        netRevenue: parseFloat(netRevenue.toFixed(2)),
-        platformFee: parseFloat(platformFee.toFixed(2)),
-        landlordPayout: parseFloat(landlordPayout.toFixed(2)),
-        completedTransactions: completedPayments._count.id,
-        refundedTransactions: refundedPayments._count.id,
-      };
-    } catch (error) {
-      console.error('Get landlord payout summary error:', error);
-      throw new AppError('Failed to get payout summary', 500);
+        if (payment.refundedAmount > 0) {
+          await ledgerService.recordStripeRefund(
+            source,
+            payment.refundedAmount,
+            payment.feeRefunded
+          );
+        }
+      } catch (error) {
+        failed += 1;
+        console.error(
+          `❌ Ledger backfill of ${payment.paymentIntentId} failed:`,
+          error.message
+        );
+      }
     }
+
+    console.log(
+      `📒 Ledger backfill: ${payments.length - failed} of ${payments.length} payments posted`
+    );
+
+    return { payments: payments.length, failed };
   }
 
   /**
@@ -152,6 +152,15 @@ class PropertiesController {
       });
     } catch (error) {
       console.error('Create property error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -185,6 +194,14 @@ class PropertiesController {
     } catch (error) {
       console.error('Update property error:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
       if (error.message === 'Property not found') {
         return res.status(404).json({
           success: false,
@@ -366,6 +383,14 @@ class PropertiesController {
     }
   }
 
+  // Get the cancellation policies landlords can choose from
+  async getCancellationPolicies(req, res) {
+    res.json({
+      success: true,
+      data: propertiesService.getCancellationPolicies(),
+    });
+  }
+
   // Approve property (admin only)
   async approveProperty(req, res) {
     try {
@@ -79,6 +79,43 @@ const router = express.Router();
  *         isAvailable:
  *           type: boolean
  *           description: Whether the property is available for rent
+ *        minStayDays:
+ *          type: integer
+ *          nullable: true
+ *          description: Minimum stay in days (null = no limit)
+ *        maxStayDays:
+ *          type: integer
+ *          nullable: true
+ *          description: Maximum stay in days (null = no limit)
+ *        minNoticeDays:
+ *          type: integer
+ *          nullable: true
+ *          description: Minimum days between booking and check-in
+ *        bookingHorizonDays:
+ *          type: integer
+ *          nullable: true
+ *          description: How many days ahead check-in can be booked
+ *        checkInDays:
+ *          type: array
+ *          items:
+ *            type: integer
+ *            minimum: 0
+ *            maximum: 6
+ *          description: Allowed check-in weekdays (0 = Sunday). Empty allows any day.
+ *        terminationNoticeDays:
+ *          type: integer
+ *          nullable: true
+ *          description: Notice required to end a lease early (null = platform default)
+ *        earlyTerminationFeeMonths:
+ *          type: number
+ *          nullable: true
+ *          description: Months of rent charged when the tenant ends a lease early (null = platform default)
+ *        cancellationPolicy:
+ *          type: string
+ *          enum: [FLEXIBLE, MODERATE, STRICT, LONG_TERM]
+ *          description: Refunds when a tenant cancels before check-in (see GET /api/v1/properties/cancellation-policies)
+ *        cancellationPolicyDetails:
+ *          $ref: '#/components/schemas/CancellationPolicy'
  *         status:
  *           type: string
  *           enum: [PENDING_REVIEW, APPROVED, REJECTED]
@@ -189,6 +226,27 @@ const router = express.Router();
  *           phone: "+60123456789"
  *         createdAt: "2025-09-19T08:30:45.123Z"
  *         updatedAt: "2025-09-19T10:15:22.456Z"
+ *     CancellationPolicy:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [FLEXIBLE, MODERATE, STRICT, LONG_TERM]
+ *         name:
+ *           type: string
+ *           example: Moderate
+ *         description:
+ *           type: string
+ *         tiers:
+ *           type: array
+ *           description: Checked in order; the first tier the cancellation is early enough for applies, otherwise nothing but the deposit is refunded
+ *           items:
+ *             type: object
+ *             properties:
+ *               hoursBeforeStart:
+ *                 type: integer
+ *               refundPercent:
+ *                 type: integer
  */
 
 /**
@@ -949,6 +1007,33 @@ router.get('/geojson', propertiesController.getGeoJSON);
  */
 router.get('/my-properties', auth, propertiesController.getMyProperties);
 
+/**
+ * @swagger
+ * /api/v1/properties/cancellation-policies:
+ *   get:
+ *     summary: Get the cancellation policies a property can use
+ *     description: Each policy refunds a percentage of the booking payment depending on how long before check-in the tenant cancels. The security deposit is always refunded, and cancelling within BOOKING_CANCELLATION_GRACE_HOURS of paying gives a full refund.
+ *     tags: [Properties]
+ *     responses:
+ *       200:
+ *         description: Cancellation policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CancellationPolicy'
+ */
+router.get(
+  '/cancellation-policies',
+  propertiesController.getCancellationPolicies
+);
+
 // Admin approval endpoints - must be before /:id route
 router.get(
   '/pending-approval',
@@ -1045,6 +1130,41 @@ router.get('/:id', propertiesController.getPropertyById);
  *                 type: boolean
  *                 default: true
  *                 description: Whether property is available
+ *              minStayDays:
+ *                type: integer
+ *                nullable: true
+ *                description: Minimum stay in days (null = no limit)
+ *              maxStayDays:
+ *                type: integer
+ *                nullable: true
+ *                description: Maximum stay in days (null = no limit)
+ *              minNoticeDays:
+ *                type: integer
+ *                nullable: true
+ *                description: Minimum days between booking and check-in
+ *              bookingHorizonDays:
+ *                type: integer
+ *                nullable: true
+ *                description: How many days ahead check-in can be booked
+ *              checkInDays:
+ *                type: array
+ *                items:
+ *                  type: integer
+ *                  minimum: 0
+ *                  maximum: 6
+ *                description: Allowed check-in weekdays (0 = Sunday). Empty allows any day.
+ *              terminationNoticeDays:
+ *                type: integer
+ *                nullable: true
+ *                description: Notice required to end a lease early (null = platform default)
+ *              earlyTerminationFeeMonths:
+ *                type: number
+ *                nullable: true
+ *                description: Months of rent charged when the tenant ends a lease early (null = platform default)
+ *              cancellationPolicy:
+ *                type: string
+ *                enum: [FLEXIBLE, MODERATE, STRICT, LONG_TERM]
+ *                description: Refunds when a tenant cancels before check-in (see GET /api/v1/properties/cancellation-policies)
  *               status:
  *                 type: string
  *                 enum: [DRAFT, PENDING_REVIEW, APPROVED, REJECTED, ARCHIVED]
@@ -1166,6 +1286,20 @@ router.post(
     body('areaSqm').optional().isFloat({ min: 0 }),
     body('furnished').optional().isBoolean(),
     body('isAvailable').optional().isBoolean(),
+    body(['minStayDays', 'maxStayDays', 'minNoticeDays', 'bookingHorizonDays'])
+      .optional({ nullable: true })
+      .isInt({ min: 0 }),
+    body('checkInDays').optional({ nullable: true }).isArray({ max: 7 }),
+    body('checkInDays.*').optional().isInt({ min: 0, max: 6 }),
+    body('terminationNoticeDays')
+      .optional({ nullable: true })
+      .isInt({ min: 0 }),
+    body('earlyTerminationFeeMonths')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 99 }),
+    body('cancellationPolicy')
+      .optional()
+      .isIn(['FLEXIBLE', 'MODERATE', 'STRICT', 'LONG_TERM']),
     body('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
     body('images').optional().isArray(),
     body('amenityIds').optional().isArray(),
@@ -1255,6 +1389,35 @@ router.post(
  *               isAvailable:
  *                 type: boolean
  *                 description: Whether property is available
+ *              minStayDays:
+ *                type: integer
+ *                nullable: true
+ *              maxStayDays:
+ *                type: integer
+ *                nullable: true
+ *              minNoticeDays:
+ *                type: integer
+ *                nullable: true
+ *              bookingHorizonDays:
+ *                type: integer
+ *                nullable: true
+ *              checkInDays:
+ *                type: array
+ *                items:
+ *                  type: integer
+ *                description: Allowed check-in weekdays (0 = Sunday). Empty allows any day.
+ *              terminationNoticeDays:
+ *                type: integer
+ *                nullable: true
+ *                description: Notice required to end a lease early (null = platform default)
+ *              earlyTerminationFeeMonths:
+ *                type: number
+ *                nullable: true
+ *                description: Months of rent charged when the tenant ends a lease early (null = platform default)
+ *              cancellationPolicy:
+ *                type: string
+ *                enum: [FLEXIBLE, MODERATE, STRICT, LONG_TERM]
+ *                description: Refunds when a tenant cancels before check-in (see GET /api/v1/properties/cancellation-policies)
  *               status:
  *                 type: string
  *                 enum: [DRAFT, PENDING_REVIEW, APPROVED, REJECTED, ARCHIVED]
@@ -1356,6 +1519,20 @@ router.put(
     body('areaSqm').optional().isFloat({ min: 0 }),
     body('furnished').optional().isBoolean(),
     body('isAvailable').optional().isBoolean(),
+    body(['minStayDays', 'maxStayDays', 'minNoticeDays', 'bookingHorizonDays'])
+      .optional({ nullable: true })
+      .isInt({ min: 0 }),
+    body('checkInDays').optional({ nullable: true }).isArray({ max: 7 }),
+    body('checkInDays.*').optional().isInt({ min: 0, max: 6 }),
+    body('terminationNoticeDays')
+      .optional({ nullable: true })
+      .isInt({ min: 0 }),
+    body('earlyTerminationFeeMonths')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 99 }),
+    body('cancellationPolicy')
+      .optional()
+      .isIn(['FLEXIBLE', 'MODERATE', 'STRICT', 'LONG_TERM']),
     body('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
     body('images').optional().isArray(),
     body('amenityIds').optional().isArray(),
@@ -3,6 +3,10 @@ const PropertyViewsRepository = require('../propertyViews/propertyViews.reposito
 const { generateUniquePropertyCode } = require('../../utils/codeGenerator');
 const { prisma } = require('../../config/database');
 const AppError = require('../../utils/AppError');
+const bookingsService = require('../bookings/bookings.service');
+const availabilityService = require('../availability/availability.service');
+const stayRulesService = require('../availability/stayRules.service');
+const cancellationPoliciesService = require('../bookings/cancellationPolicies.service');
 
 class PropertiesService {
   constructor() {
@@ -29,6 +33,21 @@ class PropertiesService {
     return property;
   }
 
+  // Helper function to add the cancellation policy terms to a property
+  addCancellationPolicyToProperty(property) {
+    if (property) {
+      property.cancellationPolicyDetails = cancellationPoliciesService.describe(
+        property.cancellationPolicy
+      );
+    }
+    return property;
+  }
+
+  // Cancellation policies landlords can choose from
+  getCancellationPolicies() {
+    return cancellationPoliciesService.listPolicies();
+  }
+
   // Helper function to add maps URL to multiple properties
   addMapsUrlToProperties(properties) {
     return properties.map(property => this.addMapsUrlToProperty(property));
@@ -225,7 +244,9 @@ class PropertiesService {
     }
 
     // Add Google Maps URL, view count, rating stats, and favorite info to the property
-    const propertyWithMapsUrl = this.addMapsUrlToProperty(property);
+    const propertyWithMapsUrl = this.addCancellationPolicyToProperty(
+      this.addMapsUrlToProperty(property)
+    );
     const propertyWithViewCount =
       await this.addViewCountToProperty(propertyWithMapsUrl);
     const propertyWithRatings = await this.addRatingStatsToProperty(
@@ -242,7 +263,9 @@ class PropertiesService {
     }
 
     // Add Google Maps URL, view count, rating stats, and favorite info to the property
-    const propertyWithMaps = this.addMapsUrlToProperty(property);
+    const propertyWithMaps = this.addCancellationPolicyToProperty(
+      this.addMapsUrlToProperty(property)
+    );
     const propertyWithViewCount =
       await this.addViewCountToProperty(propertyWithMaps);
     const propertyWithRatings = await this.addRatingStatsToProperty(
@@ -285,6 +308,9 @@ class PropertiesService {
       throw new AppError('House rules must be a PDF file', 400);
     }
 
+    // Validate stay rules (min/max stay, notice, horizon, check-in days)
+    const stayRules = stayRulesService.normalize(propertyData);
+
     console.log('✅ PDF validations passed:', {
       agreementPdf: propertyData.agreementPdfUrl,
       houseRulesPdf: propertyData.houseRulesPdfUrl,
@@ -361,6 +387,16 @@ class PropertiesService {
       agreementPublicId: propertyData.agreementPublicId,
       houseRulesPdfUrl: propertyData.houseRulesPdfUrl,
       houseRulesPublicId: propertyData.houseRulesPublicId,
+      ...stayRules,
+      terminationNoticeDays:
+        propertyData.terminationNoticeDays != null
+          ? parseInt(propertyData.terminationNoticeDays)
+          : null,
+      earlyTerminationFeeMonths:
+        propertyData.earlyTerminationFeeMonths != null
+          ? parseFloat(propertyData.earlyTerminationFeeMonths)
+          : null,
+      cancellationPolicy: propertyData.cancellationPolicy,
       ownerId,
     };
 
@@ -475,6 +511,9 @@ class PropertiesService {
       'agreementPublicId',
       'houseRulesPdfUrl',
       'houseRulesPublicId',
+      'terminationNoticeDays',
+      'earlyTerminationFeeMonths',
+      'cancellationPolicy',
     ];
 
     // Validate PDFs if being updated
@@ -531,12 +570,25 @@ class PropertiesService {
           cleanUpdateData[field] = parseInt(updateData[field]);
         } else if (field === 'furnished' || field === 'isAvailable') {
           cleanUpdateData[field] = Boolean(updateData[field]);
+        } else if (
+          field === 'terminationNoticeDays' ||
+          field === 'earlyTerminationFeeMonths'
+        ) {
+          // null falls back to the platform default
+          cleanUpdateData[field] =
+            updateData[field] === null ? null : Number(updateData[field]);
         } else {
           cleanUpdateData[field] = updateData[field];
         }
       }
     }
 
+    // Stay rules are validated together with the rules already set
+    Object.assign(
+      cleanUpdateData,
+      stayRulesService.normalize(updateData, existingProperty)
+    );
+
     await propertiesRepository.update(id, cleanUpdateData);
 
     // Handle amenities update if provided
@@ -1483,18 +1535,45 @@ class PropertiesService {
     const conflicts = await prisma.lease.findMany({
       where: {
         propertyId,
-        status: { in: ['PENDING', 'APPROVED', 'ACTIVE'] },
-        OR: [
-          { AND: [{ startDate: { lte: start } }, { endDate: { gte: start } }] },
-          { AND: [{ startDate: { lte: end } }, { endDate: { gte: end } }] },
-          { AND: [{ startDate: { gte: start } }, { endDate: { lte: end } }] },
+        AND: [
+          bookingsService.getBlockingLeaseWhere(),
+          { startDate: { lte: end } },
+          { endDate: { gte: start } },
         ],
       },
     });
 
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { availableFrom: true, availableUntil: true },
+    });
+    const { stayRules, violations } =
+      await availabilityService.getStayRuleViolations(propertyId, start, end);
+    const blockedPeriods = await availabilityService.findBlockedOverlaps(
+      propertyId,
+      start,
+      end
+    );
+    const withinOpenWindow = property
+      ? availabilityService.isWithinOpenWindow(property, start, end)
+      : false;
+
     return {
-      available: conflicts.length === 0,
+      available:
+        conflicts.length === 0 &&
+        blockedPeriods.length === 0 &&
+        withinOpenWindow &&
+        violations.length === 0,
       conflictingBookings: conflicts,
+      blockedPeriods: blockedPeriods.map(({ startDate, endDate }) => ({
+        startDate,
+        endDate,
+      })),
+      withinOpenWindow,
+      availableFrom: property?.availableFrom || null,
+      availableUntil: property?.availableUntil || null,
+      stayRules,
+      stayRuleViolations: violations,
     };
   }
 }
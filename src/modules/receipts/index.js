@@ -0,0 +1,9 @@
+const receiptsController = require('./receipts.controller');
+const receiptsService = require('./receipts.service');
+const receiptsRoutes = require('./receipts.routes');
+
+module.exports = {
+  controller: receiptsController,
+  service: receiptsService,
+  routes: receiptsRoutes,
+};
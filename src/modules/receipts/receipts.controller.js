@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+const receiptsService = require('./receipts.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * List receipts and credit notes of the current user
+ * GET /api/v1/receipts
+ */
+exports.listReceipts = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await receiptsService.listReceipts(req.user, {
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 10,
+    type: req.query.type,
+    leaseId: req.query.leaseId,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get a receipt or credit note
+ * GET /api/v1/receipts/:receiptId
+ */
+exports.getReceipt = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const receipt = await receiptsService.getReceipt(
+    req.params.receiptId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: receipt,
+  });
+});
+
+/**
+ * Download the PDF of a receipt or credit note
+ * GET /api/v1/receipts/:receiptId/pdf
+ */
+exports.downloadReceiptPDF = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await receiptsService.getReceiptPDF(
+    req.params.receiptId,
+    req.user
+  );
+
+  if (!result.isLocal) {
+    return res.redirect(result.url);
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${result.fileName}"`);
+  fs.createReadStream(result.filePath).pipe(res);
+});
@@ -0,0 +1,169 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const receiptsController = require('./receipts.controller');
+const {
+  listReceiptsValidation,
+  receiptIdValidation,
+} = require('./receipts.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Receipt:
+ *       type: object
+ *       description: Issued for every completed card, bank transfer or e-wallet payment; a credit note is issued for every refund. Numbers run per series and year without gaps.
+ *       properties:
+ *         id:
+ *           type: string
+ *         number:
+ *           type: string
+ *           example: RCP-2026-000042
+ *         type:
+ *           type: string
+ *           enum: [RECEIPT, CREDIT_NOTE]
+ *         leaseId:
+ *           type: string
+ *         stripePaymentId:
+ *           type: string
+ *           nullable: true
+ *         paymentId:
+ *           type: string
+ *           nullable: true
+ *         creditedReceipt:
+ *           type: object
+ *           nullable: true
+ *           description: Receipt a credit note refunds part of
+ *         amount:
+ *           type: number
+ *         currencyCode:
+ *           type: string
+ *         method:
+ *           type: string
+ *           enum: [CREDIT_CARD, BANK_TRANSFER, EWALLET, CASH]
+ *         description:
+ *           type: string
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         pdfUrl:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/receipts:
+ *   get:
+ *     summary: List receipts and credit notes
+ *     description: Tenants see the receipts of their payments and bookings, landlords those of their leases, admins all.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [RECEIPT, CREDIT_NOTE]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Receipts retrieved successfully
+ */
+router.get('/', auth, listReceiptsValidation, receiptsController.listReceipts);
+
+/**
+ * @swagger
+ * /api/v1/receipts/{receiptId}:
+ *   get:
+ *     summary: Get a receipt or credit note
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: receiptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Receipt retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Receipt'
+ *       403:
+ *         description: Not the payer, tenant or landlord
+ *       404:
+ *         description: Receipt not found
+ */
+router.get(
+  '/:receiptId',
+  auth,
+  receiptIdValidation,
+  receiptsController.getReceipt
+);
+
+/**
+ * @swagger
+ * /api/v1/receipts/{receiptId}/pdf:
+ *   get:
+ *     summary: Download the PDF of a receipt or credit note
+ *     description: Streams locally stored PDFs and redirects to S3 otherwise. A PDF that is missing is rendered first.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: receiptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       302:
+ *         description: Redirect to the PDF on S3
+ *       403:
+ *         description: Not the payer, tenant or landlord
+ *       404:
+ *         description: Receipt not found
+ */
+router.get(
+  '/:receiptId/pdf',
+  auth,
+  receiptIdValidation,
+  receiptsController.downloadReceiptPDF
+);
+
+module.exports = router;
@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+
+const SERIES_PREFIX = {
+  RECEIPT: 'RCP',
+  CREDIT_NOTE: 'CN',
+};
+
+const receiptInclude = {
+  lease: {
+    select: {
+      id: true,
+      code: true,
+      tenantId: true,
+      landlordId: true,
+      startDate: true,
+      endDate: true,
+      property: {
+        select: { id: true, title: true, address: true, city: true },
+      },
+      tenant: { select: { id: true, name: true, email: true } },
+      landlord: { select: { id: true, name: true, email: true } },
+    },
+  },
+  creditedReceipt: { select: { id: true, number: true, issuedAt: true } },
+};
+
+class ReceiptsService {
+  /**
+   * Issue the receipt of a completed card payment, booking or invoice
+   * @param {string} paymentIntentId
+   * @returns {Promise<Object|null>} Receipt, null for unknown payments
+   */
+  async issueForPaymentIntent(paymentIntentId) {
+    const stripePayment = await prisma.stripePayment.findUnique({
+      where: { paymentIntentId },
+      include: { booking: { select: { landlordId: true } } },
+    });
+
+    if (stripePayment) {
+      return this.issueForStripePayment(stripePayment);
+    }
+
+    const payment = await prisma.payment.findFirst({
+      where: { txnRef: paymentIntentId, method: 'CREDIT_CARD' },
+    });
+
+    return payment ? this.issueForPayment(payment.id) : null;
+  }
+
+  /**
+   * Issue the receipt of a booking paid with the payment sheet
+   * @param {Object} stripePayment - StripePayment including booking.landlordId
+   * @returns {Promise<Object|null>}
+   */
+  async issueForStripePayment(stripePayment) {
+    if (
+      !['completed', 'partially_refunded', 'refunded'].includes(
+        stripePayment.status
+      )
+    ) {
+      return null;
+    }
+
+    return this.issue('RECEIPT', {
+      reference: `stripe-payment:${stripePayment.id}`,
+      leaseId: stripePayment.bookingId,
+      stripePaymentId: stripePayment.id,
+      payerId: stripePayment.userId,
+      landlordId: stripePayment.booking.landlordId,
+      amount: stripePayment.amount,
+      currencyCode: stripePayment.currency.toUpperCase(),
+      method: 'CREDIT_CARD',
+      description: 'Booking payment: rent, security deposit and fees',
+    });
+  }
+
+  /**
+   * Issue the receipt of a completed invoice payment, or of a booking paid
+   * offline
+   * @param {string} paymentId
+   * @returns {Promise<Object|null>}
+   */
+  async issueForPayment(paymentId) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: {
+        invoice: {
+          select: {
+            type: true,
+            memo: true,
+            currencyCode: true,
+            lease: { select: { id: true, tenantId: true, landlordId: true } },
+          },
+        },
+        lease: {
+          select: {
+            id: true,
+            tenantId: true,
+            landlordId: true,
+            currencyCode: true,
+          },
+        },
+      },
+    });
+
+    if (!payment || !['COMPLETED', 'REFUNDED'].includes(payment.status)) {
+      return null;
+    }
+
+    const lease = payment.lease || payment.invoice.lease;
+    const description = payment.invoice
+      ? payment.invoice.memo ||
+        `${payment.invoice.type.charAt(0)}${payment.invoice.type.slice(1).toLowerCase()} invoice`
+      : 'Booking payment: rent, security deposit and fees';
+
+    return this.issue('RECEIPT', {
+      reference: `payment:${payment.id}`,
+      leaseId: lease.id,
+      paymentId: payment.id,
+      payerId: payment.payerId || lease.tenantId,
+      landlordId: lease.landlordId,
+      amount: payment.amount,
+      currencyCode: (payment.invoice || payment.lease).currencyCode,
+      method: payment.method,
+      description,
+    });
+  }
+
+  /**
+   * Issue a credit note for what was refunded of a card payment since the
+   * last credit note. The payment's receipt is issued first if it is
+   * missing.
+   * @param {string} paymentIntentId
+   * @param {number} refundedAmount - Total refunded so far
+   * @returns {Promise<Object|null>} Credit note, null when nothing new was
+   * refunded
+   */
+  async issueCreditNote(paymentIntentId, refundedAmount) {
+    const receipt = await this.issueForPaymentIntent(paymentIntentId);
+    if (!receipt) return null;
+
+    const credited = await prisma.receipt.aggregate({
+      where: { creditedReceiptId: receipt.id },
+      _sum: { amount: true },
+    });
+    const amount = roundMoney(
+      refundedAmount - parseFloat(credited._sum.amount || 0)
+    );
+
+    if (amount <= 0) return null;
+
+    return this.issue('CREDIT_NOTE', {
+      reference: `refund:${paymentIntentId}:${toCents(refundedAmount)}`,
+      leaseId: receipt.leaseId,
+      stripePaymentId: receipt.stripePaymentId,
+      paymentId: receipt.paymentId,
+      creditedReceiptId: receipt.id,
+      payerId: receipt.payerId,
+      landlordId: receipt.landlordId,
+      amount,
+      currencyCode: receipt.currencyCode,
+      method: receipt.method,
+      description: `Refund of receipt ${receipt.number}`,
+    });
+  }
+
+  /**
+   * Create a numbered document and render its PDF. A reference that was
+   * already issued returns the existing document, so the payment webhook
+   * and the client confirmation can both call this. The number is taken
+   * in the transaction that creates the document: a failed creation gives
+   * it back and the series keeps no gaps.
+   * @param {string} type - RECEIPT or CREDIT_NOTE
+   * @param {Object} data - Receipt fields
+   * @returns {Promise<Object>} Receipt
+   */
+  async issue(type, data) {
+    const existing = await prisma.receipt.findUnique({
+      where: { reference: data.reference },
+    });
+    if (existing) return existing;
+
+    let receipt;
+    try {
+      receipt = await prisma.$transaction(async tx => {
+        const issuedAt = new Date();
+        const series = `${SERIES_PREFIX[type]}-${issuedAt.getFullYear()}`;
+        const sequence = await this.takeNumber(tx, series);
+
+        return tx.receipt.create({
+          data: {
+            ...data,
+            type,
+            issuedAt,
+            number: `${series}-${String(sequence).padStart(6, '0')}`,
+          },
+        });
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return prisma.receipt.findUnique({
+        where: { reference: data.reference },
+      });
+    }
+
+    console.log(`🧾 Issued ${receipt.number} for ${receipt.reference}`);
+
+    try {
+      return await this.generatePDF(receipt.id);
+    } catch (error) {
+      // Rendered on the first download instead
+      console.error(
+        `❌ Could not render the PDF of ${receipt.number}:`,
+        error.message
+      );
+      return receipt;
+    }
+  }
+
+  /**
+   * Take the next number of a series. The sequence row stays locked until
+   * the transaction ends, so concurrent documents are numbered one after
+   * the other.
+   * @param {Object} tx - Prisma interactive transaction
+   * @param {string} series
+   * @returns {Promise<number>}
+   */
+  async takeNumber(tx, series) {
+    const [{ lastNumber }] = await tx.$queryRaw`
+      INSERT INTO receipt_sequences (series, "lastNumber", "updatedAt")
+      VALUES (${series}, 1, NOW())
+      ON CONFLICT (series) DO UPDATE
+        SET "lastNumber" = receipt_sequences."lastNumber" + 1,
+            "updatedAt" = NOW()
+      RETURNING "lastNumber"
+    `;
+
+    return lastNumber;
+  }
+
+  /**
+   * Render the PDF of a receipt or credit note and store its location
+   * @param {string} receiptId
+   * @returns {Promise<Object>} Updated receipt
+   */
+  async generatePDF(receiptId) {
+    const receipt = await prisma.receipt.findUnique({
+      where: { id: receiptId },
+      include: receiptInclude,
+    });
+
+    const payer = receipt.payerId
+      ? await prisma.user.findUnique({
+          where: { id: receipt.payerId },
+          select: { name: true, email: true },
+        })
+      : null;
+
+    // Tax paid by the tenant; the tax on the commission is the landlord's
+    const taxLines =
+      receipt.type === 'RECEIPT'
+        ? await prisma.taxLine.findMany({
+            where: {
+              ...(receipt.stripePaymentId
+                ? { stripePaymentId: receipt.stripePaymentId }
+                : { paymentId: receipt.paymentId }),
+              chargeType: { not: 'PLATFORM_FEE' },
+            },
+            orderBy: { createdAt: 'asc' },
+          })
+        : [];
+
+    const file = await pdfGenerationService.generateReceiptPDF(receipt, {
+      lease: receipt.lease,
+      payer: payer || receipt.lease.tenant,
+      taxLines,
+    });
+
+    return prisma.receipt.update({
+      where: { id: receiptId },
+      data: {
+        pdfUrl: file.url,
+        pdfFileName: file.fileName,
+        pdfKey: file.key || null,
+      },
+    });
+  }
+
+  /**
+   * Receipts and credit notes visible to a user: an admin sees all, others
+   * those they paid or received and those of their bookings
+   * @param {Object} user
+   * @param {Object} filters - { page, limit, type, leaseId }
+   * @returns {Promise<Object>} { receipts, pagination }
+   */
+  async listReceipts(user, { page = 1, limit = 10, type, leaseId }) {
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(type && { type }),
+      ...(leaseId && { leaseId }),
+      ...(user.role !== 'ADMIN' && {
+        OR: [
+          { payerId: user.id },
+          { landlordId: user.id },
+          { lease: { tenantId: user.id } },
+        ],
+      }),
+    };
+
+    const [receipts, total] = await Promise.all([
+      prisma.receipt.findMany({
+        where,
+        include: receiptInclude,
+        orderBy: { issuedAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.receipt.count({ where }),
+    ]);
+
+    return {
+      receipts: receipts.map(receipt => this.formatReceipt(receipt)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getReceipt(receiptId, user) {
+    const receipt = await this.findReceiptForUser(receiptId, user);
+    return this.formatReceipt(receipt);
+  }
+
+  async findReceiptForUser(receiptId, user) {
+    const receipt = await prisma.receipt.findUnique({
+      where: { id: receiptId },
+      include: receiptInclude,
+    });
+
+    if (!receipt) {
+      throw new AppError('Receipt not found', 404);
+    }
+
+    if (
+      user.role !== 'ADMIN' &&
+      receipt.payerId !== user.id &&
+      receipt.landlordId !== user.id &&
+      receipt.lease.tenantId !== user.id
+    ) {
+      throw new AppError('Unauthorized access to receipt', 403);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Where to download the PDF of a receipt, rendering it when it is missing
+   * @param {string} receiptId
+   * @param {Object} user
+   * @returns {Promise<Object>} { isLocal, fileName, filePath, url }
+   */
+  async getReceiptPDF(receiptId, user) {
+    let receipt = await this.findReceiptForUser(receiptId, user);
+
+    if (
+      !receipt.pdfFileName ||
+      (!receipt.pdfKey && !fs.existsSync(this.getLocalPath(receipt)))
+    ) {
+      receipt = await this.generatePDF(receipt.id);
+    }
+
+    if (receipt.pdfKey) {
+      return {
+        isLocal: false,
+        fileName: receipt.pdfFileName,
+        url: pdfGenerationService.generateAccessiblePDFUrl(receipt.pdfKey),
+      };
+    }
+
+    return {
+      isLocal: true,
+      fileName: receipt.pdfFileName,
+      filePath: this.getLocalPath(receipt),
+      url: receipt.pdfUrl,
+    };
+  }
+
+  getLocalPath(receipt) {
+    return path.join(
+      __dirname,
+      '../../../uploads/pdfs',
+      path.basename(receipt.pdfFileName)
+    );
+  }
+
+  formatReceipt(receipt) {
+    return {
+      ...receipt,
+      amount: parseFloat(receipt.amount),
+    };
+  }
+}
+
+module.exports = new ReceiptsService();
@@ -0,0 +1,18 @@
+const { param, query } = require('express-validator');
+
+const listReceiptsValidation = [
+  query('type')
+    .optional()
+    .isIn(['RECEIPT', 'CREDIT_NOTE'])
+    .withMessage('Type must be RECEIPT or CREDIT_NOTE'),
+  query('leaseId').optional().isUUID().withMessage('Invalid lease ID format'),
+];
+
+const receiptIdValidation = [
+  param('receiptId').isUUID().withMessage('Invalid receipt ID format'),
+];
+
+module.exports = {
+  listReceiptsValidation,
+  receiptIdValidation,
+};
@@ -0,0 +1,9 @@
+const reconciliationController = require('./reconciliation.controller');
+const reconciliationService = require('./reconciliation.service');
+const reconciliationRoutes = require('./reconciliation.routes');
+
+module.exports = {
+  controller: reconciliationController,
+  service: reconciliationService,
+  routes: reconciliationRoutes,
+};
@@ -0,0 +1,122 @@
+const { validationResult } = require('express-validator');
+const reconciliationService = require('./reconciliation.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Reconcile a period with Stripe now (admin)
+ * POST /api/v1/reconciliation/runs
+ */
+exports.startRun = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const run = await reconciliationService.reconcile({
+    startDate: req.body.startDate,
+    endDate: req.body.endDate,
+    user: req.user,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Reconciliation completed: ${run.fixed} fixed, ${run.mismatches} to review`,
+    data: run,
+  });
+});
+
+/**
+ * List reconciliation runs (admin)
+ * GET /api/v1/reconciliation/runs
+ */
+exports.listRuns = catchAsync(async (req, res) => {
+  const result = await reconciliationService.listRuns({
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 10,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get a reconciliation run with its items (admin)
+ * GET /api/v1/reconciliation/runs/:runId
+ */
+exports.getRun = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const run = await reconciliationService.getRun(req.params.runId);
+
+  res.status(200).json({
+    success: true,
+    data: run,
+  });
+});
+
+/**
+ * Mismatch report (admin)
+ * GET /api/v1/reconciliation/items
+ */
+exports.listItems = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await reconciliationService.listItems({
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 20,
+    status: req.query.status,
+    type: req.query.type,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Resolve an open mismatch (admin)
+ * POST /api/v1/reconciliation/items/:itemId/resolve
+ */
+exports.resolveItem = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const item = await reconciliationService.resolveItem(
+    req.params.itemId,
+    req.user,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Item resolved successfully',
+    data: item,
+  });
+});
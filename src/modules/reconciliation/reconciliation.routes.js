@@ -0,0 +1,300 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const reconciliationController = require('./reconciliation.controller');
+const {
+  startRunValidation,
+  runIdValidation,
+  listItemsValidation,
+  resolveItemValidation,
+} = require('./reconciliation.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [RUNNING, COMPLETED, FAILED]
+ *         triggeredById:
+ *           type: string
+ *           nullable: true
+ *           description: Admin who started the run, null for the nightly job
+ *         checked:
+ *           type: integer
+ *           description: Payments and refund requests compared
+ *         fixed:
+ *           type: integer
+ *         mismatches:
+ *           type: integer
+ *           description: Mismatches left for review
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *     ReconciliationItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         runId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PAYMENT_STATUS, PAYMENT_AMOUNT, REFUND_AMOUNT, REFUND_REQUEST, MISSING_LOCAL, MISSING_STRIPE]
+ *         status:
+ *           type: string
+ *           enum: [FIXED, OPEN, RESOLVED]
+ *         stripePaymentId:
+ *           type: string
+ *           nullable: true
+ *         refundRequestId:
+ *           type: string
+ *           nullable: true
+ *         paymentIntentId:
+ *           type: string
+ *           nullable: true
+ *         refundId:
+ *           type: string
+ *           nullable: true
+ *         localStatus:
+ *           type: string
+ *         stripeStatus:
+ *           type: string
+ *         localAmount:
+ *           type: number
+ *         stripeAmount:
+ *           type: number
+ *         message:
+ *           type: string
+ *         resolutionNote:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/reconciliation/runs:
+ *   post:
+ *     summary: Reconcile payments and refunds with Stripe now (Admin)
+ *     description: |
+ *       Compares the booking payments created and the refund requests
+ *       approved in the period with Stripe PaymentIntents, charges and
+ *       refunds. A payment that missed a webhook is moved to the status
+ *       Stripe shows, and refunds made in Stripe are recorded, through the
+ *       webhook handlers. Every other mismatch is reported as OPEN. The
+ *       same job runs nightly over the last RECONCILIATION_LOOKBACK_DAYS.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the lookback days before endDate
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       201:
+ *         description: Reconciliation completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *       400:
+ *         description: Invalid period or longer than RECONCILIATION_MAX_RANGE_DAYS
+ *       403:
+ *         description: Admin access required
+ *       409:
+ *         description: A reconciliation is already running
+ *       503:
+ *         description: Stripe is not configured
+ *   get:
+ *     summary: List reconciliation runs (Admin)
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Runs retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.post(
+  '/runs',
+  auth,
+  authorize('ADMIN'),
+  startRunValidation,
+  reconciliationController.startRun
+);
+
+router.get(
+  '/runs',
+  auth,
+  authorize('ADMIN'),
+  reconciliationController.listRuns
+);
+
+/**
+ * @swagger
+ * /api/v1/reconciliation/runs/{runId}:
+ *   get:
+ *     summary: Get a reconciliation run with its items (Admin)
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Run retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Reconciliation run not found
+ */
+router.get(
+  '/runs/:runId',
+  auth,
+  authorize('ADMIN'),
+  runIdValidation,
+  reconciliationController.getRun
+);
+
+/**
+ * @swagger
+ * /api/v1/reconciliation/items:
+ *   get:
+ *     summary: Mismatch report (Admin)
+ *     description: Mismatches of all runs, by default those still OPEN. A mismatch found again by later runs is reported once.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [FIXED, OPEN, RESOLVED]
+ *           default: OPEN
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [PAYMENT_STATUS, PAYMENT_AMOUNT, REFUND_AMOUNT, REFUND_REQUEST, MISSING_LOCAL, MISSING_STRIPE]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Items retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get(
+  '/items',
+  auth,
+  authorize('ADMIN'),
+  listItemsValidation,
+  reconciliationController.listItems
+);
+
+/**
+ * @swagger
+ * /api/v1/reconciliation/items/{itemId}/resolve:
+ *   post:
+ *     summary: Resolve an open mismatch (Admin)
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What was done about the mismatch
+ *     responses:
+ *       200:
+ *         description: Item resolved successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Reconciliation item not found
+ *       409:
+ *         description: Item is not open
+ */
+router.post(
+  '/items/:itemId/resolve',
+  auth,
+  authorize('ADMIN'),
+  resolveItemValidation,
+  reconciliationController.resolveItem
+);
+
+module.exports = router;
@@ -0,0 +1,584 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const stripe = require('../../config/stripe');
+const jobsConfig = require('../../config/jobs');
+const paymentsService = require('../payments/payments.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A run still RUNNING after this long was interrupted
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+
+/**
+ * Local booking payment statuses that agree with each PaymentIntent status
+ */
+const MATCHING_STATUSES = {
+  succeeded: ['completed', 'partially_refunded', 'refunded'],
+  processing: ['processing'],
+  requires_action: ['requires_action'],
+  requires_payment_method: ['pending', 'failed'],
+  requires_confirmation: ['pending'],
+  canceled: ['canceled'],
+};
+
+/**
+ * Mismatches fixed without review: the payment missed the webhook of the
+ * PaymentIntent status, which is replayed through the same handler. Every
+ * other mismatch is left for an admin.
+ */
+const SAFE_FIXES = {
+  succeeded: {
+    from: ['pending', 'requires_action', 'processing', 'failed'],
+    handler: 'handlePaymentSuccess',
+  },
+  processing: {
+    from: ['pending', 'requires_action', 'failed'],
+    handler: 'handlePaymentProcessing',
+  },
+  requires_action: {
+    from: ['pending'],
+    handler: 'handlePaymentRequiresAction',
+  },
+  // A failed attempt returns the PaymentIntent to requires_payment_method
+  requires_payment_method: {
+    from: ['processing', 'requires_action'],
+    handler: 'handlePaymentFailure',
+    requiresError: true,
+  },
+  canceled: {
+    from: ['pending', 'requires_action', 'processing', 'failed'],
+    handler: 'handlePaymentCanceled',
+  },
+};
+
+const runInclude = {
+  items: { orderBy: { createdAt: 'asc' } },
+};
+
+class ReconciliationService {
+  /**
+   * Compare the booking payments and approved refund requests of a period
+   * with Stripe. Safe mismatches are fixed, the others are reported.
+   * @param {Object} options - { startDate, endDate, user }; the nightly job
+   * passes no user and reconciles the last lookback days
+   * @returns {Promise<Object>} Finished run with its items
+   */
+  async reconcile({ startDate, endDate, user = null } = {}) {
+    if (!stripe) {
+      throw new AppError('Payment service is not configured', 503);
+    }
+
+    const periodEnd = endDate ? new Date(endDate) : new Date();
+    const periodStart = startDate
+      ? new Date(startDate)
+      : new Date(
+          periodEnd.getTime() - jobsConfig.reconciliation.lookbackDays * DAY_MS
+        );
+
+    if (periodStart >= periodEnd) {
+      throw new AppError('Start date must be before end date', 400);
+    }
+
+    if (
+      periodEnd - periodStart >
+      jobsConfig.reconciliation.maxRangeDays * DAY_MS
+    ) {
+      throw new AppError(
+        `A run covers at most ${jobsConfig.reconciliation.maxRangeDays} days`,
+        400
+      );
+    }
+
+    const running = await prisma.reconciliationRun.findFirst({
+      where: {
+        status: 'RUNNING',
+        startedAt: { gte: new Date(Date.now() - STALE_RUN_MS) },
+      },
+    });
+
+    if (running) {
+      throw new AppError('A reconciliation is already running', 409);
+    }
+
+    const run = await prisma.reconciliationRun.create({
+      data: { periodStart, periodEnd, triggeredById: user?.id || null },
+    });
+    const counts = { checked: 0, fixed: 0, mismatches: 0 };
+
+    try {
+      const paymentIntents = await this.listPaymentIntents(
+        periodStart,
+        periodEnd
+      );
+
+      await this.reconcilePayments(run, counts, paymentIntents);
+      await this.reconcileRefundRequests(run, counts);
+      await this.findMissingPayments(run, counts, paymentIntents);
+
+      await prisma.reconciliationRun.update({
+        where: { id: run.id },
+        data: { ...counts, status: 'COMPLETED', finishedAt: new Date() },
+      });
+    } catch (error) {
+      await prisma.reconciliationRun.update({
+        where: { id: run.id },
+        data: {
+          ...counts,
+          status: 'FAILED',
+          error: error.message,
+          finishedAt: new Date(),
+        },
+      });
+      throw error;
+    }
+
+    return this.getRun(run.id);
+  }
+
+  /**
+   * PaymentIntents created in a period, with their latest charge
+   * @returns {Promise<Map>} PaymentIntents by ID
+   */
+  async listPaymentIntents(periodStart, periodEnd) {
+    const paymentIntents = new Map();
+
+    for await (const paymentIntent of stripe.paymentIntents.list({
+      created: {
+        gte: Math.floor(periodStart.getTime() / 1000),
+        lte: Math.floor(periodEnd.getTime() / 1000),
+      },
+      limit: 100,
+      expand: ['data.latest_charge'],
+    })) {
+      paymentIntents.set(paymentIntent.id, paymentIntent);
+    }
+
+    return paymentIntents;
+  }
+
+  /**
+   * PaymentIntent of a local payment created around the edge of the
+   * period, null when Stripe does not know it
+   */
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      return await stripe.paymentIntents.retrieve(paymentIntentId, {
+        expand: ['latest_charge'],
+      });
+    } catch (error) {
+      if (error.code === 'resource_missing') return null;
+      throw error;
+    }
+  }
+
+  async reconcilePayments(run, counts, paymentIntents) {
+    const payments = await prisma.stripePayment.findMany({
+      where: {
+        paymentIntentId: { not: null },
+        createdAt: { gte: run.periodStart, lte: run.periodEnd },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    for (const payment of payments) {
+      counts.checked++;
+
+      const paymentIntent =
+        paymentIntents.get(payment.paymentIntentId) ||
+        (await this.retrievePaymentIntent(payment.paymentIntentId));
+
+      if (!paymentIntent) {
+        await this.addItem(run, counts, {
+          type: 'MISSING_STRIPE',
+          status: 'OPEN',
+          ...this.describePayment(payment),
+          message: `PaymentIntent ${payment.paymentIntentId} does not exist in Stripe`,
+        });
+        continue;
+      }
+
+      await this.reconcilePayment(run, counts, payment, paymentIntent);
+    }
+  }
+
+  /**
+   * Compare one booking payment with its PaymentIntent: status first, then
+   * the amount received and the amount refunded
+   */
+  async reconcilePayment(run, counts, payment, paymentIntent) {
+    const stripeStatus = paymentIntent.status;
+    const matching = MATCHING_STATUSES[stripeStatus] || [];
+
+    if (!matching.includes(payment.status)) {
+      const fix = SAFE_FIXES[stripeStatus];
+      const isSafe =
+        fix &&
+        fix.from.includes(payment.status) &&
+        (!fix.requiresError || paymentIntent.last_payment_error);
+
+      if (!isSafe) {
+        await this.addItem(run, counts, {
+          type: 'PAYMENT_STATUS',
+          status: 'OPEN',
+          ...this.describePayment(payment),
+          stripeStatus,
+          message: `Payment is ${payment.status} while the PaymentIntent is ${stripeStatus}`,
+        });
+        return;
+      }
+
+      const fixed = await this.applyFix(run, counts, {
+        type: 'PAYMENT_STATUS',
+        ...this.describePayment(payment),
+        stripeStatus,
+        message: `Payment was ${payment.status} while the PaymentIntent is ${stripeStatus}`,
+        fix: () => paymentsService[fix.handler](paymentIntent),
+      });
+
+      if (!fixed) return;
+
+      payment = await prisma.stripePayment.findUnique({
+        where: { id: payment.id },
+      });
+    }
+
+    if (stripeStatus !== 'succeeded') return;
+
+    if (paymentIntent.amount_received !== toCents(payment.amount)) {
+      await this.addItem(run, counts, {
+        type: 'PAYMENT_AMOUNT',
+        status: 'OPEN',
+        ...this.describePayment(payment),
+        stripeStatus,
+        stripeAmount: paymentIntent.amount_received / 100,
+        message: `Stripe received ${paymentIntent.amount_received / 100} for a payment of ${parseFloat(payment.amount)}`,
+      });
+    }
+
+    const charge =
+      typeof paymentIntent.latest_charge === 'string'
+        ? await stripe.charges.retrieve(paymentIntent.latest_charge)
+        : paymentIntent.latest_charge;
+
+    if (!charge) return;
+
+    const localRefunded = toCents(payment.refundedAmount);
+    if (charge.amount_refunded === localRefunded) return;
+
+    const refundItem = {
+      type: 'REFUND_AMOUNT',
+      ...this.describePayment(payment),
+      localAmount: localRefunded / 100,
+      stripeStatus,
+      stripeAmount: charge.amount_refunded / 100,
+    };
+
+    // Refunds made in the Stripe dashboard are recorded like the missed
+    // charge.refunded webhook would have; a local total above Stripe's
+    // means a refund was recorded that Stripe never made
+    if (charge.amount_refunded > localRefunded) {
+      await this.applyFix(run, counts, {
+        ...refundItem,
+        message: `Stripe refunded ${charge.amount_refunded / 100} while ${localRefunded / 100} was recorded`,
+        fix: () => paymentsService.handleRefund(charge),
+      });
+    } else {
+      await this.addItem(run, counts, {
+        ...refundItem,
+        status: 'OPEN',
+        message: `${localRefunded / 100} was recorded as refunded but Stripe refunded ${charge.amount_refunded / 100}`,
+      });
+    }
+  }
+
+  /**
+   * Approved refund requests of the period: their refund must exist in
+   * Stripe, must not have failed and must match the approved amount
+   */
+  async reconcileRefundRequests(run, counts) {
+    const requests = await prisma.refundRequest.findMany({
+      where: {
+        status: 'APPROVED',
+        approvedAt: { gte: run.periodStart, lte: run.periodEnd },
+      },
+      orderBy: { approvedAt: 'asc' },
+    });
+
+    for (const request of requests) {
+      counts.checked++;
+
+      const item = {
+        type: 'REFUND_REQUEST',
+        status: 'OPEN',
+        refundRequestId: request.id,
+        refundId: request.stripeRefundId,
+        localStatus: request.status,
+        localAmount: parseFloat(request.approvedAmount || 0),
+      };
+
+      if (!request.stripeRefundId) {
+        if (item.localAmount > 0) {
+          await this.addItem(run, counts, {
+            ...item,
+            message:
+              'Refund request was approved but no Stripe refund was made',
+          });
+        }
+        continue;
+      }
+
+      let refund;
+      try {
+        refund = await stripe.refunds.retrieve(request.stripeRefundId);
+      } catch (error) {
+        if (error.code !== 'resource_missing') throw error;
+
+        await this.addItem(run, counts, {
+          ...item,
+          type: 'MISSING_STRIPE',
+          message: `Refund ${request.stripeRefundId} does not exist in Stripe`,
+        });
+        continue;
+      }
+
+      if (['failed', 'canceled'].includes(refund.status)) {
+        await this.addItem(run, counts, {
+          ...item,
+          stripeStatus: refund.status,
+          stripeAmount: refund.amount / 100,
+          message: `Refund ${refund.id} ${refund.status}${refund.failure_reason ? ` (${refund.failure_reason})` : ''}; the tenant did not get the money back`,
+        });
+      } else if (refund.amount !== toCents(request.approvedAmount)) {
+        await this.addItem(run, counts, {
+          ...item,
+          stripeStatus: refund.status,
+          stripeAmount: refund.amount / 100,
+          message: `Refund ${refund.id} is ${refund.amount / 100} for an approved amount of ${item.localAmount}`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Succeeded or processing PaymentIntents of bookings without a local
+   * payment. Invoice payments are tracked on their invoice.
+   */
+  async findMissingPayments(run, counts, paymentIntents) {
+    const candidates = [...paymentIntents.values()].filter(
+      paymentIntent =>
+        paymentIntent.metadata?.bookingId &&
+        !paymentIntent.metadata?.invoiceId &&
+        ['succeeded', 'processing'].includes(paymentIntent.status)
+    );
+
+    if (candidates.length === 0) return;
+
+    const known = await prisma.stripePayment.findMany({
+      where: { paymentIntentId: { in: candidates.map(({ id }) => id) } },
+      select: { paymentIntentId: true },
+    });
+    const knownIds = new Set(
+      known.map(({ paymentIntentId }) => paymentIntentId)
+    );
+
+    for (const paymentIntent of candidates) {
+      if (knownIds.has(paymentIntent.id)) continue;
+
+      await this.addItem(run, counts, {
+        type: 'MISSING_LOCAL',
+        status: 'OPEN',
+        paymentIntentId: paymentIntent.id,
+        stripeStatus: paymentIntent.status,
+        stripeAmount: paymentIntent.amount / 100,
+        message: `PaymentIntent ${paymentIntent.id} of booking ${paymentIntent.metadata.bookingId} has no local payment`,
+      });
+    }
+  }
+
+  /**
+   * Apply a safe fix and record it. A fix that fails is reported instead.
+   * @returns {Promise<boolean>} Whether the fix was applied
+   */
+  async applyFix(run, counts, { fix, message, ...item }) {
+    try {
+      await fix();
+    } catch (error) {
+      console.error(`❌ Reconciliation fix failed (${item.type}):`, error);
+      await this.addItem(run, counts, {
+        ...item,
+        status: 'OPEN',
+        message: `${message}. Fixing it failed: ${error.message}`,
+      });
+      return false;
+    }
+
+    await this.addItem(run, counts, {
+      ...item,
+      status: 'FIXED',
+      message: `${message}. Applied what Stripe shows.`,
+    });
+    return true;
+  }
+
+  /**
+   * Record a mismatch. One already open from an earlier run is not
+   * reported twice.
+   */
+  async addItem(run, counts, item) {
+    const key = `${item.type}:${item.paymentIntentId || item.refundRequestId}`;
+
+    if (item.status === 'FIXED') {
+      counts.fixed++;
+    } else {
+      counts.mismatches++;
+
+      const open = await prisma.reconciliationItem.findFirst({
+        where: { key, status: 'OPEN' },
+        select: { id: true },
+      });
+      if (open) return;
+    }
+
+    await prisma.reconciliationItem.create({
+      data: { ...item, key, runId: run.id },
+    });
+  }
+
+  describePayment(payment) {
+    return {
+      stripePaymentId: payment.id,
+      paymentIntentId: payment.paymentIntentId,
+      localStatus: payment.status,
+      localAmount: parseFloat(payment.amount),
+    };
+  }
+
+  /**
+   * Reconciliation runs, latest first
+   * @param {Object} filters - { page, limit }
+   * @returns {Promise<Object>} { runs, pagination }
+   */
+  async listRuns({ page = 1, limit = 10 }) {
+    const skip = (page - 1) * limit;
+
+    const [runs, total] = await Promise.all([
+      prisma.reconciliationRun.findMany({
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.reconciliationRun.count(),
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getRun(runId) {
+    const run = await prisma.reconciliationRun.findUnique({
+      where: { id: runId },
+      include: runInclude,
+    });
+
+    if (!run) {
+      throw new AppError('Reconciliation run not found', 404);
+    }
+
+    return {
+      ...run,
+      items: run.items.map(item => this.formatItem(item)),
+    };
+  }
+
+  /**
+   * Mismatch report across runs, by default what is still open
+   * @param {Object} filters - { page, limit, status, type }
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async listItems({ page = 1, limit = 20, status = 'OPEN', type }) {
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(status && { status }),
+      ...(type && { type }),
+    };
+
+    const [items, total] = await Promise.all([
+      prisma.reconciliationItem.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.reconciliationItem.count({ where }),
+    ]);
+
+    return {
+      items: items.map(item => this.formatItem(item)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Close an open mismatch once it was handled outside the app
+   * @param {string} itemId
+   * @param {Object} admin
+   * @param {string} note - What was done
+   * @returns {Promise<Object>} Resolved item
+   */
+  async resolveItem(itemId, admin, note) {
+    const { count } = await prisma.reconciliationItem.updateMany({
+      where: { id: itemId, status: 'OPEN' },
+      data: {
+        status: 'RESOLVED',
+        resolvedById: admin.id,
+        resolvedAt: new Date(),
+        resolutionNote: note,
+      },
+    });
+
+    if (count === 0) {
+      const item = await prisma.reconciliationItem.findUnique({
+        where: { id: itemId },
+        select: { status: true },
+      });
+
+      if (!item) {
+        throw new AppError('Reconciliation item not found', 404);
+      }
+      throw new AppError(`Item is already ${item.status}`, 409);
+    }
+
+    const item = await prisma.reconciliationItem.findUnique({
+      where: { id: itemId },
+    });
+
+    return this.formatItem(item);
+  }
+
+  formatItem(item) {
+    return {
+      ...item,
+      localAmount:
+        item.localAmount != null ? parseFloat(item.localAmount) : null,
+      stripeAmount:
+        item.stripeAmount != null ? parseFloat(item.stripeAmount) : null,
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
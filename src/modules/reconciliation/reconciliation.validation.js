@@ -0,0 +1,53 @@
+const { body, param, query } = require('express-validator');
+
+const ITEM_TYPES = [
+  'PAYMENT_STATUS',
+  'PAYMENT_AMOUNT',
+  'REFUND_AMOUNT',
+  'REFUND_REQUEST',
+  'MISSING_LOCAL',
+  'MISSING_STRIPE',
+];
+
+const startRunValidation = [
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+];
+
+const runIdValidation = [
+  param('runId').isUUID().withMessage('Invalid run ID format'),
+];
+
+const listItemsValidation = [
+  query('status')
+    .optional()
+    .isIn(['FIXED', 'OPEN', 'RESOLVED'])
+    .withMessage('Status must be FIXED, OPEN or RESOLVED'),
+  query('type')
+    .optional()
+    .isIn(ITEM_TYPES)
+    .withMessage(`Type must be one of: ${ITEM_TYPES.join(', ')}`),
+];
+
+const resolveItemValidation = [
+  param('itemId').isUUID().withMessage('Invalid item ID format'),
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Note is required')
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters'),
+];
+
+module.exports = {
+  startRunValidation,
+  runIdValidation,
+  listItemsValidation,
+  resolveItemValidation,
+};
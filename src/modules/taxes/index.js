@@ -0,0 +1,9 @@
+const taxesController = require('./taxes.controller');
+const taxesService = require('./taxes.service');
+const taxesRoutes = require('./taxes.routes');
+
+module.exports = {
+  controller: taxesController,
+  service: taxesService,
+  routes: taxesRoutes,
+};
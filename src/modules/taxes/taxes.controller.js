@@ -0,0 +1,93 @@
+const { validationResult } = require('express-validator');
+const taxesService = require('./taxes.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Configured tax rates (admin)
+ * GET /api/v1/taxes
+ */
+exports.listRates = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const rates = await taxesService.listRates(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: rates,
+  });
+});
+
+/**
+ * Create a tax rate (admin)
+ * POST /api/v1/taxes
+ */
+exports.createRate = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const rate = await taxesService.createRate(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rate created successfully',
+    data: rate,
+  });
+});
+
+/**
+ * Change a tax rate (admin)
+ * PUT /api/v1/taxes/:rateId
+ */
+exports.updateRate = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const rate = await taxesService.updateRate(req.params.rateId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate saved successfully',
+    data: rate,
+  });
+});
+
+/**
+ * Delete a tax rate (admin)
+ * DELETE /api/v1/taxes/:rateId
+ */
+exports.deleteRate = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await taxesService.deleteRate(req.params.rateId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate deleted successfully',
+  });
+});
@@ -0,0 +1,261 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const taxesController = require('./taxes.controller');
+const {
+  listRatesValidation,
+  createRateValidation,
+  updateRateValidation,
+  rateIdValidation,
+} = require('./taxes.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         country:
+ *           type: string
+ *           example: MY
+ *         state:
+ *           type: string
+ *           nullable: true
+ *           description: Null applies to the whole country
+ *         chargeType:
+ *           type: string
+ *           enum: [RENT, SERVICE_FEE, PLATFORM_FEE, UTILITY, OTHER]
+ *         name:
+ *           type: string
+ *           example: SST
+ *         ratePercent:
+ *           type: number
+ *           example: 8
+ *         inclusive:
+ *           type: boolean
+ *           description: Tax is part of the price instead of added on top
+ *         note:
+ *           type: string
+ *     TaxLine:
+ *       type: object
+ *       description: Tax charged on one line of a quote, invoice or payment
+ *       properties:
+ *         chargeType:
+ *           type: string
+ *           enum: [RENT, SERVICE_FEE, PLATFORM_FEE, UTILITY, OTHER]
+ *         description:
+ *           type: string
+ *         taxName:
+ *           type: string
+ *         ratePercent:
+ *           type: number
+ *         inclusive:
+ *           type: boolean
+ *         netAmount:
+ *           type: number
+ *         taxAmount:
+ *           type: number
+ *         grossAmount:
+ *           type: number
+ *     TaxSummary:
+ *       type: object
+ *       properties:
+ *         taxCollected:
+ *           type: number
+ *           description: Tax on rent, fees and other charges paid by tenants
+ *         taxRefunded:
+ *           type: number
+ *         netTaxCollected:
+ *           type: number
+ *         platformFeeTax:
+ *           type: number
+ *           description: Tax on the platform commission, less refunds
+ *         byChargeType:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               chargeType:
+ *                 type: string
+ *               taxableAmount:
+ *                 type: number
+ *               taxAmount:
+ *                 type: number
+ *               taxRefunded:
+ *                 type: number
+ */
+
+/**
+ * @swagger
+ * /api/v1/taxes:
+ *   get:
+ *     summary: List tax rates (Admin)
+ *     description: A charge is taxed with the rate of its property's state, else the rate of its country. Charges without a rate and security deposits are not taxed.
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chargeType
+ *         schema:
+ *           type: string
+ *           enum: [RENT, SERVICE_FEE, PLATFORM_FEE, UTILITY, OTHER]
+ *     responses:
+ *       200:
+ *         description: Tax rates retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *   post:
+ *     summary: Create a tax rate (Admin)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - country
+ *               - chargeType
+ *               - ratePercent
+ *             properties:
+ *               country:
+ *                 type: string
+ *                 example: MY
+ *               state:
+ *                 type: string
+ *               chargeType:
+ *                 type: string
+ *                 enum: [RENT, SERVICE_FEE, PLATFORM_FEE, UTILITY, OTHER]
+ *               name:
+ *                 type: string
+ *                 description: Defaults to TAX_DEFAULT_NAME
+ *               ratePercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               inclusive:
+ *                 type: boolean
+ *                 default: false
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tax rate created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TaxRate'
+ *       403:
+ *         description: Admin access required
+ *       409:
+ *         description: The country or state already has a rate for this charge type
+ */
+router.get(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  listRatesValidation,
+  taxesController.listRates
+);
+
+router.post(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  createRateValidation,
+  taxesController.createRate
+);
+
+/**
+ * @swagger
+ * /api/v1/taxes/{rateId}:
+ *   put:
+ *     summary: Change a tax rate (Admin)
+ *     description: Quotes, invoices and payments keep the tax they were charged with.
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               ratePercent:
+ *                 type: number
+ *               inclusive:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tax rate saved successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Tax rate not found
+ *   delete:
+ *     summary: Delete a tax rate (Admin)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Tax rate not found
+ */
+router.put(
+  '/:rateId',
+  auth,
+  authorize('ADMIN'),
+  updateRateValidation,
+  taxesController.updateRate
+);
+
+router.delete(
+  '/:rateId',
+  auth,
+  authorize('ADMIN'),
+  rateIdValidation,
+  taxesController.deleteRate
+);
+
+module.exports = router;
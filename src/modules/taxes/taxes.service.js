@@ -0,0 +1,451 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const billingConfig = require('../../config/billing');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+
+// Charge type taxed on each invoice type; deposits are never taxed
+const INVOICE_CHARGE_TYPES = {
+  RENT: 'RENT',
+  UTILITY: 'UTILITY',
+  OTHER: 'OTHER',
+};
+
+// Booking payments whose tax was collected, and what was refunded of it
+const CAPTURED_STRIPE_STATUSES = [
+  'completed',
+  'partially_refunded',
+  'refunded',
+];
+
+const LINE_FIELDS = [
+  'chargeType',
+  'description',
+  'taxName',
+  'ratePercent',
+  'inclusive',
+  'netAmount',
+  'taxAmount',
+  'grossAmount',
+];
+
+class TaxesService {
+  /**
+   * Rate that applies to a charge at a location: the state's rate, else
+   * the country's rate
+   * @param {Object} target - { country, state, chargeType }
+   * @returns {Promise<Object|null>} TaxRate, null when the charge is not taxed
+   */
+  async getRate({ country, state, chargeType }) {
+    if (!country) return null;
+
+    const rates = await prisma.taxRate.findMany({
+      where: {
+        country: country.toUpperCase(),
+        chargeType,
+        OR: [
+          { state: null },
+          ...(state
+            ? [{ state: { equals: state.trim(), mode: 'insensitive' } }]
+            : []),
+        ],
+      },
+    });
+
+    return rates.find(rate => rate.state) || rates[0] || null;
+  }
+
+  /**
+   * Tax line of a charge. Exclusive tax is added on top of the amount;
+   * inclusive tax is the part of the amount that is tax.
+   * @param {number} amount - Charge as priced
+   * @param {Object} rate - { name, ratePercent, inclusive }
+   * @param {string} chargeType
+   * @param {string} description
+   * @returns {Object} Tax line
+   */
+  calculateLine(amount, rate, chargeType, description = null) {
+    const ratePercent = parseFloat(rate.ratePercent);
+    const amountInCents = toCents(amount);
+
+    const taxInCents = rate.inclusive
+      ? Math.round((amountInCents * ratePercent) / (100 + ratePercent))
+      : Math.round((amountInCents * ratePercent) / 100);
+    const grossInCents = rate.inclusive
+      ? amountInCents
+      : amountInCents + taxInCents;
+
+    return {
+      chargeType,
+      description,
+      taxName: rate.name,
+      ratePercent,
+      inclusive: rate.inclusive,
+      netAmount: (grossInCents - taxInCents) / 100,
+      taxAmount: taxInCents / 100,
+      grossAmount: grossInCents / 100,
+    };
+  }
+
+  /**
+   * Tax on the charges of a property
+   * @param {Object} location - Property with country and state
+   * @param {Array<Object>} charges - [{ chargeType, amount, description }]
+   * @returns {Promise<Object>} { lines, taxAmount, exclusiveTax }, where
+   * exclusiveTax is what must be added to the charges
+   */
+  async calculateCharges(location, charges) {
+    const lines = [];
+
+    for (const { chargeType, amount, description } of charges) {
+      if (!(amount > 0)) continue;
+
+      const rate = await this.getRate({ ...location, chargeType });
+      if (rate) {
+        lines.push(this.calculateLine(amount, rate, chargeType, description));
+      }
+    }
+
+    return { lines, ...this.sumLines(lines) };
+  }
+
+  /**
+   * Tax of an invoice charged on a lease
+   * @param {string} leaseId
+   * @param {string} type - Invoice type
+   * @param {number} amount - Charge as priced
+   * @param {string} description
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} { amount, taxAmount, lines }, amount
+   * including exclusive tax
+   */
+  async calculateInvoice(leaseId, type, amount, description, client = prisma) {
+    const chargeType = INVOICE_CHARGE_TYPES[type];
+    if (!chargeType) {
+      return { amount, taxAmount: 0, lines: [] };
+    }
+
+    const lease = await client.lease.findUnique({
+      where: { id: leaseId },
+      select: { property: { select: { country: true, state: true } } },
+    });
+
+    const { lines, taxAmount, exclusiveTax } = await this.calculateCharges(
+      lease.property,
+      [{ chargeType, amount, description }]
+    );
+
+    return { amount: roundMoney(amount + exclusiveTax), taxAmount, lines };
+  }
+
+  /**
+   * Tax on the platform commission of a payment, charged to the landlord
+   * with the application fee
+   * @param {Object} location - Property with country and state
+   * @param {number} feeInCents - Commission
+   * @returns {Promise<Object>} { feeInCents, line }, feeInCents including
+   * exclusive tax and line null when the commission is not taxed
+   */
+  async calculatePlatformFee(location, feeInCents) {
+    const rate =
+      feeInCents > 0
+        ? await this.getRate({ ...location, chargeType: 'PLATFORM_FEE' })
+        : null;
+
+    if (!rate) {
+      return { feeInCents, line: null };
+    }
+
+    const line = this.calculateLine(
+      feeInCents / 100,
+      rate,
+      'PLATFORM_FEE',
+      'Platform commission'
+    );
+
+    return { feeInCents: toCents(line.grossAmount), line };
+  }
+
+  /**
+   * Share of tax lines paid by a payment of part of a quote or invoice
+   * @param {Array<Object>} lines - Tax lines
+   * @param {number} share - Part paid, 1 for all of it
+   * @returns {Array<Object>} Tax line data, ready to be created
+   */
+  prorateLines(lines = [], share = 1) {
+    const part = Math.min(Math.max(share, 0), 1);
+
+    return lines.map(line => {
+      const taxInCents = Math.round(toCents(line.taxAmount) * part);
+      const grossInCents = Math.round(toCents(line.grossAmount) * part);
+
+      return {
+        ...Object.fromEntries(LINE_FIELDS.map(field => [field, line[field]])),
+        ratePercent: parseFloat(line.ratePercent),
+        netAmount: (grossInCents - taxInCents) / 100,
+        taxAmount: taxInCents / 100,
+        grossAmount: grossInCents / 100,
+      };
+    });
+  }
+
+  sumLines(lines) {
+    const taxInCents = lines.reduce(
+      (sum, line) => sum + toCents(line.taxAmount),
+      0
+    );
+    const exclusiveInCents = lines
+      .filter(line => !line.inclusive)
+      .reduce((sum, line) => sum + toCents(line.taxAmount), 0);
+
+    return {
+      taxAmount: taxInCents / 100,
+      exclusiveTax: exclusiveInCents / 100,
+    };
+  }
+
+  /**
+   * Tax on a landlord's payments: tax collected from tenants, what was
+   * refunded of it and the tax on the platform commission. Tax of a
+   * refunded booking payment is returned pro rata, like its amount.
+   * @param {string} landlordId
+   * @param {Object} period - { startDate, endDate }, optional
+   * @returns {Promise<Object>} Tax summary
+   */
+  async getLandlordTaxSummary(landlordId, { startDate, endDate } = {}) {
+    const range =
+      startDate || endDate
+        ? {
+            ...(startDate && { gte: new Date(startDate) }),
+            ...(endDate && { lte: new Date(endDate) }),
+          }
+        : undefined;
+
+    const [bookingLines, invoiceLines] = await Promise.all([
+      prisma.taxLine.findMany({
+        where: {
+          stripePayment: {
+            status: { in: CAPTURED_STRIPE_STATUSES },
+            completedAt: range,
+            booking: { landlordId },
+          },
+        },
+        include: {
+          stripePayment: { select: { amount: true, refundedAmount: true } },
+        },
+      }),
+      prisma.taxLine.findMany({
+        where: {
+          payment: {
+            status: { in: ['COMPLETED', 'REFUNDED'] },
+            paidAt: range,
+            OR: [
+              { lease: { landlordId } },
+              { invoice: { lease: { landlordId } } },
+            ],
+          },
+        },
+        include: { payment: { select: { status: true } } },
+      }),
+    ]);
+
+    const lines = [
+      ...bookingLines.map(line => ({
+        line,
+        refundedShare:
+          parseFloat(line.stripePayment.amount) > 0
+            ? Math.min(
+                parseFloat(line.stripePayment.refundedAmount) /
+                  parseFloat(line.stripePayment.amount),
+                1
+              )
+            : 0,
+      })),
+      ...invoiceLines.map(line => ({
+        line,
+        refundedShare: line.payment.status === 'REFUNDED' ? 1 : 0,
+      })),
+    ];
+
+    const byChargeType = {};
+    for (const { line, refundedShare } of lines) {
+      if (!byChargeType[line.chargeType]) {
+        byChargeType[line.chargeType] = {
+          chargeType: line.chargeType,
+          taxableAmount: 0,
+          taxAmount: 0,
+          taxRefunded: 0,
+        };
+      }
+
+      const totals = byChargeType[line.chargeType];
+      totals.taxableAmount += parseFloat(line.netAmount);
+      totals.taxAmount += parseFloat(line.taxAmount);
+      totals.taxRefunded += parseFloat(line.taxAmount) * refundedShare;
+    }
+
+    const summary = Object.values(byChargeType).map(totals => ({
+      chargeType: totals.chargeType,
+      taxableAmount: roundMoney(totals.taxableAmount),
+      taxAmount: roundMoney(totals.taxAmount),
+      taxRefunded: roundMoney(totals.taxRefunded),
+    }));
+
+    const tenantCharges = summary.filter(
+      ({ chargeType }) => chargeType !== 'PLATFORM_FEE'
+    );
+    const platformFee = summary.find(
+      ({ chargeType }) => chargeType === 'PLATFORM_FEE'
+    );
+    const taxCollected = roundMoney(
+      tenantCharges.reduce((sum, totals) => sum + totals.taxAmount, 0)
+    );
+    const taxRefunded = roundMoney(
+      tenantCharges.reduce((sum, totals) => sum + totals.taxRefunded, 0)
+    );
+
+    return {
+      taxCollected,
+      taxRefunded,
+      netTaxCollected: roundMoney(taxCollected - taxRefunded),
+      platformFeeTax: platformFee
+        ? roundMoney(platformFee.taxAmount - platformFee.taxRefunded)
+        : 0,
+      byChargeType: summary,
+    };
+  }
+
+  formatRate(rate) {
+    return {
+      ...rate,
+      ratePercent: parseFloat(rate.ratePercent),
+    };
+  }
+
+  formatLine(line) {
+    return {
+      ...line,
+      ratePercent: parseFloat(line.ratePercent),
+      netAmount: parseFloat(line.netAmount),
+      taxAmount: parseFloat(line.taxAmount),
+      grossAmount: parseFloat(line.grossAmount),
+    };
+  }
+
+  /**
+   * Configured tax rates
+   * @param {Object} filters - { country, chargeType }
+   * @returns {Promise<Array>}
+   */
+  async listRates({ country, chargeType } = {}) {
+    const rates = await prisma.taxRate.findMany({
+      where: {
+        ...(country && { country: country.toUpperCase() }),
+        ...(chargeType && { chargeType }),
+      },
+      orderBy: [{ country: 'asc' }, { state: 'asc' }, { chargeType: 'asc' }],
+    });
+
+    return rates.map(rate => this.formatRate(rate));
+  }
+
+  /**
+   * Create the rate of a charge type in a country or one of its states
+   * @param {Object} admin
+   * @param {Object} data - { country, state, chargeType, name, ratePercent,
+   * inclusive, note }
+   * @returns {Promise<Object>}
+   */
+  async createRate(admin, data) {
+    const country = data.country.toUpperCase();
+    const state = data.state?.trim() || null;
+
+    await this.assertRateAvailable({
+      country,
+      state,
+      chargeType: data.chargeType,
+    });
+
+    const rate = await prisma.taxRate.create({
+      data: {
+        country,
+        state,
+        chargeType: data.chargeType,
+        name: data.name || billingConfig.tax.defaultName,
+        ratePercent: parseFloat(data.ratePercent),
+        inclusive: data.inclusive ?? false,
+        note: data.note || null,
+        createdById: admin.id,
+      },
+    });
+
+    return this.formatRate(rate);
+  }
+
+  /**
+   * Change a rate. Quotes, invoices and payments keep the tax they were
+   * charged with.
+   * @param {string} rateId
+   * @param {Object} data - { name, ratePercent, inclusive, note }
+   * @returns {Promise<Object>}
+   */
+  async updateRate(rateId, data) {
+    const rate = await prisma.taxRate.findUnique({ where: { id: rateId } });
+
+    if (!rate) {
+      throw new AppError('Tax rate not found', 404);
+    }
+
+    const updated = await prisma.taxRate.update({
+      where: { id: rateId },
+      data: {
+        ...(data.name && { name: data.name }),
+        ...(data.ratePercent != null && {
+          ratePercent: parseFloat(data.ratePercent),
+        }),
+        ...(data.inclusive != null && { inclusive: data.inclusive }),
+        ...(data.note !== undefined && { note: data.note || null }),
+      },
+    });
+
+    return this.formatRate(updated);
+  }
+
+  /**
+   * A country, state and charge type have at most one rate
+   */
+  async assertRateAvailable({ country, state, chargeType }) {
+    const existing = await prisma.taxRate.findFirst({
+      where: {
+        country,
+        chargeType,
+        state: state ? { equals: state, mode: 'insensitive' } : null,
+      },
+    });
+
+    if (existing) {
+      throw new AppError(
+        `A ${chargeType} tax rate already exists for ${state ? `${state}, ` : ''}${country}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Delete a rate; its charges fall back to the country's rate, or are no
+   * longer taxed
+   * @param {string} rateId
+   */
+  async deleteRate(rateId) {
+    const { count } = await prisma.taxRate.deleteMany({
+      where: { id: rateId },
+    });
+
+    if (count === 0) {
+      throw new AppError('Tax rate not found', 404);
+    }
+  }
+}
+
+module.exports = new TaxesService();
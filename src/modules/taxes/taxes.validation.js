@@ -0,0 +1,83 @@
+const { body, param, query } = require('express-validator');
+
+const CHARGE_TYPES = [
+  'RENT',
+  'SERVICE_FEE',
+  'PLATFORM_FEE',
+  'UTILITY',
+  'OTHER',
+];
+
+const rateFieldsValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('inclusive')
+    .optional()
+    .isBoolean()
+    .withMessage('Inclusive must be a boolean')
+    .toBoolean(),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Note must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+];
+
+const listRatesValidation = [
+  query('country')
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+  query('chargeType')
+    .optional()
+    .isIn(CHARGE_TYPES)
+    .withMessage(`Charge type must be one of: ${CHARGE_TYPES.join(', ')}`),
+];
+
+const createRateValidation = [
+  body('country')
+    .notEmpty()
+    .withMessage('Country is required')
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+  body('state')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('State must be a string')
+    .isLength({ max: 100 })
+    .withMessage('State must be at most 100 characters'),
+  body('chargeType')
+    .isIn(CHARGE_TYPES)
+    .withMessage(`Charge type must be one of: ${CHARGE_TYPES.join(', ')}`),
+  body('ratePercent')
+    .notEmpty()
+    .withMessage('Rate is required')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be a percentage between 0 and 100'),
+  ...rateFieldsValidation,
+];
+
+const updateRateValidation = [
+  param('rateId').isUUID().withMessage('Invalid rate ID format'),
+  body('ratePercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be a percentage between 0 and 100'),
+  ...rateFieldsValidation,
+];
+
+const rateIdValidation = [
+  param('rateId').isUUID().withMessage('Invalid rate ID format'),
+];
+
+module.exports = {
+  listRatesValidation,
+  createRateValidation,
+  updateRateValidation,
+  rateIdValidation,
+};
@@ -0,0 +1,9 @@
+const waitlistController = require('./waitlist.controller');
+const waitlistService = require('./waitlist.service');
+const waitlistRoutes = require('./waitlist.routes');
+
+module.exports = {
+  controller: waitlistController,
+  service: waitlistService,
+  routes: waitlistRoutes,
+};
@@ -0,0 +1,65 @@
+const { validationResult } = require('express-validator');
+const waitlistService = require('./waitlist.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Join the waitlist for booked dates of a property
+ * POST /api/v1/waitlist
+ */
+exports.joinWaitlist = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await waitlistService.joinWaitlist(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Joined the waitlist successfully',
+    data: result,
+  });
+});
+
+/**
+ * Get the waitlist entries of the current user
+ * GET /api/v1/waitlist
+ */
+exports.getMyEntries = catchAsync(async (req, res) => {
+  const result = await waitlistService.getMyEntries(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Leave the waitlist
+ * DELETE /api/v1/waitlist/:entryId
+ */
+exports.leaveWaitlist = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await waitlistService.leaveWaitlist(
+    req.params.entryId,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Left the waitlist successfully',
+    data: result,
+  });
+});
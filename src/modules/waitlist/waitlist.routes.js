@@ -0,0 +1,142 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const waitlistController = require('./waitlist.controller');
+const {
+  joinWaitlistValidation,
+  entryIdValidation,
+} = require('./waitlist.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [WAITING, OFFERED, BOOKED, EXPIRED, CANCELLED]
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: Place in line for overlapping dates while WAITING (1 = next)
+ *         offeredAt:
+ *           type: string
+ *           format: date-time
+ *         priorityExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: While OFFERED, only this tenant can book the dates until then
+ *         leaseId:
+ *           type: string
+ *           description: Booking made from the entry
+ *         property:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /api/v1/waitlist:
+ *   post:
+ *     summary: Join the waitlist for booked dates of a property
+ *     description: When a conflicting booking is cancelled, rejected or refunded, waitlisted tenants are notified in the order they joined. Each gets a priority window (BOOKING_WAITLIST_PRIORITY_HOURS) during which only they can book the dates.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 format: uuid
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid dates, stay rules not met or own property
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Dates are not booked or already on the waitlist
+ *   get:
+ *     summary: Get my waitlist entries
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waitlist entries retrieved successfully
+ */
+router.post('/', auth, joinWaitlistValidation, waitlistController.joinWaitlist);
+
+router.get('/', auth, waitlistController.getMyEntries);
+
+/**
+ * @swagger
+ * /api/v1/waitlist/{entryId}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: A running priority window passes to the next tenant in line.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Left the waitlist successfully
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: Entry is no longer open
+ */
+router.delete(
+  '/:entryId',
+  auth,
+  entryIdValidation,
+  waitlistController.leaveWaitlist
+);
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const bookingConfig = require('../../config/booking');
+const notificationService = require('../../services/notification.service');
+const stayRulesService = require('../availability/stayRules.service');
+const { toDateString } = require('../../utils/dates');
+
+// Required lazily: bookings.service depends on this service
+const getBookingsService = () => require('../bookings/bookings.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['WAITING', 'OFFERED'];
+
+const overlaps = (a, b) => a.startDate <= b.endDate && a.endDate >= b.startDate;
+
+const entryInclude = {
+  property: {
+    select: {
+      id: true,
+      title: true,
+      city: true,
+      images: true,
+    },
+  },
+};
+
+class WaitlistService {
+  /**
+   * Join the waitlist for taken dates of a property
+   * @param {Object} user - Tenant
+   * @param {Object} data - { propertyId, startDate, endDate }
+   * @returns {Promise<Object>} Created entry
+   */
+  async joinWaitlist(user, { propertyId, startDate, endDate }) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (start >= end) {
+      throw new AppError('Start date must be before end date', 400);
+    }
+
+    if (start < new Date()) {
+      throw new AppError('Start date cannot be in the past', 400);
+    }
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        ownerId: true,
+        isAvailable: true,
+        minStayDays: true,
+        maxStayDays: true,
+        minNoticeDays: true,
+        bookingHorizonDays: true,
+        checkInDays: true,
+      },
+    });
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    if (property.ownerId === user.id) {
+      throw new AppError(
+        'You cannot join the waitlist of your own property',
+        400
+      );
+    }
+
+    stayRulesService.assertStayRules(property, start, end);
+
+    const bookingsService = getBookingsService();
+    const [isBooked, isHeld] = await Promise.all([
+      bookingsService.hasOverlappingLease(propertyId, start, end),
+      bookingsService.hasWaitlistPriorityHold(propertyId, start, end, user.id),
+    ]);
+
+    if (!isBooked && !isHeld) {
+      throw new AppError(
+        'These dates are not booked, you can book them directly',
+        409
+      );
+    }
+
+    const existing = await prisma.waitlistEntry.findFirst({
+      where: {
+        propertyId,
+        tenantId: user.id,
+        status: { in: OPEN_STATUSES },
+        startDate: { lte: end },
+        endDate: { gte: start },
+      },
+    });
+
+    if (existing) {
+      throw new AppError(
+        'You are already on the waitlist for these dates',
+        409
+      );
+    }
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        propertyId,
+        tenantId: user.id,
+        startDate: start,
+        endDate: end,
+      },
+      include: entryInclude,
+    });
+
+    return { ...entry, position: await this.getPosition(entry) };
+  }
+
+  /**
+   * Place of a waiting entry among open entries for overlapping dates
+   * (1 = next in line)
+   * @param {Object} entry
+   * @returns {Promise<number|null>}
+   */
+  async getPosition(entry) {
+    if (entry.status !== 'WAITING') return null;
+
+    const ahead = await prisma.waitlistEntry.count({
+      where: {
+        propertyId: entry.propertyId,
+        status: { in: OPEN_STATUSES },
+        createdAt: { lt: entry.createdAt },
+        startDate: { lte: entry.endDate },
+        endDate: { gte: entry.startDate },
+      },
+    });
+
+    return ahead + 1;
+  }
+
+  /**
+   * Waitlist entries of a tenant, newest first
+   * @param {Object} user - Tenant
+   * @returns {Promise<Array>}
+   */
+  async getMyEntries(user) {
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { tenantId: user.id },
+      include: entryInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return Promise.all(
+      entries.map(async entry => ({
+        ...entry,
+        position: await this.getPosition(entry),
+      }))
+    );
+  }
+
+  /**
+   * Leave the waitlist. A running priority window passes to the next
+   * tenant in line.
+   * @param {string} entryId
+   * @param {Object} user - Tenant
+   * @returns {Promise<Object>} Updated entry
+   */
+  async leaveWaitlist(entryId, user) {
+    const entry = await prisma.waitlistEntry.findUnique({
+      where: { id: entryId },
+    });
+
+    if (!entry || entry.tenantId !== user.id) {
+      throw new AppError('Waitlist entry not found', 404);
+    }
+
+    const { count } = await prisma.waitlistEntry.updateMany({
+      where: { id: entryId, status: { in: OPEN_STATUSES } },
+      data: { status: 'CANCELLED' },
+    });
+
+    if (count === 0) {
+      throw new AppError('This waitlist entry is no longer open', 409);
+    }
+
+    if (entry.status === 'OFFERED') {
+      await this.offerReleasedDates(entry.propertyId);
+    }
+
+    return prisma.waitlistEntry.findUnique({
+      where: { id: entryId },
+      include: entryInclude,
+    });
+  }
+
+  /**
+   * Close the open entries a new booking covers
+   * @param {Object} lease - Created lease
+   * @param {Object} client - Transaction the lease was created in
+   */
+  async markBooked(lease, client = prisma) {
+    await client.waitlistEntry.updateMany({
+      where: {
+        propertyId: lease.propertyId,
+        tenantId: lease.tenantId,
+        status: { in: OPEN_STATUSES },
+        startDate: { lte: lease.endDate },
+        endDate: { gte: lease.startDate },
+      },
+      data: { status: 'BOOKED', leaseId: lease.id },
+    });
+  }
+
+  /**
+   * Offer dates that became free to waiting tenants, first come first
+   * served. Each tenant gets a priority window during which nobody else can
+   * book the dates; overlapping entries wait until the window ends.
+   * Runs under the property's booking lock.
+   * @param {string} propertyId
+   * @returns {Promise<number>} Entries offered
+   */
+  async offerReleasedDates(propertyId) {
+    const bookingsService = getBookingsService();
+    const now = new Date();
+    const priorityExpiresAt = new Date(
+      now.getTime() + bookingConfig.waitlist.priorityHours * HOUR_MS
+    );
+
+    const offered = await prisma.$transaction(async tx => {
+      await bookingsService.lockPropertyForBooking(tx, propertyId);
+
+      const entries = await tx.waitlistEntry.findMany({
+        where: { propertyId, status: { in: OPEN_STATUSES } },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      const running = entries.filter(
+        entry => entry.status === 'OFFERED' && entry.priorityExpiresAt > now
+      );
+      const newOffers = [];
+
+      for (const entry of entries) {
+        if (entry.status !== 'WAITING') continue;
+        if (running.some(offer => overlaps(offer, entry))) continue;
+
+        const available = await bookingsService.isPropertyAvailableForPeriod(
+          propertyId,
+          entry.startDate,
+          entry.endDate,
+          null,
+          tx
+        );
+        if (!available) continue;
+
+        await tx.waitlistEntry.update({
+          where: { id: entry.id },
+          data: { status: 'OFFERED', offeredAt: now, priorityExpiresAt },
+        });
+
+        running.push(entry);
+        newOffers.push(entry.id);
+      }
+
+      return newOffers;
+    });
+
+    if (offered.length === 0) return 0;
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { id: { in: offered } },
+      include: {
+        ...entryInclude,
+        tenant: { select: { id: true, email: true, name: true } },
+      },
+    });
+
+    await Promise.all(
+      entries.map(entry =>
+        notificationService.notifyUser(
+          entry.tenant,
+          'Your waitlisted dates are available',
+          `"${entry.property.title}" is now available from ${toDateString(entry.startDate)} to ${toDateString(entry.endDate)}. You are first on the waitlist: the dates are reserved for you for ${bookingConfig.waitlist.priorityHours} hours. Book them in the app before they are offered to the next tenant.`
+        )
+      )
+    );
+
+    console.log(
+      `📋 Waitlist: offered ${offered.length} entr${offered.length === 1 ? 'y' : 'ies'} for property ${propertyId}`
+    );
+
+    return offered.length;
+  }
+
+  /**
+   * Housekeeping for the scheduled job: end priority windows that ran out
+   * and entries whose dates started, then offer free dates of every
+   * property with waiting tenants. Also catches releases whose event was
+   * missed.
+   * @param {Date} now
+   * @returns {Promise<Object>} { expired, offered }
+   */
+  async processWaitlists(now = new Date()) {
+    const [windows, started] = await Promise.all([
+      prisma.waitlistEntry.updateMany({
+        where: { status: 'OFFERED', priorityExpiresAt: { lte: now } },
+        data: { status: 'EXPIRED' },
+      }),
+      prisma.waitlistEntry.updateMany({
+        where: { status: { in: OPEN_STATUSES }, startDate: { lte: now } },
+        data: { status: 'EXPIRED' },
+      }),
+    ]);
+
+    const properties = await prisma.waitlistEntry.findMany({
+      where: { status: 'WAITING' },
+      distinct: ['propertyId'],
+      select: { propertyId: true },
+    });
+
+    let offered = 0;
+    for (const { propertyId } of properties) {
+      try {
+        offered += await this.offerReleasedDates(propertyId);
+      } catch (error) {
+        console.error(
+          `❌ Waitlist offers for property ${propertyId} failed:`,
+          error.message
+        );
+      }
+    }
+
+    return { expired: windows.count + started.count, offered };
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,24 @@
+const { body, param } = require('express-validator');
+
+const joinWaitlistValidation = [
+  body('propertyId').isUUID().withMessage('Invalid property ID format'),
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+];
+
+const entryIdValidation = [
+  param('entryId').isUUID().withMessage('Invalid waitlist entry ID format'),
+];
+
+module.exports = {
+  joinWaitlistValidation,
+  entryIdValidation,
+};
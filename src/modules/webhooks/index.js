@@ -0,0 +1,9 @@
+const webhooksController = require('./webhooks.controller');
+const webhooksService = require('./webhooks.service');
+const webhooksRoutes = require('./webhooks.routes');
+
+module.exports = {
+  controller: webhooksController,
+  service: webhooksService,
+  routes: webhooksRoutes,
+};
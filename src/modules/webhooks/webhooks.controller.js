@@ -0,0 +1,78 @@
+const { validationResult } = require('express-validator');
+const webhooksService = require('./webhooks.service');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * List received Stripe webhook events (admin)
+ * GET /api/v1/webhook-events
+ */
+exports.listEvents = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const result = await webhooksService.listEvents({
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 20,
+    status: req.query.status,
+    type: req.query.type,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get a Stripe webhook event with its payload (admin)
+ * GET /api/v1/webhook-events/:eventId
+ */
+exports.getEvent = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const event = await webhooksService.getEvent(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: event,
+  });
+});
+
+/**
+ * Replay a failed Stripe webhook event (admin)
+ * POST /api/v1/webhook-events/:eventId/replay
+ */
+exports.replayEvent = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const event = await webhooksService.replayEvent(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    message:
+      event.status === 'PROCESSED'
+        ? 'Webhook event replayed successfully'
+        : 'Webhook event failed again',
+    data: event,
+  });
+});
@@ -0,0 +1,162 @@
+const express = require('express');
+const { auth, authorize } = require('../../middleware/auth');
+const webhooksController = require('./webhooks.controller');
+const {
+  listEventsValidation,
+  eventIdValidation,
+} = require('./webhooks.validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StripeWebhookEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Stripe event ID
+ *           example: evt_1PqX2b2eZvKYlo2C
+ *         type:
+ *           type: string
+ *           example: payment_intent.succeeded
+ *         status:
+ *           type: string
+ *           enum: [PROCESSING, PROCESSED, FAILED]
+ *         attempts:
+ *           type: integer
+ *           description: Deliveries and replays that ran the handlers
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         livemode:
+ *           type: boolean
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         payload:
+ *           type: object
+ *           description: Stripe event as received (single event only)
+ */
+
+/**
+ * @swagger
+ * /api/v1/webhook-events:
+ *   get:
+ *     summary: List received Stripe webhook events (Admin)
+ *     description: Every event is processed once, keyed by its Stripe event ID. Duplicate deliveries are acknowledged without running the handlers again; failed events are kept for replay.
+ *     tags: [Webhook Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PROCESSING, PROCESSED, FAILED]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get(
+  '/',
+  auth,
+  authorize('ADMIN'),
+  listEventsValidation,
+  webhooksController.listEvents
+);
+
+/**
+ * @swagger
+ * /api/v1/webhook-events/{eventId}:
+ *   get:
+ *     summary: Get a Stripe webhook event with its payload (Admin)
+ *     tags: [Webhook Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook event retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/StripeWebhookEvent'
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Webhook event not found
+ */
+router.get(
+  '/:eventId',
+  auth,
+  authorize('ADMIN'),
+  eventIdValidation,
+  webhooksController.getEvent
+);
+
+/**
+ * @swagger
+ * /api/v1/webhook-events/{eventId}/replay:
+ *   post:
+ *     summary: Replay a failed Stripe webhook event (Admin)
+ *     description: Runs the payment handlers again with the stored payload. Handlers only move payments forward, so replaying an old event cannot undo a newer one. A replay that fails again keeps the event FAILED with the new error.
+ *     tags: [Webhook Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replay finished, see the event status
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Webhook event not found
+ *       409:
+ *         description: Event already processed or being processed
+ */
+router.post(
+  '/:eventId/replay',
+  auth,
+  authorize('ADMIN'),
+  eventIdValidation,
+  webhooksController.replayEvent
+);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const { prisma } = require('../../config/database');
+const AppError = require('../../utils/AppError');
+const paymentsService = require('../payments/payments.service');
+
+// A delivery still PROCESSING after this long is assumed to have crashed
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const getRetryableWhere = eventId => ({
+  id: eventId,
+  OR: [
+    { status: 'FAILED' },
+    {
+      status: 'PROCESSING',
+      updatedAt: { lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) },
+    },
+  ],
+});
+
+class WebhooksService {
+  /**
+   * Process a verified Stripe event once. Deliveries of an event that was
+   * processed, or is being processed, are acknowledged without running the
+   * handlers again. Failed events keep their error and run again when
+   * Stripe retries them or an admin replays them.
+   * @param {Object} event - Stripe event
+   * @returns {Promise<Object>} { processed, duplicate }
+   */
+  async processStripeEvent(event) {
+    if (!(await this.claimEvent(event))) {
+      console.log(
+        `🔁 Stripe event ${event.id} (${event.type}) already received, skipping`
+      );
+      return { processed: false, duplicate: true };
+    }
+
+    await this.runEvent(event);
+
+    return { processed: true, duplicate: false };
+  }
+
+  /**
+   * Record a delivery and take it over for processing
+   * @param {Object} event - Stripe event
+   * @returns {Promise<boolean>} false when it must not be processed now
+   */
+  async claimEvent(event) {
+    try {
+      await prisma.stripeWebhookEvent.create({
+        data: {
+          id: event.id,
+          type: event.type,
+          payload: event,
+          livemode: !!event.livemode,
+          attempts: 1,
+        },
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const { count } = await prisma.stripeWebhookEvent.updateMany({
+      where: getRetryableWhere(event.id),
+      data: { status: 'PROCESSING', attempts: { increment: 1 } },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Run the payment handlers of a claimed event and store the outcome
+   * @param {Object} event - Stripe event
+   * @throws The handler error, after the event is marked FAILED
+   */
+  async runEvent(event) {
+    try {
+      await paymentsService.handleWebhook(event);
+    } catch (error) {
+      await prisma.stripeWebhookEvent.update({
+        where: { id: event.id },
+        data: { status: 'FAILED', lastError: error.message },
+      });
+      throw error;
+    }
+
+    await prisma.stripeWebhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'PROCESSED', processedAt: new Date(), lastError: null },
+    });
+  }
+
+  /**
+   * Received webhook events, newest first (admin)
+   * @param {Object} filters - { page, limit, status, type }
+   * @returns {Promise<Object>}
+   */
+  async listEvents({ page = 1, limit = 20, status, type }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const [events, total] = await Promise.all([
+      prisma.stripeWebhookEvent.findMany({
+        where,
+        select: {
+          id: true,
+          type: true,
+          status: true,
+          attempts: true,
+          lastError: true,
+          livemode: true,
+          receivedAt: true,
+          processedAt: true,
+        },
+        orderBy: { receivedAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.stripeWebhookEvent.count({ where }),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Webhook event with its payload (admin)
+   * @param {string} eventId - Stripe event ID
+   * @returns {Promise<Object>}
+   */
+  async getEvent(eventId) {
+    const event = await prisma.stripeWebhookEvent.findUnique({
+      where: { id: eventId },
+    });
+
+    if (!event) {
+      throw new AppError('Webhook event not found', 404);
+    }
+
+    return event;
+  }
+
+  /**
+   * Run a failed event again from its stored payload (admin). A replay
+   * that fails again leaves the event FAILED with the new error.
+   * @param {string} eventId - Stripe event ID
+   * @returns {Promise<Object>} Updated event
+   */
+  async replayEvent(eventId) {
+    const stored = await this.getEvent(eventId);
+
+    if (stored.status === 'PROCESSED') {
+      throw new AppError('This event was already processed', 409);
+    }
+
+    const { count } = await prisma.stripeWebhookEvent.updateMany({
+      where: getRetryableWhere(eventId),
+      data: { status: 'PROCESSING', attempts: { increment: 1 } },
+    });
+
+    if (count === 0) {
+      throw new AppError('This event is being processed', 409);
+    }
+
+    try {
+      await this.runEvent(stored.payload);
+      console.log(`🔁 Replayed Stripe event ${eventId} (${stored.type})`);
+    } catch (error) {
+      console.error(
+        `❌ Replay of Stripe event ${eventId} failed:`,
+        error.message
+      );
+    }
+
+    return this.getEvent(eventId);
+  }
+}
+
+module.exports = new WebhooksService();
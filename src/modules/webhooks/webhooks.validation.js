@@ -0,0 +1,23 @@
+const { param, query } = require('express-validator');
+
+const listEventsValidation = [
+  query('status')
+    .optional()
+    .isIn(['PROCESSING', 'PROCESSED', 'FAILED'])
+    .withMessage('Invalid webhook event status'),
+  query('type')
+    .optional()
+    .isString()
+    .withMessage('Event type must be a string'),
+];
+
+const eventIdValidation = [
+  param('eventId')
+    .matches(/^evt_\w+$/)
+    .withMessage('Invalid Stripe event ID format'),
+];
+
+module.exports = {
+  listEventsValidation,
+  eventIdValidation,
+};
@@ -9,6 +9,11 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../../middleware/auth');
 const { prisma } = require('../../config/database');
+const bookingsService = require('../../modules/bookings/bookings.service');
+const bookingQuotesService = require('../../modules/bookings/bookingQuotes.service');
+const leaseStatusService = require('../../modules/bookings/leaseStatus.service');
+const leaseParticipantsService = require('../../modules/bookings/leaseParticipants.service');
+const cancellationPoliciesService = require('../../modules/bookings/cancellationPolicies.service');
 
 const router = express.Router();
 
@@ -140,11 +145,9 @@ router.get('/', auth, async (req, res) => {
     const where =
       role === 'landlord'
         ? { landlordId: req.user.id }
-        : {
-            tenantId: req.user.id,
-            // Show all bookings for tenant, including pending payments
-            // Removed the paymentStatus filter to show all bookings
-          };
+        : // Show all bookings for tenant, including pending payments and
+          // leases the user joined as co-tenant or guarantor
+          leaseParticipantsService.getTenantLeaseWhere(req.user.id);
 
     if (status) where.status = status;
 
@@ -313,8 +316,8 @@ router.get('/:id', auth, async (req, res) => {
 
     // Check if user is authorized to view this booking
     if (
-      booking.tenantId !== req.user.id &&
-      booking.landlordId !== req.user.id
+      booking.landlordId !== req.user.id &&
+      !(await leaseParticipantsService.isTenantParty(booking, req.user.id))
     ) {
       return res.status(403).json({
         success: false,
@@ -333,6 +336,8 @@ router.get('/:id', auth, async (req, res) => {
             ? `https://www.google.com/maps?q=${booking.property.latitude},${booking.property.longitude}`
             : null,
       },
+      cancellationPolicyDetails:
+        cancellationPoliciesService.getLeasePolicy(booking),
     };
 
     res.json({
@@ -351,9 +356,63 @@ router.get('/:id', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/m/bookings:
+ * /api/v1/m/bookings/{id}/history:
+ *   get:
+ *     summary: Get the status history of a booking (Mobile)
+ *     tags: [Mobile - Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status changes with actor, reason and time, plus the statuses the user can move the booking to
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const result = await leaseStatusService.getHistory(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/m/bookings/quote:
  *   post:
- *     summary: Create a new booking (Mobile)
+ *     summary: Get a price quote for a booking (Mobile)
+ *     description: |
+ *       Computes the total from the property price, stay length, deposit and
+ *       fees. The returned quoteToken is short-lived and must be sent when
+ *       creating the booking.
  *     tags: [Mobile - Bookings]
  *     security:
  *       - bearerAuth: []
@@ -376,21 +435,23 @@ router.get('/:id', auth, async (req, res) => {
  *               endDate:
  *                 type: string
  *                 format: date
- *               message:
- *                 type: string
- *                 description: Optional message to the owner
  *     responses:
  *       201:
- *         description: Booking created successfully
+ *         description: Quote created successfully
  *       400:
- *         description: Bad request
+ *         description: |
+ *           Bad request or stay rule violation. Stay rule errors carry a
+ *           `code`: STAY_TOO_SHORT, STAY_TOO_LONG, INSUFFICIENT_NOTICE,
+ *           BEYOND_BOOKING_HORIZON or CHECK_IN_DAY_NOT_ALLOWED.
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Property not found
+ *       409:
+ *         description: Property already booked for the selected dates
  */
 router.post(
-  '/',
+  '/quote',
   auth,
   [
     body('propertyId').notEmpty().withMessage('Property ID is required'),
@@ -410,128 +471,98 @@ router.post(
         });
       }
 
-      const { propertyId, startDate, endDate, message } = req.body;
+      const result = await bookingQuotesService.createQuote(
+        req.body,
+        req.user.id
+      );
 
-      // Check if property exists and is available
-      const property = await prisma.property.findUnique({
-        where: { id: propertyId },
-        include: {
-          owner: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-            },
-          },
-        },
+      res.status(201).json({
+        success: true,
+        message: 'Quote created successfully',
+        data: result,
       });
+    } catch (error) {
+      console.error('Create quote error:', error);
 
-      if (!property) {
-        return res.status(404).json({
-          success: false,
-          message: 'Property not found',
-        });
-      }
-
-      if (!property.isAvailable || property.status !== 'APPROVED') {
-        return res.status(400).json({
-          success: false,
-          message: 'Property is not available for booking',
-        });
-      }
-
-      // Cannot book own property
-      if (property.ownerId === req.user.id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot book your own property',
-        });
-      }
-
-      // Check date validity
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      if (start < today) {
-        return res.status(400).json({
-          success: false,
-          message: 'Start date cannot be in the past',
-        });
-      }
-
-      if (end <= start) {
-        return res.status(400).json({
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'End date must be after start date',
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
         });
       }
 
-      // Check for overlapping bookings
-      const overlappingBooking = await prisma.lease.findFirst({
-        where: {
-          propertyId,
-          status: { in: ['PENDING', 'APPROVED'] },
-          OR: [
-            {
-              AND: [{ startDate: { lte: start } }, { endDate: { gte: start } }],
-            },
-            {
-              AND: [{ startDate: { lte: end } }, { endDate: { gte: end } }],
-            },
-            {
-              AND: [{ startDate: { gte: start } }, { endDate: { lte: end } }],
-            },
-          ],
-        },
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create quote',
+        error:
+          process.env.NODE_ENV === 'development' ? error.message : undefined,
       });
+    }
+  }
+);
 
-      if (overlappingBooking) {
+/**
+ * @swagger
+ * /api/v1/m/bookings:
+ *   post:
+ *     summary: Create a new booking (Mobile)
+ *     description: |
+ *       Creates a booking from a quote obtained via POST /api/v1/m/bookings/quote.
+ *       Property, dates and price are taken from the quote.
+ *     tags: [Mobile - Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quoteToken
+ *             properties:
+ *               quoteToken:
+ *                 type: string
+ *                 description: Signed quote token from the quote endpoint
+ *               message:
+ *                 type: string
+ *                 description: Optional message to the owner
+ *     responses:
+ *       201:
+ *         description: Booking created successfully
+ *       400:
+ *         description: Bad request, invalid quote or stay rule violation (see `code`)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Quote already used, property already booked or no longer available
+ */
+router.post(
+  '/',
+  auth,
+  [body('quoteToken').notEmpty().withMessage('Booking quote is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Property is already booked for the selected dates',
+          message: 'Validation failed',
+          errors: errors.array(),
         });
       }
 
-      // Calculate total price
-      const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-      const months = Math.ceil(days / 30);
-      const totalPrice = property.price * months;
-
-      // Generate booking code
-      const bookingCode = `BK-${Date.now().toString(36).toUpperCase()}`;
-
-      // Create booking
-      const booking = await prisma.lease.create({
-        data: {
-          code: bookingCode,
-          propertyId,
-          tenantId: req.user.id,
-          landlordId: property.ownerId,
-          startDate: start,
-          endDate: end,
-          rentAmount: property.price,
-          totalPrice,
-          status: 'PENDING',
-          message: message || null,
-        },
-        include: {
-          property: {
-            include: {
-              propertyType: true,
-            },
-          },
-          landlord: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              profilePicture: true,
-            },
-          },
-        },
-      });
+      const { quoteToken, message } = req.body;
+
+      // Same path as the web app: property, dates and price come from the
+      // quote, availability is checked under the property lock
+      const booking = await bookingsService.createBooking(
+        { quoteToken, message },
+        req.user.id
+      );
 
       res.status(201).json({
         success: true,
@@ -540,6 +571,15 @@ router.post(
       });
     } catch (error) {
       console.error('Create booking error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.errorCode && { code: error.errorCode }),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to create booking',
@@ -643,10 +683,10 @@ router.post('/:id/cancel', auth, async (req, res) => {
     }
 
     // Update booking
-    const updatedBooking = await prisma.lease.update({
-      where: { id },
+    const updatedBooking = await leaseStatusService.transition(id, 'REFUNDED', {
+      user: req.user,
+      reason: reason || 'Cancelled',
       data: {
-        status: 'REFUNDED',
         cancellationReason: reason || null,
         cancelledAt: new Date(),
       },
@@ -668,6 +708,15 @@ router.post('/:id/cancel', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Cancel booking error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errorCode && { code: error.errorCode }),
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to cancel booking',
@@ -725,20 +774,10 @@ router.post('/:id/approve', auth, async (req, res) => {
       });
     }
 
-    // Allow approving PENDING or PAID bookings
-    if (!['PENDING', 'PAID'].includes(booking.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot approve booking with status: ${booking.status}`,
-      });
-    }
-
-    const updatedBooking = await prisma.lease.update({
-      where: { id },
-      data: {
-        status: 'APPROVED',
-        approvedAt: new Date(),
-      },
+    // PENDING and PAID bookings can be approved (lease state machine)
+    const updatedBooking = await leaseStatusService.transition(id, 'APPROVED', {
+      user: req.user,
+      data: { approvedAt: new Date() },
       include: {
         property: {
           include: {
@@ -763,6 +802,15 @@ router.post('/:id/approve', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Approve booking error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errorCode && { code: error.errorCode }),
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to approve booking',
@@ -830,18 +878,11 @@ router.post('/:id/reject', auth, async (req, res) => {
       });
     }
 
-    // Allow rejecting PENDING or PAID bookings
-    if (!['PENDING', 'PAID'].includes(booking.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot reject booking with status: ${booking.status}`,
-      });
-    }
-
-    const updatedBooking = await prisma.lease.update({
-      where: { id },
+    // PENDING and PAID bookings can be rejected (lease state machine)
+    const updatedBooking = await leaseStatusService.transition(id, 'REJECTED', {
+      user: req.user,
+      reason: reason || null,
       data: {
-        status: 'REJECTED',
         rejectionReason: reason || null,
         rejectedAt: new Date(),
       },
@@ -869,6 +910,15 @@ router.post('/:id/reject', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Reject booking error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errorCode && { code: error.errorCode }),
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to reject booking',
@@ -21,11 +21,25 @@ const agreementsRoutes = require('../../modules/agreements/agreements.routes');
 const reviewsRoutes = require('../../modules/reviews/reviews.routes');
 const predictionsRoutes = require('../../modules/predictions/predictions.routes');
 const collectionsRoutes = require('./collections');
+const invoicesRoutes = require('../../modules/invoices/invoices.routes');
+const waitlistRoutes = require('../../modules/waitlist/waitlist.routes');
+const availabilityRoutes = require('../../modules/availability/availability.routes');
+const leaseRenewalRoutes = require('../../modules/bookings/leaseRenewals.routes');
+const leaseTerminationRoutes = require('../../modules/bookings/leaseTerminations.routes');
+const leaseParticipantRoutes = require('../../modules/bookings/leaseParticipants.routes');
+const depositRoutes = require('../../modules/deposits/deposits.routes');
+const inspectionRoutes = require('../../modules/inspections/inspections.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/users', usersRoutes);
+router.use('/properties', availabilityRoutes); // Blocked dates & open window
 router.use('/properties', propertiesRoutes);
+router.use('/bookings', leaseRenewalRoutes); // Lease extensions
+router.use('/bookings', leaseTerminationRoutes); // Early terminations
+router.use('/bookings', leaseParticipantRoutes); // Co-tenants & guarantors
+router.use('/bookings', depositRoutes); // Security deposits
+router.use('/bookings', inspectionRoutes); // Move-in/move-out inspections
 router.use('/bookings', bookingsRoutes);
 router.use('/property-types', propertyTypesRoutes);
 router.use('/amenities', amenitiesRoutes);
@@ -36,6 +50,8 @@ router.use('/', chatRoutes); // Chat routes (conversations, messages)
 router.use('/agreements', agreementsRoutes);
 router.use('/predictions', predictionsRoutes);
 router.use('/collections', collectionsRoutes);
+router.use('/invoices', invoicesRoutes);
+router.use('/waitlist', waitlistRoutes);
 router.use('/', reviewsRoutes); // Reviews routes (includes /reviews and /properties/:id/reviews)
 
 /**
@@ -78,6 +94,7 @@ router.get('/', (req, res) => {
       payments: '/api/v1/m/payments',
       reviews: '/api/v1/m/reviews',
       collections: '/api/v1/m/collections',
+      invoices: '/api/v1/m/invoices',
     },
   });
 });
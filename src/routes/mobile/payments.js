@@ -58,7 +58,8 @@ router.post('/refund', auth, paymentController.requestRefund);
 
 /**
  * @route   GET /api/v1/m/payments/landlord/revenue
- * @desc    Get landlord revenue statistics from Stripe payments
+ * @desc    Get landlord revenue statistics from Stripe payments, with the
+ *          tax collected on them
  * @access  Private (Landlord only)
  * @query   startDate?, endDate?
  */
@@ -66,7 +67,8 @@ router.get('/landlord/revenue', auth, paymentController.getLandlordRevenue);
 
 /**
  * @route   GET /api/v1/m/payments/landlord/payout
- * @desc    Get landlord payout summary
+ * @desc    Get landlord payout summary, with the tax collected and the tax
+ *          on the platform fee
  * @access  Private (Landlord only)
  */
 router.get(
@@ -9,6 +9,8 @@ const express = require('express');
 const { auth, optionalAuth } = require('../../middleware/auth');
 const { prisma } = require('../../config/database');
 const propertiesService = require('../../modules/properties/properties.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+const availabilityService = require('../../modules/availability/availability.service');
 
 const router = express.Router();
 
@@ -54,6 +56,15 @@ router.post('/', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Create property error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errorCode && { code: error.errorCode }),
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to create property',
@@ -79,6 +90,15 @@ router.put('/:id', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Update property error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.errorCode && { code: error.errorCode }),
+      });
+    }
+
     const status = error.message.includes('not found')
       ? 404
       : error.message.includes('Access denied')
@@ -848,6 +868,23 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/m/properties/cancellation-policies:
+ *   get:
+ *     summary: Get the cancellation policies a property can use (Mobile)
+ *     tags: [Mobile - Properties]
+ *     responses:
+ *       200:
+ *         description: Cancellation policies retrieved successfully
+ */
+router.get('/cancellation-policies', (req, res) => {
+  res.json({
+    success: true,
+    data: propertiesService.getCancellationPolicies(),
+  });
+});
+
 /**
  * @swagger
  * /api/v1/m/properties/{id}:
@@ -972,6 +1009,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       isFavorited,
       averageRating: avgRating._avg.rating || 0,
     };
+    propertiesService.addCancellationPolicyToProperty(propertyData);
 
     res.json({
       success: true,
@@ -1540,6 +1578,21 @@ router.get('/:propertyId/availability', async (req, res) => {
  *                             format: date-time
  *                           status:
  *                             type: string
+ *                     blockedPeriods:
+ *                       type: array
+ *                       description: Dates blocked by the landlord (BLOCKED) or outside the open window (CLOSED)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startDate:
+ *                             type: string
+ *                             format: date-time
+ *                           endDate:
+ *                             type: string
+ *                             format: date-time
+ *                           type:
+ *                             type: string
+ *                             enum: [BLOCKED, CLOSED]
  */
 router.get('/:id/occupied-dates', async (req, res) => {
   try {
@@ -1557,18 +1610,14 @@ router.get('/:id/occupied-dates', async (req, res) => {
       endDate,
     });
 
-    // Get all approved/active bookings for this property in the date range
+    // Get all bookings that reserve dates for this property in the date range
     const occupiedPeriods = await prisma.lease.findMany({
       where: {
         propertyId: id,
-        status: { in: ['APPROVED', 'ACTIVE'] },
-        OR: [
-          {
-            AND: [
-              { startDate: { lte: endDate } },
-              { endDate: { gte: startDate } },
-            ],
-          },
+        AND: [
+          bookingsService.getBlockingLeaseWhere(),
+          { startDate: { lte: endDate } },
+          { endDate: { gte: startDate } },
         ],
       },
       select: {
@@ -1580,12 +1629,20 @@ router.get('/:id/occupied-dates', async (req, res) => {
       orderBy: { startDate: 'asc' },
     });
 
+    // Dates blocked by the landlord or outside the open window
+    const blockedPeriods = await availabilityService.getUnavailableRanges(
+      id,
+      startDate,
+      endDate
+    );
+
     console.log(`✅ Found ${occupiedPeriods.length} occupied periods`);
 
     res.json({
       success: true,
       data: {
         occupiedPeriods,
+        blockedPeriods,
         queryRange: {
           startDate,
           endDate,
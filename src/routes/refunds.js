@@ -65,11 +65,12 @@ router.post('/:id/approve', auth, async (req, res) => {
       });
     }
 
-    const { note } = req.body;
+    const { note, amount } = req.body;
     const result = await refundService.approveRefund(
       req.params.id,
       req.user.id,
-      note
+      note,
+      amount ?? null
     );
 
     res.json(result);
@@ -107,4 +108,75 @@ router.post('/:id/reject', auth, async (req, res) => {
   }
 });
 
+// Counter-offer a lower amount (landlord)
+router.post('/:id/counter', auth, async (req, res) => {
+  try {
+    if (!req.user.isHost) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only landlords can counter refund requests',
+      });
+    }
+
+    const { amount, note } = req.body;
+
+    if (typeof amount !== 'number') {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter-offer amount is required',
+      });
+    }
+
+    const result = await refundService.counterRefund(
+      req.params.id,
+      req.user.id,
+      amount,
+      note
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Accept the landlord's counter-offer (tenant)
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    const result = await refundService.respondToCounterOffer(
+      req.params.id,
+      req.user.id,
+      true
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Decline the landlord's counter-offer (tenant)
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const result = await refundService.respondToCounterOffer(
+      req.params.id,
+      req.user.id,
+      false
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -114,6 +114,38 @@ class EmailService {
     }
   }
 
+  /**
+   * Send a simple notification email. Subject and message often carry
+   * user-provided text (names, property titles), so the HTML is rendered
+   * through an escaping template.
+   * @param {string} to - Recipient email address
+   * @param {string} subject - Email subject
+   * @param {string} message - Plain text message, paragraphs separated by blank lines
+   */
+  async sendNotificationEmail(to, subject, message) {
+    const html = await ejs.renderFile(
+      path.join(__dirname, '..', '..', 'templates', 'notification.ejs'),
+      {
+        subject,
+        paragraphs: message
+          .split('\n\n')
+          .map(paragraph => paragraph.split('\n')),
+      }
+    );
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      html,
+      text: `${message}\n\nBest regards,\nRentverse Team`,
+    };
+
+    const info = await this.transporter.sendMail(mailOptions);
+    console.log('✅ Notification email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  }
+
   /**
    * Send a test email (for testing SMTP configuration)
    * @param {string} to - Recipient email address
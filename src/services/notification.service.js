@@ -0,0 +1,35 @@
+const emailService = require('./email.service');
+
+/**
+ * Notification Service
+ * Sends user-facing notifications. Failures are logged and never thrown,
+ * so a notification can't break the operation that triggered it.
+ */
+class NotificationService {
+  /**
+   * Notify a user
+   * @param {Object} user - User with email and name
+   * @param {string} subject
+   * @param {string} message
+   */
+  async notifyUser(user, subject, message) {
+    if (!user?.email) {
+      return;
+    }
+
+    try {
+      await emailService.sendNotificationEmail(
+        user.email,
+        subject,
+        `Hi ${user.name || 'there'},\n\n${message}`
+      );
+    } catch (error) {
+      console.error(
+        `❌ Failed to send notification "${subject}" to ${user.email}:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,9 +1,10 @@
 const fs = require('fs');
-const path = require('ejs');
+const path = require('path');
 const ejs = require('ejs');
 const puppeteer = require('puppeteer');
 const { getSignatureQRCode } = require('./eSignature.service');
 const { prisma } = require('../config/database');
+const { isS3Configured } = require('../config/storage');
 const { v4: uuidv4 } = require('uuid');
 
 class PDFGenerationService {
@@ -11,16 +12,17 @@ class PDFGenerationService {
    * Upload PDF buffer to S3/MinIO
    * @param {Buffer} pdfBuffer
    * @param {string} fileName
+   * @param {string} folder
    * @returns {Promise<Object>}
    */
-  async uploadPDFToS3(pdfBuffer, fileName) {
+  async uploadPDFToS3(pdfBuffer, fileName, folder = 'rental-agreements') {
     const fileUploadService = require('../utils/fileUpload');
 
     try {
       const result = await fileUploadService.uploadPDFBuffer(
         pdfBuffer,
         fileName,
-        'rental-agreements'
+        folder
       );
 
       console.log('✅ PDF uploaded successfully to S3');
@@ -118,6 +120,115 @@ class PDFGenerationService {
     };
   }
 
+  /**
+   * Render an EJS template from /templates and print it to a PDF
+   * @param {string} templateFile - Template file name
+   * @param {Object} templateData
+   * @returns {Promise<Buffer>}
+   */
+  async renderTemplateToPDF(templateFile, templateData) {
+    const templatePath = path.join(__dirname, '../../templates', templateFile);
+    console.log('📖 Reading template from:', templatePath);
+
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Template file not found: ${templatePath}`);
+    }
+
+    const templateContent = fs.readFileSync(templatePath, 'utf-8');
+    console.log('⚡ Rendering EJS template...');
+    const html = ejs.render(templateContent, templateData);
+
+    console.log('🌐 Launching browser for PDF generation...');
+
+    const chromePath = this.getChromePath();
+    const launchOptions = {
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+      ],
+    };
+
+    if (chromePath) {
+      launchOptions.executablePath = chromePath;
+    }
+
+    const browser = await puppeteer.launch(launchOptions);
+
+    try {
+      const page = await browser.newPage();
+
+      await page.setContent(html, {
+        waitUntil: 'networkidle0',
+        timeout: 30000,
+      });
+
+      console.log('📄 Generating PDF...');
+      const pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '20px',
+          bottom: '20px',
+          left: '20px',
+          right: '20px',
+        },
+        preferCSSPageSize: true,
+      });
+
+      console.log(
+        `✅ PDF generated successfully! Size: ${Math.round(pdfBuffer.length / 1024)} KB`
+      );
+
+      return pdfBuffer;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Save a PDF to local storage, falling back to S3
+   * @param {Buffer} pdfBuffer
+   * @param {string} fileName
+   * @param {string} folder - S3 folder for the fallback
+   * @returns {Promise<Object>}
+   */
+  async savePDF(pdfBuffer, fileName, folder) {
+    console.log('💾 Saving PDF locally...');
+
+    try {
+      // Primary: Save to local storage
+      const result = await this.saveToLocalStorage(pdfBuffer, fileName);
+      console.log('✅ PDF saved to local storage successfully!');
+      return result;
+    } catch (localStorageError) {
+      console.warn(
+        '⚠️  Local storage failed, trying S3 backup...',
+        localStorageError.message
+      );
+
+      try {
+        // Backup: Upload to S3
+        const result = await this.uploadPDFToS3(pdfBuffer, fileName, folder);
+        console.log('✅ PDF uploaded to S3 successfully as backup!');
+        return result;
+      } catch (s3Error) {
+        console.error('❌ Both local storage and S3 failed:', {
+          localError: localStorageError.message,
+          s3Error: s3Error.message,
+        });
+        throw new Error(
+          `Failed to save PDF: Local storage failed (${localStorageError.message}), S3 backup also failed (${s3Error.message})`
+        );
+      }
+    }
+  }
+
   /**
    * Generate rental agreement PDF and upload to S3
    * @param {string} leaseId
@@ -218,110 +329,35 @@ class PDFGenerationService {
         },
       };
 
-      // 4. Read dan render EJS template
-      const templatePath = path.join(
-        __dirname,
-        '../../templates/rental-agreement.ejs'
+      // 4. Render the template and generate the PDF
+      const pdfBuffer = await this.renderTemplateToPDF(
+        'rental-agreement.ejs',
+        templateData
       );
-      console.log('📖 Reading template from:', templatePath);
-
-      if (!fs.existsSync(templatePath)) {
-        throw new Error(`Template file not found: ${templatePath}`);
-      }
-
-      const templateContent = fs.readFileSync(templatePath, 'utf-8');
-      console.log('⚡ Rendering EJS template...');
-      const html = ejs.render(templateContent, templateData);
-
-      // 5. Generate PDF menggunakan Puppeteer
-      console.log('🌐 Launching browser for PDF generation...');
-
-      const chromePath = this.getChromePath();
-      const launchOptions = {
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-        ],
-      };
 
-      if (chromePath) {
-        launchOptions.executablePath = chromePath;
-      }
-
-      const browser = await puppeteer.launch(launchOptions);
-      const page = await browser.newPage();
-
-      await page.setContent(html, {
-        waitUntil: 'networkidle0',
-        timeout: 30000,
-      });
-
-      console.log('📄 Generating PDF...');
-      const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20px',
-          bottom: '20px',
-          left: '20px',
-          right: '20px',
-        },
-        preferCSSPageSize: true,
-      });
-
-      await browser.close();
-      console.log(
-        `✅ PDF generated successfully! Size: ${Math.round(pdfBuffer.length / 1024)} KB`
-      );
-
-      // 6. Save PDF locally with S3 as backup
-      console.log('💾 Saving PDF locally...');
+      // 5. Save PDF locally with S3 as backup
       const fileName = `rental-agreement-${lease.id}`;
-
-      let uploadResult;
-      try {
-        // Primary: Save to local storage
-        uploadResult = await this.saveToLocalStorage(pdfBuffer, fileName);
-        console.log('✅ PDF saved to local storage successfully!');
-      } catch (localStorageError) {
-        console.warn(
-          '⚠️  Local storage failed, trying Cloudinary backup...',
-          localStorageError.message
-        );
-
-        try {
-          // Backup: Upload to S3
-          uploadResult = await this.uploadPDFToS3(pdfBuffer, fileName);
-          console.log('✅ PDF uploaded to S3 successfully as backup!');
-        } catch (s3Error) {
-          console.error('❌ Both local storage and S3 failed:', {
-            localError: localStorageError.message,
-            s3Error: s3Error.message,
-          });
-          throw new Error(
-            `Failed to save PDF: Local storage failed (${localStorageError.message}), S3 backup also failed (${s3Error.message})`
-          );
-        }
-      }
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        fileName,
+        'rental-agreements'
+      );
 
       console.log('📍 PDF URL:', uploadResult.url);
 
-      // 7. Simpan record RentalAgreement ke database
+      // 6. Simpan record RentalAgreement ke database
       console.log('💾 Saving rental agreement record to database...');
-      const rentalAgreement = await prisma.rentalAgreement.create({
-        data: {
-          leaseId: lease.id,
-          pdfUrl: uploadResult.url,
-          publicId: uploadResult.publicId,
-          fileName: uploadResult.fileName,
-          fileSize: uploadResult.size,
-        },
+      // Upsert: the agreement is regenerated when a lease is extended
+      const agreementData = {
+        pdfUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        fileName: uploadResult.fileName,
+        fileSize: uploadResult.size,
+      };
+      const rentalAgreement = await prisma.rentalAgreement.upsert({
+        where: { leaseId: lease.id },
+        create: { leaseId: lease.id, ...agreementData },
+        update: { ...agreementData, generatedAt: new Date() },
       });
 
       console.log('✅ Rental agreement record saved to database');
@@ -417,6 +453,109 @@ class PDFGenerationService {
     });
     return !!existing;
   }
+
+  /**
+   * Generate the statement of a settled security deposit and store its URL
+   * @param {string} depositId
+   * @returns {Promise<Object>} Saved file ({ url, fileName, size })
+   */
+  async generateDepositStatementPDF(depositId) {
+    const deposit = await prisma.securityDeposit.findUnique({
+      where: { id: depositId },
+      include: {
+        deductions: { orderBy: { createdAt: 'asc' } },
+        lease: {
+          include: {
+            property: {
+              select: { title: true, address: true, city: true },
+            },
+            tenant: { select: { name: true, email: true } },
+            landlord: { select: { name: true, email: true } },
+          },
+        },
+      },
+    });
+
+    if (!deposit) {
+      throw new Error(`Security deposit with ID ${depositId} not found`);
+    }
+
+    const pdfBuffer = await this.renderTemplateToPDF('deposit-statement.ejs', {
+      deposit,
+      lease: deposit.lease,
+      generatedAt: new Date(),
+    });
+
+    const uploadResult = await this.savePDF(
+      pdfBuffer,
+      `deposit-statement-${deposit.lease.code || deposit.leaseId}`,
+      'deposit-statements'
+    );
+
+    await prisma.securityDeposit.update({
+      where: { id: depositId },
+      data: { statementUrl: uploadResult.url },
+    });
+
+    console.log('📍 Deposit statement URL:', uploadResult.url);
+
+    return uploadResult;
+  }
+
+  /**
+   * Generate the PDF of a signed inspection report
+   * @param {Object} lease - Lease including property and parties
+   * @param {Object} inspection - Inspection including items
+   * @param {Object|null} differences - Move-out changes from the move-in report
+   * @returns {Promise<Object>} Saved file ({ url, fileName, size })
+   */
+  async generateInspectionReportPDF(lease, inspection, differences = null) {
+    const rooms = inspection.items.reduce((groups, item) => {
+      (groups[item.room] = groups[item.room] || []).push(item);
+      return groups;
+    }, {});
+
+    const pdfBuffer = await this.renderTemplateToPDF('inspection-report.ejs', {
+      lease,
+      inspection,
+      rooms,
+      differences,
+      generatedAt: new Date(),
+    });
+
+    const type = inspection.type === 'MOVE_IN' ? 'move-in' : 'move-out';
+
+    return this.savePDF(
+      pdfBuffer,
+      `inspection-${type}-${lease.code}`,
+      'inspection-reports'
+    );
+  }
+
+  /**
+   * Generate the PDF of a receipt or credit note. Receipts are kept on S3
+   * when it is configured, in local storage otherwise.
+   * @param {Object} receipt - Receipt including creditedReceipt
+   * @param {Object} data - { lease, payer, taxLines }
+   * @returns {Promise<Object>} Saved file ({ url, fileName, key, size })
+   */
+  async generateReceiptPDF(receipt, { lease, payer, taxLines = [] }) {
+    const pdfBuffer = await this.renderTemplateToPDF('receipt.ejs', {
+      receipt,
+      lease,
+      payer,
+      taxLines,
+      generatedAt: new Date(),
+    });
+
+    const fileName = `${receipt.type === 'CREDIT_NOTE' ? 'credit-note' : 'receipt'}-${receipt.number}`;
+
+    if (isS3Configured) {
+      return this.uploadPDFToS3(pdfBuffer, fileName, 'receipts');
+    }
+
+    return this.saveToLocalStorage(pdfBuffer, fileName);
+  }
 }
 
 module.exports = new PDFGenerationService();
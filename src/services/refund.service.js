@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const paymentService = require('../modules/payments/payments.service');
+const cancellationPoliciesService = require('../modules/bookings/cancellationPolicies.service');
 const prisma = new PrismaClient();
 
 class RefundService {
@@ -9,7 +10,9 @@ class RefundService {
       where: { id: leaseId },
       include: {
         property: true,
-        stripePayments: { where: { status: 'completed' } },
+        stripePayments: {
+          where: { status: { in: ['completed', 'partially_refunded'] } },
+        },
       },
     });
 
@@ -20,13 +23,27 @@ class RefundService {
     const completedPayment = lease.stripePayments[0];
     if (!completedPayment) throw new Error('No completed payment found');
 
+    // The policy caps all refunds of the booking together
+    const { policy, refundPercent, refundableAmount } =
+      cancellationPoliciesService.getRefundQuote(lease, completedPayment);
+    const amount = Math.min(
+      refundableAmount - parseFloat(completedPayment.refundedAmount),
+      paymentService.getRefundableBalance(completedPayment)
+    );
+    if (!(amount > 0)) {
+      throw new Error(
+        `Not refundable under the ${policy.name} cancellation policy`
+      );
+    }
+
     return await prisma.refundRequest.create({
       data: {
         leaseId,
         requestedBy: userId,
         landlordId: lease.landlordId,
         reason,
-        amount: completedPayment.amount,
+        amount: Math.round(amount * 100) / 100,
+        refundPercent,
       },
     });
   }
@@ -48,49 +65,47 @@ class RefundService {
     });
   }
 
-  // Approve refund (landlord)
-  async approveRefund(refundRequestId, landlordId, note) {
-    const refundRequest = await prisma.refundRequest.findUnique({
-      where: { id: refundRequestId },
-      include: {
-        lease: {
-          include: { stripePayments: { where: { status: 'completed' } } },
-        },
-      },
-    });
-
-    if (!refundRequest) throw new Error('Refund request not found');
-    if (refundRequest.landlordId !== landlordId)
-      throw new Error('Unauthorized');
-    if (refundRequest.status !== 'PENDING')
-      throw new Error('Request already processed');
+  // Approve refund (landlord), optionally for less than requested
+  async approveRefund(refundRequestId, landlordId, note, amount = null) {
+    const result = await paymentService.processRefundRequest(
+      refundRequestId,
+      landlordId,
+      true,
+      note,
+      amount
+    );
+
+    return {
+      success: true,
+      message: result.fullyRefunded
+        ? 'Refund approved and processed'
+        : 'Partial refund approved and processed',
+      data: result,
+    };
+  }
 
-    // Process Stripe refund
-    const payment = refundRequest.lease.stripePayments[0];
-    if (payment?.paymentIntentId) {
-      await stripe.refunds.create({
-        payment_intent: payment.paymentIntentId,
-        reason: 'requested_by_customer',
-      });
-    }
+  // Counter-offer a lower amount (landlord)
+  async counterRefund(refundRequestId, landlordId, amount, note) {
+    const refundRequest = await paymentService.counterRefundRequest(
+      refundRequestId,
+      landlordId,
+      { amount, notes: note }
+    );
+
+    return {
+      success: true,
+      message: 'Counter-offer sent to the tenant',
+      data: refundRequest,
+    };
+  }
 
-    // Update refund request and lease
-    await prisma.$transaction([
-      prisma.refundRequest.update({
-        where: { id: refundRequestId },
-        data: {
-          status: 'APPROVED',
-          landlordNote: note,
-          approvedAt: new Date(),
-        },
-      }),
-      prisma.lease.update({
-        where: { id: refundRequest.leaseId },
-        data: { status: 'REFUNDED', paymentStatus: 'refunded' },
-      }),
-    ]);
-
-    return { success: true, message: 'Refund approved and processed' };
+  // Accept or decline the landlord's counter-offer (tenant)
+  async respondToCounterOffer(refundRequestId, userId, accept) {
+    return paymentService.respondToRefundCounterOffer(
+      refundRequestId,
+      userId,
+      accept
+    );
   }
 
   // Reject refund (landlord)
@@ -105,8 +120,9 @@ class RefundService {
     if (refundRequest.status !== 'PENDING')
       throw new Error('Request already processed');
 
-    await prisma.refundRequest.update({
-      where: { id: refundRequestId },
+    // Only reject while nobody else acted on the request
+    const { count } = await prisma.refundRequest.updateMany({
+      where: { id: refundRequestId, status: 'PENDING' },
       data: {
         status: 'REJECTED',
         landlordNote: note,
@@ -114,6 +130,8 @@ class RefundService {
       },
     });
 
+    if (count === 0) throw new Error('Request already processed');
+
     return { success: true, message: 'Refund request rejected' };
   }
 }
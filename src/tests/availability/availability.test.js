@@ -0,0 +1,199 @@
+/**
+ * Availability Tests
+ * Landlord open windows and blocked dates, with the database mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    property: { findUnique: jest.fn(), update: jest.fn() },
+    propertyBlockedDate: { findMany: jest.fn(), create: jest.fn() },
+    lease: { findMany: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../../modules/bookings/bookings.service', () => ({
+  lockPropertyForBooking: jest.fn(),
+  getBlockingLeaseWhere: jest.fn(() => ({ status: 'APPROVED' })),
+}));
+
+const { prisma } = require('../../config/database');
+const bookingsService = require('../../modules/bookings/bookings.service');
+const availabilityService = require('../../modules/availability/availability.service');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+const landlord = { id: 'landlord-1', role: 'LANDLORD' };
+
+describe('Availability', () => {
+  beforeEach(() => {
+    prisma.property.findUnique.mockResolvedValue({
+      id: 'property-1',
+      ownerId: 'landlord-1',
+      availableFrom: day('2026-06-01'),
+      availableUntil: day('2026-12-31'),
+    });
+    prisma.propertyBlockedDate.findMany.mockResolvedValue([]);
+    prisma.lease.findMany.mockResolvedValue([]);
+  });
+
+  describe('assertPeriodOpen', () => {
+    it('should allow a period inside the open window', async () => {
+      await expect(
+        availabilityService.assertPeriodOpen(
+          'property-1',
+          day('2026-06-01'),
+          day('2026-07-01')
+        )
+      ).resolves.toBeUndefined();
+    });
+
+    it('should reject a period outside the open window', async () => {
+      await expect(
+        availabilityService.assertPeriodOpen(
+          'property-1',
+          day('2026-05-15'),
+          day('2026-07-01')
+        )
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message:
+          'Property is only open for bookings from 2026-06-01 until 2026-12-31',
+      });
+    });
+
+    it('should reject a period overlapping a blocked range', async () => {
+      prisma.propertyBlockedDate.findMany.mockResolvedValue([
+        { startDate: day('2026-06-20'), endDate: day('2026-06-25') },
+      ]);
+
+      await expect(
+        availabilityService.assertPeriodOpen(
+          'property-1',
+          day('2026-06-01'),
+          day('2026-07-01')
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('isPeriodOpen', () => {
+    it('should answer false instead of failing', async () => {
+      await expect(
+        availabilityService.isPeriodOpen(
+          'property-1',
+          day('2026-12-01'),
+          day('2027-01-15')
+        )
+      ).resolves.toBe(false);
+    });
+
+    it('should still fail for an unknown property', async () => {
+      prisma.property.findUnique.mockResolvedValue(null);
+
+      await expect(
+        availabilityService.isPeriodOpen(
+          'property-1',
+          day('2026-06-01'),
+          day('2026-07-01')
+        )
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getUnavailableRanges', () => {
+    it('should list blocked and closed ranges in date order', async () => {
+      prisma.propertyBlockedDate.findMany.mockResolvedValue([
+        {
+          startDate: day('2026-07-01'),
+          endDate: day('2026-07-05'),
+          reason: 'Repairs',
+        },
+      ]);
+
+      await expect(
+        availabilityService.getUnavailableRanges(
+          'property-1',
+          day('2026-05-01'),
+          day('2027-02-01')
+        )
+      ).resolves.toEqual([
+        {
+          startDate: day('2026-05-01'),
+          endDate: day('2026-06-01'),
+          type: 'CLOSED',
+        },
+        {
+          startDate: day('2026-07-01'),
+          endDate: day('2026-07-05'),
+          type: 'BLOCKED',
+        },
+        {
+          startDate: day('2026-12-31'),
+          endDate: day('2027-02-01'),
+          type: 'CLOSED',
+        },
+      ]);
+    });
+  });
+
+  describe('createBlockedDate', () => {
+    const data = {
+      startDate: '2026-07-01',
+      endDate: '2026-07-05',
+      reason: 'Repairs',
+    };
+
+    it('should block dates under the booking lock', async () => {
+      await availabilityService.createBlockedDate('property-1', landlord, data);
+
+      expect(bookingsService.lockPropertyForBooking).toHaveBeenCalledWith(
+        prisma,
+        'property-1'
+      );
+      expect(prisma.propertyBlockedDate.create).toHaveBeenCalledWith({
+        data: {
+          propertyId: 'property-1',
+          startDate: day('2026-07-01'),
+          endDate: day('2026-07-05'),
+          reason: 'Repairs',
+          createdById: 'landlord-1',
+        },
+      });
+    });
+
+    it('should not block dates a booking holds', async () => {
+      prisma.lease.findMany.mockResolvedValue([{ code: 'RV-1' }]);
+
+      await expect(
+        availabilityService.createBlockedDate('property-1', landlord, data)
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'These dates overlap existing bookings: RV-1',
+      });
+      expect(prisma.propertyBlockedDate.create).not.toHaveBeenCalled();
+    });
+
+    it('should only let the owner manage the calendar', async () => {
+      await expect(
+        availabilityService.createBlockedDate(
+          'property-1',
+          { id: 'landlord-2', role: 'LANDLORD' },
+          data
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('updateOpenWindow', () => {
+    it('should reject a window that ends before it opens', async () => {
+      await expect(
+        availabilityService.updateOpenWindow('property-1', landlord, {
+          availableFrom: '2026-08-01',
+          availableUntil: '2026-07-01',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.property.update).not.toHaveBeenCalled();
+    });
+  });
+});
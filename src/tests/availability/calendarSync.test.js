@@ -0,0 +1,292 @@
+/**
+ * Calendar Sync Tests
+ * Importing external calendars as blocked dates, with the database mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    propertyBlockedDate: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    propertyCalendarImport: { update: jest.fn() },
+    lease: { findMany: jest.fn() },
+  },
+}));
+jest.mock('../../modules/availability/availability.service', () => ({}));
+jest.mock('../../modules/bookings/bookings.service', () => ({
+  getBlockingLeaseWhere: jest.fn(() => ({ status: 'APPROVED' })),
+}));
+
+const dns = require('dns');
+const { Readable } = require('stream');
+const { prisma } = require('../../config/database');
+const calendarSyncService = require('../../modules/availability/calendarSync.service');
+
+const response = (statusCode, body = '', headers = {}) =>
+  Object.assign(Readable.from([Buffer.from(body)]), { statusCode, headers });
+
+const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const calendarImport = {
+  id: 'import-1',
+  propertyId: 'property-1',
+  name: 'Airbnb',
+  url: 'https://www.airbnb.com/calendar/ical/1.ics',
+};
+
+describe('Calendar Sync', () => {
+  beforeEach(() => {
+    prisma.propertyBlockedDate.findUnique.mockResolvedValue(null);
+    prisma.propertyBlockedDate.deleteMany.mockResolvedValue({ count: 0 });
+    prisma.lease.findMany.mockResolvedValue([]);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('importEvents', () => {
+    const event = {
+      uid: 'abc@airbnb.com',
+      summary: 'Reserved',
+      start: inDays(10),
+      end: inDays(14),
+    };
+
+    it('should block the dates of new events', async () => {
+      const report = await calendarSyncService.importEvents(
+        'property-1',
+        [event],
+        calendarImport
+      );
+
+      expect(prisma.propertyBlockedDate.create).toHaveBeenCalledWith({
+        data: {
+          propertyId: 'property-1',
+          externalUid: 'abc@airbnb.com',
+          startDate: event.start,
+          endDate: event.end,
+          reason: 'Imported from Airbnb: Reserved',
+          calendarImportId: 'import-1',
+        },
+      });
+      expect(report).toMatchObject({ imported: 1, updated: 0, skipped: 0 });
+    });
+
+    it('should update events imported before by UID', async () => {
+      prisma.propertyBlockedDate.findUnique.mockResolvedValue({
+        id: 'blocked-1',
+      });
+
+      const report = await calendarSyncService.importEvents(
+        'property-1',
+        [event],
+        null
+      );
+
+      expect(prisma.propertyBlockedDate.update).toHaveBeenCalledWith({
+        where: { id: 'blocked-1' },
+        data: expect.objectContaining({ reason: 'Imported: Reserved' }),
+      });
+      expect(report.updated).toBe(1);
+      expect(prisma.propertyBlockedDate.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should skip events that already ended', async () => {
+      const report = await calendarSyncService.importEvents(
+        'property-1',
+        [{ ...event, start: inDays(-10), end: inDays(-5) }],
+        calendarImport
+      );
+
+      expect(report.skipped).toBe(1);
+      expect(prisma.propertyBlockedDate.create).not.toHaveBeenCalled();
+    });
+
+    it('should unblock events removed from the calendar', async () => {
+      prisma.propertyBlockedDate.deleteMany.mockResolvedValue({ count: 2 });
+
+      const report = await calendarSyncService.importEvents(
+        'property-1',
+        [event],
+        calendarImport
+      );
+
+      expect(prisma.propertyBlockedDate.deleteMany).toHaveBeenCalledWith({
+        where: {
+          calendarImportId: 'import-1',
+          externalUid: { notIn: ['abc@airbnb.com'] },
+        },
+      });
+      expect(report.removed).toBe(2);
+    });
+
+    it('should report bookings overlapping imported events', async () => {
+      prisma.lease.findMany.mockResolvedValue([
+        { id: 'lease-1', code: 'RV-1', status: 'APPROVED' },
+      ]);
+
+      const report = await calendarSyncService.importEvents(
+        'property-1',
+        [event],
+        calendarImport
+      );
+
+      expect(report.conflicts).toEqual([
+        expect.objectContaining({
+          uid: 'abc@airbnb.com',
+          bookings: [{ id: 'lease-1', code: 'RV-1', status: 'APPROVED' }],
+        }),
+      ]);
+      expect(prisma.propertyBlockedDate.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('assertFetchableUrl', () => {
+    it.each([
+      ['not a url'],
+      ['ftp://example.com/calendar.ics'],
+      ['http://localhost:3000/calendar.ics'],
+      ['http://127.0.0.1/calendar.ics'],
+      ['http://192.168.1.10/calendar.ics'],
+      ['http://169.254.169.254/latest/meta-data'],
+      ['http://2130706433/calendar.ics'],
+      ['http://0177.0.0.1/calendar.ics'],
+      ['http://0x7f.1/calendar.ics'],
+      ['http://[::1]/calendar.ics'],
+      ['http://[::ffff:127.0.0.1]/calendar.ics'],
+      ['http://[::ffff:a9fe:a9fe]/calendar.ics'],
+      ['http://[fd00::1]/calendar.ics'],
+      ['http://[fe80::1]/calendar.ics'],
+    ])('should refuse %s', url => {
+      expect(() => calendarSyncService.assertFetchableUrl(url)).toThrow();
+    });
+
+    it('should accept public http and https URLs', () => {
+      expect(
+        calendarSyncService.assertFetchableUrl(calendarImport.url).hostname
+      ).toBe('www.airbnb.com');
+    });
+  });
+
+  describe('assertPublicHost', () => {
+    it('should refuse names resolving to a private address', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: 'fd12::1', family: 6 },
+      ]);
+
+      await expect(
+        calendarSyncService.assertPublicHost('calendar.example.com')
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should accept names resolving to public addresses', async () => {
+      jest
+        .spyOn(dns.promises, 'lookup')
+        .mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+      await expect(
+        calendarSyncService.assertPublicHost('calendar.example.com')
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('fetchCalendar', () => {
+    it('should check the address a request connects to', async () => {
+      jest
+        .spyOn(dns, 'lookup')
+        .mockImplementation((hostname, options, callback) =>
+          callback(null, [{ address: '169.254.169.254', family: 4 }])
+        );
+
+      await expect(
+        calendarSyncService.fetchCalendar('http://calendar.example.com/a.ics')
+      ).rejects.toThrow('Calendar URL host is not allowed');
+    });
+
+    it('should check every redirect', async () => {
+      const request = jest
+        .spyOn(calendarSyncService, 'request')
+        .mockResolvedValueOnce(response(302, '', { location: '/moved.ics' }))
+        .mockResolvedValueOnce(
+          response(301, '', {
+            location: 'http://169.254.169.254/latest/meta-data',
+          })
+        );
+
+      await expect(
+        calendarSyncService.fetchCalendar('https://calendar.example.com/a.ics')
+      ).rejects.toThrow('Calendar URL host is not allowed');
+      expect(request.mock.calls.map(([url]) => url.href)).toEqual([
+        'https://calendar.example.com/a.ics',
+        'https://calendar.example.com/moved.ics',
+      ]);
+    });
+
+    it('should stop following endless redirects', async () => {
+      jest
+        .spyOn(calendarSyncService, 'request')
+        .mockImplementation(async () =>
+          response(302, '', { location: '/again.ics' })
+        );
+
+      await expect(
+        calendarSyncService.fetchCalendar('https://calendar.example.com/a.ics')
+      ).rejects.toThrow('Calendar URL redirected too many times');
+    });
+
+    it('should stop reading a calendar that is too large', async () => {
+      const chunk = Buffer.alloc(1024 * 1024, 'x');
+      const body = Readable.from(
+        (function* () {
+          for (let i = 0; i < 10; i++) yield chunk;
+        })()
+      );
+      const destroy = jest.spyOn(body, 'destroy');
+      jest
+        .spyOn(calendarSyncService, 'request')
+        .mockResolvedValue(
+          Object.assign(body, { statusCode: 200, headers: {} })
+        );
+
+      await expect(
+        calendarSyncService.fetchCalendar('https://calendar.example.com/a.ics')
+      ).rejects.toThrow('Calendar file is too large');
+      expect(destroy).toHaveBeenCalled();
+    });
+
+    it('should return the calendar of a public URL', async () => {
+      jest
+        .spyOn(calendarSyncService, 'request')
+        .mockResolvedValue(response(200, 'BEGIN:VCALENDAR\r\nEND:VCALENDAR'));
+
+      await expect(
+        calendarSyncService.fetchCalendar('https://calendar.example.com/a.ics')
+      ).resolves.toContain('BEGIN:VCALENDAR');
+    });
+  });
+
+  describe('syncImport', () => {
+    it('should record a failed sync', async () => {
+      jest
+        .spyOn(calendarSyncService, 'fetchCalendar')
+        .mockRejectedValue(new Error('Calendar URL responded with 500'));
+
+      await expect(
+        calendarSyncService.syncImport(calendarImport)
+      ).rejects.toMatchObject({ statusCode: 502 });
+      expect(prisma.propertyCalendarImport.update).toHaveBeenCalledWith({
+        where: { id: 'import-1' },
+        data: expect.objectContaining({
+          lastSyncStatus: 'failed',
+          lastSyncError: 'Calendar URL responded with 500',
+        }),
+      });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Stay Rule Tests
+ * Minimum and maximum stay, notice, booking horizon and check-in days
+ */
+
+const stayRulesService = require('../../modules/availability/stayRules.service');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+// Thursday
+const now = new Date('2026-06-04T09:30:00.000Z');
+
+const codes = (property, startDate, endDate) =>
+  stayRulesService
+    .getViolations(property, startDate, endDate, now)
+    .map(violation => violation.code);
+
+describe('Stay Rules', () => {
+  describe('getViolations', () => {
+    it('should allow any stay without rules', () => {
+      expect(codes({}, day('2026-06-04'), day('2026-06-05'))).toEqual([]);
+    });
+
+    it('should check the minimum and maximum stay', () => {
+      const property = { minStayDays: 30, maxStayDays: 90 };
+
+      expect(codes(property, day('2026-07-01'), day('2026-07-30'))).toEqual([
+        'STAY_TOO_SHORT',
+      ]);
+      expect(codes(property, day('2026-07-01'), day('2026-07-31'))).toEqual([]);
+      expect(codes(property, day('2026-07-01'), day('2026-10-01'))).toEqual([
+        'STAY_TOO_LONG',
+      ]);
+    });
+
+    it('should count notice and horizon from the start of today', () => {
+      const property = { minNoticeDays: 2, bookingHorizonDays: 30 };
+
+      expect(codes(property, day('2026-06-05'), day('2026-07-05'))).toEqual([
+        'INSUFFICIENT_NOTICE',
+      ]);
+      expect(codes(property, day('2026-06-06'), day('2026-07-06'))).toEqual([]);
+      expect(codes(property, day('2026-07-04'), day('2026-08-04'))).toEqual([]);
+      expect(codes(property, day('2026-07-05'), day('2026-08-05'))).toEqual([
+        'BEYOND_BOOKING_HORIZON',
+      ]);
+    });
+
+    it('should only allow check-in on the listed weekdays', () => {
+      const property = { checkInDays: [1, 6] };
+
+      expect(
+        stayRulesService.getViolations(
+          property,
+          day('2026-06-09'),
+          day('2026-07-09'),
+          now
+        )
+      ).toEqual([
+        {
+          code: 'CHECK_IN_DAY_NOT_ALLOWED',
+          message: 'Check-in is only possible on Monday, Saturday',
+        },
+      ]);
+      expect(codes(property, day('2026-06-08'), day('2026-07-08'))).toEqual([]);
+    });
+  });
+
+  describe('assertStayRules', () => {
+    it('should fail with the code of the first violation', () => {
+      expect(() =>
+        stayRulesService.assertStayRules(
+          { minStayDays: 30, checkInDays: [1] },
+          day('2026-06-09'),
+          day('2026-06-10'),
+          now
+        )
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          errorCode: 'STAY_TOO_SHORT',
+          message: 'Minimum stay is 30 days',
+        })
+      );
+    });
+  });
+
+  describe('normalize', () => {
+    it('should keep only the fields sent', () => {
+      expect(
+        stayRulesService.normalize({
+          minStayDays: '30',
+          maxStayDays: null,
+          checkInDays: ['6', 1, 6],
+        })
+      ).toEqual({ minStayDays: 30, maxStayDays: null, checkInDays: [1, 6] });
+    });
+
+    it('should clear check-in days with null', () => {
+      expect(stayRulesService.normalize({ checkInDays: null })).toEqual({
+        checkInDays: [],
+      });
+    });
+
+    it.each([
+      [{ minStayDays: 1.5 }],
+      [{ minNoticeDays: -1 }],
+      [{ minStayDays: 0 }],
+      [{ checkInDays: [7] }],
+      [{ checkInDays: 'monday' }],
+      [{ minStayDays: 60, maxStayDays: 30 }],
+      [{ minNoticeDays: 40, bookingHorizonDays: 30 }],
+    ])('should reject %j', data => {
+      expect(() => stayRulesService.normalize(data)).toThrow(
+        expect.objectContaining({ errorCode: 'INVALID_STAY_RULES' })
+      );
+    });
+
+    it('should check new limits against the current ones', () => {
+      expect(() =>
+        stayRulesService.normalize({ minStayDays: 60 }, { maxStayDays: 30 })
+      ).toThrow('minStayDays cannot be greater than maxStayDays');
+    });
+  });
+
+  describe('describe', () => {
+    it('should list every rule with its default', () => {
+      expect(stayRulesService.describe({ minStayDays: 30 })).toEqual({
+        minStayDays: 30,
+        maxStayDays: null,
+        minNoticeDays: null,
+        bookingHorizonDays: null,
+        checkInDays: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Booking Creation Tests
+ * Creating leases from redeemed quotes, with the database and the quote
+ * service mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    property: { findUnique: jest.fn() },
+    lease: { create: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../../services/pdfGeneration.service', () => ({}));
+jest.mock('../../modules/bookings/bookingQuotes.service', () => ({
+  redeemQuote: jest.fn(),
+  attachQuoteToLease: jest.fn(),
+  formatQuote: jest.fn(quote => ({ id: quote.id })),
+}));
+jest.mock('../../modules/availability/availability.service', () => ({}));
+jest.mock('../../modules/availability/stayRules.service', () => ({
+  assertStayRules: jest.fn(),
+}));
+jest.mock('../../modules/bookings/leaseStatus.service', () => ({
+  recordCreated: jest.fn(),
+}));
+jest.mock('../../modules/bookings/leaseParticipants.service', () => ({}));
+jest.mock('../../modules/bookings/cancellationPolicies.service', () => ({}));
+jest.mock('../../modules/waitlist/waitlist.service', () => ({
+  markBooked: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const bookingQuotesService = require('../../modules/bookings/bookingQuotes.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+
+const quote = {
+  id: 'quote-1',
+  propertyId: 'property-1',
+  startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  endDate: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000),
+  monthlyRent: '2000',
+  securityDeposit: '2000',
+  totalAmount: '6100',
+  currencyCode: 'MYR',
+};
+
+const property = (overrides = {}) => ({
+  id: 'property-1',
+  ownerId: 'landlord-1',
+  isAvailable: true,
+  status: 'APPROVED',
+  autoApproval: false,
+  cancellationPolicy: 'MODERATE',
+  ...overrides,
+});
+
+describe('Booking Creation', () => {
+  beforeEach(() => {
+    bookingQuotesService.redeemQuote.mockResolvedValue(quote);
+    prisma.property.findUnique.mockResolvedValue(property());
+    prisma.lease.create.mockImplementation(async ({ data }) => ({
+      id: 'lease-1',
+      ...data,
+    }));
+    jest.spyOn(bookingsService, 'assertPeriodAvailable').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should book the quoted stay with the message to the landlord', async () => {
+    const booking = await bookingsService.createBooking(
+      { quoteToken: 'token', message: 'Hello' },
+      'tenant-1'
+    );
+
+    expect(prisma.lease.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          propertyId: 'property-1',
+          tenantId: 'tenant-1',
+          startDate: quote.startDate,
+          totalPrice: '6100',
+          status: 'PENDING',
+          message: 'Hello',
+        }),
+      })
+    );
+    expect(bookingQuotesService.attachQuoteToLease).toHaveBeenCalledWith(
+      'quote-1',
+      'lease-1',
+      prisma
+    );
+    expect(booking.quote).toEqual({ id: 'quote-1' });
+  });
+
+  it('should answer 404 when the property is gone', async () => {
+    prisma.property.findUnique.mockResolvedValue(null);
+
+    await expect(
+      bookingsService.createBooking({ quoteToken: 'token' }, 'tenant-1')
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should answer 400 for the landlord booking their own property', async () => {
+    await expect(
+      bookingsService.createBooking({ quoteToken: 'token' }, 'landlord-1')
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it.each([{ isAvailable: false }, { status: 'PENDING_REVIEW' }])(
+    'should answer 409 when the property is no longer bookable (%o)',
+    async overrides => {
+      prisma.property.findUnique.mockResolvedValue(property(overrides));
+
+      await expect(
+        bookingsService.createBooking({ quoteToken: 'token' }, 'tenant-1')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.lease.create).not.toHaveBeenCalled();
+    }
+  );
+});
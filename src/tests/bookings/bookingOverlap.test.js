@@ -0,0 +1,188 @@
+/**
+ * Booking Overlap Tests
+ * Which leases reserve dates, and the per-property lock taken before
+ * checking availability, with the database mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    lease: { findFirst: jest.fn(), update: jest.fn() },
+    waitlistEntry: { findFirst: jest.fn() },
+    $executeRaw: jest.fn(),
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../../services/pdfGeneration.service', () => ({}));
+jest.mock('../../modules/bookings/bookingQuotes.service', () => ({}));
+jest.mock('../../modules/availability/availability.service', () => ({
+  assertPeriodOpen: jest.fn(),
+  isPeriodOpen: jest.fn(),
+}));
+jest.mock('../../modules/availability/stayRules.service', () => ({}));
+jest.mock('../../modules/bookings/leaseStatus.service', () => ({}));
+jest.mock('../../modules/bookings/leaseParticipants.service', () => ({}));
+jest.mock('../../modules/bookings/cancellationPolicies.service', () => ({}));
+jest.mock('../../modules/waitlist/waitlist.service', () => ({}));
+
+const { prisma } = require('../../config/database');
+const bookingConfig = require('../../config/booking');
+const availabilityService = require('../../modules/availability/availability.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+
+const startDate = new Date('2026-06-01');
+const endDate = new Date('2026-07-01');
+
+describe('Booking Overlap', () => {
+  beforeEach(() => {
+    prisma.lease.findFirst.mockResolvedValue(null);
+    prisma.waitlistEntry.findFirst.mockResolvedValue(null);
+  });
+
+  describe('getBlockingLeaseWhere', () => {
+    it('should block on configured statuses and running holds', () => {
+      const now = new Date('2026-05-01');
+
+      expect(bookingsService.getBlockingLeaseWhere(now)).toEqual({
+        OR: [
+          { status: { in: bookingConfig.availability.blockingStatuses } },
+          {
+            status: {
+              notIn: [
+                'REJECTED',
+                'CANCELLED',
+                'REFUNDED',
+                'PARTIALLY_REFUNDED',
+                'COMPLETED',
+              ],
+            },
+            holdExpiresAt: { gt: now },
+          },
+        ],
+      });
+    });
+  });
+
+  describe('hasOverlappingLease', () => {
+    it('should look for blocking leases sharing a date', async () => {
+      prisma.lease.findFirst.mockResolvedValue({ id: 'lease-2' });
+
+      await expect(
+        bookingsService.hasOverlappingLease(
+          'property-1',
+          startDate,
+          endDate,
+          'lease-1'
+        )
+      ).resolves.toBe(true);
+      expect(prisma.lease.findFirst).toHaveBeenCalledWith({
+        where: {
+          propertyId: 'property-1',
+          id: { not: 'lease-1' },
+          AND: [
+            expect.objectContaining({ OR: expect.any(Array) }),
+            { startDate: { lte: endDate } },
+            { endDate: { gte: startDate } },
+          ],
+        },
+        select: { id: true },
+      });
+    });
+  });
+
+  describe('checkPeriodAvailable', () => {
+    it('should fail with PERIOD_BOOKED on an overlapping lease', async () => {
+      prisma.lease.findFirst.mockResolvedValue({ id: 'lease-2' });
+
+      await expect(
+        bookingsService.checkPeriodAvailable('property-1', startDate, endDate)
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'PERIOD_BOOKED' });
+      expect(availabilityService.assertPeriodOpen).not.toHaveBeenCalled();
+    });
+
+    it('should keep dates offered to the waitlist for that tenant', async () => {
+      prisma.waitlistEntry.findFirst.mockResolvedValue({ id: 'entry-1' });
+
+      await expect(
+        bookingsService.checkPeriodAvailable(
+          'property-1',
+          startDate,
+          endDate,
+          prisma,
+          'tenant-1'
+        )
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'WAITLIST_PRIORITY_HOLD',
+      });
+      expect(prisma.waitlistEntry.findFirst).toHaveBeenCalledWith({
+        where: expect.objectContaining({ tenantId: { not: 'tenant-1' } }),
+        select: { id: true },
+      });
+    });
+
+    it('should check the landlord calendar last', async () => {
+      await bookingsService.checkPeriodAvailable(
+        'property-1',
+        startDate,
+        endDate
+      );
+
+      expect(availabilityService.assertPeriodOpen).toHaveBeenCalledWith(
+        'property-1',
+        startDate,
+        endDate,
+        prisma
+      );
+    });
+  });
+
+  describe('assertPeriodAvailable', () => {
+    it('should lock the property before checking for overlaps', async () => {
+      await bookingsService.assertPeriodAvailable(
+        prisma,
+        'property-1',
+        startDate,
+        endDate
+      );
+
+      expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+      expect(prisma.$executeRaw.mock.calls[0][0].join('?')).toContain(
+        'pg_advisory_xact_lock'
+      );
+      expect(prisma.$executeRaw.mock.calls[0][1]).toBe('property-1');
+      expect(prisma.$executeRaw.mock.invocationCallOrder[0]).toBeLessThan(
+        prisma.lease.findFirst.mock.invocationCallOrder[0]
+      );
+    });
+  });
+
+  describe('holdBookingDates', () => {
+    const booking = {
+      id: 'lease-1',
+      propertyId: 'property-1',
+      startDate,
+      endDate,
+    };
+
+    it('should extend the hold of a booking under the lock', async () => {
+      const holdExpiresAt = await bookingsService.holdBookingDates(booking);
+
+      expect(prisma.$executeRaw).toHaveBeenCalled();
+      expect(holdExpiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(prisma.lease.update).toHaveBeenCalledWith({
+        where: { id: 'lease-1' },
+        data: { holdExpiresAt },
+      });
+    });
+
+    it('should fail when the dates were taken meanwhile', async () => {
+      prisma.lease.findFirst.mockResolvedValue({ id: 'lease-2' });
+
+      await expect(
+        bookingsService.holdBookingDates(booking)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.lease.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Booking Quote Tests
+ * Server-side pricing, quote token signing and single-use redemption, with
+ * the database mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    property: { findUnique: jest.fn() },
+    bookingQuote: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+jest.mock('../../modules/availability/stayRules.service', () => ({
+  assertStayRules: jest.fn(),
+}));
+jest.mock('../../modules/taxes/taxes.service', () => ({
+  calculateCharges: jest.fn(),
+  formatLine: jest.fn(line => line),
+}));
+jest.mock('../../modules/bookings/bookings.service', () => ({
+  checkPeriodAvailable: jest.fn(),
+}));
+
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../../config/database');
+const bookingConfig = require('../../config/booking');
+const taxesService = require('../../modules/taxes/taxes.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+const bookingQuotesService = require('../../modules/bookings/bookingQuotes.service');
+
+const originalPricing = { ...bookingConfig.pricing };
+const originalQuote = { ...bookingConfig.quote };
+
+const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const quoteRecord = (overrides = {}) => ({
+  id: 'quote-1',
+  propertyId: 'property-1',
+  tenantId: 'tenant-1',
+  totalAmount: '3100',
+  usedAt: null,
+  expiresAt: inDays(1),
+  taxLines: [],
+  ...overrides,
+});
+
+describe('Booking Quotes', () => {
+  beforeEach(() => {
+    Object.assign(bookingConfig.pricing, {
+      upfrontRentMonths: 2,
+      securityDepositMonths: 1,
+      serviceFeePercent: 5,
+      serviceFeeFixed: 10,
+    });
+    Object.assign(bookingConfig.quote, {
+      ttlMinutes: 15,
+      secret: 'test-quote-secret',
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(bookingConfig.pricing, originalPricing);
+    Object.assign(bookingConfig.quote, originalQuote);
+  });
+
+  describe('calculateBreakdown', () => {
+    it('should charge the upfront months, deposit and service fee', () => {
+      const start = new Date('2026-06-01');
+      const end = new Date('2026-09-01');
+
+      expect(
+        bookingQuotesService.calculateBreakdown({ price: '1000' }, start, end)
+      ).toEqual({
+        days: 92,
+        months: 4,
+        upfrontMonths: 2,
+        monthlyRent: 1000,
+        rentAmount: 2000,
+        securityDeposit: 1000,
+        serviceFee: 110,
+        totalAmount: 3110,
+      });
+    });
+
+    it('should charge at least one month for short stays', () => {
+      const breakdown = bookingQuotesService.calculateBreakdown(
+        { price: '1000' },
+        new Date('2026-06-01'),
+        new Date('2026-06-10')
+      );
+
+      expect(breakdown).toMatchObject({
+        days: 9,
+        months: 1,
+        upfrontMonths: 1,
+        rentAmount: 1000,
+      });
+    });
+  });
+
+  describe('createQuote', () => {
+    const property = {
+      id: 'property-1',
+      price: '1000',
+      currencyCode: 'MYR',
+      ownerId: 'landlord-1',
+      isAvailable: true,
+    };
+
+    beforeEach(() => {
+      prisma.property.findUnique.mockResolvedValue(property);
+      taxesService.calculateCharges.mockResolvedValue({
+        lines: [{ taxAmount: 80 }],
+        taxAmount: 80,
+        exclusiveTax: 80,
+      });
+      prisma.bookingQuote.create.mockImplementation(async ({ data }) => ({
+        id: 'quote-1',
+        ...data,
+        taxLines: data.taxLines.create,
+      }));
+    });
+
+    it('should price the stay and sign a token for it', async () => {
+      const { quote, quoteToken } = await bookingQuotesService.createQuote(
+        {
+          propertyId: 'property-1',
+          startDate: inDays(10),
+          endDate: inDays(40),
+        },
+        'tenant-1'
+      );
+
+      expect(bookingsService.checkPeriodAvailable).toHaveBeenCalled();
+      expect(quote).toMatchObject({
+        rentAmount: 1000,
+        taxAmount: 80,
+        totalAmount: 2140,
+        currencyCode: 'MYR',
+      });
+      expect(jwt.verify(quoteToken, 'test-quote-secret')).toMatchObject({
+        type: 'booking-quote',
+        quoteId: 'quote-1',
+        tenantId: 'tenant-1',
+      });
+    });
+
+    it('should not quote a stay starting in the past', async () => {
+      await expect(
+        bookingQuotesService.createQuote(
+          {
+            propertyId: 'property-1',
+            startDate: inDays(-1),
+            endDate: inDays(30),
+          },
+          'tenant-1'
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not quote the landlord their own property', async () => {
+      await expect(
+        bookingQuotesService.createQuote(
+          {
+            propertyId: 'property-1',
+            startDate: inDays(10),
+            endDate: inDays(40),
+          },
+          'landlord-1'
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.bookingQuote.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyQuoteToken', () => {
+    it('should accept a token it signed', () => {
+      const token = bookingQuotesService.signQuote(quoteRecord());
+
+      expect(bookingQuotesService.verifyQuoteToken(token).quoteId).toBe(
+        'quote-1'
+      );
+    });
+
+    it('should reject an expired token', () => {
+      const token = jwt.sign(
+        { type: 'booking-quote', quoteId: 'quote-1' },
+        'test-quote-secret',
+        { expiresIn: -1 }
+      );
+
+      expect(() => bookingQuotesService.verifyQuoteToken(token)).toThrow(
+        'Booking quote has expired'
+      );
+    });
+
+    it('should reject tokens signed with another secret or type', () => {
+      const forged = jwt.sign(
+        { type: 'booking-quote', quoteId: 'quote-1' },
+        'other-secret'
+      );
+      const otherType = jwt.sign(
+        { type: 'access', quoteId: 'quote-1' },
+        'test-quote-secret'
+      );
+
+      expect(() => bookingQuotesService.verifyQuoteToken(forged)).toThrow(
+        'Invalid booking quote'
+      );
+      expect(() => bookingQuotesService.verifyQuoteToken(otherType)).toThrow(
+        'Invalid booking quote'
+      );
+    });
+  });
+
+  describe('redeemQuote', () => {
+    let token;
+
+    beforeEach(() => {
+      token = bookingQuotesService.signQuote(quoteRecord());
+      prisma.bookingQuote.findUnique.mockResolvedValue(quoteRecord());
+      prisma.bookingQuote.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should mark the quote as used', async () => {
+      const quote = await bookingQuotesService.redeemQuote(token, 'tenant-1');
+
+      expect(quote.id).toBe('quote-1');
+      expect(prisma.bookingQuote.updateMany).toHaveBeenCalledWith({
+        where: { id: 'quote-1', usedAt: null },
+        data: { usedAt: expect.any(Date) },
+      });
+    });
+
+    it('should redeem a quote only once', async () => {
+      prisma.bookingQuote.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        bookingQuotesService.redeemQuote(token, 'tenant-1')
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not redeem a quote of another tenant', async () => {
+      await expect(
+        bookingQuotesService.redeemQuote(token, 'tenant-2')
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(prisma.bookingQuote.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should not redeem an expired quote', async () => {
+      prisma.bookingQuote.findUnique.mockResolvedValue(
+        quoteRecord({ expiresAt: inDays(-1) })
+      );
+
+      await expect(
+        bookingQuotesService.redeemQuote(token, 'tenant-1')
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getValidQuoteForLease', () => {
+    it('should reject a lease whose amount differs from its quote', async () => {
+      prisma.bookingQuote.findUnique.mockResolvedValue(
+        quoteRecord({ usedAt: new Date() })
+      );
+
+      await expect(
+        bookingQuotesService.getValidQuoteForLease({
+          id: 'lease-1',
+          tenantId: 'tenant-1',
+          totalPrice: '100',
+        })
+      ).rejects.toThrow('Booking amount does not match its quote');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Cancellation Policy Tests
+ * Refundable amount of a cancelled booking by policy and time before
+ * check-in
+ */
+
+const bookingConfig = require('../../config/booking');
+const cancellationPoliciesService = require('../../modules/bookings/cancellationPolicies.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const now = new Date('2026-06-01T12:00:00.000Z');
+const hoursFromNow = hours => new Date(now.getTime() + hours * HOUR_MS);
+
+// 2000 rent and a 1000 deposit paid at booking
+const payment = { amount: '3000', completedAt: hoursFromNow(-72) };
+
+const quote = (cancellationPolicy, hoursBeforeStart, overrides = {}) =>
+  cancellationPoliciesService.getRefundQuote(
+    {
+      cancellationPolicy,
+      startDate: hoursFromNow(hoursBeforeStart),
+      securityDeposit: '1000',
+      ...overrides,
+    },
+    payment,
+    now
+  );
+
+describe('Cancellation Policies', () => {
+  describe('getRefundQuote', () => {
+    it.each([
+      ['FLEXIBLE', 24, 100, 3000],
+      ['FLEXIBLE', 23, 50, 2000],
+      ['MODERATE', 5 * 24, 100, 3000],
+      ['MODERATE', 5 * 24 - 1, 50, 2000],
+      ['MODERATE', 23, 0, 1000],
+      ['STRICT', 14 * 24, 100, 3000],
+      ['STRICT', 7 * 24, 50, 2000],
+      ['STRICT', 7 * 24 - 1, 0, 1000],
+      ['LONG_TERM', 30 * 24, 100, 3000],
+      ['LONG_TERM', 14 * 24, 50, 2000],
+      ['LONG_TERM', 14 * 24 - 1, 0, 1000],
+    ])(
+      'should refund %s %i hours before check-in at %i%%',
+      (policy, hours, refundPercent, refundableAmount) => {
+        expect(quote(policy, hours)).toMatchObject({
+          refundPercent,
+          refundableAmount,
+          depositAmount: 1000,
+          hoursBeforeStart: hours,
+          inGracePeriod: false,
+        });
+      }
+    );
+
+    it('should refund everything during the grace period', () => {
+      const graceHours = bookingConfig.cancellation.graceHours;
+
+      expect(
+        cancellationPoliciesService.getRefundQuote(
+          {
+            cancellationPolicy: 'STRICT',
+            startDate: hoursFromNow(48),
+            securityDeposit: '1000',
+          },
+          { amount: '3000', completedAt: hoursFromNow(-graceHours / 2) },
+          now
+        )
+      ).toMatchObject({
+        refundPercent: 100,
+        refundableAmount: 3000,
+        inGracePeriod: true,
+      });
+    });
+
+    it('should refund nothing once the lease started', () => {
+      expect(quote('FLEXIBLE', -1)).toMatchObject({
+        refundPercent: 0,
+        refundableAmount: 0,
+        hoursBeforeStart: 0,
+      });
+    });
+
+    it('should not refund more deposit than was paid', () => {
+      expect(
+        quote('STRICT', 1, { securityDeposit: '5000' }).refundableAmount
+      ).toBe(3000);
+    });
+
+    it('should round the refund to cents', () => {
+      expect(
+        cancellationPoliciesService.getRefundQuote(
+          { cancellationPolicy: 'FLEXIBLE', startDate: hoursFromNow(2) },
+          { amount: '99.99' },
+          now
+        ).refundableAmount
+      ).toBe(50);
+    });
+  });
+
+  describe('getLeasePolicy', () => {
+    it('should keep the policy the lease was booked under', () => {
+      expect(
+        cancellationPoliciesService.getLeasePolicy({
+          cancellationPolicy: 'STRICT',
+          property: { cancellationPolicy: 'FLEXIBLE' },
+        }).code
+      ).toBe('STRICT');
+    });
+
+    it('should fall back to the property and then the default policy', () => {
+      expect(
+        cancellationPoliciesService.getLeasePolicy({
+          property: { cancellationPolicy: 'LONG_TERM' },
+        }).code
+      ).toBe('LONG_TERM');
+      expect(cancellationPoliciesService.getLeasePolicy({}).code).toBe(
+        'MODERATE'
+      );
+    });
+  });
+
+  describe('listPolicies', () => {
+    it('should list every policy with its terms', () => {
+      expect(
+        cancellationPoliciesService.listPolicies().map(({ code }) => code)
+      ).toEqual(['FLEXIBLE', 'MODERATE', 'STRICT', 'LONG_TERM']);
+    });
+  });
+});
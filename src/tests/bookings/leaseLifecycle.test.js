@@ -0,0 +1,259 @@
+/**
+ * Lease Lifecycle Tests
+ * Activation, completion and expiry of leases by the lifecycle job, with
+ * the database and the status service mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    lease: { findMany: jest.fn() },
+    stripePayment: { findMany: jest.fn() },
+  },
+}));
+jest.mock('../../modules/payments/payments.service', () => ({
+  cancelPayment: jest.fn(),
+}));
+jest.mock('../../modules/bookings/leaseStatus.service', () => ({
+  transition: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const paymentService = require('../../modules/payments/payments.service');
+const leaseStatusService = require('../../modules/bookings/leaseStatus.service');
+const leaseLifecycleService = require('../../modules/bookings/leaseLifecycle.service');
+const bookingConfig = require('../../config/booking');
+const { LEASE_EVENTS, onLeaseEvent } = require('../../events/leaseEvents');
+const AppError = require('../../utils/AppError');
+
+const now = new Date('2026-06-01T00:00:00Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+// Leases still being paid for are never expired
+const notPayingWhere = {
+  paymentStatus: { not: 'paid' },
+  OR: [{ holdExpiresAt: null }, { holdExpiresAt: { lte: now } }],
+  payments: { none: { status: 'PENDING' } },
+};
+
+describe('Lease lifecycle', () => {
+  beforeEach(() => {
+    leaseStatusService.transition.mockImplementation(async (id, to) => ({
+      id,
+      code: `LC-${id}`,
+      status: to,
+    }));
+  });
+
+  describe('activateStartedLeases', () => {
+    it('should activate approved and paid-after-approval leases', async () => {
+      prisma.lease.findMany
+        .mockResolvedValueOnce([{ id: 'approved' }])
+        .mockResolvedValueOnce([{ id: 'paid' }]);
+
+      const activated = await leaseLifecycleService.activateStartedLeases(now);
+
+      expect(activated.map(({ id }) => id)).toEqual(['approved', 'paid']);
+      expect(prisma.lease.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            status: 'APPROVED',
+            paymentStatus: 'paid',
+            startDate: { lte: now },
+          },
+        })
+      );
+      expect(prisma.lease.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            status: 'PAID',
+            approvedAt: { not: null },
+            startDate: { lte: now },
+          },
+        })
+      );
+      expect(leaseStatusService.transition).toHaveBeenCalledWith(
+        'approved',
+        'ACTIVE',
+        expect.objectContaining({
+          fromStatus: 'APPROVED',
+          data: { activatedAt: now },
+        })
+      );
+      expect(leaseStatusService.transition).toHaveBeenCalledWith(
+        'paid',
+        'ACTIVE',
+        expect.objectContaining({ fromStatus: 'PAID' })
+      );
+    });
+
+    it('should emit an activation event per lease', async () => {
+      const activatedIds = [];
+      onLeaseEvent(LEASE_EVENTS.ACTIVATED, ({ lease }) =>
+        activatedIds.push(lease.id)
+      );
+      prisma.lease.findMany
+        .mockResolvedValueOnce([{ id: 'a1' }])
+        .mockResolvedValueOnce([]);
+
+      await leaseLifecycleService.activateStartedLeases(now);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(activatedIds).toContain('a1');
+    });
+
+    it('should skip leases changed in the meantime', async () => {
+      prisma.lease.findMany
+        .mockResolvedValueOnce([{ id: 'changed' }, { id: 'ok' }])
+        .mockResolvedValueOnce([]);
+      leaseStatusService.transition.mockRejectedValueOnce(
+        new AppError('The booking was updated in the meantime', 409)
+      );
+
+      const activated = await leaseLifecycleService.activateStartedLeases(now);
+
+      expect(activated.map(({ id }) => id)).toEqual(['ok']);
+    });
+
+    it('should not swallow other errors', async () => {
+      prisma.lease.findMany
+        .mockResolvedValueOnce([{ id: 'broken' }])
+        .mockResolvedValueOnce([]);
+      leaseStatusService.transition.mockRejectedValueOnce(
+        new Error('Database unavailable')
+      );
+
+      await expect(
+        leaseLifecycleService.activateStartedLeases(now)
+      ).rejects.toThrow('Database unavailable');
+    });
+  });
+
+  describe('completeEndedLeases', () => {
+    it('should complete active leases after their end date', async () => {
+      prisma.lease.findMany.mockResolvedValueOnce([{ id: 'ended' }]);
+
+      const completed = await leaseLifecycleService.completeEndedLeases(now);
+
+      expect(completed.map(({ id }) => id)).toEqual(['ended']);
+      expect(prisma.lease.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { status: 'ACTIVE', endDate: { lt: now } },
+        })
+      );
+      expect(leaseStatusService.transition).toHaveBeenCalledWith(
+        'ended',
+        'COMPLETED',
+        expect.objectContaining({
+          fromStatus: 'ACTIVE',
+          data: { completedAt: now },
+        })
+      );
+    });
+  });
+
+  describe('expireUnansweredLeases', () => {
+    beforeEach(() => {
+      prisma.stripePayment.findMany.mockResolvedValue([]);
+    });
+
+    it('should cancel pending bookings the landlord did not answer', async () => {
+      const { pendingHours } = bookingConfig.expiry;
+      prisma.lease.findMany.mockResolvedValueOnce([{ id: 'stale' }]);
+
+      const expired = await leaseLifecycleService.expireUnansweredLeases(now);
+
+      expect(expired.map(({ id }) => id)).toEqual(['stale']);
+      expect(prisma.lease.findMany).toHaveBeenCalledWith({
+        where: {
+          ...notPayingWhere,
+          status: 'PENDING',
+          createdAt: { lt: hoursAgo(pendingHours) },
+        },
+        select: { id: true },
+      });
+      expect(leaseStatusService.transition).toHaveBeenCalledWith(
+        'stale',
+        'CANCELLED',
+        expect.objectContaining({
+          fromStatus: 'PENDING',
+          where: notPayingWhere,
+          data: {
+            cancelledAt: now,
+            cancellationReason: `Expired: the landlord did not respond within ${pendingHours} hours`,
+          },
+        })
+      );
+    });
+
+    it('should cancel the open Stripe payments of expired bookings', async () => {
+      prisma.lease.findMany.mockResolvedValueOnce([{ id: 'stale' }]);
+      prisma.stripePayment.findMany.mockResolvedValue([
+        { paymentIntentId: 'pi_1', userId: 'tenant-1' },
+      ]);
+
+      await leaseLifecycleService.expireUnansweredLeases(now);
+
+      expect(prisma.stripePayment.findMany).toHaveBeenCalledWith({
+        where: {
+          bookingId: 'stale',
+          status: 'pending',
+          paymentIntentId: { not: null },
+        },
+      });
+      expect(paymentService.cancelPayment).toHaveBeenCalledWith(
+        'pi_1',
+        'tenant-1'
+      );
+      expect(
+        leaseStatusService.transition.mock.invocationCallOrder[0]
+      ).toBeLessThan(paymentService.cancelPayment.mock.invocationCallOrder[0]);
+    });
+
+    it('should keep expiring when a payment cannot be cancelled', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      prisma.lease.findMany.mockResolvedValueOnce([{ id: 'a' }, { id: 'b' }]);
+      prisma.stripePayment.findMany.mockResolvedValue([
+        { paymentIntentId: 'pi_1', userId: 'tenant-1' },
+      ]);
+      paymentService.cancelPayment.mockRejectedValueOnce(
+        new Error('Stripe is down')
+      );
+
+      const expired = await leaseLifecycleService.expireUnansweredLeases(now);
+
+      expect(expired).toHaveLength(2);
+      expect(paymentService.cancelPayment).toHaveBeenCalledTimes(2);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('expireUnpaidLeases', () => {
+    it('should cancel approved bookings not paid in time', async () => {
+      const cutoff = hoursAgo(bookingConfig.expiry.paymentHours);
+      prisma.lease.findMany.mockResolvedValueOnce([{ id: 'unpaid' }]);
+      prisma.stripePayment.findMany.mockResolvedValue([]);
+
+      const expired = await leaseLifecycleService.expireUnpaidLeases(now);
+
+      expect(expired.map(({ id }) => id)).toEqual(['unpaid']);
+      expect(prisma.lease.findMany).toHaveBeenCalledWith({
+        where: {
+          ...notPayingWhere,
+          status: 'APPROVED',
+          AND: {
+            OR: [
+              { approvedAt: { lt: cutoff } },
+              { approvedAt: null, updatedAt: { lt: cutoff } },
+            ],
+          },
+        },
+        select: { id: true },
+      });
+      expect(leaseStatusService.transition).toHaveBeenCalledWith(
+        'unpaid',
+        'CANCELLED',
+        expect.objectContaining({ fromStatus: 'APPROVED' })
+      );
+    });
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Lease Participant Tests
+ * Co-tenant and guarantor invitations, rent split and signatures, with the
+ * database and notifications mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    lease: { findUnique: jest.fn() },
+    leaseParticipant: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const notificationService = require('../../services/notification.service');
+const leaseParticipantsService = require('../../modules/bookings/leaseParticipants.service');
+
+const tenant = {
+  id: 'tenant-1',
+  role: 'TENANT',
+  email: 'tina@example.com',
+  name: 'Tina',
+};
+
+const participant = (id, overrides = {}) => ({
+  id,
+  userId: `user-${id}`,
+  email: `${id}@example.com`,
+  role: 'CO_TENANT',
+  status: 'ACCEPTED',
+  rentShare: null,
+  signedAt: null,
+  ...overrides,
+});
+
+const lease = (participants = [], overrides = {}) => ({
+  id: 'lease-1',
+  code: 'RV-1',
+  status: 'APPROVED',
+  tenantId: 'tenant-1',
+  landlordId: 'landlord-1',
+  property: { title: 'Loft' },
+  tenant,
+  landlord: { id: 'landlord-1', email: 'lee@example.com' },
+  participants,
+  ...overrides,
+});
+
+describe('Lease Participants', () => {
+  beforeEach(() => {
+    prisma.lease.findUnique.mockResolvedValue(lease());
+    prisma.leaseParticipant.create.mockImplementation(async ({ data }) => ({
+      id: 'p-new',
+      ...data,
+    }));
+    prisma.leaseParticipant.update.mockImplementation(
+      async ({ where, data }) => ({ id: where.id, ...data })
+    );
+    prisma.leaseParticipant.updateMany.mockResolvedValue({ count: 1 });
+    prisma.leaseParticipant.findUnique.mockResolvedValue(participant('p1'));
+  });
+
+  describe('getRentSplit', () => {
+    it('should give the primary tenant the rest of the rent', () => {
+      expect(
+        leaseParticipantsService.getRentSplit(
+          lease([
+            participant('p1', { rentShare: '30' }),
+            participant('p2', { status: 'INVITED', rentShare: '20' }),
+            participant('p3', { status: 'DECLINED', rentShare: '40' }),
+            participant('p4', { role: 'GUARANTOR' }),
+          ])
+        )
+      ).toEqual({
+        split: true,
+        primaryShare: 50,
+        shares: { 'user-p1': 30, 'tenant-1': 50 },
+      });
+    });
+
+    it('should not split without rent shares', () => {
+      expect(
+        leaseParticipantsService.getRentSplit(lease([participant('p1')]))
+      ).toEqual({
+        split: false,
+        primaryShare: 100,
+        shares: { 'tenant-1': 100 },
+      });
+    });
+  });
+
+  describe('getShareDue', () => {
+    const invoice = payments => ({
+      amount: '1000',
+      payments,
+      lease: lease([participant('p1', { rentShare: '33.33' })]),
+    });
+
+    it('should subtract what the tenant already paid', () => {
+      expect(
+        leaseParticipantsService.getShareDue(
+          invoice([
+            { status: 'COMPLETED', payerId: 'user-p1', amount: '100' },
+            { status: 'FAILED', payerId: 'user-p1', amount: '233.30' },
+            { status: 'COMPLETED', payerId: 'tenant-1', amount: '666.70' },
+          ]),
+          'user-p1'
+        )
+      ).toBe(233.3);
+      expect(
+        leaseParticipantsService.getShareDue(
+          invoice([
+            { status: 'COMPLETED', payerId: 'tenant-1', amount: '666.70' },
+          ]),
+          'tenant-1'
+        )
+      ).toBe(0);
+    });
+
+    it('should return null when the rent is not split', () => {
+      expect(
+        leaseParticipantsService.getShareDue(
+          { amount: '1000', payments: [], lease: lease() },
+          'tenant-1'
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('canView', () => {
+    it('should let accepted participants and invitees see the lease', () => {
+      const withParticipants = lease([
+        participant('p1'),
+        participant('p2', { status: 'INVITED', userId: null }),
+        participant('p3', { status: 'REMOVED' }),
+      ]);
+
+      expect(
+        leaseParticipantsService.canView(withParticipants, { id: 'user-p1' })
+      ).toBe(true);
+      expect(
+        leaseParticipantsService.canView(withParticipants, {
+          id: 'someone',
+          email: ' P2@example.com',
+        })
+      ).toBe(true);
+      expect(
+        leaseParticipantsService.canView(withParticipants, { id: 'user-p3' })
+      ).toBe(false);
+    });
+  });
+
+  describe('inviteParticipant', () => {
+    it('should invite by normalized email', async () => {
+      await leaseParticipantsService.inviteParticipant('lease-1', tenant, {
+        email: ' Sam@Example.com ',
+        role: 'CO_TENANT',
+        rentShare: '40',
+      });
+
+      expect(prisma.leaseParticipant.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          leaseId: 'lease-1',
+          email: 'sam@example.com',
+          role: 'CO_TENANT',
+          rentShare: 40,
+          status: 'INVITED',
+          invitedById: 'tenant-1',
+        }),
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        { email: 'sam@example.com' },
+        'You are invited to join a lease',
+        expect.stringContaining('You would pay 40% of the rent.')
+      );
+    });
+
+    it('should reinvite someone who declined', async () => {
+      prisma.lease.findUnique.mockResolvedValue(
+        lease([
+          participant('p1', {
+            email: 'sam@example.com',
+            status: 'DECLINED',
+          }),
+        ])
+      );
+
+      await leaseParticipantsService.inviteParticipant('lease-1', tenant, {
+        email: 'sam@example.com',
+        role: 'GUARANTOR',
+      });
+
+      expect(prisma.leaseParticipant.update).toHaveBeenCalledWith({
+        where: { id: 'p1' },
+        data: expect.objectContaining({ status: 'INVITED', userId: null }),
+      });
+      expect(prisma.leaseParticipant.create).not.toHaveBeenCalled();
+    });
+
+    it('should not split more than the whole rent', async () => {
+      prisma.lease.findUnique.mockResolvedValue(
+        lease([participant('p1', { status: 'INVITED', rentShare: '70' })])
+      );
+
+      await expect(
+        leaseParticipantsService.inviteParticipant('lease-1', tenant, {
+          email: 'sam@example.com',
+          role: 'CO_TENANT',
+          rentShare: 40,
+        })
+      ).rejects.toThrow('Rent shares cannot exceed 100% (30% left)');
+    });
+
+    it.each([
+      [{ email: 'sam@example.com', role: 'GUARANTOR', rentShare: 10 }, 400],
+      [{ email: 'LEE@example.com', role: 'CO_TENANT' }, 400],
+      [{ email: 'p1@example.com', role: 'CO_TENANT' }, 409],
+    ])('should refuse %j', async (data, statusCode) => {
+      prisma.lease.findUnique.mockResolvedValue(lease([participant('p1')]));
+
+      await expect(
+        leaseParticipantsService.inviteParticipant('lease-1', tenant, data)
+      ).rejects.toMatchObject({ statusCode });
+    });
+
+    it('should only let the primary tenant invite', async () => {
+      await expect(
+        leaseParticipantsService.inviteParticipant(
+          'lease-1',
+          { id: 'user-p1' },
+          { email: 'sam@example.com', role: 'CO_TENANT' }
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('respondToInvitation', () => {
+    beforeEach(() => {
+      prisma.lease.findUnique.mockResolvedValue(
+        lease([participant('p1', { status: 'INVITED', userId: null })])
+      );
+    });
+
+    it('should link the invitee on acceptance', async () => {
+      await leaseParticipantsService.respondToInvitation(
+        'lease-1',
+        'p1',
+        { id: 'user-9', email: 'P1@example.com', name: 'Sam' },
+        true
+      );
+
+      expect(prisma.leaseParticipant.updateMany).toHaveBeenCalledWith({
+        where: { id: 'p1', status: 'INVITED' },
+        data: {
+          status: 'ACCEPTED',
+          userId: 'user-9',
+          respondedAt: expect.any(Date),
+        },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        tenant,
+        'Invitation accepted',
+        'Sam accepted your invitation to join lease RV-1 as co-tenant.'
+      );
+    });
+
+    it('should only let the invited email respond', async () => {
+      await expect(
+        leaseParticipantsService.respondToInvitation(
+          'lease-1',
+          'p1',
+          { id: 'user-9', email: 'other@example.com' },
+          true
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not accept once the lease is over', async () => {
+      prisma.lease.findUnique.mockResolvedValue(
+        lease([participant('p1', { status: 'INVITED' })], {
+          status: 'COMPLETED',
+        })
+      );
+
+      await expect(
+        leaseParticipantsService.respondToInvitation(
+          'lease-1',
+          'p1',
+          { id: 'user-9', email: 'p1@example.com' },
+          true
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.leaseParticipant.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the invitation was answered meanwhile', async () => {
+      prisma.leaseParticipant.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        leaseParticipantsService.respondToInvitation(
+          'lease-1',
+          'p1',
+          { id: 'user-9', email: 'p1@example.com' },
+          false
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('removeParticipant', () => {
+    it('should let participants leave and tell the primary tenant', async () => {
+      prisma.lease.findUnique.mockResolvedValue(lease([participant('p1')]));
+
+      await leaseParticipantsService.removeParticipant('lease-1', 'p1', {
+        id: 'user-p1',
+        name: 'Sam',
+      });
+
+      expect(prisma.leaseParticipant.updateMany).toHaveBeenCalledWith({
+        where: { id: 'p1', status: { in: ['INVITED', 'ACCEPTED'] } },
+        data: { status: 'REMOVED' },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        tenant,
+        'A participant left your lease',
+        expect.any(String)
+      );
+    });
+
+    it('should not let participants remove each other', async () => {
+      prisma.lease.findUnique.mockResolvedValue(
+        lease([participant('p1'), participant('p2')])
+      );
+
+      await expect(
+        leaseParticipantsService.removeParticipant('lease-1', 'p2', {
+          id: 'user-p1',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('signAgreement', () => {
+    it('should record the signature of an accepted participant', async () => {
+      prisma.leaseParticipant.findFirst.mockResolvedValue(participant('p1'));
+
+      await leaseParticipantsService.signAgreement(
+        'lease-1',
+        'https://s3/signature.png',
+        'user-p1'
+      );
+
+      expect(prisma.leaseParticipant.findFirst).toHaveBeenCalledWith({
+        where: { leaseId: 'lease-1', userId: 'user-p1', status: 'ACCEPTED' },
+      });
+      expect(prisma.leaseParticipant.update).toHaveBeenCalledWith({
+        where: { id: 'p1' },
+        data: {
+          signatureUrl: 'https://s3/signature.png',
+          signedAt: expect.any(Date),
+        },
+      });
+    });
+
+    it('should only sign once', async () => {
+      prisma.leaseParticipant.findFirst.mockResolvedValue(
+        participant('p1', { signedAt: new Date() })
+      );
+
+      await expect(
+        leaseParticipantsService.signAgreement('lease-1', 'url', 'user-p1')
+      ).rejects.toThrow('Agreement already signed');
+    });
+  });
+});
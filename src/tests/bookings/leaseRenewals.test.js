@@ -0,0 +1,306 @@
+/**
+ * Lease Renewal Tests
+ * Extension requests, counter-offers and billing of the extra months, with
+ * the database and notifications mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    lease: { findUnique: jest.fn(), update: jest.fn() },
+    leaseRenewal: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    invoice: { create: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../../services/pdfGeneration.service', () => ({
+  generateAndUploadRentalAgreementPDF: jest.fn(),
+}));
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock('../../modules/availability/availability.service', () => ({
+  findBlockedOverlaps: jest.fn(),
+}));
+jest.mock('../../modules/bookings/bookings.service', () => ({
+  hasOverlappingLease: jest.fn(),
+  lockPropertyForBooking: jest.fn(),
+}));
+jest.mock('../../modules/bookings/leaseParticipants.service', () => ({}));
+jest.mock('../../modules/receipts/receipts.service', () => ({}));
+jest.mock('../../modules/taxes/taxes.service', () => ({
+  calculateInvoice: jest.fn(),
+}));
+jest.mock('../../events/leaseEvents', () => ({
+  LEASE_EVENTS: { RENEWED: 'lease.renewed' },
+  emitLeaseEvent: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const notificationService = require('../../services/notification.service');
+const availabilityService = require('../../modules/availability/availability.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+const taxesService = require('../../modules/taxes/taxes.service');
+const { emitLeaseEvent } = require('../../events/leaseEvents');
+const leaseRenewalsService = require('../../modules/bookings/leaseRenewals.service');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+const tenant = { id: 'tenant-1', role: 'TENANT', name: 'Tina' };
+const landlord = { id: 'landlord-1', role: 'LANDLORD' };
+
+const lease = (overrides = {}) => ({
+  id: 'lease-1',
+  code: 'RV-1',
+  propertyId: 'property-1',
+  tenantId: 'tenant-1',
+  landlordId: 'landlord-1',
+  status: 'ACTIVE',
+  startDate: day('2026-01-15'),
+  endDate: day('2026-04-15'),
+  rentAmount: '1000',
+  currencyCode: 'MYR',
+  property: { title: 'Loft', availableUntil: null, maxStayDays: null },
+  tenant,
+  landlord,
+  ...overrides,
+});
+
+const renewal = (overrides = {}) => ({
+  id: 'renewal-1',
+  leaseId: 'lease-1',
+  status: 'PENDING',
+  currentEndDate: day('2026-04-15'),
+  proposedEndDate: day('2026-06-15'),
+  monthlyRent: '1000',
+  respondedAt: null,
+  ...overrides,
+});
+
+describe('Lease Renewals', () => {
+  beforeEach(() => {
+    prisma.lease.findUnique.mockImplementation(async ({ select }) =>
+      select ? { status: 'ACTIVE', endDate: day('2026-04-15') } : lease()
+    );
+    prisma.lease.update.mockImplementation(async ({ data }) =>
+      lease({ endDate: data.endDate })
+    );
+    prisma.leaseRenewal.findFirst.mockResolvedValue(null);
+    prisma.leaseRenewal.create.mockImplementation(async ({ data }) => data);
+    prisma.leaseRenewal.updateMany.mockResolvedValue({ count: 1 });
+    prisma.leaseRenewal.findUnique.mockResolvedValue(
+      renewal({ status: 'APPROVED' })
+    );
+    prisma.invoice.create.mockImplementation(async ({ data }) => ({
+      id: 'invoice-1',
+      ...data,
+      payments: [],
+      taxLines: [],
+    }));
+    bookingsService.hasOverlappingLease.mockResolvedValue(false);
+    availabilityService.findBlockedOverlaps.mockResolvedValue([]);
+    taxesService.calculateInvoice.mockImplementation(
+      async (id, type, amount) => ({
+        amount,
+        taxAmount: 0,
+        lines: [],
+      })
+    );
+  });
+
+  describe('calculateExtensionAmount', () => {
+    it('should bill each rent period the extension adds', () => {
+      expect(
+        leaseRenewalsService.calculateExtensionAmount(
+          lease(),
+          day('2026-06-15'),
+          '1000'
+        )
+      ).toBe(2000);
+      expect(
+        leaseRenewalsService.calculateExtensionAmount(
+          lease(),
+          day('2026-05-01'),
+          '1000'
+        )
+      ).toBe(1000);
+    });
+  });
+
+  describe('requestRenewal', () => {
+    it('should create a request at the current rent', async () => {
+      const created = await leaseRenewalsService.requestRenewal(
+        'lease-1',
+        tenant,
+        { newEndDate: '2026-06-15' }
+      );
+
+      expect(prisma.leaseRenewal.create).toHaveBeenCalledWith({
+        data: {
+          leaseId: 'lease-1',
+          currentEndDate: day('2026-04-15'),
+          proposedEndDate: day('2026-06-15'),
+          monthlyRent: '1000',
+          tenantMessage: null,
+        },
+      });
+      expect(created.extensionAmount).toBe(2000);
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        landlord,
+        'Lease extension requested',
+        expect.stringContaining('until 2026-06-15')
+      );
+    });
+
+    it('should only extend past the current end date', async () => {
+      await expect(
+        leaseRenewalsService.requestRenewal('lease-1', tenant, {
+          newEndDate: '2026-04-01',
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should allow one open request per lease', async () => {
+      prisma.leaseRenewal.findFirst.mockResolvedValue(renewal());
+
+      await expect(
+        leaseRenewalsService.requestRenewal('lease-1', tenant, {
+          newEndDate: '2026-06-15',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not extend into another booking', async () => {
+      bookingsService.hasOverlappingLease.mockResolvedValue(true);
+
+      await expect(
+        leaseRenewalsService.requestRenewal('lease-1', tenant, {
+          newEndDate: '2026-06-15',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(bookingsService.hasOverlappingLease).toHaveBeenCalledWith(
+        'property-1',
+        day('2026-04-15'),
+        day('2026-06-15'),
+        'lease-1',
+        prisma
+      );
+    });
+
+    it('should respect the maximum stay', async () => {
+      prisma.lease.findUnique.mockResolvedValue(
+        lease({ property: { title: 'Loft', maxStayDays: 120 } })
+      );
+
+      await expect(
+        leaseRenewalsService.requestRenewal('lease-1', tenant, {
+          newEndDate: '2026-06-15',
+        })
+      ).rejects.toMatchObject({ statusCode: 400, errorCode: 'STAY_TOO_LONG' });
+    });
+
+    it('should only let the tenant request an extension', async () => {
+      await expect(
+        leaseRenewalsService.requestRenewal('lease-1', landlord, {
+          newEndDate: '2026-06-15',
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('approveRenewal', () => {
+    beforeEach(() => {
+      prisma.leaseRenewal.findFirst.mockResolvedValue(renewal());
+    });
+
+    it('should extend the lease and bill the extension', async () => {
+      const result = await leaseRenewalsService.approveRenewal(
+        'lease-1',
+        'renewal-1',
+        landlord
+      );
+
+      expect(bookingsService.lockPropertyForBooking).toHaveBeenCalledWith(
+        prisma,
+        'property-1'
+      );
+      expect(prisma.invoice.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: 'RENT',
+          amount: 2000,
+          periodStart: day('2026-04-15'),
+          periodEnd: day('2026-06-15'),
+        }),
+        include: { payments: true, taxLines: true },
+      });
+      expect(prisma.leaseRenewal.updateMany).toHaveBeenCalledWith({
+        where: { id: 'renewal-1', status: 'PENDING' },
+        data: expect.objectContaining({
+          status: 'APPROVED',
+          invoiceId: 'invoice-1',
+        }),
+      });
+      expect(result.lease.endDate).toEqual(day('2026-06-15'));
+      expect(emitLeaseEvent).toHaveBeenCalledWith(
+        'lease.renewed',
+        expect.objectContaining({ invoice: expect.any(Object) })
+      );
+    });
+
+    it('should fail when the lease changed since the request', async () => {
+      prisma.lease.findUnique.mockImplementation(async ({ select }) =>
+        select ? { status: 'ACTIVE', endDate: day('2026-05-15') } : lease()
+      );
+
+      await expect(
+        leaseRenewalsService.approveRenewal('lease-1', 'renewal-1', landlord)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.lease.update).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the request was answered meanwhile', async () => {
+      prisma.leaseRenewal.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        leaseRenewalsService.approveRenewal('lease-1', 'renewal-1', landlord)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.lease.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('counter-offers', () => {
+    it('should counter an open request with a new rent', async () => {
+      prisma.leaseRenewal.findFirst.mockResolvedValue(renewal());
+      prisma.leaseRenewal.findUnique.mockResolvedValue(
+        renewal({ status: 'COUNTERED', monthlyRent: '1200' })
+      );
+
+      const countered = await leaseRenewalsService.counterRenewal(
+        'lease-1',
+        'renewal-1',
+        landlord,
+        { monthlyRent: '1200' }
+      );
+
+      expect(countered.extensionAmount).toBe(2400);
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        tenant,
+        'Counter-offer for your lease extension',
+        expect.stringContaining('MYR 1200 per month')
+      );
+    });
+
+    it('should only accept an open counter-offer', async () => {
+      prisma.leaseRenewal.findFirst.mockResolvedValue(renewal());
+
+      await expect(
+        leaseRenewalsService.acceptCounterOffer('lease-1', 'renewal-1', tenant)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
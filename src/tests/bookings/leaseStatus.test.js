@@ -0,0 +1,127 @@
+/**
+ * Lease Status Tests
+ * Walks the whole transition table of the lease state machine
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+
+const leaseStatusService = require('../../modules/bookings/leaseStatus.service');
+
+const STATUSES = [
+  'PENDING',
+  'PAID',
+  'APPROVED',
+  'REJECTED',
+  'CANCELLED',
+  'REFUNDED',
+  'PARTIALLY_REFUNDED',
+  'ACTIVE',
+  'COMPLETED',
+];
+const ROLES = ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'];
+const REFUNDERS = ['TENANT', 'LANDLORD', 'ADMIN', 'SYSTEM'];
+
+// Every legal transition and who may trigger it; anything else is refused
+const EXPECTED = {
+  PENDING: {
+    PAID: ['TENANT', 'SYSTEM'],
+    APPROVED: ['LANDLORD', 'ADMIN'],
+    REJECTED: ['LANDLORD', 'ADMIN'],
+    CANCELLED: ['ADMIN', 'SYSTEM'],
+    REFUNDED: REFUNDERS,
+  },
+  PAID: {
+    APPROVED: ['LANDLORD', 'ADMIN'],
+    ACTIVE: ['SYSTEM'],
+    REJECTED: ['LANDLORD', 'ADMIN'],
+    REFUNDED: REFUNDERS,
+    PARTIALLY_REFUNDED: REFUNDERS,
+  },
+  APPROVED: {
+    PAID: ['TENANT', 'SYSTEM'],
+    ACTIVE: ['SYSTEM'],
+    CANCELLED: ['ADMIN', 'SYSTEM'],
+    REFUNDED: REFUNDERS,
+    PARTIALLY_REFUNDED: REFUNDERS,
+  },
+  ACTIVE: {
+    COMPLETED: ['SYSTEM'],
+    REFUNDED: ['LANDLORD', 'ADMIN', 'SYSTEM'],
+    PARTIALLY_REFUNDED: ['LANDLORD', 'ADMIN', 'SYSTEM'],
+  },
+  PARTIALLY_REFUNDED: {
+    REFUNDED: REFUNDERS,
+  },
+  REJECTED: {},
+  CANCELLED: {},
+  REFUNDED: {},
+  COMPLETED: {},
+};
+
+describe('Lease status transitions', () => {
+  describe.each(STATUSES)('from %s', fromStatus => {
+    it('should list the expected transitions', () => {
+      expect(
+        leaseStatusService.getAllowedTransitions(fromStatus).sort()
+      ).toEqual(Object.keys(EXPECTED[fromStatus]).sort());
+    });
+
+    it.each(STATUSES)(
+      'should allow the expected roles to move to %s',
+      toStatus => {
+        const allowed = EXPECTED[fromStatus][toStatus] || [];
+
+        ROLES.forEach(role => {
+          expect(
+            leaseStatusService.canTransition(fromStatus, toStatus, role)
+          ).toBe(allowed.includes(role));
+        });
+      }
+    );
+  });
+
+  it('should let a lease paid after approval start', () => {
+    expect(leaseStatusService.canTransition('PAID', 'ACTIVE', 'SYSTEM')).toBe(
+      true
+    );
+    expect(leaseStatusService.canTransition('PAID', 'ACTIVE', 'LANDLORD')).toBe(
+      false
+    );
+  });
+
+  it('should refuse transitions that do not exist with 409', () => {
+    expect(() =>
+      leaseStatusService.assertTransition('COMPLETED', 'ACTIVE', 'SYSTEM')
+    ).toThrow(
+      expect.objectContaining({
+        statusCode: 409,
+        errorCode: 'INVALID_STATUS_TRANSITION',
+      })
+    );
+  });
+
+  it('should refuse actors not allowed to trigger a transition with 403', () => {
+    expect(() =>
+      leaseStatusService.assertTransition('PENDING', 'APPROVED', 'TENANT')
+    ).toThrow(
+      expect.objectContaining({
+        statusCode: 403,
+        errorCode: 'STATUS_TRANSITION_NOT_ALLOWED',
+      })
+    );
+  });
+
+  it('should find the role a user acts as', () => {
+    const lease = { tenantId: 't1', landlordId: 'l1' };
+
+    expect(leaseStatusService.getActorRole(lease, null)).toBe('SYSTEM');
+    expect(leaseStatusService.getActorRole(lease, { id: 't1' })).toBe('TENANT');
+    expect(leaseStatusService.getActorRole(lease, { id: 'l1' })).toBe(
+      'LANDLORD'
+    );
+    expect(
+      leaseStatusService.getActorRole(lease, { id: 'a1', role: 'ADMIN' })
+    ).toBe('ADMIN');
+    expect(leaseStatusService.getActorRole(lease, { id: 'x' })).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Lease Termination Tests
+ * Settlement amounts of ending a lease early and refunding the tenant, with
+ * the database and payments mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    invoice: { findMany: jest.fn() },
+    leaseTermination: { update: jest.fn() },
+  },
+}));
+jest.mock('../../modules/invoices/invoices.service', () => ({
+  getRentPeriods: jest.fn(),
+  getAmountPaid: jest.fn(),
+}));
+jest.mock('../../modules/taxes/taxes.service', () => ({}));
+jest.mock('../../modules/payments/payments.service', () => ({
+  refundLeaseAmount: jest.fn(),
+}));
+jest.mock('../../services/notification.service', () => ({}));
+
+const { prisma } = require('../../config/database');
+const invoicesService = require('../../modules/invoices/invoices.service');
+const paymentService = require('../../modules/payments/payments.service');
+const leaseTerminationsService = require('../../modules/bookings/leaseTerminations.service');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+const lease = (overrides = {}) => ({
+  id: 'lease-1',
+  code: 'RV-1',
+  rentAmount: '3000',
+  paymentStatus: 'unpaid',
+  quote: null,
+  property: { terminationNoticeDays: 30, earlyTerminationFeeMonths: null },
+  ...overrides,
+});
+
+const rentInvoice = (overrides = {}) => ({
+  id: 'invoice-1',
+  status: 'PAID',
+  amount: '3000',
+  periodStart: day('2026-06-01'),
+  periodEnd: day('2026-07-01'),
+  payments: [],
+  ...overrides,
+});
+
+describe('Lease Terminations', () => {
+  beforeEach(() => {
+    prisma.invoice.findMany.mockResolvedValue([]);
+    invoicesService.getAmountPaid.mockImplementation(invoice =>
+      invoice.status === 'PAID' ? parseFloat(invoice.amount) : 0
+    );
+  });
+
+  describe('calculateSettlement', () => {
+    it('should charge the tenant for missing notice and the fee', async () => {
+      const settlement = await leaseTerminationsService.calculateSettlement(
+        lease({
+          property: {
+            terminationNoticeDays: 30,
+            earlyTerminationFeeMonths: '1',
+          },
+        }),
+        {
+          initiatedBy: 'TENANT',
+          noticeDate: day('2026-05-01'),
+          effectiveDate: day('2026-05-11'),
+        }
+      );
+
+      expect(settlement).toMatchObject({
+        noticeDays: 30,
+        shortfallDays: 20,
+        penaltyAmount: 5000,
+        compensationAmount: 0,
+        settlementAmount: 5000,
+      });
+    });
+
+    it('should compensate the tenant for short landlord notice', async () => {
+      const settlement = await leaseTerminationsService.calculateSettlement(
+        lease(),
+        {
+          initiatedBy: 'LANDLORD',
+          noticeDate: day('2026-05-01'),
+          effectiveDate: day('2026-05-21'),
+        }
+      );
+
+      expect(settlement).toMatchObject({
+        shortfallDays: 10,
+        penaltyAmount: 0,
+        compensationAmount: 1000,
+        settlementAmount: -1000,
+      });
+    });
+
+    it('should credit rent paid for days after the effective date', async () => {
+      prisma.invoice.findMany.mockResolvedValue([rentInvoice()]);
+
+      const settlement = await leaseTerminationsService.calculateSettlement(
+        lease(),
+        {
+          initiatedBy: 'LANDLORD',
+          noticeDate: day('2026-05-01'),
+          effectiveDate: day('2026-06-21'),
+        }
+      );
+
+      expect(settlement.unusedRentAmount).toBe(1000);
+      expect(settlement.settlementAmount).toBe(-1000);
+      expect(settlement.invoicesToVoid).toEqual([]);
+    });
+
+    it('should void unpaid invoices and charge the days used', async () => {
+      const dueInvoice = rentInvoice({ status: 'DUE' });
+      prisma.invoice.findMany.mockResolvedValue([dueInvoice]);
+
+      const settlement = await leaseTerminationsService.calculateSettlement(
+        lease(),
+        {
+          initiatedBy: 'LANDLORD',
+          noticeDate: day('2026-05-01'),
+          effectiveDate: day('2026-06-11'),
+        }
+      );
+
+      expect(settlement.invoicesToVoid).toEqual([dueInvoice]);
+      expect(settlement.usedRentAmount).toBe(1000);
+      expect(settlement.unusedRentAmount).toBe(0);
+      expect(settlement.settlementAmount).toBe(1000);
+    });
+  });
+
+  describe('refundSettlement', () => {
+    const termination = { id: 'termination-1', settlementAmount: '-1500' };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refund a settlement in the tenant favour', async () => {
+      paymentService.refundLeaseAmount.mockResolvedValue({
+        refundedAmount: 1500,
+        refundIds: ['re_1'],
+      });
+
+      await leaseTerminationsService.refundSettlement(lease(), termination);
+
+      expect(paymentService.refundLeaseAmount).toHaveBeenCalledWith(
+        'lease-1',
+        1500,
+        { terminationId: 'termination-1' }
+      );
+      expect(prisma.leaseTermination.update).toHaveBeenCalledWith({
+        where: { id: 'termination-1' },
+        data: { refundedAmount: 1500, stripeRefundIds: ['re_1'] },
+      });
+    });
+
+    it('should not refund a settlement the tenant owes', async () => {
+      await leaseTerminationsService.refundSettlement(lease(), {
+        ...termination,
+        settlementAmount: '200',
+      });
+
+      expect(paymentService.refundLeaseAmount).not.toHaveBeenCalled();
+    });
+
+    it('should keep the termination when the refund fails', async () => {
+      paymentService.refundLeaseAmount.mockRejectedValue(
+        new Error('Refund failed')
+      );
+
+      const result = await leaseTerminationsService.refundSettlement(
+        lease(),
+        termination
+      );
+
+      expect(result).toBe(termination);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('RV-1'),
+        'Refund failed'
+      );
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Commission Tests
+ * Platform fee rules, fee calculation and fee reversal on refunds, with the
+ * database mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    commissionRule: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    user: { findUnique: jest.fn() },
+    propertyType: { findUnique: jest.fn() },
+  },
+}));
+
+const { prisma } = require('../../config/database');
+const billingConfig = require('../../config/billing');
+const commissionsService = require('../../modules/commissions/commissions.service');
+
+const landlordRule = {
+  id: 'rule-1',
+  landlordId: 'landlord-1',
+  propertyTypeId: null,
+  ratePercent: '5',
+  fixedFee: '1.50',
+};
+
+const propertyTypeRule = {
+  id: 'rule-2',
+  landlordId: null,
+  propertyTypeId: 'type-1',
+  ratePercent: '8',
+  fixedFee: '0',
+};
+
+describe('Commissions', () => {
+  beforeEach(() => {
+    prisma.commissionRule.findMany.mockResolvedValue([]);
+    prisma.commissionRule.upsert.mockImplementation(async ({ create }) => ({
+      id: 'rule-3',
+      ...create,
+    }));
+  });
+
+  describe('getCommission', () => {
+    it('should prefer the landlord rule over the property type rule', async () => {
+      prisma.commissionRule.findMany.mockResolvedValue([
+        propertyTypeRule,
+        landlordRule,
+      ]);
+
+      await expect(
+        commissionsService.getCommission({
+          landlordId: 'landlord-1',
+          propertyTypeId: 'type-1',
+        })
+      ).resolves.toEqual({
+        ratePercent: 5,
+        fixedFee: 1.5,
+        source: 'LANDLORD',
+        ruleId: 'rule-1',
+      });
+      expect(prisma.commissionRule.findMany).toHaveBeenCalledWith({
+        where: {
+          OR: [{ landlordId: 'landlord-1' }, { propertyTypeId: 'type-1' }],
+        },
+      });
+    });
+
+    it('should use the property type rule next', async () => {
+      prisma.commissionRule.findMany.mockResolvedValue([propertyTypeRule]);
+
+      await expect(
+        commissionsService.getCommission({
+          landlordId: 'landlord-1',
+          propertyTypeId: 'type-1',
+        })
+      ).resolves.toMatchObject({ ratePercent: 8, source: 'PROPERTY_TYPE' });
+    });
+
+    it('should fall back to the global rate', async () => {
+      await expect(commissionsService.getCommission({})).resolves.toEqual({
+        ratePercent: billingConfig.commission.ratePercent,
+        fixedFee: billingConfig.commission.fixedFee,
+        source: 'DEFAULT',
+        ruleId: null,
+      });
+      expect(prisma.commissionRule.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateFee', () => {
+    it('should add the fixed fee to the rate', () => {
+      expect(
+        commissionsService.calculateFee(100000, {
+          ratePercent: 5,
+          fixedFee: 1.5,
+        })
+      ).toBe(5150);
+    });
+
+    it('should round to whole cents', () => {
+      expect(
+        commissionsService.calculateFee(999, { ratePercent: 7.5, fixedFee: 0 })
+      ).toBe(75);
+    });
+
+    it('should never take more than the charge', () => {
+      expect(
+        commissionsService.calculateFee(300, { ratePercent: 10, fixedFee: 5 })
+      ).toBe(300);
+    });
+  });
+
+  describe('getFeeForLease', () => {
+    it('should use the landlord and property type of the lease', async () => {
+      prisma.commissionRule.findMany.mockResolvedValue([propertyTypeRule]);
+
+      await expect(
+        commissionsService.getFeeForLease(
+          { landlordId: 'landlord-1', property: { propertyTypeId: 'type-1' } },
+          50000
+        )
+      ).resolves.toMatchObject({ ruleId: 'rule-2', feeInCents: 4000 });
+    });
+  });
+
+  describe('getRefundedFee', () => {
+    it('should return the fee pro rata to the refund', () => {
+      expect(commissionsService.getRefundedFee(100, 1000, 250)).toBe(25);
+      expect(commissionsService.getRefundedFee(33.33, 1000, 333)).toBe(11.1);
+    });
+
+    it('should return at most the whole fee', () => {
+      expect(commissionsService.getRefundedFee(100, 1000, 1500)).toBe(100);
+      expect(commissionsService.getRefundedFee(100, 0, 10)).toBe(0);
+    });
+  });
+
+  describe('rules', () => {
+    it('should replace the rule of a landlord', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'landlord-1' });
+
+      const rule = await commissionsService.setLandlordRule(
+        'landlord-1',
+        { id: 'admin-1' },
+        { ratePercent: '4.5' }
+      );
+
+      expect(prisma.commissionRule.upsert).toHaveBeenCalledWith({
+        where: { landlordId: 'landlord-1' },
+        create: {
+          landlordId: 'landlord-1',
+          ratePercent: 4.5,
+          fixedFee: 0,
+          note: null,
+          createdById: 'admin-1',
+        },
+        update: { ratePercent: 4.5, fixedFee: 0, note: null },
+        include: expect.any(Object),
+      });
+      expect(rule).toMatchObject({ ratePercent: 4.5, fixedFee: 0 });
+    });
+
+    it('should fail for an unknown property type', async () => {
+      prisma.propertyType.findUnique.mockResolvedValue(null);
+
+      await expect(
+        commissionsService.setPropertyTypeRule(
+          'type-9',
+          { id: 'admin-1' },
+          {
+            ratePercent: 8,
+          }
+        )
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.commissionRule.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should fail to delete an unknown rule', async () => {
+      prisma.commissionRule.deleteMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        commissionsService.deleteRule('rule-9')
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Security Deposit Tests
+ * Holding, itemized deductions, disputes and return of deposits, with the
+ * database, Stripe refunds and notifications mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    lease: { findUnique: jest.fn() },
+    invoice: { create: jest.fn() },
+    securityDeposit: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      findMany: jest.fn(),
+    },
+    depositDeduction: { create: jest.fn(), update: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(arg =>
+    typeof arg === 'function' ? arg(prisma) : Promise.all(arg)
+  );
+  return { prisma };
+});
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock('../../services/pdfGeneration.service', () => ({
+  generateDepositStatementPDF: jest.fn(),
+}));
+jest.mock('../../utils/fileUpload', () => ({
+  uploadMultipleFiles: jest.fn(),
+}));
+jest.mock('../../modules/payments/payments.service', () => ({
+  refundPaymentIntent: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const notificationService = require('../../services/notification.service');
+const fileUploadService = require('../../utils/fileUpload');
+const paymentService = require('../../modules/payments/payments.service');
+const depositsService = require('../../modules/deposits/deposits.service');
+
+const tenant = { id: 'tenant-1', role: 'TENANT' };
+const landlord = { id: 'landlord-1', role: 'LANDLORD' };
+
+const deposit = (overrides = {}) => ({
+  id: 'deposit-1',
+  leaseId: 'lease-1',
+  status: 'AWAITING_DEDUCTIONS',
+  amount: '1000',
+  currencyCode: 'MYR',
+  paymentIntentId: 'pi_1',
+  refundAmount: '0',
+  refundedAmount: '0',
+  disputeDeadline: null,
+  deductions: [],
+  lease: {
+    code: 'RV-1',
+    tenantId: 'tenant-1',
+    landlordId: 'landlord-1',
+    property: { title: 'Loft' },
+    tenant,
+    landlord,
+  },
+  ...overrides,
+});
+
+const deduction = (id, amount, approvedAmount = null) => ({
+  id,
+  description: 'Broken lamp',
+  amount,
+  approvedAmount,
+});
+
+describe('Security Deposits', () => {
+  beforeEach(() => {
+    prisma.lease.findUnique.mockResolvedValue({
+      id: 'lease-1',
+      tenantId: 'tenant-1',
+      landlordId: 'landlord-1',
+    });
+    prisma.securityDeposit.findUnique.mockResolvedValue(deposit());
+    prisma.securityDeposit.updateMany.mockResolvedValue({ count: 1 });
+    paymentService.refundPaymentIntent.mockImplementation(
+      async (paymentIntentId, amountInCents) => ({
+        id: 're_1',
+        amount: amountInCents,
+      })
+    );
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordHeld', () => {
+    it('should hold the deposit with a paid deposit invoice', async () => {
+      prisma.lease.findUnique.mockResolvedValue({
+        securityDeposit: '1000',
+        currencyCode: 'MYR',
+        tenantId: 'tenant-1',
+        deposit: null,
+      });
+      prisma.invoice.create.mockResolvedValue({ id: 'invoice-1' });
+
+      await depositsService.recordHeld('lease-1', 'pi_1');
+
+      expect(prisma.invoice.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: 'DEPOSIT',
+          amount: '1000',
+          status: 'PAID',
+        }),
+      });
+      expect(prisma.securityDeposit.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          leaseId: 'lease-1',
+          amount: '1000',
+          paymentIntentId: 'pi_1',
+          invoiceId: 'invoice-1',
+        }),
+      });
+    });
+
+    it('should record a deposit only once', async () => {
+      prisma.lease.findUnique.mockResolvedValue({
+        securityDeposit: '1000',
+        deposit: null,
+      });
+      prisma.invoice.create.mockRejectedValue(
+        Object.assign(new Error('Unique constraint'), { code: 'P2002' })
+      );
+
+      await expect(
+        depositsService.recordHeld('lease-1', 'pi_1')
+      ).resolves.toEqual(deposit());
+    });
+
+    it('should skip leases without a deposit', async () => {
+      prisma.lease.findUnique.mockResolvedValue({ securityDeposit: '0' });
+
+      await expect(
+        depositsService.recordHeld('lease-1', 'pi_1')
+      ).resolves.toBeNull();
+      expect(prisma.invoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDeductedAmount', () => {
+    it('should use approved amounts and never exceed the deposit', () => {
+      expect(
+        depositsService.getDeductedAmount(
+          deposit({
+            deductions: [deduction('d1', '300', '100'), deduction('d2', '200')],
+          })
+        )
+      ).toBe(300);
+      expect(
+        depositsService.getDeductedAmount(
+          deposit({
+            deductions: [deduction('d1', '800'), deduction('d2', '700')],
+          })
+        )
+      ).toBe(1000);
+    });
+  });
+
+  describe('addDeduction', () => {
+    it('should require photo evidence', async () => {
+      await expect(
+        depositsService.addDeduction(
+          'lease-1',
+          landlord,
+          { description: 'Broken lamp', amount: 100 },
+          []
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not deduct more than the deposit', async () => {
+      prisma.securityDeposit.findUnique.mockResolvedValue(
+        deposit({ deductions: [deduction('d1', '900')] })
+      );
+
+      await expect(
+        depositsService.addDeduction(
+          'lease-1',
+          landlord,
+          { description: 'Broken lamp', amount: 200 },
+          [{}]
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(fileUploadService.uploadMultipleFiles).not.toHaveBeenCalled();
+    });
+
+    it('should only let the landlord add deductions', async () => {
+      await expect(
+        depositsService.addDeduction(
+          'lease-1',
+          tenant,
+          { description: 'Broken lamp', amount: 100 },
+          [{}]
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('submitDeductions', () => {
+    it('should propose the deductions to the tenant', async () => {
+      prisma.securityDeposit.findUnique.mockResolvedValue(
+        deposit({ deductions: [deduction('d1', '250')] })
+      );
+
+      await depositsService.submitDeductions('lease-1', landlord);
+
+      expect(prisma.securityDeposit.updateMany).toHaveBeenCalledWith({
+        where: { id: 'deposit-1', status: 'AWAITING_DEDUCTIONS' },
+        data: expect.objectContaining({
+          status: 'PROPOSED',
+          disputeDeadline: expect.any(Date),
+        }),
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        tenant,
+        'Security deposit deductions',
+        expect.stringContaining('deducted MYR 250')
+      );
+      expect(paymentService.refundPaymentIntent).not.toHaveBeenCalled();
+    });
+
+    it('should return the whole deposit without deductions', async () => {
+      await depositsService.submitDeductions('lease-1', landlord);
+
+      expect(prisma.securityDeposit.updateMany).toHaveBeenCalledWith({
+        where: { id: 'deposit-1', status: 'AWAITING_DEDUCTIONS' },
+        data: expect.objectContaining({
+          status: 'SETTLED',
+          deductedAmount: 0,
+          refundAmount: 1000,
+        }),
+      });
+      expect(paymentService.refundPaymentIntent).toHaveBeenCalledWith(
+        'pi_1',
+        100000,
+        { leaseId: 'lease-1', depositId: 'deposit-1' }
+      );
+    });
+  });
+
+  describe('settle', () => {
+    it('should refund the balance and record the refund', async () => {
+      await depositsService.settle(
+        deposit({
+          status: 'PROPOSED',
+          deductions: [deduction('d1', '250')],
+        }),
+        'PROPOSED'
+      );
+
+      expect(paymentService.refundPaymentIntent).toHaveBeenCalledWith(
+        'pi_1',
+        75000,
+        expect.any(Object)
+      );
+      expect(prisma.securityDeposit.update).toHaveBeenCalledWith({
+        where: { id: 'deposit-1' },
+        data: {
+          refundedAmount: 750,
+          stripeRefundIds: ['re_1'],
+          refundError: null,
+        },
+      });
+    });
+
+    it('should record a failed refund for a manual payout', async () => {
+      await depositsService.settle(
+        deposit({ paymentIntentId: null }),
+        'AWAITING_DEDUCTIONS'
+      );
+
+      expect(prisma.securityDeposit.update).toHaveBeenCalledWith({
+        where: { id: 'deposit-1' },
+        data: {
+          refundedAmount: 0,
+          stripeRefundIds: [],
+          refundError: 'No card payment to refund the deposit to',
+        },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        tenant,
+        'Your security deposit has been returned',
+        expect.stringContaining('pay it out manually')
+      );
+    });
+
+    it('should not refund when the deposit changed meanwhile', async () => {
+      prisma.securityDeposit.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        depositsService.settle(deposit(), 'AWAITING_DEDUCTIONS')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(paymentService.refundPaymentIntent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('disputes', () => {
+    it('should not accept disputes after the window closed', async () => {
+      prisma.securityDeposit.findUnique.mockResolvedValue(
+        deposit({
+          status: 'PROPOSED',
+          disputeDeadline: new Date(Date.now() - 1000),
+        })
+      );
+
+      await expect(
+        depositsService.disputeDeductions('lease-1', tenant, {
+          reason: 'The lamp was already broken',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not approve more than the landlord claimed', async () => {
+      prisma.securityDeposit.findUnique.mockResolvedValue(
+        deposit({
+          status: 'DISPUTED',
+          deductions: [deduction('d1', '250')],
+        })
+      );
+
+      await expect(
+        depositsService.resolveDispute(
+          'lease-1',
+          { id: 'admin-1', role: 'ADMIN' },
+          { deductions: [{ id: 'd1', approvedAmount: 300 }] }
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.depositDeduction.update).not.toHaveBeenCalled();
+    });
+  });
+});
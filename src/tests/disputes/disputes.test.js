@@ -0,0 +1,430 @@
+/**
+ * Dispute Tests
+ * Chargebacks reported by Stripe webhooks, their outcome on the lease,
+ * the ledger and payouts, and evidence submission, with the database,
+ * Stripe and the other services mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    dispute: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      count: jest.fn(),
+    },
+    stripePayment: { findUnique: jest.fn() },
+    payment: { findFirst: jest.fn(), updateMany: jest.fn() },
+    lease: { update: jest.fn(), updateMany: jest.fn() },
+    user: { findMany: jest.fn() },
+  },
+}));
+jest.mock('../../config/stripe', () => ({
+  charges: { retrieve: jest.fn() },
+  transfers: { createReversal: jest.fn() },
+  files: { create: jest.fn() },
+  disputes: { update: jest.fn() },
+}));
+jest.mock('../../modules/payments/payments.service', () => ({
+  getLedgerSource: jest.fn(),
+}));
+jest.mock('../../modules/invoices/invoices.service', () => ({
+  refreshInvoiceStatus: jest.fn(),
+}));
+jest.mock('../../modules/deposits/deposits.service', () => ({
+  releaseWithBooking: jest.fn(),
+}));
+jest.mock('../../modules/ledger/ledger.service', () => ({
+  recordDisputeLoss: jest.fn(),
+}));
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const stripe = require('../../config/stripe');
+const paymentsService = require('../../modules/payments/payments.service');
+const invoicesService = require('../../modules/invoices/invoices.service');
+const depositsService = require('../../modules/deposits/deposits.service');
+const ledgerService = require('../../modules/ledger/ledger.service');
+const notificationService = require('../../services/notification.service');
+const disputesService = require('../../modules/disputes/disputes.service');
+
+const landlord = { name: 'Lee', email: 'lee@example.com' };
+const admin = { name: 'Ada', email: 'ada@example.com' };
+
+const stripeDispute = (overrides = {}) => ({
+  id: 'dp_1',
+  charge: 'ch_1',
+  payment_intent: 'pi_1',
+  amount: 100000,
+  currency: 'myr',
+  reason: 'product_not_received',
+  status: 'needs_response',
+  evidence_details: { due_by: 1798761600 },
+  ...overrides,
+});
+
+const record = (overrides = {}) => ({
+  id: 'dispute-1',
+  stripeDisputeId: 'dp_1',
+  chargeId: 'ch_1',
+  paymentIntentId: 'pi_1',
+  leaseId: 'lease-1',
+  stripePaymentId: 'sp-1',
+  paymentId: null,
+  leasePaymentStatus: 'paid',
+  amount: '1000',
+  currency: 'myr',
+  reason: 'product_not_received',
+  status: 'needs_response',
+  evidenceDueBy: null,
+  adjustedAt: null,
+  payment: null,
+  lease: {
+    id: 'lease-1',
+    code: 'RV-1',
+    landlordId: 'landlord-1',
+    startDate: new Date('2026-06-01T00:00:00.000Z'),
+    endDate: new Date('2026-09-01T00:00:00.000Z'),
+    paymentStatus: 'disputed',
+    property: { title: 'Loft', address: '1 Jalan Ampang' },
+    tenant: { name: 'Tina', email: 'tina@example.com' },
+    landlord,
+  },
+  ...overrides,
+});
+
+describe('Disputes', () => {
+  beforeEach(() => {
+    prisma.dispute.findUnique.mockResolvedValue(null);
+    prisma.dispute.create.mockResolvedValue(record());
+    prisma.dispute.update.mockImplementation(async ({ data }) => record(data));
+    prisma.dispute.updateMany.mockResolvedValue({ count: 1 });
+    prisma.dispute.count.mockResolvedValue(0);
+    prisma.stripePayment.findUnique.mockResolvedValue({
+      id: 'sp-1',
+      bookingId: 'lease-1',
+      booking: { paymentStatus: 'paid' },
+    });
+    prisma.user.findMany.mockResolvedValue([admin]);
+    paymentsService.getLedgerSource.mockResolvedValue({
+      paymentIntentId: 'pi_1',
+      amount: 1000,
+      platformFee: 100,
+    });
+    stripe.charges.retrieve.mockResolvedValue({ transfer: 'tr_1' });
+    stripe.transfers.createReversal.mockImplementation(
+      async (transfer, { amount }) => ({ id: 'trr_1', amount })
+    );
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordDispute', () => {
+    it('should link a new dispute to the booking payment', async () => {
+      await disputesService.recordDispute(stripeDispute());
+
+      expect(prisma.dispute.create).toHaveBeenCalledWith({
+        data: {
+          amount: 1000,
+          currency: 'myr',
+          reason: 'product_not_received',
+          status: 'needs_response',
+          evidenceDueBy: new Date(1798761600 * 1000),
+          stripeDisputeId: 'dp_1',
+          chargeId: 'ch_1',
+          paymentIntentId: 'pi_1',
+          leaseId: 'lease-1',
+          stripePaymentId: 'sp-1',
+          paymentId: null,
+          leasePaymentStatus: 'paid',
+        },
+        include: expect.any(Object),
+      });
+      expect(prisma.lease.update).toHaveBeenCalledWith({
+        where: { id: 'lease-1' },
+        data: { paymentStatus: 'disputed' },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        landlord,
+        'Payment disputed',
+        expect.stringContaining('(reason: product not received)')
+      );
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        admin,
+        'Payment disputed',
+        expect.any(String)
+      );
+    });
+
+    it('should leave the lease alone for an invoice payment', async () => {
+      prisma.stripePayment.findUnique.mockResolvedValue(null);
+      prisma.payment.findFirst.mockResolvedValue({
+        id: 'payment-1',
+        invoice: { leaseId: 'lease-1' },
+      });
+      prisma.dispute.create.mockResolvedValue(
+        record({ stripePaymentId: null, paymentId: 'payment-1' })
+      );
+
+      await disputesService.recordDispute(stripeDispute());
+
+      expect(prisma.dispute.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            paymentId: 'payment-1',
+            stripePaymentId: null,
+          }),
+        })
+      );
+      expect(prisma.lease.update).not.toHaveBeenCalled();
+    });
+
+    it('should only update a dispute reported before', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(record());
+
+      await disputesService.recordDispute(
+        stripeDispute({ status: 'under_review' })
+      );
+
+      expect(prisma.dispute.update).toHaveBeenCalledWith({
+        where: { id: 'dispute-1' },
+        data: expect.objectContaining({ status: 'under_review' }),
+        include: expect.any(Object),
+      });
+      expect(prisma.dispute.create).not.toHaveBeenCalled();
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should update when another delivery created it first', async () => {
+      prisma.dispute.create.mockRejectedValue(
+        Object.assign(new Error('Unique constraint'), { code: 'P2002' })
+      );
+
+      await disputesService.recordDispute(stripeDispute());
+
+      expect(prisma.dispute.update).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { stripeDisputeId: 'dp_1' } })
+      );
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should skip disputes of unknown payments', async () => {
+      prisma.stripePayment.findUnique.mockResolvedValue(null);
+      prisma.payment.findFirst.mockResolvedValue(null);
+
+      await expect(
+        disputesService.recordDispute(stripeDispute())
+      ).resolves.toBeNull();
+      expect(prisma.dispute.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleDisputeClosed', () => {
+    it('should give the lease its payment status back when won', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(record());
+
+      await disputesService.handleDisputeClosed(
+        stripeDispute({ status: 'won' })
+      );
+
+      expect(prisma.lease.updateMany).toHaveBeenCalledWith({
+        where: { id: 'lease-1', paymentStatus: 'disputed' },
+        data: { paymentStatus: 'paid' },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        landlord,
+        'Dispute closed',
+        expect.stringContaining('The payment stands.')
+      );
+      expect(ledgerService.recordDisputeLoss).not.toHaveBeenCalled();
+    });
+
+    it('should keep the lease disputed while another dispute is open', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(record());
+      prisma.dispute.count.mockResolvedValue(1);
+
+      await disputesService.handleDisputeClosed(
+        stripeDispute({ status: 'won' })
+      );
+
+      expect(prisma.lease.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should take a lost booking payment back', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(record());
+
+      await disputesService.handleDisputeClosed(
+        stripeDispute({ status: 'lost' })
+      );
+
+      expect(prisma.lease.update).toHaveBeenCalledWith({
+        where: { id: 'lease-1' },
+        data: { paymentStatus: 'charged_back' },
+      });
+      expect(depositsService.releaseWithBooking).toHaveBeenCalledWith(
+        'lease-1',
+        1000
+      );
+      expect(stripe.transfers.createReversal).toHaveBeenCalledWith(
+        'tr_1',
+        { amount: 90000, metadata: { disputeId: 'dp_1', leaseId: 'lease-1' } },
+        { idempotencyKey: 'dispute-reversal-dp_1' }
+      );
+      expect(ledgerService.recordDisputeLoss).toHaveBeenCalledWith(
+        expect.objectContaining({ paymentIntentId: 'pi_1' }),
+        { disputeId: 'dp_1', amount: 1000, feeReturned: 100, reversed: 900 }
+      );
+      expect(prisma.dispute.updateMany).toHaveBeenCalledWith({
+        where: { id: 'dispute-1', adjustedAt: null },
+        data: { adjustedAt: expect.any(Date), transferReversalId: 'trr_1' },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        landlord,
+        'Dispute lost',
+        expect.stringContaining('MYR 900 was taken back from your payouts.')
+      );
+    });
+
+    it('should make a lost invoice payment due again', async () => {
+      const invoiceDispute = {
+        stripePaymentId: null,
+        paymentId: 'payment-1',
+        payment: { invoiceId: 'invoice-1' },
+      };
+      prisma.dispute.findUnique.mockResolvedValue(record(invoiceDispute));
+      prisma.dispute.update.mockImplementation(async ({ data }) =>
+        record({ ...invoiceDispute, ...data })
+      );
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+
+      await disputesService.handleDisputeClosed(
+        stripeDispute({ status: 'lost' })
+      );
+
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 'payment-1', status: 'COMPLETED' },
+        data: { status: 'REFUNDED' },
+      });
+      expect(invoicesService.refreshInvoiceStatus).toHaveBeenCalledWith(
+        'invoice-1'
+      );
+      expect(prisma.lease.update).not.toHaveBeenCalled();
+    });
+
+    it('should tell admins when the transfer could not be reversed', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(record());
+      stripe.transfers.createReversal.mockRejectedValue(
+        new Error('Insufficient funds')
+      );
+
+      await disputesService.handleDisputeClosed(
+        stripeDispute({ status: 'lost' })
+      );
+
+      expect(ledgerService.recordDisputeLoss).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ reversed: 0 })
+      );
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        admin,
+        'Dispute lost',
+        expect.stringContaining('could not be reversed')
+      );
+    });
+
+    it('should adjust for a lost dispute once', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(
+        record({ adjustedAt: new Date() })
+      );
+      prisma.dispute.update.mockImplementation(async ({ data }) =>
+        record({ ...data, adjustedAt: new Date() })
+      );
+
+      await disputesService.handleDisputeClosed(
+        stripeDispute({ status: 'lost' })
+      );
+
+      expect(prisma.lease.update).not.toHaveBeenCalled();
+      expect(ledgerService.recordDisputeLoss).not.toHaveBeenCalled();
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submitEvidence', () => {
+    beforeEach(() => {
+      prisma.dispute.findUnique.mockResolvedValue(record());
+      stripe.files.create.mockResolvedValue({ id: 'file_1' });
+      stripe.disputes.update.mockResolvedValue({ status: 'under_review' });
+    });
+
+    it('should send the lease details and uploaded files to Stripe', async () => {
+      await disputesService.submitEvidence(
+        'dispute-1',
+        { id: 'landlord-1', role: 'LANDLORD' },
+        { notes: 'The tenant checked in', submit: true },
+        {
+          receipt: [
+            {
+              buffer: Buffer.from('pdf'),
+              originalname: 'receipt.pdf',
+              mimetype: 'application/pdf',
+            },
+          ],
+        }
+      );
+
+      expect(stripe.disputes.update).toHaveBeenCalledWith('dp_1', {
+        evidence: {
+          customer_name: 'Tina',
+          customer_email_address: 'tina@example.com',
+          product_description:
+            'Rental of "Loft", 1 Jalan Ampang, from 2026-06-01 to 2026-09-01 (lease RV-1)',
+          service_date: '2026-06-01',
+          uncategorized_text: 'The tenant checked in',
+          receipt: 'file_1',
+        },
+        submit: true,
+      });
+      expect(prisma.dispute.update).toHaveBeenCalledWith({
+        where: { id: 'dispute-1' },
+        data: expect.objectContaining({
+          status: 'under_review',
+          evidenceSubmittedAt: expect.any(Date),
+        }),
+        include: expect.any(Object),
+      });
+    });
+
+    it('should refuse evidence once the dispute is under review', async () => {
+      prisma.dispute.findUnique.mockResolvedValue(
+        record({ status: 'under_review' })
+      );
+
+      await expect(
+        disputesService.submitEvidence(
+          'dispute-1',
+          { id: 'landlord-1', role: 'LANDLORD' },
+          {}
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(stripe.disputes.update).not.toHaveBeenCalled();
+    });
+
+    it('should only let the landlord of the lease submit evidence', async () => {
+      await expect(
+        disputesService.submitEvidence(
+          'dispute-1',
+          { id: 'landlord-2', role: 'LANDLORD' },
+          {}
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * Inspection Tests
+ * Move-in and move-out checklists, signing and the move-out differences,
+ * with the database, uploads and notifications mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    lease: { findUnique: jest.fn() },
+    leaseInspection: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    inspectionItem: {
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock('../../services/pdfGeneration.service', () => ({
+  generateInspectionReportPDF: jest.fn(),
+}));
+jest.mock('../../utils/fileUpload', () => ({
+  uploadFile: jest.fn(),
+  uploadMultipleFiles: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const notificationService = require('../../services/notification.service');
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+const fileUploadService = require('../../utils/fileUpload');
+const inspectionsService = require('../../modules/inspections/inspections.service');
+
+const tenant = { id: 'tenant-1', role: 'TENANT' };
+const landlord = { id: 'landlord-1', role: 'LANDLORD' };
+
+const lease = {
+  id: 'lease-1',
+  code: 'RV-1',
+  status: 'ACTIVE',
+  tenantId: 'tenant-1',
+  landlordId: 'landlord-1',
+  property: { title: 'Loft' },
+  tenant,
+  landlord,
+};
+
+const item = (room, name, condition, overrides = {}) => ({
+  id: `${room}-${name}`,
+  room,
+  item: name,
+  condition,
+  notes: null,
+  photos: [],
+  ...overrides,
+});
+
+const inspection = (overrides = {}) => ({
+  id: 'inspection-1',
+  leaseId: 'lease-1',
+  type: 'MOVE_IN',
+  status: 'DRAFT',
+  tenantSignedAt: null,
+  landlordSignedAt: null,
+  pdfUrl: null,
+  items: [item('Kitchen', 'Oven', 'GOOD')],
+  ...overrides,
+});
+
+describe('Inspections', () => {
+  beforeEach(() => {
+    prisma.lease.findUnique.mockResolvedValue(lease);
+    prisma.leaseInspection.findFirst.mockResolvedValue(inspection());
+    prisma.leaseInspection.findUnique.mockResolvedValue(null);
+    prisma.leaseInspection.updateMany.mockResolvedValue({ count: 1 });
+    fileUploadService.uploadMultipleFiles.mockImplementation(async files =>
+      files.map((file, index) => ({ url: `https://s3/photo-${index}.jpg` }))
+    );
+    pdfGenerationService.generateInspectionReportPDF.mockResolvedValue({
+      url: 'https://s3/report.pdf',
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDifferences', () => {
+    it('should compare items by room and name', () => {
+      const { summary, items } = inspectionsService.getDifferences(
+        inspection({
+          items: [
+            item('Kitchen', 'Oven', 'GOOD'),
+            item('Bedroom', 'Bed', 'FAIR'),
+            item('Bathroom', 'Mirror', 'EXCELLENT'),
+            item('Hall', 'Lamp', 'GOOD'),
+          ],
+        }),
+        inspection({
+          type: 'MOVE_OUT',
+          items: [
+            item(' kitchen', 'OVEN ', 'DAMAGED'),
+            item('Bedroom', 'Bed', 'GOOD'),
+            item('Bathroom', 'Mirror', 'EXCELLENT'),
+            item('Balcony', 'Chair', 'POOR'),
+          ],
+        })
+      );
+
+      expect(summary).toEqual({
+        UNCHANGED: 1,
+        WORSE: 1,
+        BETTER: 1,
+        ADDED: 1,
+        NOT_INSPECTED: 1,
+      });
+      expect(items).toContainEqual({
+        room: ' kitchen',
+        item: 'OVEN ',
+        change: 'WORSE',
+        moveIn: { condition: 'GOOD', notes: null, photos: [] },
+        moveOut: { condition: 'DAMAGED', notes: null, photos: [] },
+      });
+      expect(items).toContainEqual(
+        expect.objectContaining({
+          room: 'Hall',
+          change: 'NOT_INSPECTED',
+          moveOut: null,
+        })
+      );
+      expect(items).toContainEqual(
+        expect.objectContaining({
+          room: 'Balcony',
+          change: 'ADDED',
+          moveIn: null,
+        })
+      );
+    });
+  });
+
+  describe('createInspection', () => {
+    it('should only start a move-in before the lease ends', async () => {
+      prisma.lease.findUnique.mockResolvedValue({
+        ...lease,
+        status: 'COMPLETED',
+      });
+
+      await expect(
+        inspectionsService.createInspection('lease-1', tenant, {
+          type: 'MOVE_IN',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.leaseInspection.create).not.toHaveBeenCalled();
+    });
+
+    it('should allow one inspection of each type', async () => {
+      prisma.leaseInspection.findUnique.mockResolvedValue(inspection());
+
+      await expect(
+        inspectionsService.createInspection('lease-1', tenant, {
+          type: 'MOVE_IN',
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should only let the parties start an inspection', async () => {
+      await expect(
+        inspectionsService.createInspection(
+          'lease-1',
+          { id: 'admin-1', role: 'ADMIN' },
+          { type: 'MOVE_IN' }
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('items', () => {
+    it('should upload the photos of a new item', async () => {
+      await inspectionsService.addItem(
+        'lease-1',
+        'inspection-1',
+        tenant,
+        { room: 'Kitchen', item: 'Sink', condition: 'FAIR' },
+        [{}, {}]
+      );
+
+      expect(fileUploadService.uploadMultipleFiles).toHaveBeenCalledWith(
+        [{}, {}],
+        'inspections'
+      );
+      expect(prisma.inspectionItem.create).toHaveBeenCalledWith({
+        data: {
+          inspectionId: 'inspection-1',
+          room: 'Kitchen',
+          item: 'Sink',
+          condition: 'FAIR',
+          notes: null,
+          photos: ['https://s3/photo-0.jpg', 'https://s3/photo-1.jpg'],
+        },
+      });
+    });
+
+    it('should add new photos and drop removed ones', async () => {
+      prisma.leaseInspection.findFirst.mockResolvedValue(
+        inspection({
+          items: [
+            item('Kitchen', 'Oven', 'GOOD', {
+              photos: ['https://s3/old-1.jpg', 'https://s3/old-2.jpg'],
+            }),
+          ],
+        })
+      );
+
+      await inspectionsService.updateItem(
+        'lease-1',
+        'inspection-1',
+        'Kitchen-Oven',
+        tenant,
+        { condition: 'FAIR', removePhotos: ['https://s3/old-1.jpg'] },
+        [{}]
+      );
+
+      expect(prisma.inspectionItem.update).toHaveBeenCalledWith({
+        where: { id: 'Kitchen-Oven' },
+        data: {
+          condition: 'FAIR',
+          photos: ['https://s3/old-2.jpg', 'https://s3/photo-0.jpg'],
+        },
+      });
+    });
+
+    it('should not change signed inspections', async () => {
+      prisma.leaseInspection.findFirst.mockResolvedValue(
+        inspection({ status: 'SIGNING' })
+      );
+
+      await expect(
+        inspectionsService.removeItem(
+          'lease-1',
+          'inspection-1',
+          'Kitchen-Oven',
+          landlord
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.inspectionItem.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('signInspection', () => {
+    it('should ask the other party to sign', async () => {
+      await inspectionsService.signInspection(
+        'lease-1',
+        'inspection-1',
+        tenant
+      );
+
+      expect(prisma.leaseInspection.updateMany).toHaveBeenCalledWith({
+        where: { id: 'inspection-1', tenantSignedAt: null },
+        data: {
+          tenantSignedAt: expect.any(Date),
+          tenantSignatureUrl: null,
+          status: 'SIGNING',
+        },
+      });
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        landlord,
+        'Inspection report ready to sign',
+        expect.stringContaining('signed by the tenant')
+      );
+      expect(
+        pdfGenerationService.generateInspectionReportPDF
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should complete the report with the second signature', async () => {
+      prisma.leaseInspection.findFirst.mockResolvedValue(
+        inspection({ status: 'SIGNING', tenantSignedAt: new Date() })
+      );
+
+      await inspectionsService.signInspection(
+        'lease-1',
+        'inspection-1',
+        landlord
+      );
+
+      expect(prisma.leaseInspection.updateMany).toHaveBeenCalledWith({
+        where: { id: 'inspection-1', landlordSignedAt: null },
+        data: expect.objectContaining({
+          status: 'COMPLETED',
+          completedAt: expect.any(Date),
+        }),
+      });
+      expect(prisma.leaseInspection.update).toHaveBeenCalledWith({
+        where: { id: 'inspection-1' },
+        data: { pdfUrl: 'https://s3/report.pdf' },
+      });
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should not sign an empty checklist', async () => {
+      prisma.leaseInspection.findFirst.mockResolvedValue(
+        inspection({ items: [] })
+      );
+
+      await expect(
+        inspectionsService.signInspection('lease-1', 'inspection-1', tenant)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not sign twice at the same time', async () => {
+      prisma.leaseInspection.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        inspectionsService.signInspection('lease-1', 'inspection-1', tenant)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReportPDF', () => {
+    it('should only export completed reports', async () => {
+      await expect(
+        inspectionsService.getReportPDF('lease-1', 'inspection-1', tenant)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should generate a missing PDF', async () => {
+      prisma.leaseInspection.findFirst.mockResolvedValue(
+        inspection({ status: 'COMPLETED' })
+      );
+
+      await expect(
+        inspectionsService.getReportPDF('lease-1', 'inspection-1', tenant)
+      ).resolves.toEqual({ url: 'https://s3/report.pdf' });
+    });
+
+    it('should fail when the PDF cannot be generated', async () => {
+      prisma.leaseInspection.findFirst.mockResolvedValue(
+        inspection({ status: 'COMPLETED' })
+      );
+      pdfGenerationService.generateInspectionReportPDF.mockRejectedValue(
+        new Error('Puppeteer crashed')
+      );
+
+      await expect(
+        inspectionsService.getReportPDF('lease-1', 'inspection-1', tenant)
+      ).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+});
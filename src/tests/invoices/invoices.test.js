@@ -0,0 +1,254 @@
+/**
+ * Invoice Tests
+ * Monthly rent periods, invoice generation and payment status, with the
+ * database mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    invoice: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+    payment: { findFirst: jest.fn(), updateMany: jest.fn() },
+  },
+}));
+jest.mock('../../modules/bookings/leaseParticipants.service', () => ({}));
+jest.mock('../../modules/receipts/receipts.service', () => ({}));
+jest.mock('../../modules/taxes/taxes.service', () => ({
+  calculateInvoice: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const taxesService = require('../../modules/taxes/taxes.service');
+const invoicesService = require('../../modules/invoices/invoices.service');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+const lease = {
+  id: 'lease-1',
+  startDate: day('2026-01-31'),
+  endDate: day('2026-05-15'),
+  rentAmount: '1000',
+  currencyCode: 'MYR',
+  quote: { upfrontMonths: 1 },
+};
+
+describe('Invoices', () => {
+  describe('getRentPeriods', () => {
+    it('should bill calendar months from the lease start', () => {
+      expect(invoicesService.getRentPeriods(lease, 1)).toEqual([
+        { periodStart: day('2026-02-28'), periodEnd: day('2026-03-31') },
+        { periodStart: day('2026-03-31'), periodEnd: day('2026-04-30') },
+        { periodStart: day('2026-04-30'), periodEnd: day('2026-05-15') },
+      ]);
+    });
+
+    it('should leave nothing to bill when all months were paid upfront', () => {
+      expect(invoicesService.getRentPeriods(lease, 4)).toEqual([]);
+    });
+  });
+
+  describe('generateRentInvoicesForLease', () => {
+    beforeEach(() => {
+      prisma.invoice.findMany.mockResolvedValue([]);
+      taxesService.calculateInvoice.mockImplementation(
+        async (leaseId, type, amount) => ({
+          amount: amount + 80,
+          taxAmount: 80,
+          lines: [],
+        })
+      );
+      prisma.invoice.create.mockImplementation(async ({ data }) => data);
+    });
+
+    it('should issue the periods starting within the lead time', async () => {
+      const created = await invoicesService.generateRentInvoicesForLease(
+        lease,
+        day('2026-03-25')
+      );
+
+      expect(created).toHaveLength(2);
+      expect(created[0]).toMatchObject({
+        type: 'RENT',
+        amount: 1080,
+        taxAmount: 80,
+        dueDate: day('2026-02-28'),
+        memo: 'Rent 2026-02-28 - 2026-03-31',
+      });
+    });
+
+    it('should skip periods that are already invoiced', async () => {
+      prisma.invoice.findMany.mockResolvedValue([
+        { periodStart: day('2026-02-28'), periodEnd: day('2026-04-30') },
+      ]);
+
+      const created = await invoicesService.generateRentInvoicesForLease(
+        lease,
+        day('2026-05-01')
+      );
+
+      expect(created.map(invoice => invoice.periodStart)).toEqual([
+        day('2026-04-30'),
+      ]);
+    });
+
+    it('should skip periods another run created meanwhile', async () => {
+      prisma.invoice.create.mockRejectedValueOnce(
+        Object.assign(new Error('Unique constraint'), { code: 'P2002' })
+      );
+
+      const created = await invoicesService.generateRentInvoicesForLease(
+        lease,
+        day('2026-03-25')
+      );
+
+      expect(created).toHaveLength(1);
+    });
+
+    it('should not bill leases paid in full at booking', async () => {
+      await expect(
+        invoicesService.generateRentInvoicesForLease({ ...lease, quote: null })
+      ).resolves.toEqual([]);
+      expect(prisma.invoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshInvoiceStatus', () => {
+    const invoice = (payments, overrides = {}) => ({
+      id: 'invoice-1',
+      status: 'DUE',
+      amount: '1000',
+      paidAt: null,
+      payments,
+      ...overrides,
+    });
+
+    it('should mark an invoice paid once payments cover it', async () => {
+      prisma.invoice.findUnique.mockResolvedValue(
+        invoice([
+          { status: 'COMPLETED', amount: '400' },
+          { status: 'COMPLETED', amount: '600' },
+          { status: 'FAILED', amount: '1000' },
+        ])
+      );
+
+      await invoicesService.refreshInvoiceStatus('invoice-1');
+
+      expect(prisma.invoice.update).toHaveBeenCalledWith({
+        where: { id: 'invoice-1' },
+        data: { status: 'PAID', paidAt: expect.any(Date) },
+      });
+    });
+
+    it('should keep a partly paid invoice due', async () => {
+      prisma.invoice.findUnique.mockResolvedValue(
+        invoice([{ status: 'COMPLETED', amount: '400' }])
+      );
+
+      await invoicesService.refreshInvoiceStatus('invoice-1');
+
+      expect(prisma.invoice.update).toHaveBeenCalledWith({
+        where: { id: 'invoice-1' },
+        data: { status: 'DUE', paidAt: null },
+      });
+    });
+
+    it('should mark an invoice refunded when all payments were', async () => {
+      prisma.invoice.findUnique.mockResolvedValue(
+        invoice([{ status: 'REFUNDED', amount: '1000' }], { status: 'PAID' })
+      );
+
+      await invoicesService.refreshInvoiceStatus('invoice-1');
+
+      expect(prisma.invoice.update).toHaveBeenCalledWith({
+        where: { id: 'invoice-1' },
+        data: { status: 'REFUNDED', paidAt: null },
+      });
+    });
+
+    it('should never change a void invoice', async () => {
+      prisma.invoice.findUnique.mockResolvedValue(
+        invoice([], { status: 'VOID' })
+      );
+
+      await invoicesService.refreshInvoiceStatus('invoice-1');
+
+      expect(prisma.invoice.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Stripe payment events', () => {
+    let payment;
+
+    beforeEach(() => {
+      payment = {
+        id: 'payment-1',
+        invoiceId: 'invoice-1',
+        status: 'PENDING',
+        amount: '1000',
+      };
+
+      prisma.payment.findFirst.mockImplementation(async () => ({
+        ...payment,
+      }));
+      prisma.payment.updateMany.mockImplementation(async ({ where, data }) => {
+        const from = where.status.in || [where.status];
+        if (!from.includes(payment.status)) return { count: 0 };
+
+        Object.assign(payment, data);
+        return { count: 1 };
+      });
+      prisma.invoice.findUnique.mockImplementation(async () => ({
+        id: 'invoice-1',
+        status: 'DUE',
+        amount: '1000',
+        paidAt: null,
+        payments: [payment],
+      }));
+    });
+
+    it('should complete a payment retried after a declined card', async () => {
+      await invoicesService.handleStripePaymentFailed({ id: 'pi_1' });
+      expect(payment.status).toBe('FAILED');
+
+      await invoicesService.handleStripePaymentSucceeded({ id: 'pi_1' });
+
+      expect(payment.status).toBe('COMPLETED');
+      expect(prisma.invoice.update).toHaveBeenCalledWith({
+        where: { id: 'invoice-1' },
+        data: { status: 'PAID', paidAt: expect.any(Date) },
+      });
+    });
+
+    it('should not fail a completed payment on a late event', async () => {
+      await invoicesService.handleStripePaymentSucceeded({ id: 'pi_1' });
+      await invoicesService.handleStripePaymentFailed({ id: 'pi_1' });
+
+      expect(payment.status).toBe('COMPLETED');
+    });
+
+    it('should refresh the invoice once per completion', async () => {
+      await invoicesService.handleStripePaymentSucceeded({ id: 'pi_1' });
+      await invoicesService.handleStripePaymentSucceeded({ id: 'pi_1' });
+
+      expect(prisma.invoice.update).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getBalanceDue', () => {
+    it('should subtract completed payments', () => {
+      expect(
+        invoicesService.getBalanceDue({
+          amount: '1000.10',
+          payments: [
+            { status: 'COMPLETED', amount: '400.05' },
+            { status: 'PENDING', amount: '100' },
+          ],
+        })
+      ).toBe(600.05);
+    });
+  });
+});
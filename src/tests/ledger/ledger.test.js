@@ -0,0 +1,327 @@
+/**
+ * Ledger Tests
+ * Double-entry postings of payments, fees, payouts, refunds and disputes
+ * and the balances read back from them. Posted transactions are kept in
+ * memory in place of the database.
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    lease: { findUnique: jest.fn() },
+    ledgerTransaction: { create: jest.fn(), findMany: jest.fn() },
+    ledgerEntry: {
+      findMany: jest.fn(),
+      aggregate: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    $queryRaw: jest.fn(),
+  },
+}));
+jest.mock('../../modules/bookings/leaseParticipants.service', () => ({
+  isTenantParty: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const leaseParticipantsService = require('../../modules/bookings/leaseParticipants.service');
+const ledgerService = require('../../modules/ledger/ledger.service');
+
+const payment = {
+  paymentIntentId: 'pi_1',
+  leaseId: 'lease-1',
+  tenantId: 'tenant-1',
+  landlordId: 'landlord-1',
+  amount: '1000',
+  platformFee: '100',
+  currency: 'myr',
+  occurredAt: new Date('2026-06-01T00:00:00.000Z'),
+};
+
+const uniqueError = () =>
+  Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+describe('Ledger', () => {
+  let transactions;
+
+  const postedTypes = () => transactions.map(({ type }) => type);
+
+  beforeEach(() => {
+    transactions = [];
+
+    prisma.ledgerTransaction.create.mockImplementation(async ({ data }) => {
+      if (transactions.some(({ reference }) => reference === data.reference)) {
+        throw uniqueError();
+      }
+
+      const transaction = { ...data, entries: data.entries.create };
+      transactions.push(transaction);
+      return transaction;
+    });
+    prisma.ledgerTransaction.findMany.mockImplementation(async ({ where }) =>
+      transactions.filter(
+        ({ sourceId, type }) =>
+          sourceId === where.sourceId && where.type.in.includes(type)
+      )
+    );
+    prisma.ledgerEntry.findMany.mockImplementation(async () =>
+      transactions.flatMap(({ type, entries }) =>
+        entries.map(entry => ({ ...entry, transaction: { type } }))
+      )
+    );
+  });
+
+  describe('postTransaction', () => {
+    it('should refuse entries that do not balance', async () => {
+      await expect(
+        ledgerService.postTransaction({
+          reference: 'payment:pi_1',
+          entries: [
+            { account: 'STRIPE_CLEARING', debit: 100, credit: 0 },
+            { account: 'TENANT', debit: 0, credit: 99.99 },
+          ],
+        })
+      ).rejects.toMatchObject({
+        statusCode: 500,
+        message: 'Ledger transaction payment:pi_1 does not balance',
+      });
+      expect(prisma.ledgerTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse empty transactions', async () => {
+      await expect(
+        ledgerService.postTransaction({ reference: 'empty', entries: [] })
+      ).rejects.toMatchObject({ statusCode: 500 });
+    });
+
+    it('should skip a reference that was already posted', async () => {
+      const transaction = {
+        reference: 'payment:pi_1',
+        entries: [
+          { account: 'STRIPE_CLEARING', debit: 0.1, credit: 0 },
+          { account: 'TENANT', debit: 0.2, credit: 0.3 },
+        ],
+      };
+
+      await expect(
+        ledgerService.postTransaction(transaction)
+      ).resolves.toMatchObject({ reference: 'payment:pi_1' });
+      await expect(
+        ledgerService.postTransaction(transaction)
+      ).resolves.toBeNull();
+      expect(transactions).toHaveLength(1);
+    });
+
+    it('should rethrow other database errors', async () => {
+      prisma.ledgerTransaction.create.mockRejectedValue(
+        new Error('Connection lost')
+      );
+
+      await expect(
+        ledgerService.postTransaction({
+          reference: 'payment:pi_1',
+          entries: [
+            { account: 'STRIPE_CLEARING', debit: 1, credit: 0 },
+            { account: 'TENANT', debit: 0, credit: 1 },
+          ],
+        })
+      ).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('recordStripePayment', () => {
+    it('should post the payment, the fee and the transfer', async () => {
+      await ledgerService.recordStripePayment(payment, { transferred: true });
+
+      expect(postedTypes()).toEqual(['PAYMENT', 'PLATFORM_FEE', 'PAYOUT']);
+      expect(transactions[0]).toMatchObject({
+        reference: 'payment:pi_1',
+        sourceId: 'pi_1',
+        currency: 'MYR',
+      });
+      await expect(ledgerService.getBalance({})).resolves.toMatchObject({
+        collected: 1000,
+        platformFees: 100,
+        landlordEarnings: 900,
+        paidOut: 900,
+        landlordPayable: 0,
+        stripeClearing: 100,
+      });
+    });
+
+    it('should post each payment once', async () => {
+      await ledgerService.recordStripePayment(payment);
+      await ledgerService.recordStripePayment(payment);
+
+      expect(postedTypes()).toEqual(['PAYMENT', 'PLATFORM_FEE']);
+      await expect(ledgerService.getBalance({})).resolves.toMatchObject({
+        collected: 1000,
+        landlordPayable: 900,
+      });
+    });
+  });
+
+  describe('recordStripeRefund', () => {
+    it('should post only what was refunded since the last report', async () => {
+      await ledgerService.recordStripePayment(payment, { transferred: true });
+      await ledgerService.recordStripeRefund(payment, 250, 25);
+      await ledgerService.recordStripeRefund(payment, 250, 25);
+      await ledgerService.recordStripeRefund(payment, 1000, 100);
+
+      expect(
+        transactions
+          .filter(({ type }) => type === 'REFUND')
+          .map(({ reference }) => reference)
+      ).toEqual(['refund:pi_1:25000', 'refund:pi_1:100000']);
+      await expect(ledgerService.getBalance({})).resolves.toMatchObject({
+        collected: 1000,
+        refunded: 1000,
+        platformFees: 0,
+        platformFeesRefunded: 100,
+        landlordEarnings: 0,
+        paidOut: 0,
+        landlordPayable: 0,
+        stripeClearing: 0,
+      });
+    });
+
+    it('should leave the transfer alone when it was not made', async () => {
+      await ledgerService.recordStripePayment(payment);
+      await ledgerService.recordStripeRefund(payment, 500, 50);
+
+      expect(postedTypes()).toEqual([
+        'PAYMENT',
+        'PLATFORM_FEE',
+        'REFUND',
+        'FEE_REFUND',
+      ]);
+      await expect(ledgerService.getBalance({})).resolves.toMatchObject({
+        refunded: 500,
+        platformFees: 50,
+        landlordEarnings: 450,
+        landlordPayable: 450,
+      });
+    });
+  });
+
+  describe('recordDisputeLoss', () => {
+    it('should take the payment back from the landlord', async () => {
+      await ledgerService.recordStripePayment(payment, { transferred: true });
+      await ledgerService.recordDisputeLoss(payment, {
+        disputeId: 'dp_1',
+        amount: 1000,
+        feeReturned: 100,
+        reversed: 900,
+      });
+
+      expect(postedTypes()).toEqual([
+        'PAYMENT',
+        'PLATFORM_FEE',
+        'PAYOUT',
+        'DISPUTE',
+        'FEE_REFUND',
+        'PAYOUT_REVERSAL',
+      ]);
+      await expect(ledgerService.getBalance({})).resolves.toMatchObject({
+        disputed: 1000,
+        platformFees: 0,
+        landlordEarnings: 0,
+        paidOut: 0,
+        landlordPayable: 0,
+      });
+    });
+  });
+
+  describe('recordOfflinePayment', () => {
+    it('should count the payment as received by the landlord', async () => {
+      await ledgerService.recordOfflinePayment({
+        paymentId: 'payment-1',
+        leaseId: 'lease-1',
+        tenantId: 'tenant-1',
+        landlordId: 'landlord-1',
+        amount: '800',
+      });
+
+      expect(transactions.map(({ reference }) => reference)).toEqual([
+        'payment:payment-1',
+        'payout:payment-1',
+      ]);
+      await expect(ledgerService.getBalance({})).resolves.toMatchObject({
+        collected: 800,
+        platformFees: 0,
+        landlordEarnings: 800,
+        paidOut: 800,
+        landlordPayable: 0,
+        stripeClearing: 0,
+      });
+    });
+  });
+
+  describe('getLandlordBalance', () => {
+    it('should filter on the landlord and the period', async () => {
+      await ledgerService.getLandlordBalance('landlord-1', {
+        startDate: '2026-01-01',
+      });
+
+      expect(prisma.ledgerEntry.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            transaction: {
+              landlordId: 'landlord-1',
+              occurredAt: { gte: new Date('2026-01-01') },
+            },
+          },
+        })
+      );
+    });
+  });
+
+  describe('getLeaseBalanceForUser', () => {
+    it('should only show the balance to the parties', async () => {
+      prisma.lease.findUnique.mockResolvedValue({
+        id: 'lease-1',
+        tenantId: 'tenant-1',
+        landlordId: 'landlord-1',
+      });
+      leaseParticipantsService.isTenantParty.mockResolvedValue(false);
+
+      await expect(
+        ledgerService.getLeaseBalanceForUser('lease-1', { id: 'someone' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(prisma.ledgerEntry.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkIntegrity', () => {
+    beforeEach(() => {
+      prisma.ledgerEntry.aggregate.mockResolvedValue({
+        _sum: { debit: '1100', credit: '1100' },
+        _count: 6,
+      });
+      prisma.ledgerEntry.groupBy.mockResolvedValue([
+        { account: 'STRIPE_CLEARING', _sum: { debit: '1000', credit: null } },
+      ]);
+      prisma.$queryRaw.mockResolvedValue([]);
+    });
+
+    it('should report a balanced ledger', async () => {
+      await expect(ledgerService.checkIntegrity()).resolves.toEqual({
+        balanced: true,
+        totals: { entries: 6, debit: 1100, credit: 1100 },
+        accounts: [{ account: 'STRIPE_CLEARING', debit: 1000, credit: 0 }],
+        unbalancedTransactions: [],
+      });
+    });
+
+    it('should report transactions that do not balance', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { transactionId: 'txn-1', debit: '100', credit: '90' },
+      ]);
+
+      await expect(ledgerService.checkIntegrity()).resolves.toMatchObject({
+        balanced: false,
+        unbalancedTransactions: [
+          { transactionId: 'txn-1', debit: 100, credit: 90 },
+        ],
+      });
+    });
+  });
+});
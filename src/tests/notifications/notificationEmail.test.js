@@ -0,0 +1,42 @@
+/**
+ * Notification Email Tests
+ * Rendering of notification emails, with the SMTP transport mocked
+ */
+
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({
+    verify: jest.fn(),
+    sendMail: jest.fn(async () => ({ messageId: 'message-1' })),
+  })),
+}));
+
+describe('Notification emails', () => {
+  let emailService;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    emailService = require('../../services/email.service');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should escape the subject and message in the HTML body', async () => {
+    await emailService.sendNotificationEmail(
+      'tenant@example.com',
+      'Booking for <img src=x onerror=alert(1)>',
+      'Hello <b>Sam</b>\nWelcome\n\n<script>alert(1)</script>'
+    );
+
+    const { html, text, subject } =
+      emailService.transporter.sendMail.mock.calls[0][0];
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('Hello &lt;b&gt;Sam&lt;/b&gt;<br>Welcome');
+    expect(html).toContain('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    expect(subject).toBe('Booking for <img src=x onerror=alert(1)>');
+    expect(text).toContain('<script>alert(1)</script>');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Lease Refund Tests
+ * Refunding part of what a tenant paid across booking and invoice payments,
+ * with the database and Stripe mocked
+ */
+
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    stripePayment: { findMany: jest.fn() },
+    payment: { findMany: jest.fn() },
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../config/stripe', () => ({}));
+jest.mock('../../modules/bookings/bookings.service', () => ({}));
+jest.mock('../../modules/bookings/bookingQuotes.service', () => ({}));
+jest.mock('../../modules/bookings/leaseStatus.service', () => ({}));
+jest.mock('../../modules/invoices/invoices.service', () => ({}));
+jest.mock('../../modules/commissions/commissions.service', () => ({}));
+jest.mock('../../modules/taxes/taxes.service', () => ({}));
+jest.mock('../../modules/bookings/cancellationPolicies.service', () => ({}));
+jest.mock('../../modules/ledger/ledger.service', () => ({}));
+jest.mock('../../modules/receipts/receipts.service', () => ({}));
+jest.mock('../../services/notification.service', () => ({}));
+
+const { prisma } = require('@prisma/client');
+const paymentsService = require('../../modules/payments/payments.service');
+
+const invoicePayment = (overrides = {}) => ({
+  id: 'payment-1',
+  txnRef: 'pi_invoice',
+  amount: '1000',
+  refundedAmount: '0',
+  paidAt: new Date('2026-03-01'),
+  ...overrides,
+});
+
+const bookingPayment = {
+  id: 'stripe-payment-1',
+  paymentIntentId: 'pi_booking',
+  status: 'completed',
+  amount: '2000',
+  refundedAmount: '0',
+  completedAt: new Date('2026-01-01'),
+};
+
+describe('refundLeaseAmount', () => {
+  beforeEach(() => {
+    prisma.stripePayment.findMany.mockResolvedValue([bookingPayment]);
+    prisma.payment.findMany.mockResolvedValue([invoicePayment()]);
+    jest
+      .spyOn(paymentsService, 'refundPaymentIntent')
+      .mockImplementation(async (paymentIntentId, amountInCents) => ({
+        id: `re_${paymentIntentId}`,
+        amount: amountInCents,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refund the newest payment first', async () => {
+    const result = await paymentsService.refundLeaseAmount('lease-1', 1500);
+
+    expect(paymentsService.refundPaymentIntent.mock.calls).toEqual([
+      ['pi_invoice', 100000, { leaseId: 'lease-1' }],
+      ['pi_booking', 50000, { leaseId: 'lease-1' }],
+    ]);
+    expect(result).toEqual({
+      refundedAmount: 1500,
+      refundIds: ['re_pi_invoice', 're_pi_booking'],
+    });
+  });
+
+  it('should only refund what is left of an invoice payment', async () => {
+    prisma.payment.findMany.mockResolvedValue([
+      invoicePayment({ refundedAmount: '400' }),
+    ]);
+
+    await paymentsService.refundLeaseAmount('lease-1', 1000);
+
+    expect(paymentsService.refundPaymentIntent.mock.calls).toEqual([
+      ['pi_invoice', 60000, { leaseId: 'lease-1' }],
+      ['pi_booking', 40000, { leaseId: 'lease-1' }],
+    ]);
+  });
+
+  it('should skip fully refunded invoice payments', async () => {
+    prisma.payment.findMany.mockResolvedValue([
+      invoicePayment({ refundedAmount: '1000' }),
+    ]);
+
+    await paymentsService.refundLeaseAmount('lease-1', 300);
+
+    expect(paymentsService.refundPaymentIntent.mock.calls).toEqual([
+      ['pi_booking', 30000, { leaseId: 'lease-1' }],
+    ]);
+  });
+
+  it('should report what could not be covered by Stripe payments', async () => {
+    const result = await paymentsService.refundLeaseAmount('lease-1', 3500);
+
+    expect(result.refundedAmount).toBe(3000);
+  });
+
+  it('should surface a refund Stripe rejects', async () => {
+    paymentsService.refundPaymentIntent.mockRejectedValueOnce(
+      new Error('Charge already refunded')
+    );
+
+    await expect(
+      paymentsService.refundLeaseAmount('lease-1', 500)
+    ).rejects.toMatchObject({
+      statusCode: 502,
+      message: expect.stringContaining('Charge already refunded'),
+    });
+    expect(paymentsService.refundPaymentIntent).toHaveBeenCalledTimes(1);
+  });
+});
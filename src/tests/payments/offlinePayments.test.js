@@ -0,0 +1,181 @@
+/**
+ * Offline Payment Tests
+ * Review of bank transfer and e-wallet payments, with the database and the
+ * payment hooks mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    payment: { findUnique: jest.fn(), updateMany: jest.fn() },
+    invoice: { findUnique: jest.fn() },
+    ledgerTransaction: { create: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../../modules/payments/payments.service', () => ({
+  markLeasePaid: jest.fn(),
+}));
+jest.mock('../../modules/invoices/invoices.service', () => ({
+  refreshInvoiceStatus: jest.fn(),
+  getBalanceDue: jest.fn(),
+}));
+jest.mock('../../modules/receipts/receipts.service', () => ({
+  issueForPayment: jest.fn(),
+}));
+jest.mock('../../modules/bookings/bookingQuotes.service', () => ({}));
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock('../../utils/fileUpload', () => ({}));
+
+const { prisma } = require('../../config/database');
+const paymentsService = require('../../modules/payments/payments.service');
+const receiptsService = require('../../modules/receipts/receipts.service');
+const notificationService = require('../../services/notification.service');
+const offlinePaymentsService = require('../../modules/payments/offlinePayments.service');
+
+const landlord = { id: 'landlord-1', role: 'LANDLORD' };
+
+const pendingPayment = (overrides = {}) => ({
+  id: 'payment-1',
+  leaseId: 'lease-1',
+  invoiceId: null,
+  amount: '1500',
+  method: 'BANK_TRANSFER',
+  status: 'PENDING',
+  proofUrl: 'https://files/proof.pdf',
+  paidAt: new Date('2026-05-01'),
+  payerId: 'tenant-1',
+  payer: { id: 'tenant-1', email: 'tenant@test.com', name: 'Tenant' },
+  lease: {
+    id: 'lease-1',
+    code: 'LC-1',
+    status: 'APPROVED',
+    paymentStatus: 'pending',
+    tenantId: 'tenant-1',
+    landlordId: 'landlord-1',
+    currencyCode: 'MYR',
+    property: { title: 'Sunny flat' },
+  },
+  ...overrides,
+});
+
+describe('Offline payments', () => {
+  beforeEach(() => {
+    prisma.payment.findUnique.mockResolvedValue(pendingPayment());
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.ledgerTransaction.create.mockImplementation(
+      async ({ data }) => data
+    );
+  });
+
+  describe('verifyPayment', () => {
+    it('should post the payment to the ledger in the verification transaction', async () => {
+      await offlinePaymentsService.verifyPayment(
+        'payment-1',
+        landlord,
+        'Money arrived'
+      );
+
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 'payment-1', status: 'PENDING' },
+        data: expect.objectContaining({
+          status: 'COMPLETED',
+          reviewedById: 'landlord-1',
+          reviewNote: 'Money arrived',
+        }),
+      });
+
+      const posted = prisma.ledgerTransaction.create.mock.calls.map(
+        ([{ data }]) => data
+      );
+      expect(posted.map(({ type, reference }) => [type, reference])).toEqual([
+        ['PAYMENT', 'payment:payment-1'],
+        ['PAYOUT', 'payout:payment-1'],
+      ]);
+      expect(posted[0]).toMatchObject({
+        sourceId: 'payment-1',
+        leaseId: 'lease-1',
+        tenantId: 'tenant-1',
+        landlordId: 'landlord-1',
+        currency: 'MYR',
+      });
+      expect(posted[0].entries.create).toContainEqual(
+        expect.objectContaining({
+          account: 'OFFLINE_RECEIVED',
+          debit: 1500,
+        })
+      );
+    });
+
+    it('should mark the booking paid and issue a receipt', async () => {
+      await offlinePaymentsService.verifyPayment('payment-1', landlord, 'OK');
+
+      expect(paymentsService.markLeasePaid).toHaveBeenCalledWith(
+        'lease-1',
+        null,
+        null,
+        { method: 'BANK_TRANSFER', reason: 'Offline payment verified' }
+      );
+      expect(receiptsService.issueForPayment).toHaveBeenCalledWith('payment-1');
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'tenant@test.com' }),
+        'Payment verified',
+        expect.any(String)
+      );
+    });
+
+    it('should not post anything when another review won', async () => {
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        offlinePaymentsService.verifyPayment('payment-1', landlord, 'OK')
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(prisma.ledgerTransaction.create).not.toHaveBeenCalled();
+      expect(paymentsService.markLeasePaid).not.toHaveBeenCalled();
+    });
+
+    it('should only let the landlord or an admin review', async () => {
+      await expect(
+        offlinePaymentsService.verifyPayment(
+          'payment-1',
+          { id: 'tenant-1', role: 'USER' },
+          'OK'
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should refuse payments already reviewed', async () => {
+      prisma.payment.findUnique.mockResolvedValue(
+        pendingPayment({ status: 'COMPLETED' })
+      );
+
+      await expect(
+        offlinePaymentsService.verifyPayment('payment-1', landlord, 'OK')
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('rejectPayment', () => {
+    it('should reject without touching the ledger or the booking', async () => {
+      await offlinePaymentsService.rejectPayment(
+        'payment-1',
+        landlord,
+        'No money received'
+      );
+
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 'payment-1', status: 'PENDING' },
+        data: expect.objectContaining({
+          status: 'REJECTED',
+          reviewNote: 'No money received',
+        }),
+      });
+      expect(prisma.ledgerTransaction.create).not.toHaveBeenCalled();
+      expect(paymentsService.markLeasePaid).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Refund Request Tests
+ * Landlord approval, rejection and counter-offers on refund requests, with
+ * the database and Stripe mocked
+ */
+
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    refundRequest: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    stripePayment: { findFirst: jest.fn() },
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../config/stripe', () => ({}));
+jest.mock('../../modules/bookings/bookings.service', () => ({}));
+jest.mock('../../modules/bookings/bookingQuotes.service', () => ({}));
+jest.mock('../../modules/bookings/leaseStatus.service', () => ({}));
+jest.mock('../../modules/invoices/invoices.service', () => ({}));
+jest.mock('../../modules/commissions/commissions.service', () => ({}));
+jest.mock('../../modules/taxes/taxes.service', () => ({}));
+jest.mock('../../modules/bookings/cancellationPolicies.service', () => ({}));
+jest.mock('../../modules/ledger/ledger.service', () => ({}));
+jest.mock('../../modules/receipts/receipts.service', () => ({}));
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+
+const { prisma } = require('@prisma/client');
+const notificationService = require('../../services/notification.service');
+const paymentsService = require('../../modules/payments/payments.service');
+
+const refundRequest = (overrides = {}) => ({
+  id: 'request-1',
+  leaseId: 'lease-1',
+  landlordId: 'landlord-1',
+  requestedBy: 'tenant-1',
+  status: 'PENDING',
+  amount: '500',
+  counterAmount: null,
+  ...overrides,
+});
+
+const stripePayment = { id: 'payment-1', paymentIntentId: 'pi_1' };
+
+describe('Refund Requests', () => {
+  beforeEach(() => {
+    prisma.refundRequest.findUnique.mockResolvedValue(refundRequest());
+    prisma.refundRequest.updateMany.mockResolvedValue({ count: 1 });
+    prisma.stripePayment.findFirst.mockResolvedValue(stripePayment);
+    jest.spyOn(paymentsService, 'refundBookingPayment').mockResolvedValue({
+      refund: { id: 're_1', amount: 50000 },
+      refundedAmount: 500,
+      fullyRefunded: true,
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processRefundRequest', () => {
+    it('should claim the request before refunding through Stripe', async () => {
+      const result = await paymentsService.processRefundRequest(
+        'request-1',
+        'landlord-1',
+        true,
+        'ok'
+      );
+
+      expect(prisma.refundRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: 'request-1', status: 'PENDING' },
+        data: { status: 'PROCESSING' },
+      });
+      expect(
+        prisma.refundRequest.updateMany.mock.invocationCallOrder[0]
+      ).toBeLessThan(
+        paymentsService.refundBookingPayment.mock.invocationCallOrder[0]
+      );
+      expect(paymentsService.refundBookingPayment).toHaveBeenCalledWith(
+        stripePayment,
+        500,
+        expect.any(Object)
+      );
+      expect(prisma.refundRequest.update).toHaveBeenCalledWith({
+        where: { id: 'request-1' },
+        data: expect.objectContaining({
+          status: 'APPROVED',
+          approvedAmount: 500,
+          stripeRefundId: 're_1',
+          landlordNote: 'ok',
+        }),
+      });
+      expect(result.status).toBe('APPROVED');
+    });
+
+    it('should return 409 without refunding when the claim loses', async () => {
+      prisma.refundRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        paymentsService.processRefundRequest(
+          'request-1',
+          'landlord-1',
+          true,
+          'ok'
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(paymentsService.refundBookingPayment).not.toHaveBeenCalled();
+      expect(prisma.refundRequest.update).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the refund fails', async () => {
+      paymentsService.refundBookingPayment.mockRejectedValue(
+        new Error('Stripe is down')
+      );
+
+      await expect(
+        paymentsService.processRefundRequest(
+          'request-1',
+          'landlord-1',
+          true,
+          'ok'
+        )
+      ).rejects.toMatchObject({ statusCode: 500 });
+      expect(prisma.refundRequest.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'request-1', status: 'PROCESSING' },
+        data: { status: 'PENDING' },
+      });
+    });
+
+    it('should not refund more than was requested', async () => {
+      await expect(
+        paymentsService.processRefundRequest(
+          'request-1',
+          'landlord-1',
+          true,
+          'ok',
+          600
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.refundRequest.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject only a request that is still pending', async () => {
+      prisma.refundRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        paymentsService.processRefundRequest(
+          'request-1',
+          'landlord-1',
+          false,
+          'no'
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.refundRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: 'request-1', status: 'PENDING' },
+        data: expect.objectContaining({
+          status: 'REJECTED',
+          landlordNote: 'no',
+        }),
+      });
+    });
+
+    it('should reject requests of other landlords', async () => {
+      await expect(
+        paymentsService.processRefundRequest(
+          'request-1',
+          'landlord-2',
+          true,
+          'ok'
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('counterRefundRequest', () => {
+    it('should counter a pending request and notify the tenant', async () => {
+      prisma.refundRequest.findUnique
+        .mockResolvedValueOnce(refundRequest())
+        .mockResolvedValueOnce(
+          refundRequest({
+            status: 'COUNTERED',
+            counterAmount: '300',
+            tenant: { id: 'tenant-1' },
+            lease: {
+              code: 'RV-1',
+              currencyCode: 'MYR',
+              property: { title: 'Loft' },
+            },
+          })
+        );
+
+      const updated = await paymentsService.counterRefundRequest(
+        'request-1',
+        'landlord-1',
+        { amount: 300 }
+      );
+
+      expect(prisma.refundRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: 'request-1', status: 'PENDING' },
+        data: expect.objectContaining({
+          status: 'COUNTERED',
+          counterAmount: 300,
+        }),
+      });
+      expect(updated.status).toBe('COUNTERED');
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        { id: 'tenant-1' },
+        'Counter-offer for your refund',
+        expect.stringContaining('MYR 300 instead of 500')
+      );
+    });
+
+    it('should only counter with less than the requested amount', async () => {
+      await expect(
+        paymentsService.counterRefundRequest('request-1', 'landlord-1', {
+          amount: 500,
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return 409 when the request was handled meanwhile', async () => {
+      prisma.refundRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        paymentsService.counterRefundRequest('request-1', 'landlord-1', {
+          amount: 300,
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('respondToRefundCounterOffer', () => {
+    beforeEach(() => {
+      prisma.refundRequest.findUnique.mockResolvedValue(
+        refundRequest({ status: 'COUNTERED', counterAmount: '300' })
+      );
+    });
+
+    it('should refund the counter amount when the tenant accepts', async () => {
+      const result = await paymentsService.respondToRefundCounterOffer(
+        'request-1',
+        'tenant-1',
+        true
+      );
+
+      expect(prisma.refundRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: 'request-1', status: 'COUNTERED' },
+        data: { status: 'PROCESSING' },
+      });
+      expect(paymentsService.refundBookingPayment).toHaveBeenCalledWith(
+        stripePayment,
+        300,
+        expect.any(Object)
+      );
+      expect(result.status).toBe('APPROVED');
+    });
+
+    it('should return 409 without refunding when the claim loses', async () => {
+      prisma.refundRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        paymentsService.respondToRefundCounterOffer(
+          'request-1',
+          'tenant-1',
+          true
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(paymentsService.refundBookingPayment).not.toHaveBeenCalled();
+    });
+
+    it('should decline only an open counter-offer', async () => {
+      const result = await paymentsService.respondToRefundCounterOffer(
+        'request-1',
+        'tenant-1',
+        false
+      );
+
+      expect(prisma.refundRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: 'request-1', status: 'COUNTERED' },
+        data: expect.objectContaining({ status: 'DECLINED' }),
+      });
+      expect(result.status).toBe('DECLINED');
+    });
+
+    it('should return 409 when there is no counter-offer', async () => {
+      prisma.refundRequest.findUnique.mockResolvedValue(refundRequest());
+
+      await expect(
+        paymentsService.respondToRefundCounterOffer(
+          'request-1',
+          'tenant-1',
+          true
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should hide requests of other tenants', async () => {
+      await expect(
+        paymentsService.respondToRefundCounterOffer(
+          'request-1',
+          'tenant-2',
+          true
+        )
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Receipt Tests
+ * Gap-free numbering of receipts and credit notes, with the database
+ * mocked. The mocked transaction rolls the sequences back when it fails,
+ * like Postgres does.
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    receipt: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      aggregate: jest.fn(),
+    },
+    stripePayment: { findUnique: jest.fn() },
+    payment: { findFirst: jest.fn(), findUnique: jest.fn() },
+    $transaction: jest.fn(),
+    $queryRaw: jest.fn(),
+  },
+}));
+jest.mock('../../services/pdfGeneration.service', () => ({}));
+
+const { prisma } = require('../../config/database');
+const receiptsService = require('../../modules/receipts/receipts.service');
+
+const year = new Date().getFullYear();
+
+const stripePayment = (overrides = {}) => ({
+  id: 'sp-1',
+  bookingId: 'lease-1',
+  userId: 'tenant-1',
+  amount: '3000',
+  currency: 'myr',
+  status: 'completed',
+  booking: { landlordId: 'landlord-1' },
+  ...overrides,
+});
+
+describe('Receipts', () => {
+  let sequences;
+  let issued;
+
+  const issue = reference =>
+    receiptsService.issue('RECEIPT', { reference, amount: 100 });
+
+  beforeEach(() => {
+    sequences = {};
+    issued = [];
+
+    prisma.$queryRaw.mockImplementation(async (strings, series) => {
+      sequences[series] = (sequences[series] || 0) + 1;
+      return [{ lastNumber: sequences[series] }];
+    });
+    prisma.$transaction.mockImplementation(async callback => {
+      const snapshot = { ...sequences };
+      try {
+        return await callback(prisma);
+      } catch (error) {
+        sequences = snapshot;
+        throw error;
+      }
+    });
+    prisma.receipt.create.mockImplementation(async ({ data }) => {
+      const receipt = { id: `receipt-${issued.length + 1}`, ...data };
+      issued.push(receipt);
+      return receipt;
+    });
+    prisma.receipt.findUnique.mockImplementation(
+      async ({ where }) =>
+        issued.find(({ reference }) => reference === where.reference) || null
+    );
+    jest
+      .spyOn(receiptsService, 'generatePDF')
+      .mockImplementation(async id =>
+        issued.find(receipt => receipt.id === id)
+      );
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issue', () => {
+    it('should number documents of each series one after the other', async () => {
+      await issue('payment:1');
+      await issue('payment:2');
+      await receiptsService.issue('CREDIT_NOTE', {
+        reference: 'refund:1',
+        amount: 50,
+      });
+
+      expect(issued.map(({ number }) => number)).toEqual([
+        `RCP-${year}-000001`,
+        `RCP-${year}-000002`,
+        `CN-${year}-000001`,
+      ]);
+      expect(issued[2].type).toBe('CREDIT_NOTE');
+    });
+
+    it('should return the document already issued for a reference', async () => {
+      const first = await issue('payment:1');
+
+      await expect(issue('payment:1')).resolves.toBe(first);
+      expect(issued).toHaveLength(1);
+    });
+
+    it('should not leave a gap when the creation fails', async () => {
+      prisma.receipt.create.mockRejectedValueOnce(new Error('Timeout'));
+
+      await expect(issue('payment:1')).rejects.toThrow('Timeout');
+      await issue('payment:2');
+
+      expect(issued.map(({ number }) => number)).toEqual([
+        `RCP-${year}-000001`,
+      ]);
+    });
+
+    it('should return the winner of a concurrent issue', async () => {
+      prisma.receipt.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'receipt-9', reference: 'payment:1' });
+      prisma.receipt.create.mockRejectedValueOnce(
+        Object.assign(new Error('Unique constraint'), { code: 'P2002' })
+      );
+
+      await expect(issue('payment:1')).resolves.toEqual({
+        id: 'receipt-9',
+        reference: 'payment:1',
+      });
+      expect(sequences).toEqual({});
+    });
+
+    it('should keep the receipt when its PDF cannot be rendered', async () => {
+      receiptsService.generatePDF.mockRejectedValue(new Error('No Chrome'));
+
+      await expect(issue('payment:1')).resolves.toMatchObject({
+        number: `RCP-${year}-000001`,
+      });
+    });
+  });
+
+  describe('issueForStripePayment', () => {
+    it('should receipt completed booking payments', async () => {
+      const receipt =
+        await receiptsService.issueForStripePayment(stripePayment());
+
+      expect(receipt).toMatchObject({
+        reference: 'stripe-payment:sp-1',
+        leaseId: 'lease-1',
+        payerId: 'tenant-1',
+        landlordId: 'landlord-1',
+        currencyCode: 'MYR',
+        method: 'CREDIT_CARD',
+      });
+    });
+
+    it('should skip payments that did not complete', async () => {
+      await expect(
+        receiptsService.issueForStripePayment(
+          stripePayment({ status: 'pending' })
+        )
+      ).resolves.toBeNull();
+      expect(issued).toHaveLength(0);
+    });
+  });
+
+  describe('issueForPayment', () => {
+    it('should describe the invoice that was paid', async () => {
+      prisma.payment.findUnique.mockResolvedValue({
+        id: 'payment-1',
+        status: 'COMPLETED',
+        amount: '1000',
+        method: 'BANK_TRANSFER',
+        payerId: null,
+        lease: null,
+        invoice: {
+          type: 'RENT',
+          memo: null,
+          currencyCode: 'MYR',
+          lease: { id: 'lease-1', tenantId: 'tenant-1', landlordId: 'l-1' },
+        },
+      });
+
+      await expect(
+        receiptsService.issueForPayment('payment-1')
+      ).resolves.toMatchObject({
+        reference: 'payment:payment-1',
+        payerId: 'tenant-1',
+        description: 'Rent invoice',
+      });
+    });
+  });
+
+  describe('issueCreditNote', () => {
+    beforeEach(() => {
+      prisma.stripePayment.findUnique.mockResolvedValue(stripePayment());
+    });
+
+    it('should credit what was refunded since the last credit note', async () => {
+      prisma.receipt.aggregate.mockResolvedValue({ _sum: { amount: '500' } });
+
+      const creditNote = await receiptsService.issueCreditNote('pi_1', 1200);
+
+      expect(creditNote).toMatchObject({
+        type: 'CREDIT_NOTE',
+        reference: 'refund:pi_1:120000',
+        creditedReceiptId: 'receipt-1',
+        amount: 700,
+        description: `Refund of receipt RCP-${year}-000001`,
+      });
+    });
+
+    it('should not credit a refund twice', async () => {
+      prisma.receipt.aggregate.mockResolvedValue({ _sum: { amount: '1200' } });
+
+      await expect(
+        receiptsService.issueCreditNote('pi_1', 1200)
+      ).resolves.toBeNull();
+      expect(issued.map(({ type }) => type)).toEqual(['RECEIPT']);
+    });
+  });
+});
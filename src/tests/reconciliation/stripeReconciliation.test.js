@@ -0,0 +1,161 @@
+/**
+ * Stripe Reconciliation Tests
+ * Runs reconcile against the Stripe API, so start stripe-mock first (see
+ * src/tests/README.md). Periods before any local payment keep stripe-mock's
+ * fixture PaymentIntents, which belong to no booking, from being reported.
+ */
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_123';
+
+const request = require('supertest');
+const app = require('../../app');
+const { prisma } = require('../../config/database');
+const {
+  generateToken,
+  createTestUser,
+  createTestAdmin,
+  cleanupDatabase,
+} = require('../helpers/testHelpers');
+
+const EMPTY_PERIOD = {
+  startDate: '2000-01-01T00:00:00.000Z',
+  endDate: '2000-01-02T00:00:00.000Z',
+};
+
+const cleanupRuns = () =>
+  prisma.reconciliationRun.deleteMany({
+    where: { periodStart: { lt: new Date('2001-01-01') } },
+  });
+
+describe('Stripe Reconciliation', () => {
+  let adminToken;
+  let userToken;
+
+  beforeAll(async () => {
+    await cleanupDatabase();
+    await cleanupRuns();
+
+    const admin = await createTestAdmin({ email: 'recon-admin@test.com' });
+    adminToken = generateToken({
+      userId: admin.id,
+      email: admin.email,
+      role: 'ADMIN',
+    });
+
+    const user = await createTestUser({ email: 'recon-user@test.com' });
+    userToken = generateToken({
+      userId: user.id,
+      email: user.email,
+      role: 'USER',
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupRuns();
+    await cleanupDatabase();
+  });
+
+  describe('POST /api/v1/reconciliation/runs', () => {
+    it('should compare a period with Stripe and record the run', async () => {
+      const response = await request(app)
+        .post('/api/v1/reconciliation/runs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(EMPTY_PERIOD)
+        .expect(201);
+
+      const run = response.body.data;
+      expect(run.status).toBe('COMPLETED');
+      expect(run.checked).toBe(0);
+      expect(run.mismatches).toBe(0);
+      expect(run.items).toEqual([]);
+      expect(new Date(run.periodStart).toISOString()).toBe(
+        EMPTY_PERIOD.startDate
+      );
+
+      const list = await request(app)
+        .get('/api/v1/reconciliation/runs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.runs.map(({ id }) => id)).toContain(run.id);
+    });
+
+    it('should reject a period that ends before it starts', async () => {
+      await request(app)
+        .post('/api/v1/reconciliation/runs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          startDate: EMPTY_PERIOD.endDate,
+          endDate: EMPTY_PERIOD.startDate,
+        })
+        .expect(400);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .post('/api/v1/reconciliation/runs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(EMPTY_PERIOD)
+        .expect(403);
+    });
+  });
+
+  describe('Mismatch report', () => {
+    let item;
+
+    beforeAll(async () => {
+      const run = await prisma.reconciliationRun.create({
+        data: {
+          periodStart: new Date(EMPTY_PERIOD.startDate),
+          periodEnd: new Date(EMPTY_PERIOD.endDate),
+          status: 'COMPLETED',
+          checked: 1,
+          mismatches: 1,
+          finishedAt: new Date(),
+        },
+      });
+
+      item = await prisma.reconciliationItem.create({
+        data: {
+          runId: run.id,
+          key: 'MISSING_LOCAL:pi_test_reconciliation',
+          type: 'MISSING_LOCAL',
+          status: 'OPEN',
+          paymentIntentId: 'pi_test_reconciliation',
+          stripeStatus: 'succeeded',
+          stripeAmount: 120,
+          message: 'PaymentIntent pi_test_reconciliation has no local payment',
+        },
+      });
+    });
+
+    it('should list open mismatches', async () => {
+      const response = await request(app)
+        .get('/api/v1/reconciliation/items?type=MISSING_LOCAL')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const listed = response.body.data.items.find(({ id }) => id === item.id);
+      expect(listed.status).toBe('OPEN');
+      expect(listed.stripeAmount).toBe(120);
+    });
+
+    it('should resolve a mismatch once', async () => {
+      const response = await request(app)
+        .post(`/api/v1/reconciliation/items/${item.id}/resolve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Payment was recorded by hand' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('RESOLVED');
+      expect(response.body.data.resolutionNote).toBe(
+        'Payment was recorded by hand'
+      );
+
+      await request(app)
+        .post(`/api/v1/reconciliation/items/${item.id}/resolve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Again' })
+        .expect(409);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tax Tests
+ * Tax line calculation, proration and rate management, with the database
+ * mocked
+ */
+
+jest.mock('../../config/database', () => ({
+  prisma: {
+    taxRate: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../../config/database');
+const taxesService = require('../../modules/taxes/taxes.service');
+const {
+  createRateValidation,
+} = require('../../modules/taxes/taxes.validation');
+
+const sst = { name: 'SST', ratePercent: '8', inclusive: false };
+const vat = { name: 'VAT', ratePercent: '20', inclusive: true };
+
+describe('Taxes', () => {
+  describe('calculateLine', () => {
+    it('should add exclusive tax on top of the amount', () => {
+      expect(
+        taxesService.calculateLine(1000, sst, 'RENT', 'Rent for June')
+      ).toEqual({
+        chargeType: 'RENT',
+        description: 'Rent for June',
+        taxName: 'SST',
+        ratePercent: 8,
+        inclusive: false,
+        netAmount: 1000,
+        taxAmount: 80,
+        grossAmount: 1080,
+      });
+    });
+
+    it('should take inclusive tax out of the amount', () => {
+      expect(taxesService.calculateLine(1200, vat, 'RENT')).toMatchObject({
+        inclusive: true,
+        netAmount: 1000,
+        taxAmount: 200,
+        grossAmount: 1200,
+      });
+    });
+
+    it('should round tax to the cent', () => {
+      expect(
+        taxesService.calculateLine(33.33, { ...sst, ratePercent: '6' }, 'RENT')
+      ).toMatchObject({ taxAmount: 2, grossAmount: 35.33 });
+      expect(taxesService.calculateLine(10, vat, 'RENT')).toMatchObject({
+        netAmount: 8.33,
+        taxAmount: 1.67,
+        grossAmount: 10,
+      });
+    });
+  });
+
+  describe('prorateLines', () => {
+    const line = {
+      id: 'line-1',
+      chargeType: 'RENT',
+      description: 'Rent',
+      taxName: 'SST',
+      ratePercent: '8',
+      inclusive: false,
+      netAmount: '1000',
+      taxAmount: '80',
+      grossAmount: '1080',
+    };
+
+    it('should keep the whole line for a full payment', () => {
+      expect(taxesService.prorateLines([line])).toEqual([
+        {
+          chargeType: 'RENT',
+          description: 'Rent',
+          taxName: 'SST',
+          ratePercent: 8,
+          inclusive: false,
+          netAmount: 1000,
+          taxAmount: 80,
+          grossAmount: 1080,
+        },
+      ]);
+    });
+
+    it('should split the line by the share paid', () => {
+      expect(taxesService.prorateLines([line], 1 / 3)[0]).toMatchObject({
+        netAmount: 333.33,
+        taxAmount: 26.67,
+        grossAmount: 360,
+      });
+    });
+
+    it('should clamp the share between 0 and 1', () => {
+      expect(taxesService.prorateLines([line], 2)[0].grossAmount).toBe(1080);
+      expect(taxesService.prorateLines([line], -1)[0].grossAmount).toBe(0);
+    });
+  });
+
+  describe('calculateCharges', () => {
+    beforeEach(() => {
+      prisma.taxRate.findMany.mockImplementation(async ({ where }) =>
+        where.chargeType === 'RENT'
+          ? [{ ...sst, state: null }]
+          : [{ ...vat, state: 'Selangor' }]
+      );
+    });
+
+    it('should tax each charge with its rate', async () => {
+      const result = await taxesService.calculateCharges(
+        { country: 'my', state: 'Selangor' },
+        [
+          { chargeType: 'RENT', amount: 1000 },
+          { chargeType: 'SERVICE_FEE', amount: 120 },
+          { chargeType: 'UTILITY', amount: 0 },
+        ]
+      );
+
+      expect(result.lines).toHaveLength(2);
+      expect(result.taxAmount).toBe(100);
+      expect(result.exclusiveTax).toBe(80);
+      expect(prisma.taxRate.findMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ country: 'MY', chargeType: 'RENT' }),
+      });
+    });
+
+    it('should not tax a property without a country', async () => {
+      const result = await taxesService.calculateCharges({}, [
+        { chargeType: 'RENT', amount: 1000 },
+      ]);
+
+      expect(result).toEqual({ lines: [], taxAmount: 0, exclusiveTax: 0 });
+    });
+  });
+
+  describe('getRate', () => {
+    it('should prefer the state rate over the country rate', async () => {
+      const stateRate = { id: 'state', state: 'Selangor' };
+      prisma.taxRate.findMany.mockResolvedValue([
+        { id: 'country', state: null },
+        stateRate,
+      ]);
+
+      await expect(
+        taxesService.getRate({
+          country: 'MY',
+          state: 'Selangor',
+          chargeType: 'RENT',
+        })
+      ).resolves.toBe(stateRate);
+    });
+  });
+
+  describe('rates', () => {
+    beforeEach(() => {
+      prisma.taxRate.findFirst.mockResolvedValue(null);
+      prisma.taxRate.findUnique.mockResolvedValue({ id: 'rate-1' });
+      prisma.taxRate.create.mockImplementation(async ({ data }) => data);
+      prisma.taxRate.update.mockImplementation(async ({ data }) => data);
+    });
+
+    it('should create an exclusive rate unless told otherwise', async () => {
+      await taxesService.createRate(
+        { id: 'admin-1' },
+        { country: 'my', chargeType: 'RENT', ratePercent: '8' }
+      );
+
+      expect(prisma.taxRate.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ country: 'MY', inclusive: false }),
+      });
+    });
+
+    it('should store inclusive as sent', async () => {
+      await taxesService.updateRate('rate-1', { inclusive: false });
+
+      expect(prisma.taxRate.update).toHaveBeenCalledWith({
+        where: { id: 'rate-1' },
+        data: { inclusive: false },
+      });
+    });
+
+    it('should not create a second rate for a location', async () => {
+      prisma.taxRate.findFirst.mockResolvedValue({ id: 'rate-1' });
+
+      await expect(
+        taxesService.createRate(
+          { id: 'admin-1' },
+          { country: 'MY', chargeType: 'RENT', ratePercent: '8' }
+        )
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('validation', () => {
+    it('should turn inclusive into a boolean', async () => {
+      const req = {
+        body: {
+          country: 'MY',
+          chargeType: 'RENT',
+          ratePercent: '8',
+          inclusive: 'false',
+        },
+      };
+
+      await Promise.all(createRateValidation.map(chain => chain.run(req)));
+
+      expect(req.body.inclusive).toBe(false);
+    });
+  });
+});
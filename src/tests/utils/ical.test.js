@@ -0,0 +1,133 @@
+/**
+ * iCalendar Tests
+ * Building availability feeds and reading events from other platforms
+ */
+
+const { buildCalendar, parseEvents } = require('../../utils/ical');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+const calendar = (...events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+describe('iCalendar', () => {
+  describe('parseEvents', () => {
+    it('should read all-day events with an inclusive end', () => {
+      expect(
+        parseEvents(
+          calendar([
+            'UID:abc@airbnb.com',
+            'SUMMARY:Reserved',
+            'DTSTART;VALUE=DATE:20260601',
+            'DTEND;VALUE=DATE:20260605',
+          ])
+        )
+      ).toEqual([
+        {
+          uid: 'abc@airbnb.com',
+          summary: 'Reserved',
+          start: day('2026-06-01'),
+          end: day('2026-06-04'),
+        },
+      ]);
+    });
+
+    it('should read date-time events as UTC', () => {
+      const [event] = parseEvents(
+        calendar([
+          'UID:1',
+          'DTSTART:20260601T140000Z',
+          'DTEND:20260603T100000Z',
+        ])
+      );
+
+      expect(event.start).toEqual(new Date('2026-06-01T14:00:00.000Z'));
+      expect(event.end).toEqual(new Date('2026-06-03T10:00:00.000Z'));
+      expect(event.summary).toBeNull();
+    });
+
+    it('should make an event without DTEND last one day', () => {
+      const [event] = parseEvents(
+        calendar(['UID:1', 'DTSTART;VALUE=DATE:20260601'])
+      );
+
+      expect(event.end).toEqual(day('2026-06-01'));
+    });
+
+    it('should unfold lines and unescape text', () => {
+      const [event] = parseEvents(
+        calendar([
+          'UID:1',
+          'SUMMARY:Booked\\, long',
+          ' stay\\; guest',
+          'DTSTART;VALUE=DATE:20260601',
+        ])
+      );
+
+      expect(event.summary).toBe('Booked, longstay; guest');
+    });
+
+    it('should skip cancelled, free and incomplete events', () => {
+      expect(
+        parseEvents(
+          calendar(
+            ['UID:1', 'STATUS:CANCELLED', 'DTSTART;VALUE=DATE:20260601'],
+            ['UID:2', 'TRANSP:TRANSPARENT', 'DTSTART;VALUE=DATE:20260601'],
+            ['UID:3', 'DTSTART:not-a-date'],
+            ['DTSTART;VALUE=DATE:20260601']
+          )
+        )
+      ).toEqual([]);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should export events with an exclusive end', () => {
+      const ics = buildCalendar({
+        name: 'Loft, KL',
+        events: [
+          {
+            uid: 'lease-1@rentverse',
+            summary: 'Booked (RV-1)',
+            start: day('2026-06-01'),
+            end: day('2026-06-04'),
+          },
+        ],
+      });
+
+      expect(ics).toContain('X-WR-CALNAME:Loft\\, KL\r\n');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260601\r\n');
+      expect(ics).toContain('DTEND;VALUE=DATE:20260605\r\n');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('should read back what it exports', () => {
+      const events = [
+        {
+          uid: 'blocked-1@rentverse',
+          summary: 'Not available',
+          start: day('2026-07-01'),
+          end: day('2026-07-10'),
+        },
+      ];
+
+      expect(parseEvents(buildCalendar({ name: 'Loft', events }))).toEqual(
+        events
+      );
+    });
+
+    it('should fold lines longer than 75 octets', () => {
+      const ics = buildCalendar({
+        name: 'x'.repeat(100),
+        events: [],
+      });
+
+      expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Waitlist Tests
+ * Joining the waitlist for booked dates and offering released dates in
+ * first-come order, with the database and notifications mocked
+ */
+
+jest.mock('../../config/database', () => {
+  const prisma = {
+    property: { findUnique: jest.fn() },
+    waitlistEntry: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      count: jest.fn(),
+    },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../../services/notification.service', () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock('../../modules/bookings/bookings.service', () => ({
+  hasOverlappingLease: jest.fn(),
+  hasWaitlistPriorityHold: jest.fn(),
+  isPropertyAvailableForPeriod: jest.fn(),
+  lockPropertyForBooking: jest.fn(),
+}));
+
+const { prisma } = require('../../config/database');
+const bookingConfig = require('../../config/booking');
+const notificationService = require('../../services/notification.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+const waitlistService = require('../../modules/waitlist/waitlist.service');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+const HOUR_MS = 60 * 60 * 1000;
+
+const tenant = { id: 'tenant-1', role: 'TENANT' };
+
+const entry = (id, startDate, endDate, overrides = {}) => ({
+  id,
+  propertyId: 'property-1',
+  tenantId: `tenant-${id}`,
+  status: 'WAITING',
+  startDate: day(startDate),
+  endDate: day(endDate),
+  priorityExpiresAt: null,
+  createdAt: new Date(),
+  ...overrides,
+});
+
+describe('Waitlist', () => {
+  beforeEach(() => {
+    prisma.property.findUnique.mockResolvedValue({
+      id: 'property-1',
+      ownerId: 'landlord-1',
+    });
+    prisma.waitlistEntry.findFirst.mockResolvedValue(null);
+    prisma.waitlistEntry.create.mockImplementation(async ({ data }) => ({
+      id: 'entry-1',
+      status: 'WAITING',
+      createdAt: new Date(),
+      ...data,
+    }));
+    prisma.waitlistEntry.count.mockResolvedValue(2);
+    prisma.waitlistEntry.updateMany.mockResolvedValue({ count: 1 });
+    bookingsService.hasOverlappingLease.mockResolvedValue(true);
+    bookingsService.hasWaitlistPriorityHold.mockResolvedValue(false);
+    bookingsService.isPropertyAvailableForPeriod.mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('joinWaitlist', () => {
+    const dates = {
+      propertyId: 'property-1',
+      startDate: '2099-06-01',
+      endDate: '2099-07-01',
+    };
+
+    it('should queue the tenant behind earlier entries', async () => {
+      const created = await waitlistService.joinWaitlist(tenant, dates);
+
+      expect(prisma.waitlistEntry.create).toHaveBeenCalledWith({
+        data: {
+          propertyId: 'property-1',
+          tenantId: 'tenant-1',
+          startDate: day('2099-06-01'),
+          endDate: day('2099-07-01'),
+        },
+        include: expect.any(Object),
+      });
+      expect(created.position).toBe(3);
+    });
+
+    it('should refuse dates that can be booked directly', async () => {
+      bookingsService.hasOverlappingLease.mockResolvedValue(false);
+
+      await expect(
+        waitlistService.joinWaitlist(tenant, dates)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.waitlistEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should accept dates held for another waitlisted tenant', async () => {
+      bookingsService.hasOverlappingLease.mockResolvedValue(false);
+      bookingsService.hasWaitlistPriorityHold.mockResolvedValue(true);
+
+      await waitlistService.joinWaitlist(tenant, dates);
+
+      expect(bookingsService.hasWaitlistPriorityHold).toHaveBeenCalledWith(
+        'property-1',
+        day('2099-06-01'),
+        day('2099-07-01'),
+        'tenant-1'
+      );
+      expect(prisma.waitlistEntry.create).toHaveBeenCalled();
+    });
+
+    it('should allow one open entry for overlapping dates', async () => {
+      prisma.waitlistEntry.findFirst.mockResolvedValue(
+        entry('1', '2099-06-15', '2099-07-15')
+      );
+
+      await expect(
+        waitlistService.joinWaitlist(tenant, dates)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not let owners wait for their own property', async () => {
+      await expect(
+        waitlistService.joinWaitlist({ id: 'landlord-1' }, dates)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getPosition', () => {
+    it('should only rank waiting entries', async () => {
+      await expect(
+        waitlistService.getPosition(
+          entry('1', '2099-06-01', '2099-07-01', { status: 'OFFERED' })
+        )
+      ).resolves.toBeNull();
+      expect(prisma.waitlistEntry.count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('offerReleasedDates', () => {
+    beforeEach(() => {
+      prisma.waitlistEntry.findMany.mockImplementation(async ({ where }) =>
+        where.id
+          ? where.id.in.map(id => ({
+              id,
+              startDate: day('2099-06-01'),
+              endDate: day('2099-07-01'),
+              property: { title: 'Loft' },
+              tenant: { id: `tenant-${id}` },
+            }))
+          : [
+              entry('1', '2099-06-01', '2099-07-01'),
+              entry('2', '2099-06-15', '2099-07-15'),
+              entry('3', '2099-08-01', '2099-09-01'),
+            ]
+      );
+    });
+
+    it('should offer the first entry and the ones not overlapping it', async () => {
+      const offered = await waitlistService.offerReleasedDates('property-1');
+
+      expect(offered).toBe(2);
+      expect(bookingsService.lockPropertyForBooking).toHaveBeenCalledWith(
+        prisma,
+        'property-1'
+      );
+      expect(
+        prisma.waitlistEntry.update.mock.calls.map(([{ where }]) => where.id)
+      ).toEqual(['1', '3']);
+
+      const [{ data }] = prisma.waitlistEntry.update.mock.calls[0];
+      expect(data.status).toBe('OFFERED');
+      expect(data.priorityExpiresAt - data.offeredAt).toBe(
+        bookingConfig.waitlist.priorityHours * HOUR_MS
+      );
+      expect(notificationService.notifyUser).toHaveBeenCalledTimes(2);
+      expect(notificationService.notifyUser).toHaveBeenCalledWith(
+        { id: 'tenant-1' },
+        'Your waitlisted dates are available',
+        expect.stringContaining('You are first on the waitlist')
+      );
+    });
+
+    it('should wait for a running priority window', async () => {
+      prisma.waitlistEntry.findMany.mockResolvedValueOnce([
+        entry('1', '2099-06-01', '2099-07-01', {
+          status: 'OFFERED',
+          priorityExpiresAt: new Date(Date.now() + HOUR_MS),
+        }),
+        entry('2', '2099-06-15', '2099-07-15'),
+      ]);
+
+      await expect(
+        waitlistService.offerReleasedDates('property-1')
+      ).resolves.toBe(0);
+      expect(prisma.waitlistEntry.update).not.toHaveBeenCalled();
+      expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should skip dates that are still booked', async () => {
+      bookingsService.isPropertyAvailableForPeriod.mockImplementation(
+        async (propertyId, startDate) => startDate > day('2099-07-01')
+      );
+
+      await waitlistService.offerReleasedDates('property-1');
+
+      expect(
+        prisma.waitlistEntry.update.mock.calls.map(([{ where }]) => where.id)
+      ).toEqual(['3']);
+    });
+  });
+
+  describe('leaveWaitlist', () => {
+    it('should pass a running offer to the next tenant', async () => {
+      prisma.waitlistEntry.findUnique.mockResolvedValue(
+        entry('1', '2099-06-01', '2099-07-01', {
+          tenantId: 'tenant-1',
+          status: 'OFFERED',
+        })
+      );
+      const offerReleasedDates = jest
+        .spyOn(waitlistService, 'offerReleasedDates')
+        .mockResolvedValue(1);
+
+      await waitlistService.leaveWaitlist('1', tenant);
+
+      expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { id: '1', status: { in: ['WAITING', 'OFFERED'] } },
+        data: { status: 'CANCELLED' },
+      });
+      expect(offerReleasedDates).toHaveBeenCalledWith('property-1');
+    });
+
+    it('should only let the tenant leave their own entry', async () => {
+      prisma.waitlistEntry.findUnique.mockResolvedValue(
+        entry('2', '2099-06-01', '2099-07-01')
+      );
+
+      await expect(
+        waitlistService.leaveWaitlist('2', tenant)
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.waitlistEntry.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processWaitlists', () => {
+    it('should expire ended windows and keep offering after a failure', async () => {
+      const now = day('2099-05-01');
+      prisma.waitlistEntry.findMany.mockResolvedValue([
+        { propertyId: 'property-1' },
+        { propertyId: 'property-2' },
+      ]);
+      jest
+        .spyOn(waitlistService, 'offerReleasedDates')
+        .mockRejectedValueOnce(new Error('Lock timeout'))
+        .mockResolvedValueOnce(1);
+
+      await expect(waitlistService.processWaitlists(now)).resolves.toEqual({
+        expired: 2,
+        offered: 1,
+      });
+      expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { status: 'OFFERED', priorityExpiresAt: { lte: now } },
+        data: { status: 'EXPIRED' },
+      });
+    });
+  });
+});
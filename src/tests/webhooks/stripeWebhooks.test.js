@@ -0,0 +1,167 @@
+/**
+ * Stripe Webhook Tests
+ * Signed fixture events sent to /api/v1/webhooks/stripe and replayed
+ * through /api/v1/webhook-events
+ */
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET =
+  process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_secret';
+
+const request = require('supertest');
+const app = require('../../app');
+const stripe = require('../../config/stripe');
+const { prisma } = require('../../config/database');
+const paymentService = require('../../modules/payments/payments.service');
+const {
+  generateToken,
+  createTestAdmin,
+  cleanupDatabase,
+} = require('../helpers/testHelpers');
+
+const fixtureEvent = (id, type = 'customer.created') => ({
+  id,
+  object: 'event',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  livemode: false,
+  data: { object: { id: 'cus_test_fixture', object: 'customer' } },
+});
+
+const sendEvent = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  });
+
+  return request(app)
+    .post('/api/v1/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('stripe-signature', signature)
+    .send(payload);
+};
+
+const cleanupEvents = () =>
+  prisma.stripeWebhookEvent.deleteMany({
+    where: { id: { startsWith: 'evt_test_' } },
+  });
+
+describe('Stripe Webhooks', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await cleanupDatabase();
+    await cleanupEvents();
+
+    const admin = await createTestAdmin({ email: 'webhook-admin@test.com' });
+    adminToken = generateToken({
+      userId: admin.id,
+      email: admin.email,
+      role: 'ADMIN',
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupEvents();
+    await cleanupDatabase();
+  });
+
+  describe('POST /api/v1/webhooks/stripe', () => {
+    it('should reject events with an invalid signature', async () => {
+      await sendEvent(
+        fixtureEvent('evt_test_bad_signature'),
+        'whsec_wrong'
+      ).expect(400);
+
+      const stored = await prisma.stripeWebhookEvent.findUnique({
+        where: { id: 'evt_test_bad_signature' },
+      });
+      expect(stored).toBeNull();
+    });
+
+    it('should process an event once however often it is delivered', async () => {
+      const event = fixtureEvent('evt_test_duplicate');
+      const handleWebhook = jest.spyOn(paymentService, 'handleWebhook');
+
+      const first = await sendEvent(event).expect(200);
+      const second = await sendEvent(event).expect(200);
+
+      expect(first.body.duplicate).toBe(false);
+      expect(second.body.duplicate).toBe(true);
+      expect(handleWebhook).toHaveBeenCalledTimes(1);
+
+      const stored = await prisma.stripeWebhookEvent.findUnique({
+        where: { id: event.id },
+      });
+      expect(stored.status).toBe('PROCESSED');
+      expect(stored.attempts).toBe(1);
+      expect(stored.type).toBe(event.type);
+
+      handleWebhook.mockRestore();
+    });
+
+    it('should keep failed events and process them on the next delivery', async () => {
+      const event = fixtureEvent('evt_test_retry');
+      const handleWebhook = jest
+        .spyOn(paymentService, 'handleWebhook')
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await sendEvent(event).expect(500);
+
+      let stored = await prisma.stripeWebhookEvent.findUnique({
+        where: { id: event.id },
+      });
+      expect(stored.status).toBe('FAILED');
+      expect(stored.lastError).toBe('Database unavailable');
+
+      const retry = await sendEvent(event).expect(200);
+      expect(retry.body.duplicate).toBe(false);
+
+      stored = await prisma.stripeWebhookEvent.findUnique({
+        where: { id: event.id },
+      });
+      expect(stored.status).toBe('PROCESSED');
+      expect(stored.attempts).toBe(2);
+      expect(stored.lastError).toBeNull();
+
+      handleWebhook.mockRestore();
+    });
+  });
+
+  describe('POST /api/v1/webhook-events/:eventId/replay', () => {
+    it('should replay a failed event from its stored payload', async () => {
+      const event = fixtureEvent('evt_test_replay');
+      const handleWebhook = jest
+        .spyOn(paymentService, 'handleWebhook')
+        .mockRejectedValueOnce(new Error('Handler crashed'));
+
+      await sendEvent(event).expect(500);
+
+      const list = await request(app)
+        .get('/api/v1/webhook-events?status=FAILED')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.events.map(({ id }) => id)).toContain(event.id);
+
+      const replay = await request(app)
+        .post(`/api/v1/webhook-events/${event.id}/replay`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(replay.body.data.status).toBe('PROCESSED');
+      expect(handleWebhook).toHaveBeenLastCalledWith(
+        expect.objectContaining({ id: event.id, type: event.type })
+      );
+
+      handleWebhook.mockRestore();
+    });
+
+    it('should not replay an event that was already processed', async () => {
+      await request(app)
+        .post('/api/v1/webhook-events/evt_test_replay/replay')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+  });
+});
@@ -1,9 +1,12 @@
 class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, errorCode = null) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
+    // Machine-readable reason (e.g. STAY_TOO_SHORT), sent to clients as `code`.
+    // Not named `code`: the global handler treats err.code as a Prisma code.
+    this.errorCode = errorCode;
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -0,0 +1,48 @@
+/**
+ * Date helpers for billing periods
+ * All calculations are done in UTC
+ */
+
+/**
+ * Add calendar months to a date, clamping to the last day of the month
+ * (e.g. Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDayOfMonth = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDayOfMonth));
+
+  return result;
+};
+
+/**
+ * Add days to a date
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDateString = date => new Date(date).toISOString().split('T')[0];
+
+module.exports = {
+  addMonths,
+  addDays,
+  toDateString,
+};
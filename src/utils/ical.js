@@ -0,0 +1,202 @@
+/**
+ * Minimal iCalendar (RFC 5545) support for availability sync:
+ * building a feed of busy periods and reading VEVENTs from other platforms.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = value => String(value).padStart(2, '0');
+
+const formatDate = date =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}`;
+
+const formatDateTime = date =>
+  `${formatDate(date)}T${pad(date.getUTCHours())}${pad(
+    date.getUTCMinutes()
+  )}${pad(date.getUTCSeconds())}Z`;
+
+const escapeText = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = value =>
+  value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Fold content lines longer than 75 octets
+ */
+const foldLine = line => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+/**
+ * Build an ICS calendar of all-day events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {Array} options.events - [{ uid, summary, start, end }]; end is inclusive
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Rentverse//Availability//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    // All-day DTEND is exclusive, so the last occupied day is end + 1
+    const endExclusive = new Date(new Date(event.end).getTime() + DAY_MS);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(new Date(event.start))}`,
+      `DTEND;VALUE=DATE:${formatDate(endExclusive)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse an ICS date or date-time value (UTC, floating or TZID treated as UTC)
+ * @returns {{ date: Date, allDay: boolean } | null}
+ */
+const parseDateValue = value => {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const allDay = hours === undefined;
+
+  return {
+    date: new Date(
+      Date.UTC(
+        +year,
+        +month - 1,
+        +day,
+        allDay ? 0 : +hours,
+        allDay ? 0 : +minutes,
+        allDay ? 0 : +seconds
+      )
+    ),
+    allDay,
+  };
+};
+
+/**
+ * Parse VEVENTs from an ICS document
+ * Cancelled and transparent (free) events are skipped.
+ * @param {string} content - ICS text
+ * @returns {Array} [{ uid, summary, start, end }]; end is inclusive for all-day events
+ */
+const parseEvents = content => {
+  // Unfold continuation lines
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(value);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(value);
+        break;
+      case 'STATUS':
+        current.status = value.toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transparent = value.toUpperCase() === 'TRANSPARENT';
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events
+    .filter(
+      event =>
+        event.uid &&
+        event.start &&
+        event.status !== 'CANCELLED' &&
+        !event.transparent
+    )
+    .map(event => {
+      const start = event.start.date;
+      let end;
+
+      if (!event.end) {
+        // Without DTEND an all-day event lasts one day
+        end = start;
+      } else if (event.end.allDay) {
+        // All-day DTEND is exclusive
+        end = new Date(Math.max(start, event.end.date.getTime() - DAY_MS));
+      } else {
+        end = event.end.date;
+      }
+
+      return {
+        uid: event.uid,
+        summary: event.summary || null,
+        start,
+        end,
+      };
+    });
+};
+
+module.exports = {
+  buildCalendar,
+  parseEvents,
+};